@@ -1,99 +1,76 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.20;
 
-import "@openzeppelin/contracts/access/AccessControl.sol";
-import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
-import "@openzeppelin/contracts/security/Pausable.sol";
-import "@openzeppelin/contracts/utils/math/Math.sol";
-import "./CuttlefishVault.sol";
-import "@chainlink/contracts/src/v0.8/interfaces/AggregatorV3Interface.sol";
+import "@openzeppelin/contracts/utils/Address.sol";
+import "@chainlink/contracts/src/v0.8/automation/interfaces/AutomationCompatibleInterface.sol";
+import "./BuilderAgentStorage.sol";
 
 /**
  * @title BuilderAgent
- * @dev Enhanced AI-powered trading agent with comprehensive security features
+ * @dev Enhanced AI-powered trading agent with comprehensive security features.
+ * Deployed directly, or by BuilderAgentFactory as a beacon proxy, in which case
+ * new state must only ever be appended so the fleet can be upgraded in place.
+ * Views live here; trading runs in BuilderAgentTrading and configuration in
+ * BuilderAgentAdmin, both shared modules the agent DELEGATECALLs into so it
+ * stays under the EIP-170 contract size limit.
  * @author Cuttlefish Labs
  */
-contract BuilderAgent is AccessControl, ReentrancyGuard, Pausable {
-    using Math for uint256;
-
-    // Role definitions
-    bytes32 public constant OPERATOR_ROLE = keccak256("OPERATOR_ROLE");
-    bytes32 public constant EMERGENCY_ROLE = keccak256("EMERGENCY_ROLE");
-    bytes32 public constant AI_ROLE = keccak256("AI_ROLE");
-
-    // Core contracts
-    CuttlefishVault public immutable vault;
-    address public immutable vaultAsset;
-    address public targetToken;
-    AggregatorV3Interface public priceFeed;
-
-    // AI Trading Parameters
-    struct TradingConfig {
-        uint256 priceThreshold;        // Minimum price to trigger trade
-        uint256 maxTradeSize;          // Maximum trade size per transaction
-        uint256 dailyTradeLimit;       // Maximum daily trading volume
-        uint256 cooldownPeriod;        // Minimum time between trades
-        uint256 maxSlippage;           // Maximum allowed slippage (basis points)
-        uint256 confidenceThreshold;   // Minimum AI confidence to trade (0-10000)
-    }
-
-    TradingConfig public config;
-
-    // Security & Rate Limiting
-    uint256 public lastTradeTimestamp;
-    uint256 public dailyTradeVolume;
-    uint256 public lastDayReset;
-    uint256 public totalTrades;
-    uint256 public successfulTrades;
-
-    // Price feed validation
-    uint256 public constant MAX_PRICE_AGE = 1 hours;
-    uint256 public constant MIN_PRICE_DEVIATION = 500; // 5% in basis points
-    uint256 public lastValidPrice;
-
-    // Emergency controls
-    bool public emergencyStop;
-    uint256 public emergencyStopTimestamp;
-
-    // Events
-    event TradeTriggered(
-        uint256 indexed tradeId,
-        uint256 amountIn,
-        uint256 amountOutMin,
-        address[] path,
-        uint256 currentPrice,
-        uint256 confidence
-    );
-    
-    event PriceChecked(uint256 price, uint256 timestamp, bool isValid);
-    event TradingConfigUpdated(TradingConfig oldConfig, TradingConfig newConfig);
-    event EmergencyStopActivated(address indexed activator, string reason);
-    event EmergencyStopDeactivated(address indexed deactivator);
-    event TargetTokenUpdated(address indexed oldToken, address indexed newToken);
-    event PriceFeedUpdated(address indexed oldFeed, address indexed newFeed);
-
-    // Custom errors
-    error InvalidPrice();
-    error PriceDataStale();
-    error PriceBelowThreshold();
-    error TradeAmountTooLarge();
-    error DailyLimitExceeded();
-    error CooldownNotMet();
-    error ConfidenceTooLow();
-    error EmergencyStopActive();
-    error InvalidConfiguration();
-    error UnauthorizedAccess();
+contract BuilderAgent is BuilderAgentStorage, AutomationCompatibleInterface {
+    // Shared module deployments the agent forwards calls to
+    struct Modules {
+        address trading;
+        address admin;
+    }
+
+    address public immutable tradingModule;
+    address public immutable adminModule;
 
     /**
-     * @dev Constructor with comprehensive validation
+     * @dev Deploy a ready-to-use agent administered by the deployer. A zero vault
+     * deploys a bare, locked implementation for BuilderAgentFactory's beacon instead.
      */
     constructor(
+        address _vault,
+        address _vaultAsset,
+        address _targetToken,
+        address _priceFeed,
+        TradingConfig memory _config,
+        Modules memory _modules
+    ) initializer {
+        require(_modules.trading != address(0) && _modules.admin != address(0), "Invalid modules");
+        tradingModule = _modules.trading;
+        adminModule = _modules.admin;
+
+        if (_vault == address(0)) return;
+        _initializeAgent(_vault, _vaultAsset, _targetToken, _priceFeed, _config, msg.sender);
+    }
+
+    /**
+     * @dev Set up an agent behind a proxy. The caller (its factory) is granted
+     * FACTORY_ROLE alongside the admin roles, and its policy applies to every
+     * later change of trading config, targets and price feeds.
+     */
+    function initialize(
         address _vault,
         address _vaultAsset,
         address _targetToken,
         address _priceFeed,
         TradingConfig memory _config
-    ) {
+    ) external initializer {
+        _initializeAgent(_vault, _vaultAsset, _targetToken, _priceFeed, _config, msg.sender);
+        _grantRole(FACTORY_ROLE, msg.sender);
+        _setRoleAdmin(FACTORY_ROLE, FACTORY_ROLE);
+        policy = IAgentPolicy(msg.sender);
+    }
+
+    function _initializeAgent(
+        address _vault,
+        address _vaultAsset,
+        address _targetToken,
+        address _priceFeed,
+        TradingConfig memory _config,
+        address admin
+    ) internal {
         require(_vault != address(0), "Invalid vault address");
         require(_vaultAsset != address(0), "Invalid vault asset");
         require(_targetToken != address(0), "Invalid target token");
@@ -107,17 +84,20 @@ contract BuilderAgent is AccessControl, ReentrancyGuard, Pausable {
         targetToken = _targetToken;
         priceFeed = AggregatorV3Interface(_priceFeed);
         config = _config;
+        portfolio.push(TargetAllocation({token: _targetToken, weight: 10000}));
 
         lastDayReset = block.timestamp;
+        governanceDelay = MIN_GOVERNANCE_DELAY;
 
         // Set up roles
-        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
-        _grantRole(OPERATOR_ROLE, msg.sender);
-        _grantRole(EMERGENCY_ROLE, msg.sender);
-
-        // Initialize with current price
-        try this.getLatestPrice() returns (uint256 price, uint256) {
-            lastValidPrice = price;
+        _grantRole(DEFAULT_ADMIN_ROLE, admin);
+        _grantRole(OPERATOR_ROLE, admin);
+        _grantRole(EMERGENCY_ROLE, admin);
+        _grantRole(KEEPER_ROLE, admin);
+
+        // Initialize with current price (external self-calls are unavailable during construction)
+        try priceFeed.latestRoundData() returns (uint80, int256 price, uint256, uint256, uint80) {
+            lastValidPrice = price > 0 ? uint256(price) : _config.priceThreshold;
         } catch {
             // If price feed fails during deployment, set a default
             lastValidPrice = _config.priceThreshold;
@@ -128,174 +108,138 @@ contract BuilderAgent is AccessControl, ReentrancyGuard, Pausable {
      * @dev Enhanced price fetching with validation and circuit breakers
      */
     function getLatestPrice() public view returns (uint256, uint256) {
-        (, int256 price, , uint256 updatedAt, ) = priceFeed.latestRoundData();
-        
-        if (price <= 0) revert InvalidPrice();
-        if (updatedAt <= block.timestamp - MAX_PRICE_AGE) revert PriceDataStale();
+        (uint256 price, uint256 updatedAt, ) = _aggregatedPrice();
+        return (price, updatedAt);
+    }
 
-        uint256 currentPrice = uint256(price);
-        
-        // Check for extreme price movements (circuit breaker)
-        if (lastValidPrice > 0) {
-            uint256 priceChange = currentPrice > lastValidPrice 
-                ? ((currentPrice - lastValidPrice) * 10000) / lastValidPrice
-                : ((lastValidPrice - currentPrice) * 10000) / lastValidPrice;
-                
-            // If price moved more than MIN_PRICE_DEVIATION, require additional validation
-            if (priceChange > MIN_PRICE_DEVIATION) {
-                // In production, this could trigger additional price source checks
-                emit PriceChecked(currentPrice, updatedAt, false);
-            }
-        }
+    /**
+     * @dev Median price across all sources, with the feeds that contributed to it.
+     * Stale or invalid sources are skipped; reverts if none are usable or if the
+     * usable ones disagree by more than priceDeviationThreshold.
+     */
+    function getAggregatedPrice() external view returns (uint256 price, uint256 updatedAt, address[] memory sources) {
+        return _aggregatedPrice();
+    }
 
-        return (currentPrice, updatedAt);
+    /**
+     * @dev All price sources, primary feed first
+     */
+    function getPriceSources() external view returns (AggregatorV3Interface[] memory) {
+        return _priceSources();
     }
 
     /**
-     * @dev Advanced AI trading logic with comprehensive safety checks
+     * @dev Ids of the scheduled orders still being executed
      */
-    function triggerTrade(
-        uint256 amountIn,
-        uint256 amountOutMin,
-        uint256 deadline,
-        uint256 aiConfidence // AI confidence score (0-10000)
-    ) external onlyRole(AI_ROLE) nonReentrant whenNotPaused {
-        if (emergencyStop) revert EmergencyStopActive();
-        
-        // Reset daily volume if needed
-        _resetDailyVolumeIfNeeded();
-        
-        // Validate trade parameters
-        _validateTradeParameters(amountIn, aiConfidence);
-        
-        // Check price conditions
-        (uint256 currentPrice, uint256 updatedAt) = getLatestPrice();
-        emit PriceChecked(currentPrice, updatedAt, true);
-        
-        if (currentPrice < config.priceThreshold) revert PriceBelowThreshold();
-        
-        // Update tracking variables
-        lastTradeTimestamp = block.timestamp;
-        dailyTradeVolume += amountIn;
-        totalTrades++;
-        lastValidPrice = currentPrice;
-
-        // Execute trade
-        address[] memory path = new address[](2);
-        path[0] = vaultAsset;
-        path[1] = targetToken;
-
-        try vault.executeTradeOnUniswap(amountIn, amountOutMin, path, deadline) {
-            successfulTrades++;
-            emit TradeTriggered(totalTrades, amountIn, amountOutMin, path, currentPrice, aiConfidence);
-        } catch Error(string memory reason) {
-            // Revert tracking changes on failure
-            dailyTradeVolume -= amountIn;
-            totalTrades--;
-            revert(reason);
-        }
+    function getOpenOrders() external view returns (uint256[] memory) {
+        return openOrderIds;
     }
 
     /**
-     * @dev Batch trade execution for multiple positions
+     * @dev Chainlink Automation: find the first open order with a slice that can execute
+     * now, or one that has expired and needs closing. performData is the order id.
      */
-    function triggerBatchTrade(
-        uint256[] calldata amountsIn,
-        uint256[] calldata amountsOutMin,
-        uint256 deadline,
-        uint256 aiConfidence
-    ) external onlyRole(AI_ROLE) nonReentrant whenNotPaused {
-        require(amountsIn.length == amountsOutMin.length, "Array length mismatch");
-        require(amountsIn.length <= 10, "Too many trades"); // Prevent gas issues
-
-        uint256 totalAmount = 0;
-        for (uint256 i = 0; i < amountsIn.length; i++) {
-            totalAmount += amountsIn[i];
+    function checkUpkeep(bytes calldata)
+        external
+        view
+        override
+        returns (bool upkeepNeeded, bytes memory performData)
+    {
+        if (emergencyStop || paused()) return (false, "");
+
+        uint256 currentPrice = 0;
+        try this.getLatestPrice() returns (uint256 price, uint256) {
+            currentPrice = price;
+        } catch {}
+
+        for (uint256 i = 0; i < openOrderIds.length; i++) {
+            ScheduledOrder storage order = scheduledOrders[openOrderIds[i]];
+            if (block.timestamp >= order.expiry) return (true, abi.encode(openOrderIds[i]));
+            if (block.timestamp < order.nextExecution || currentPrice < order.limitPrice) continue;
+
+            uint256 slice = _nextSlice(order);
+            (bool allowed, ) = this.canTrade(slice, SCHEDULED_ORDER_CONFIDENCE);
+            if (
+                allowed &&
+                (address(complianceEngine) == address(0) ||
+                    complianceEngine.checkTrade(order.creator, targetToken, slice, currentPrice) ==
+                    IComplianceEngine.ReasonCode.Approved)
+            ) return (true, abi.encode(openOrderIds[i]));
         }
+    }
 
-        // Validate total batch size
-        _validateTradeParameters(totalAmount, aiConfidence);
-
-        for (uint256 i = 0; i < amountsIn.length; i++) {
-            if (amountsIn[i] > 0) {
-                this.triggerTrade(amountsIn[i], amountsOutMin[i], deadline, aiConfidence);
-            }
-        }
+    /**
+     * @dev The guardian this agent answers to, if any
+     */
+    function fleetGuardian() external view returns (IFleetGuardian) {
+        return _fleetGuardian();
     }
 
     /**
-     * @dev Emergency stop function
+     * @dev Whether the fleet guardian has halted this agent's vault
      */
-    function activateEmergencyStop(string calldata reason) external onlyRole(EMERGENCY_ROLE) {
-        emergencyStop = true;
-        emergencyStopTimestamp = block.timestamp;
-        emit EmergencyStopActivated(msg.sender, reason);
+    function isFleetHalted() external view returns (bool) {
+        return _isFleetHalted();
     }
 
     /**
-     * @dev Deactivate emergency stop
+     * @dev Full swap path from the vault asset to `target` along its default route
      */
-    function deactivateEmergencyStop() external onlyRole(DEFAULT_ADMIN_ROLE) {
-        emergencyStop = false;
-        emit EmergencyStopDeactivated(msg.sender);
+    function getDefaultPath(address target) external view returns (address[] memory) {
+        return _defaultPath(target);
     }
 
     /**
-     * @dev Update trading configuration
+     * @dev Swap path from `token` back to the vault asset, the reverse of its default route
      */
-    function updateTradingConfig(TradingConfig calldata newConfig) external onlyRole(DEFAULT_ADMIN_ROLE) {
-        require(newConfig.priceThreshold > 0, "Invalid price threshold");
-        require(newConfig.maxTradeSize > 0, "Invalid max trade size");
-        require(newConfig.maxSlippage <= 1000, "Slippage too high");
-        require(newConfig.confidenceThreshold <= 10000, "Invalid confidence threshold");
-
-        TradingConfig memory oldConfig = config;
-        config = newConfig;
-        
-        emit TradingConfigUpdated(oldConfig, newConfig);
+    function getSellPath(address token) external view returns (address[] memory) {
+        return _sellPath(token);
     }
 
     /**
-     * @dev Update target token with validation
+     * @dev Oracle-derived floor for the output of swapping `amountIn` along `path`: the
+     * aggregated price converted between token decimals, less config.maxSlippage. The feed
+     * prices the vault asset in targetToken, so only swaps between the two have a floor;
+     * other pairs return 0 and rely on the caller's amountOutMin.
      */
-    function setTargetToken(address newTargetToken) external onlyRole(OPERATOR_ROLE) {
-        require(newTargetToken != address(0), "Invalid target token");
-        require(newTargetToken != vaultAsset, "Cannot trade to same asset");
-        
-        address oldToken = targetToken;
-        targetToken = newTargetToken;
-        
-        emit TargetTokenUpdated(oldToken, newTargetToken);
+    function getMinimumOutput(uint256 amountIn, address[] memory path) external view returns (uint256) {
+        return _minimumOutput(amountIn, path, _latestPrice());
     }
 
     /**
-     * @dev Update price feed with validation
+     * @dev Portfolio tokens and their weights (basis points)
      */
-    function setPriceFeed(address newPriceFeed) external onlyRole(DEFAULT_ADMIN_ROLE) {
-        require(newPriceFeed != address(0), "Invalid price feed");
-        
-        // Validate new price feed works
-        AggregatorV3Interface newFeed = AggregatorV3Interface(newPriceFeed);
-        (, int256 price, , uint256 updatedAt, ) = newFeed.latestRoundData();
-        require(price > 0 && updatedAt > 0, "Invalid price feed");
-        
-        address oldFeed = address(priceFeed);
-        priceFeed = newFeed;
-        
-        emit PriceFeedUpdated(oldFeed, newPriceFeed);
+    function getPortfolio() external view returns (address[] memory tokens, uint256[] memory weights) {
+        tokens = new address[](portfolio.length);
+        weights = new uint256[](portfolio.length);
+        for (uint256 i = 0; i < portfolio.length; i++) {
+            tokens[i] = portfolio[i].token;
+            weights[i] = portfolio[i].weight;
+        }
     }
 
     /**
      * @dev Pause contract (emergency function)
      */
-    function pause() external onlyRole(EMERGENCY_ROLE) {
+    function pause() external onlyRoleOrFactory(EMERGENCY_ROLE) {
         _pause();
     }
 
     /**
-     * @dev Unpause contract
+     * @dev Pause the agent on behalf of its factory; only the factory can unpause it again
+     */
+    function deactivate() external onlyRole(FACTORY_ROLE) {
+        deactivated = true;
+        if (!paused()) _pause();
+    }
+
+    /**
+     * @dev Unpause contract (a deactivated agent only by its factory)
      */
-    function unpause() external onlyRole(DEFAULT_ADMIN_ROLE) {
+    function unpause() external onlyRoleOrFactory(DEFAULT_ADMIN_ROLE) {
+        require(!retired, "Agent retired");
+        if (hasRole(FACTORY_ROLE, msg.sender)) deactivated = false;
+        else require(!deactivated, "Agent deactivated");
         _unpause();
     }
 
@@ -329,6 +273,7 @@ contract BuilderAgent is AccessControl, ReentrancyGuard, Pausable {
     function canTrade(uint256 amountIn, uint256 aiConfidence) external view returns (bool, string memory) {
         if (emergencyStop) return (false, "Emergency stop active");
         if (paused()) return (false, "Contract paused");
+        if (_isFleetHalted()) return (false, "Fleet halted");
         if (block.timestamp < lastTradeTimestamp + config.cooldownPeriod) return (false, "Cooldown period");
         if (amountIn > config.maxTradeSize) return (false, "Amount too large");
         if (aiConfidence < config.confidenceThreshold) return (false, "Confidence too low");
@@ -339,6 +284,10 @@ contract BuilderAgent is AccessControl, ReentrancyGuard, Pausable {
         
         try this.getLatestPrice() returns (uint256 price, uint256) {
             if (price < config.priceThreshold) return (false, "Price below threshold");
+            if (
+                priceDeviationThreshold > 0 &&
+                PriceAggregation.deviationBps(price, lastValidPrice) > priceDeviationThreshold
+            ) return (false, "Price deviation too high");
         } catch {
             return (false, "Price feed error");
         }
@@ -346,33 +295,32 @@ contract BuilderAgent is AccessControl, ReentrancyGuard, Pausable {
         return (true, "Trade allowed");
     }
 
-    // Internal functions
-
-    function _validateTradeParameters(uint256 amountIn, uint256 aiConfidence) internal view {
-        if (amountIn > config.maxTradeSize) revert TradeAmountTooLarge();
-        if (block.timestamp < lastTradeTimestamp + config.cooldownPeriod) revert CooldownNotMet();
-        if (aiConfidence < config.confidenceThreshold) revert ConfidenceTooLow();
-        
-        uint256 currentDayVolume = _getCurrentDayVolume();
-        if (currentDayVolume + amountIn > config.dailyTradeLimit) revert DailyLimitExceeded();
-    }
+    /**
+     * @dev Check if selling `amountIn` of a position is currently allowed
+     */
+    function canSell(address token, uint256 amountIn, uint256 aiConfidence) external view returns (bool, string memory) {
+        if (emergencyStop) return (false, "Emergency stop active");
+        if (paused()) return (false, "Contract paused");
+        if (_isFleetHalted()) return (false, "Fleet halted");
+        if (amountIn == 0 || amountIn > positions[token].amount) return (false, "Insufficient position");
+        if (block.timestamp < lastTradeTimestamp + config.cooldownPeriod) return (false, "Cooldown period");
+        if (aiConfidence < config.confidenceThreshold) return (false, "Confidence too low");
 
-    function _resetDailyVolumeIfNeeded() internal {
-        if (block.timestamp >= lastDayReset + 1 days) {
-            dailyTradeVolume = 0;
-            lastDayReset = block.timestamp;
+        try this.getLatestPrice() returns (uint256 price, uint256) {
+            if (
+                priceDeviationThreshold > 0 &&
+                PriceAggregation.deviationBps(price, lastValidPrice) > priceDeviationThreshold
+            ) return (false, "Price deviation too high");
+            if (!_sellPriceReached(price)) return (false, "Sell price not reached");
+        } catch {
+            return (false, "Price feed error");
         }
-    }
 
-    function _getCurrentDayVolume() internal view returns (uint256) {
-        if (block.timestamp >= lastDayReset + 1 days) {
-            return 0;
-        }
-        return dailyTradeVolume;
+        return (true, "Sell allowed");
     }
 
     function _canTradeNow() internal view returns (bool) {
-        if (emergencyStop || paused()) return false;
+        if (emergencyStop || paused() || _isFleetHalted()) return false;
         if (block.timestamp < lastTradeTimestamp + config.cooldownPeriod) return false;
         
         try this.getLatestPrice() returns (uint256 price, uint256) {
@@ -382,6 +330,141 @@ contract BuilderAgent is AccessControl, ReentrancyGuard, Pausable {
         }
     }
 
+    // Trading, implemented by BuilderAgentTrading
+
+    function triggerTrade(uint256, uint256, uint256, uint256) external {
+        _delegate(tradingModule);
+    }
+
+    function triggerTradeWithRoute(uint256, uint256, address[] calldata, uint256, uint256) external {
+        _delegate(tradingModule);
+    }
+
+    function triggerPortfolioTrade(uint256, uint256[] calldata, uint256, uint256) external {
+        _delegate(tradingModule);
+    }
+
+    function triggerSell(address, uint256, uint256, uint256, uint256) external {
+        _delegate(tradingModule);
+    }
+
+    function triggerBatchTrade(uint256[] calldata, uint256[] calldata, uint256, uint256, BatchMode) external {
+        _delegate(tradingModule);
+    }
+
+    function performUpkeep(bytes calldata) external override {
+        _delegate(tradingModule);
+    }
+
+    function createScheduledOrder(uint256, uint256, uint256, uint256, uint256) external returns (uint256) {
+        return abi.decode(_delegate(tradingModule), (uint256));
+    }
+
+    function cancelScheduledOrder(uint256) external {
+        _delegate(tradingModule);
+    }
+
+    // Configuration, governance and lifecycle, implemented by BuilderAgentAdmin
+
+    function activateEmergencyStop(string calldata) external {
+        _delegate(adminModule);
+    }
+
+    function deactivateEmergencyStop() external {
+        _delegate(adminModule);
+    }
+
+    function setGuardian(address) external {
+        _delegate(adminModule);
+    }
+
+    function proposeChange(bytes calldata) external returns (bytes32) {
+        return abi.decode(_delegate(adminModule), (bytes32));
+    }
+
+    function executeChange(bytes calldata) external {
+        _delegate(adminModule);
+    }
+
+    function cancelChange(bytes32) external {
+        _delegate(adminModule);
+    }
+
+    function setGovernanceDelay(uint256) external {
+        _delegate(adminModule);
+    }
+
+    function updateTradingConfig(TradingConfig calldata) external {
+        _delegate(adminModule);
+    }
+
+    function setSellConfig(SellConfig calldata) external {
+        _delegate(adminModule);
+    }
+
+    function setTargetToken(address) external {
+        _delegate(adminModule);
+    }
+
+    function setPortfolio(address[] calldata, uint256[] calldata) external {
+        _delegate(adminModule);
+    }
+
+    function setIntermediateToken(address, bool) external {
+        _delegate(adminModule);
+    }
+
+    function setDefaultRoute(address, address[] calldata) external {
+        _delegate(adminModule);
+    }
+
+    function setPriceFeed(address) external {
+        _delegate(adminModule);
+    }
+
+    function addPriceSource(address) external {
+        _delegate(adminModule);
+    }
+
+    function removePriceSource(address) external {
+        _delegate(adminModule);
+    }
+
+    function setPriceDeviationThreshold(uint256) external {
+        _delegate(adminModule);
+    }
+
+    function resetReferencePrice() external {
+        _delegate(adminModule);
+    }
+
+    function setComplianceEngine(address) external {
+        _delegate(adminModule);
+    }
+
+    function disableCompliance() external {
+        _delegate(adminModule);
+    }
+
+    function setKeeperRegistry(address) external {
+        _delegate(adminModule);
+    }
+
+    function retire(address[] calldata) external {
+        _delegate(adminModule);
+    }
+
+    function migrateFrom(BuilderAgent) external {
+        _delegate(adminModule);
+    }
+
+    /**
+     * @dev Run the current call in `module` on this agent's storage, bubbling up reverts
+     */
+    function _delegate(address module) internal returns (bytes memory) {
+        return Address.functionDelegateCall(module, msg.data);
+    }
+
     /**
      * @dev Fallback function to prevent accidental ETH sends
      */
@@ -0,0 +1,439 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/utils/Address.sol";
+import "./BuilderAgentStorage.sol";
+import "./BuilderAgent.sol";
+
+/**
+ * @title BuilderAgentAdmin
+ * @dev Configuration, governance and lifecycle of BuilderAgent: emergency stop,
+ * governed changes, targets, routes, price sources, retirement and migration.
+ * Deployed once and shared; agents DELEGATECALL into it, so it must not hold
+ * state of its own.
+ * @author Cuttlefish Labs
+ */
+contract BuilderAgentAdmin is BuilderAgentStorage {
+    using SafeERC20 for IERC20;
+
+    /**
+     * @dev Emergency stop function
+     */
+    function activateEmergencyStop(string calldata reason) external onlyRole(EMERGENCY_ROLE) {
+        emergencyStop = true;
+        emergencyStopTimestamp = block.timestamp;
+        emit EmergencyStopActivated(msg.sender, reason);
+    }
+
+    /**
+     * @dev Deactivate emergency stop
+     */
+    function deactivateEmergencyStop() external onlyRole(DEFAULT_ADMIN_ROLE) {
+        emergencyStop = false;
+        emit EmergencyStopDeactivated(msg.sender);
+    }
+
+    /**
+     * @dev Answer to a FleetGuardian (zero for none). Factory agents follow their
+     * factory's guardian instead.
+     */
+    function setGuardian(address newGuardian) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (address(policy) != address(0)) revert UnauthorizedAccess();
+
+        emit GuardianUpdated(address(guardian), newGuardian);
+        guardian = IFleetGuardian(newGuardian);
+    }
+
+    /**
+     * @dev Queue a call to a governed setter, ABI-encoded in `data`, for execution
+     * once governanceDelay has passed. Returns its changeId, the hash of `data`.
+     */
+    function proposeChange(bytes calldata data) external onlyRole(DEFAULT_ADMIN_ROLE) returns (bytes32 changeId) {
+        bytes4 selector = bytes4(data);
+        if (
+            selector != this.updateTradingConfig.selector &&
+            selector != this.setPriceFeed.selector &&
+            selector != this.addPriceSource.selector &&
+            selector != this.removePriceSource.selector &&
+            selector != this.setPriceDeviationThreshold.selector &&
+            selector != this.setIntermediateToken.selector &&
+            selector != this.setDefaultRoute.selector &&
+            selector != this.setComplianceEngine.selector &&
+            selector != this.disableCompliance.selector &&
+            selector != this.setKeeperRegistry.selector &&
+            selector != this.setGovernanceDelay.selector
+        ) revert ChangeNotGoverned(selector);
+
+        changeId = keccak256(data);
+        if (pendingChanges[changeId] != 0) revert ChangeAlreadyProposed(changeId);
+
+        uint256 executableAt = block.timestamp + governanceDelay;
+        pendingChanges[changeId] = executableAt;
+        emit ChangeProposed(changeId, selector, data, executableAt);
+    }
+
+    /**
+     * @dev Apply a proposed change whose delay has passed
+     */
+    function executeChange(bytes calldata data) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        bytes32 changeId = keccak256(data);
+        uint256 executableAt = pendingChanges[changeId];
+        if (executableAt == 0) revert ChangeNotPending(changeId);
+        if (block.timestamp < executableAt) revert ChangeNotReady(changeId, executableAt);
+
+        delete pendingChanges[changeId];
+        Address.functionCall(address(this), data);
+        emit ChangeExecuted(changeId, msg.sender);
+    }
+
+    /**
+     * @dev Drop a proposed change before it executes
+     */
+    function cancelChange(bytes32 changeId) external onlyRole(EMERGENCY_ROLE) {
+        if (pendingChanges[changeId] == 0) revert ChangeNotPending(changeId);
+
+        delete pendingChanges[changeId];
+        emit ChangeCancelled(changeId, msg.sender);
+    }
+
+    /**
+     * @dev Update the delay between proposing and executing governed changes (governed)
+     */
+    function setGovernanceDelay(uint256 newDelay) external onlyGovernance {
+        require(newDelay >= MIN_GOVERNANCE_DELAY, "Governance delay too short");
+        require(newDelay <= MAX_GOVERNANCE_DELAY, "Governance delay too long");
+
+        emit GovernanceDelayUpdated(governanceDelay, newDelay);
+        governanceDelay = newDelay;
+    }
+
+    /**
+     * @dev Update trading configuration (governed)
+     */
+    function updateTradingConfig(TradingConfig calldata newConfig) external onlyGovernance {
+        require(newConfig.priceThreshold > 0, "Invalid price threshold");
+        require(newConfig.maxTradeSize > 0, "Invalid max trade size");
+        require(newConfig.maxSlippage <= 1000, "Slippage too high");
+        require(newConfig.confidenceThreshold <= 10000, "Invalid confidence threshold");
+        if (address(policy) != address(0)) {
+            policy.checkTradingConfig(
+                address(vault),
+                newConfig.maxTradeSize,
+                newConfig.dailyTradeLimit,
+                newConfig.cooldownPeriod
+            );
+        }
+
+        TradingConfig memory oldConfig = config;
+        config = newConfig;
+        
+        emit TradingConfigUpdated(oldConfig, newConfig);
+    }
+
+    /**
+     * @dev Update the take-profit / stop-loss prices that gate sells (0 disables a trigger;
+     * with both disabled, sells are gated only by confidence and cooldown)
+     */
+    function setSellConfig(SellConfig calldata newConfig) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(
+            newConfig.takeProfitPrice == 0 ||
+                newConfig.stopLossPrice == 0 ||
+                newConfig.takeProfitPrice < newConfig.stopLossPrice,
+            "Take-profit must be below stop-loss"
+        );
+
+        SellConfig memory oldConfig = sellConfig;
+        sellConfig = newConfig;
+
+        emit SellConfigUpdated(oldConfig, newConfig);
+    }
+
+    /**
+     * @dev Update target token with validation
+     */
+    function setTargetToken(address newTargetToken) external onlyRole(OPERATOR_ROLE) {
+        require(newTargetToken != address(0), "Invalid target token");
+        require(newTargetToken != vaultAsset, "Cannot trade to same asset");
+        _checkPolicyTargetToken(newTargetToken);
+        
+        address oldToken = targetToken;
+        targetToken = newTargetToken;
+
+        // A single target replaces the whole portfolio
+        delete portfolio;
+        portfolio.push(TargetAllocation({token: newTargetToken, weight: 10000}));
+        
+        emit TargetTokenUpdated(oldToken, newTargetToken);
+    }
+
+    /**
+     * @dev Replace the portfolio of target tokens; the first token becomes targetToken
+     */
+    function setPortfolio(address[] calldata tokens, uint256[] calldata weights) external onlyRole(OPERATOR_ROLE) {
+        require(tokens.length == weights.length, "Array length mismatch");
+        require(tokens.length > 0 && tokens.length <= MAX_PORTFOLIO_TOKENS, "Invalid portfolio size");
+
+        delete portfolio;
+        uint256 totalWeight = 0;
+        for (uint256 i = 0; i < tokens.length; i++) {
+            require(tokens[i] != address(0), "Invalid target token");
+            require(tokens[i] != vaultAsset, "Cannot trade to same asset");
+            require(weights[i] > 0, "Invalid weight");
+            _checkPolicyTargetToken(tokens[i]);
+            for (uint256 j = 0; j < i; j++) {
+                require(tokens[j] != tokens[i], "Duplicate target token");
+            }
+
+            portfolio.push(TargetAllocation({token: tokens[i], weight: weights[i]}));
+            totalWeight += weights[i];
+        }
+        require(totalWeight == 10000, "Weights must total 10000");
+
+        if (tokens[0] != targetToken) {
+            emit TargetTokenUpdated(targetToken, tokens[0]);
+            targetToken = tokens[0];
+        }
+
+        emit PortfolioUpdated(tokens, weights);
+    }
+
+    /**
+     * @dev Allow or disallow a token as a routing hop (governed)
+     */
+    function setIntermediateToken(address token, bool allowed) external onlyGovernance {
+        require(token != address(0), "Invalid token");
+        require(token != vaultAsset, "Cannot route through vault asset");
+
+        isIntermediateToken[token] = allowed;
+        emit IntermediateTokenUpdated(token, allowed);
+    }
+
+    /**
+     * @dev Set the intermediate hops used when trading into `target` (governed; empty for a direct swap)
+     */
+    function setDefaultRoute(address target, address[] calldata intermediates) external onlyGovernance {
+        require(intermediates.length + 2 <= MAX_PATH_LENGTH, "Route too long");
+        for (uint256 i = 0; i < intermediates.length; i++) {
+            require(isIntermediateToken[intermediates[i]], "Intermediate not allowed");
+            require(intermediates[i] != target, "Invalid route");
+        }
+
+        defaultRoutes[target] = intermediates;
+        emit DefaultRouteUpdated(target, intermediates);
+    }
+
+    /**
+     * @dev Replace the primary price feed (governed). Prices in the config, sell triggers
+     * and orders are in feed units, so the new feed must use the same decimals.
+     */
+    function setPriceFeed(address newPriceFeed) external onlyGovernance {
+        require(newPriceFeed != address(0), "Invalid price feed");
+        require(AggregatorV3Interface(newPriceFeed).decimals() == priceFeed.decimals(), "Price feed decimals mismatch");
+        _checkPolicyPriceFeed(newPriceFeed);
+        
+        // Validate new price feed works
+        AggregatorV3Interface newFeed = AggregatorV3Interface(newPriceFeed);
+        (, int256 price, , uint256 updatedAt, ) = newFeed.latestRoundData();
+        require(price > 0 && updatedAt > 0, "Invalid price feed");
+        
+        for (uint256 i = 0; i < additionalPriceFeeds.length; i++) {
+            require(address(additionalPriceFeeds[i]) != newPriceFeed, "Price source already added");
+        }
+        
+        address oldFeed = address(priceFeed);
+        priceFeed = newFeed;
+        
+        emit PriceFeedUpdated(oldFeed, newPriceFeed);
+    }
+
+    /**
+     * @dev Add a price source to the median (governed)
+     */
+    function addPriceSource(address feed) external onlyGovernance {
+        _checkPolicyPriceFeed(feed);
+        PriceAggregation.addSource(additionalPriceFeeds, address(priceFeed), feed);
+        emit PriceSourceAdded(feed);
+    }
+
+    /**
+     * @dev Remove an additional price source (governed; the primary feed is replaced via setPriceFeed)
+     */
+    function removePriceSource(address feed) external onlyGovernance {
+        PriceAggregation.removeSource(additionalPriceFeeds, feed);
+        emit PriceSourceRemoved(feed);
+    }
+
+    /**
+     * @dev Set the source-agreement and circuit breaker threshold (governed; basis points, 0 disables)
+     */
+    function setPriceDeviationThreshold(uint256 newThreshold) external onlyGovernance {
+        require(newThreshold <= 5000, "Deviation too high");
+
+        uint256 oldThreshold = priceDeviationThreshold;
+        priceDeviationThreshold = newThreshold;
+
+        emit PriceDeviationThresholdUpdated(oldThreshold, newThreshold);
+    }
+
+    /**
+     * @dev Accept the current aggregated price as the circuit breaker reference after a
+     * genuine market move has tripped it
+     */
+    function resetReferencePrice() external onlyRole(DEFAULT_ADMIN_ROLE) {
+        uint256 currentPrice = _latestPrice();
+
+        uint256 oldPrice = lastValidPrice;
+        lastValidPrice = currentPrice;
+
+        emit ReferencePriceReset(oldPrice, currentPrice);
+    }
+
+    /**
+     * @dev Set the compliance engine trades are validated against (governed)
+     */
+    function setComplianceEngine(address newEngine) external onlyGovernance {
+        require(newEngine != address(0), "Invalid compliance engine");
+
+        emit ComplianceEngineUpdated(address(complianceEngine), newEngine);
+        complianceEngine = IComplianceEngine(newEngine);
+    }
+
+    /**
+     * @dev Stop validating trades against a compliance engine (governed)
+     */
+    function disableCompliance() external onlyGovernance {
+        emit ComplianceEngineUpdated(address(complianceEngine), address(0));
+        delete complianceEngine;
+    }
+
+    /**
+     * @dev Set keeper registry address (governed)
+     */
+    function setKeeperRegistry(address _keeperRegistry) external onlyGovernance {
+        emit KeeperRegistryUpdated(keeperRegistryAddress, _keeperRegistry);
+        keeperRegistryAddress = _keeperRegistry;
+    }
+
+    /**
+     * @dev Permanently shut the agent down: cancel open orders, pause, return any
+     * tokens held by the agent to the vault and revoke every role from `accounts`
+     * and the factory. Positions stay recorded; the tokens are the vault's.
+     */
+    function retire(address[] calldata accounts) external onlyRole(FACTORY_ROLE) {
+        require(!retired, "Agent retired");
+
+        uint256 cancelledOrders = openOrderIds.length;
+        while (openOrderIds.length > 0) {
+            _closeOrder(openOrderIds[0], OrderStatus.Cancelled);
+        }
+
+        retired = true;
+        if (!paused()) _pause();
+
+        _sweepToVault(vaultAsset);
+        for (uint256 i = 0; i < portfolio.length; i++) {
+            _sweepToVault(portfolio[i].token);
+        }
+
+        bytes32[5] memory roles = [DEFAULT_ADMIN_ROLE, OPERATOR_ROLE, EMERGENCY_ROLE, AI_ROLE, KEEPER_ROLE];
+        for (uint256 i = 0; i < accounts.length; i++) {
+            for (uint256 r = 0; r < roles.length; r++) {
+                _revokeRole(roles[r], accounts[i]);
+            }
+        }
+        _revokeRole(FACTORY_ROLE, msg.sender);
+
+        emit AgentRetired(msg.sender, cancelledOrders);
+    }
+
+    /**
+     * @dev Take over a paused agent's configuration, counters and portfolio positions
+     * before this agent first trades. Default routes are copied for portfolio tokens
+     * (approving their hops); other intermediate approvals must be repeated.
+     */
+    function migrateFrom(BuilderAgent previous) external onlyRole(FACTORY_ROLE) {
+        require(migratedFrom == address(0) && totalTrades == 0, "Agent already in use");
+        require(address(previous) != address(this), "Invalid previous agent");
+        require(
+            address(previous.vault()) == address(vault) && previous.vaultAsset() == vaultAsset,
+            "Vault mismatch"
+        );
+        require(previous.paused(), "Previous agent not paused");
+        require(previous.getOpenOrders().length == 0, "Previous agent has open orders");
+
+        migratedFrom = address(previous);
+        _migrateSettings(previous);
+        uint256 positionCount = _migratePortfolio(previous);
+        _migrateCounters(previous);
+
+        emit StateMigrated(address(previous), totalTrades, positionCount);
+    }
+
+    // Internal functions
+
+    function _checkPolicyTargetToken(address token) internal view {
+        if (address(policy) != address(0)) policy.checkTargetToken(address(vault), token);
+    }
+
+    function _checkPolicyPriceFeed(address feed) internal view {
+        if (address(policy) != address(0)) policy.checkPriceFeed(address(vault), feed);
+    }
+
+    function _sweepToVault(address token) internal {
+        uint256 balance = IERC20(token).balanceOf(address(this));
+        if (balance > 0) IERC20(token).safeTransfer(address(vault), balance);
+    }
+
+    function _migrateSettings(BuilderAgent previous) internal {
+        (uint256 takeProfitPrice, uint256 stopLossPrice) = previous.sellConfig();
+        sellConfig = SellConfig({takeProfitPrice: takeProfitPrice, stopLossPrice: stopLossPrice});
+
+        AggregatorV3Interface[] memory sources = previous.getPriceSources();
+        for (uint256 i = 1; i < sources.length; i++) {
+            additionalPriceFeeds.push(sources[i]); // Validated when the previous agent added them
+        }
+        priceDeviationThreshold = previous.priceDeviationThreshold();
+        complianceEngine = previous.complianceEngine();
+        keeperRegistryAddress = previous.keeperRegistryAddress();
+        governanceDelay = previous.governanceDelay();
+
+        if (previous.emergencyStop()) {
+            emergencyStop = true;
+            emergencyStopTimestamp = previous.emergencyStopTimestamp();
+        }
+    }
+
+    function _migratePortfolio(BuilderAgent previous) internal returns (uint256 positionCount) {
+        (address[] memory tokens, uint256[] memory weights) = previous.getPortfolio();
+        delete portfolio;
+        targetToken = tokens[0];
+
+        for (uint256 i = 0; i < tokens.length; i++) {
+            portfolio.push(TargetAllocation({token: tokens[i], weight: weights[i]}));
+
+            address[] memory path = previous.getDefaultPath(tokens[i]);
+            for (uint256 j = 1; j + 1 < path.length; j++) {
+                isIntermediateToken[path[j]] = true;
+                defaultRoutes[tokens[i]].push(path[j]);
+            }
+
+            (uint256 amount, uint256 costBasis) = previous.positions(tokens[i]);
+            if (amount > 0 || costBasis > 0) {
+                positions[tokens[i]] = Position({amount: amount, costBasis: costBasis});
+                positionCount++;
+            }
+        }
+    }
+
+    function _migrateCounters(BuilderAgent previous) internal {
+        totalTrades = previous.totalTrades();
+        successfulTrades = previous.successfulTrades();
+        totalBatches = previous.totalBatches();
+        totalScheduledOrders = previous.totalScheduledOrders();
+        realizedPnl = previous.realizedPnl();
+        lastTradeTimestamp = previous.lastTradeTimestamp();
+        dailyTradeVolume = previous.dailyTradeVolume();
+        lastDayReset = previous.lastDayReset();
+        lastValidPrice = previous.lastValidPrice();
+    }
+}
@@ -2,27 +2,76 @@
 pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/access/Ownable.sol";
-import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/proxy/beacon/BeaconProxy.sol";
+import "@openzeppelin/contracts/proxy/beacon/UpgradeableBeacon.sol";
 import "./BuilderAgent.sol";
+import "./IAgentPolicy.sol";
 
 /**
  * @title BuilderAgentFactory
- * @dev Factory contract for deploying and managing BuilderAgent instances
+ * @dev Factory contract for deploying and managing BuilderAgent instances.
+ * Agents are beacon proxies sharing one implementation, upgraded fleet-wide by
+ * the owner. The factory keeps FACTORY_ROLE on each agent to deactivate,
+ * reactivate, retire and migrate it; creators get every other role.
+ * Vaults the owner assigns a policy template to only accept agents from
+ * allowlisted creators, trading allowlisted tokens on allowlisted feeds within
+ * the template's limits; agents consult the factory when reconfigured.
  */
-contract BuilderAgentFactory is Ownable, ReentrancyGuard {
+contract BuilderAgentFactory is Ownable, ReentrancyGuard, IAgentPolicy {
     struct AgentInfo {
         address agent;
         address vault;
         address creator;
         uint256 createdAt;
         bool isActive;
+        bool isRetired;
+        address migratedTo; // Agent that took over this one's state, if any
+    }
+
+    // Registry filter for getAgents; zero fields match any agent
+    struct AgentFilter {
+        address creator;
+        address vault;
+        address targetToken; // Matched against the agent's current targetToken
+        address priceFeed;   // Matched against the agent's current primary feed
+        bool activeOnly;
+    }
+
+    // Limits on the TradingConfig of agents for the vaults a template is assigned to
+    struct PolicyTemplate {
+        uint256 maxTradeSize;       // Highest maxTradeSize allowed (0 for no cap)
+        uint256 maxDailyTradeLimit; // Highest dailyTradeLimit allowed (0 for no cap)
+        uint256 minCooldownPeriod;  // Shortest cooldownPeriod allowed
     }
 
     mapping(address => AgentInfo) public agents;
     address[] public allAgents;
+    mapping(address => address[]) private agentsByCreator;
+    mapping(address => address[]) private agentsByVault;
+    uint256 private activeAgentsCount;
+
+    uint256 public constant MAX_PAGE_SIZE = 100;
+
+    // Policy templates, numbered from 1; vaults without a template are unrestricted
+    mapping(uint256 => PolicyTemplate) public policyTemplates;
+    uint256 public policyTemplateCount;
+    mapping(address => uint256) public vaultPolicies;
+    mapping(address => mapping(address => bool)) public allowedCreators;
+    mapping(address => mapping(address => bool)) public allowedTargetTokens;
+    mapping(address => mapping(address => bool)) public allowedPriceFeeds;
+
+    // FleetGuardian every agent of this factory answers to (unset for none)
+    address public override fleetGuardian;
+
+    // Runtime code hashes of directly deployed BuilderAgents that may be migrated in
+    mapping(bytes32 => bool) public allowedAgentCodeHashes;
+
+    // Implementation shared by every agent; owned by this factory
+    UpgradeableBeacon public immutable beacon;
     
     // Default configurations
-    BuilderAgent.TradingConfig public defaultConfig;
+    BuilderAgentStorage.TradingConfig public defaultConfig;
     
     event AgentCreated(
         address indexed agent,
@@ -32,11 +81,29 @@ contract BuilderAgentFactory is Ownable, ReentrancyGuard {
     );
     
     event AgentDeactivated(address indexed agent, address indexed deactivator);
-    event DefaultConfigUpdated(BuilderAgent.TradingConfig newConfig);
+    event AgentReactivated(address indexed agent, address indexed reactivator);
+    event AgentRetired(address indexed agent, address indexed retirer);
+    event AgentMigrated(address indexed previousAgent, address indexed newAgent, address indexed migrator);
+    event AgentImplementationUpgraded(address indexed oldImplementation, address indexed newImplementation);
+    event DefaultConfigUpdated(BuilderAgentStorage.TradingConfig newConfig);
+    event PolicyTemplateSet(uint256 indexed templateId, PolicyTemplate template);
+    event VaultPolicySet(address indexed vault, uint256 indexed templateId);
+    event CreatorAllowed(address indexed vault, address indexed creator, bool allowed);
+    event TargetTokenAllowed(address indexed vault, address indexed token, bool allowed);
+    event PriceFeedAllowed(address indexed vault, address indexed feed, bool allowed);
+    event FleetGuardianUpdated(address indexed oldGuardian, address indexed newGuardian);
+    event AgentCodeHashAllowed(bytes32 indexed codeHash, bool allowed);
+
+    /**
+     * @dev `modules` are the shared BuilderAgent modules the agents' implementation forwards to
+     */
+    constructor(BuilderAgent.Modules memory modules) Ownable(msg.sender) {
+        BuilderAgentStorage.TradingConfig memory none;
+        BuilderAgent implementation = new BuilderAgent(address(0), address(0), address(0), address(0), none, modules);
+        beacon = new UpgradeableBeacon(address(implementation), address(this));
 
-    constructor() Ownable(msg.sender) {
         // Set reasonable defaults
-        defaultConfig = BuilderAgent.TradingConfig({
+        defaultConfig = BuilderAgentStorage.TradingConfig({
             priceThreshold: 2000 * 10**8,      // $2000
             maxTradeSize: 100 ether,           // 100 ETH max per trade
             dailyTradeLimit: 1000 ether,       // 1000 ETH daily limit
@@ -54,40 +121,15 @@ contract BuilderAgentFactory is Ownable, ReentrancyGuard {
         address vaultAsset,
         address targetToken,
         address priceFeed,
-        BuilderAgent.TradingConfig memory config
-    ) external nonReentrant returns (address) {
+        BuilderAgentStorage.TradingConfig memory config
+    ) public nonReentrant returns (address) {
         require(vault != address(0), "Invalid vault");
         require(vaultAsset != address(0), "Invalid vault asset");
         require(targetToken != address(0), "Invalid target token");
         require(priceFeed != address(0), "Invalid price feed");
+        checkAgentConfig(vault, msg.sender, targetToken, priceFeed, config);
 
-        BuilderAgent agent = new BuilderAgent(
-            vault,
-            vaultAsset,
-            targetToken,
-            priceFeed,
-            config
-        );
-
-        address agentAddress = address(agent);
-        
-        agents[agentAddress] = AgentInfo({
-            agent: agentAddress,
-            vault: vault,
-            creator: msg.sender,
-            createdAt: block.timestamp,
-            isActive: true
-        });
-        
-        allAgents.push(agentAddress);
-        
-        // Grant creator the necessary roles
-        agent.grantRole(agent.OPERATOR_ROLE(), msg.sender);
-        agent.grantRole(agent.AI_ROLE(), msg.sender);
-        
-        emit AgentCreated(agentAddress, vault, msg.sender, block.timestamp);
-        
-        return agentAddress;
+        return _deployAgent(vault, vaultAsset, targetToken, priceFeed, config, msg.sender);
     }
 
     /**
@@ -105,7 +147,7 @@ contract BuilderAgentFactory is Ownable, ReentrancyGuard {
     /**
      * @dev Update default configuration
      */
-    function updateDefaultConfig(BuilderAgent.TradingConfig memory newConfig) external onlyOwner {
+    function updateDefaultConfig(BuilderAgentStorage.TradingConfig memory newConfig) external onlyOwner {
         require(newConfig.priceThreshold > 0, "Invalid price threshold");
         require(newConfig.maxTradeSize > 0, "Invalid max trade size");
         require(newConfig.maxSlippage <= 1000, "Slippage too high");
@@ -114,6 +156,135 @@ contract BuilderAgentFactory is Ownable, ReentrancyGuard {
         emit DefaultConfigUpdated(newConfig);
     }
 
+    /**
+     * @dev Put every agent, existing and future, under a FleetGuardian (zero for none)
+     */
+    function setFleetGuardian(address newGuardian) external onlyOwner {
+        emit FleetGuardianUpdated(fleetGuardian, newGuardian);
+        fleetGuardian = newGuardian;
+    }
+
+    /**
+     * @dev Allow or disallow migrating directly deployed agents whose runtime code hashes
+     * to `codeHash`, i.e. BuilderAgent builds known to report their state faithfully
+     */
+    function setAllowedAgentCodeHash(bytes32 codeHash, bool allowed) external onlyOwner {
+        allowedAgentCodeHashes[codeHash] = allowed;
+        emit AgentCodeHashAllowed(codeHash, allowed);
+    }
+
+    /**
+     * @dev Define a new policy template
+     */
+    function createPolicyTemplate(PolicyTemplate calldata template) external onlyOwner returns (uint256 templateId) {
+        templateId = ++policyTemplateCount;
+        policyTemplates[templateId] = template;
+        emit PolicyTemplateSet(templateId, template);
+    }
+
+    /**
+     * @dev Change a policy template; applies to new agents and later reconfigurations
+     * in every vault using it, not to agents already deployed
+     */
+    function updatePolicyTemplate(uint256 templateId, PolicyTemplate calldata template) external onlyOwner {
+        require(templateId > 0 && templateId <= policyTemplateCount, "Unknown policy template");
+
+        policyTemplates[templateId] = template;
+        emit PolicyTemplateSet(templateId, template);
+    }
+
+    /**
+     * @dev Govern a vault by a policy template (0 lifts its policy)
+     */
+    function setVaultPolicy(address vault, uint256 templateId) external onlyOwner {
+        require(vault != address(0), "Invalid vault");
+        require(templateId <= policyTemplateCount, "Unknown policy template");
+
+        vaultPolicies[vault] = templateId;
+        emit VaultPolicySet(vault, templateId);
+    }
+
+    /**
+     * @dev Allow or disallow creators to deploy agents for a governed vault
+     */
+    function setAllowedCreators(address vault, address[] calldata creators, bool allowed) external onlyOwner {
+        for (uint256 i = 0; i < creators.length; i++) {
+            allowedCreators[vault][creators[i]] = allowed;
+            emit CreatorAllowed(vault, creators[i], allowed);
+        }
+    }
+
+    /**
+     * @dev Allow or disallow tokens as targets of a governed vault's agents
+     */
+    function setAllowedTargetTokens(address vault, address[] calldata tokens, bool allowed) external onlyOwner {
+        for (uint256 i = 0; i < tokens.length; i++) {
+            allowedTargetTokens[vault][tokens[i]] = allowed;
+            emit TargetTokenAllowed(vault, tokens[i], allowed);
+        }
+    }
+
+    /**
+     * @dev Allow or disallow price feeds for a governed vault's agents
+     */
+    function setAllowedPriceFeeds(address vault, address[] calldata feeds, bool allowed) external onlyOwner {
+        for (uint256 i = 0; i < feeds.length; i++) {
+            allowedPriceFeeds[vault][feeds[i]] = allowed;
+            emit PriceFeedAllowed(vault, feeds[i], allowed);
+        }
+    }
+
+    /**
+     * @dev Revert with the violated rule if `creator` may not deploy an agent with
+     * this setup for `vault`
+     */
+    function checkAgentConfig(
+        address vault,
+        address creator,
+        address targetToken,
+        address priceFeed,
+        BuilderAgentStorage.TradingConfig memory config
+    ) public view {
+        if (vaultPolicies[vault] == 0) return;
+        if (!allowedCreators[vault][creator]) revert CreatorNotAllowed(vault, creator);
+
+        checkTargetToken(vault, targetToken);
+        checkPriceFeed(vault, priceFeed);
+        checkTradingConfig(vault, config.maxTradeSize, config.dailyTradeLimit, config.cooldownPeriod);
+    }
+
+    function checkTradingConfig(address vault, uint256 maxTradeSize, uint256 dailyTradeLimit, uint256 cooldownPeriod)
+        public
+        view
+        override
+    {
+        uint256 templateId = vaultPolicies[vault];
+        if (templateId == 0) return;
+
+        PolicyTemplate storage template = policyTemplates[templateId];
+        if (template.maxTradeSize > 0 && maxTradeSize > template.maxTradeSize) {
+            revert MaxTradeSizeAboveLimit(maxTradeSize, template.maxTradeSize);
+        }
+        if (template.maxDailyTradeLimit > 0 && dailyTradeLimit > template.maxDailyTradeLimit) {
+            revert DailyTradeLimitAboveLimit(dailyTradeLimit, template.maxDailyTradeLimit);
+        }
+        if (cooldownPeriod < template.minCooldownPeriod) {
+            revert CooldownBelowMinimum(cooldownPeriod, template.minCooldownPeriod);
+        }
+    }
+
+    function checkTargetToken(address vault, address token) public view override {
+        if (vaultPolicies[vault] != 0 && !allowedTargetTokens[vault][token]) {
+            revert TargetTokenNotAllowed(vault, token);
+        }
+    }
+
+    function checkPriceFeed(address vault, address feed) public view override {
+        if (vaultPolicies[vault] != 0 && !allowedPriceFeeds[vault][feed]) {
+            revert PriceFeedNotAllowed(vault, feed);
+        }
+    }
+
     /**
      * @dev Deactivate an agent (emergency function)
      */
@@ -122,38 +293,150 @@ contract BuilderAgentFactory is Ownable, ReentrancyGuard {
         require(agents[agent].isActive, "Agent already deactivated");
         
         agents[agent].isActive = false;
+        activeAgentsCount--;
         
-        // Pause the agent
-        BuilderAgent(agent).pause();
+        // Pause the agent until reactivateAgent; its admins cannot unpause it
+        BuilderAgent(payable(agent)).deactivate();
         
         emit AgentDeactivated(agent, msg.sender);
     }
 
+    /**
+     * @dev Bring a deactivated agent back into service
+     */
+    function reactivateAgent(address agent) external onlyOwner {
+        require(agents[agent].agent != address(0), "Agent not found");
+        require(!agents[agent].isRetired, "Agent retired");
+        require(!agents[agent].isActive, "Agent already active");
+
+        agents[agent].isActive = true;
+        activeAgentsCount++;
+
+        BuilderAgent builderAgent = BuilderAgent(payable(agent));
+        if (builderAgent.paused()) builderAgent.unpause();
+
+        emit AgentReactivated(agent, msg.sender);
+    }
+
+    /**
+     * @dev Permanently retire an agent: it is paused for good, tokens it holds go
+     * back to its vault and all roles of its creator, `roleHolders` and this
+     * factory are revoked. The vault admin should also remove its vault role.
+     */
+    function retireAgent(address agent, address[] calldata roleHolders) external onlyOwner nonReentrant {
+        require(agents[agent].agent != address(0), "Agent not found");
+        require(!agents[agent].isRetired, "Agent already retired");
+
+        _retireAgent(agent, roleHolders);
+    }
+
+    /**
+     * @dev Move an agent onto a new proxy running the current implementation, with
+     * its configuration, counters and positions. Factory agents may be migrated by
+     * the owner or their creator and are retired afterwards; other BuilderAgents, if
+     * their code hash is allowed, by their admin once paused, and stay under that
+     * admin's control. The vault admin must grant the new agent its vault role.
+     */
+    function migrateAgent(address previousAgent) external nonReentrant returns (address) {
+        BuilderAgent previous = BuilderAgent(payable(previousAgent));
+        AgentInfo storage info = agents[previousAgent];
+        bool managed = info.agent != address(0);
+
+        address creator;
+        if (managed) {
+            require(msg.sender == owner() || msg.sender == info.creator, "Not agent owner");
+            require(!info.isRetired, "Agent retired");
+            creator = info.creator;
+            _pauseAgent(previousAgent);
+        } else {
+            // The new agent copies whatever the previous one reports, so only known code is trusted
+            require(allowedAgentCodeHashes[previousAgent.codehash], "Unknown agent code");
+            require(previous.hasRole(previous.DEFAULT_ADMIN_ROLE(), msg.sender), "Not agent admin");
+            creator = msg.sender;
+        }
+
+        _checkMigration(previous, creator);
+        address newAgent = _deployAgent(
+            address(previous.vault()),
+            previous.vaultAsset(),
+            previous.targetToken(),
+            address(previous.priceFeed()),
+            _configOf(previous),
+            creator
+        );
+        BuilderAgent(payable(newAgent)).migrateFrom(previous);
+
+        if (managed) {
+            info.migratedTo = newAgent;
+            _retireAgent(previousAgent, new address[](0));
+        }
+
+        emit AgentMigrated(previousAgent, newAgent, msg.sender);
+        return newAgent;
+    }
+
+    /**
+     * @dev Point every agent at a new implementation
+     */
+    function upgradeAgents(address newImplementation) external onlyOwner {
+        address oldImplementation = beacon.implementation();
+        beacon.upgradeTo(newImplementation);
+        emit AgentImplementationUpgraded(oldImplementation, newImplementation);
+    }
+
+    /**
+     * @dev Implementation currently behind every agent
+     */
+    function agentImplementation() external view returns (address) {
+        return beacon.implementation();
+    }
+
     /**
      * @dev Get all agents created by a specific address
      */
     function getAgentsByCreator(address creator) external view returns (address[] memory) {
+        return agentsByCreator[creator];
+    }
+
+    /**
+     * @dev Get all agents trading for a specific vault
+     */
+    function getAgentsByVault(address vault) external view returns (address[] memory) {
+        return agentsByVault[vault];
+    }
+
+    /**
+     * @dev Page through the registry. Scans `limit` (at most MAX_PAGE_SIZE) agents from
+     * `offset` of the creator's agents, else the vault's, else all agents, and returns
+     * those matching `filter`. Continue from `nextOffset` until it reaches `total`.
+     */
+    function getAgents(uint256 offset, uint256 limit, AgentFilter calldata filter)
+        external
+        view
+        returns (AgentInfo[] memory page, uint256 nextOffset, uint256 total)
+    {
+        require(limit > 0 && limit <= MAX_PAGE_SIZE, "Invalid page size");
+
+        address[] storage candidates = filter.creator != address(0)
+            ? agentsByCreator[filter.creator]
+            : filter.vault != address(0)
+                ? agentsByVault[filter.vault]
+                : allAgents;
+        total = candidates.length;
+        if (offset >= total) return (new AgentInfo[](0), total, total);
+
+        nextOffset = Math.min(offset + limit, total);
+        AgentInfo[] memory matches = new AgentInfo[](nextOffset - offset);
         uint256 count = 0;
-        
-        // Count agents by creator
-        for (uint256 i = 0; i < allAgents.length; i++) {
-            if (agents[allAgents[i]].creator == creator) {
-                count++;
-            }
+        for (uint256 i = offset; i < nextOffset; i++) {
+            AgentInfo storage info = agents[candidates[i]];
+            if (_matches(info, filter)) matches[count++] = info;
         }
-        
-        // Create result array
-        address[] memory result = new address[](count);
-        uint256 index = 0;
-        
-        for (uint256 i = 0; i < allAgents.length; i++) {
-            if (agents[allAgents[i]].creator == creator) {
-                result[index] = allAgents[i];
-                index++;
-            }
+
+        page = new AgentInfo[](count);
+        for (uint256 i = 0; i < count; i++) {
+            page[i] = matches[i];
         }
-        
-        return result;
     }
 
     /**
@@ -167,12 +450,114 @@ contract BuilderAgentFactory is Ownable, ReentrancyGuard {
      * @dev Get active agents count
      */
     function getActiveAgentsCount() external view returns (uint256) {
-        uint256 count = 0;
-        for (uint256 i = 0; i < allAgents.length; i++) {
-            if (agents[allAgents[i]].isActive) {
-                count++;
-            }
+        return activeAgentsCount;
+    }
+
+    function _deployAgent(
+        address vault,
+        address vaultAsset,
+        address targetToken,
+        address priceFeed,
+        BuilderAgentStorage.TradingConfig memory config,
+        address creator
+    ) internal returns (address) {
+        bytes memory init = abi.encodeCall(
+            BuilderAgent.initialize,
+            (vault, vaultAsset, targetToken, priceFeed, config)
+        );
+        BuilderAgent agent = BuilderAgent(payable(address(new BeaconProxy(address(beacon), init))));
+        address agentAddress = address(agent);
+
+        agents[agentAddress] = AgentInfo({
+            agent: agentAddress,
+            vault: vault,
+            creator: creator,
+            createdAt: block.timestamp,
+            isActive: true,
+            isRetired: false,
+            migratedTo: address(0)
+        });
+
+        allAgents.push(agentAddress);
+        agentsByCreator[creator].push(agentAddress);
+        agentsByVault[vault].push(agentAddress);
+        activeAgentsCount++;
+
+        // Hand the creator every role; the factory keeps only FACTORY_ROLE
+        bytes32[5] memory roles = [
+            agent.OPERATOR_ROLE(),
+            agent.EMERGENCY_ROLE(),
+            agent.AI_ROLE(),
+            agent.KEEPER_ROLE(),
+            agent.DEFAULT_ADMIN_ROLE()
+        ];
+        for (uint256 i = 0; i < roles.length; i++) {
+            agent.grantRole(roles[i], creator);
         }
-        return count;
+        for (uint256 i = 0; i < roles.length; i++) {
+            if (agent.hasRole(roles[i], address(this))) agent.renounceRole(roles[i], address(this));
+        }
+
+        emit AgentCreated(agentAddress, vault, creator, block.timestamp);
+
+        return agentAddress;
+    }
+
+    function _retireAgent(address agent, address[] memory roleHolders) internal {
+        AgentInfo storage info = agents[agent];
+        if (info.isActive) activeAgentsCount--;
+        info.isActive = false;
+        info.isRetired = true;
+
+        address[] memory accounts = new address[](roleHolders.length + 1);
+        accounts[0] = info.creator;
+        for (uint256 i = 0; i < roleHolders.length; i++) {
+            accounts[i + 1] = roleHolders[i];
+        }
+        BuilderAgent(payable(agent)).retire(accounts);
+
+        emit AgentRetired(agent, msg.sender);
+    }
+
+    function _matches(AgentInfo storage info, AgentFilter calldata filter) internal view returns (bool) {
+        if (filter.activeOnly && !info.isActive) return false;
+        if (filter.creator != address(0) && info.creator != filter.creator) return false;
+        if (filter.vault != address(0) && info.vault != filter.vault) return false;
+
+        BuilderAgent agent = BuilderAgent(payable(info.agent));
+        if (filter.targetToken != address(0) && agent.targetToken() != filter.targetToken) return false;
+        if (filter.priceFeed != address(0) && address(agent.priceFeed()) != filter.priceFeed) return false;
+        return true;
+    }
+
+    // The whole state carried over must satisfy the vault's policy, not just the primary setup
+    function _checkMigration(BuilderAgent previous, address creator) internal view {
+        address vault = address(previous.vault());
+        checkAgentConfig(vault, creator, previous.targetToken(), address(previous.priceFeed()), _configOf(previous));
+
+        (address[] memory tokens, ) = previous.getPortfolio();
+        for (uint256 i = 0; i < tokens.length; i++) {
+            checkTargetToken(vault, tokens[i]);
+        }
+        AggregatorV3Interface[] memory sources = previous.getPriceSources();
+        for (uint256 i = 0; i < sources.length; i++) {
+            checkPriceFeed(vault, address(sources[i]));
+        }
+    }
+
+    function _pauseAgent(address agent) internal {
+        BuilderAgent builderAgent = BuilderAgent(payable(agent));
+        if (!builderAgent.paused()) builderAgent.pause();
+    }
+
+    function _configOf(BuilderAgent agent) internal view returns (BuilderAgentStorage.TradingConfig memory config) {
+        (
+            config.priceThreshold,
+            config.maxTradeSize,
+            config.dailyTradeLimit,
+            config.cooldownPeriod,
+            config.maxSlippage,
+            config.confidenceThreshold
+        ) = agent.config();
     }
 }
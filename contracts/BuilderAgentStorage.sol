@@ -0,0 +1,391 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/Pausable.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+import "./CuttlefishVault.sol";
+import "./PriceAggregation.sol";
+import "./IComplianceEngine.sol";
+import "./IAgentPolicy.sol";
+import "./IFleetGuardian.sol";
+import "@chainlink/contracts/src/v0.8/interfaces/AggregatorV3Interface.sol";
+
+/**
+ * @title BuilderAgentStorage
+ * @dev State, events and shared internals of BuilderAgent. The agent and its trading
+ * and admin modules all inherit this contract and the modules run on the agent's
+ * storage through DELEGATECALL, so state is declared here and nowhere else. Factory
+ * agents are upgraded in place, so new state must only ever be appended.
+ * @author Cuttlefish Labs
+ */
+abstract contract BuilderAgentStorage is Initializable, AccessControl, ReentrancyGuard, Pausable {
+    // Role definitions
+    bytes32 public constant OPERATOR_ROLE = keccak256("OPERATOR_ROLE");
+    bytes32 public constant EMERGENCY_ROLE = keccak256("EMERGENCY_ROLE");
+    bytes32 public constant AI_ROLE = keccak256("AI_ROLE");
+    bytes32 public constant KEEPER_ROLE = keccak256("KEEPER_ROLE");
+    // Held by the deploying factory; administers itself so agent admins cannot strip it
+    bytes32 public constant FACTORY_ROLE = keccak256("FACTORY_ROLE");
+
+    // Core contracts (set once, in storage so proxies can share an implementation)
+    CuttlefishVault public vault;
+    address public vaultAsset;
+    address public targetToken; // First portfolio token, traded by triggerTrade
+    AggregatorV3Interface public priceFeed; // Primary price source
+    AggregatorV3Interface[] internal additionalPriceFeeds;
+    // Every trade is validated against the caller's profile and the asset's rule (unset disables).
+    // Scheduled order slices are checked for the operator who created the order.
+    IComplianceEngine public complianceEngine;
+
+    // AI Trading Parameters
+    struct TradingConfig {
+        uint256 priceThreshold;        // Minimum price to trigger trade
+        uint256 maxTradeSize;          // Maximum trade size per transaction
+        uint256 dailyTradeLimit;       // Maximum daily trading volume
+        uint256 cooldownPeriod;        // Minimum time between trades
+        uint256 maxSlippage;           // Maximum allowed slippage (basis points)
+        uint256 confidenceThreshold;   // Minimum AI confidence to trade (0-10000)
+    }
+
+    TradingConfig public config;
+
+    // Portfolio of target tokens (weights in basis points, summing to 10000)
+    struct TargetAllocation {
+        address token;
+        uint256 weight;
+    }
+
+    TargetAllocation[] internal portfolio;
+
+    // Routing: admin-approved intermediate tokens and per-target default hops
+    uint256 public constant MAX_PATH_LENGTH = 4; // Vault asset, up to two intermediates, target
+    uint256 public constant MAX_PORTFOLIO_TOKENS = 5;
+    mapping(address => bool) public isIntermediateToken;
+    mapping(address => address[]) internal defaultRoutes;
+
+    // Sell side: holdings bought by this agent, with cost basis in the vault asset
+    struct Position {
+        uint256 amount;    // Target tokens held by the vault on this agent's behalf
+        uint256 costBasis; // Vault asset spent acquiring them (before vault fees)
+    }
+
+    // Feed prices at which positions may be sold back into the vault asset (0 disables a trigger).
+    // Buys fire on a high price, so a position profits when the price falls back.
+    struct SellConfig {
+        uint256 takeProfitPrice; // Sell once the price is at or below this
+        uint256 stopLossPrice;   // Sell once the price is at or above this
+    }
+
+    mapping(address => Position) public positions;
+    SellConfig public sellConfig;
+    int256 public realizedPnl; // Vault asset units, gross of vault fees
+
+    // Batch execution: AllOrNothing reverts on the first failed leg, BestEffort skips it
+    enum BatchMode {
+        AllOrNothing,
+        BestEffort
+    }
+
+    // Parameters shared by every leg of a batch
+    struct BatchParams {
+        uint256 batchId;
+        BatchMode mode;
+        address[] path;
+        uint256 deadline;
+        uint256 currentPrice;
+        uint256 aiConfidence;
+    }
+
+    uint256 public constant MAX_BATCH_LEGS = 10;
+    uint256 public totalBatches;
+
+    // Scheduled (TWAP/DCA) orders: a parent order bought into targetToken in slices by keepers
+    enum OrderStatus {
+        None,
+        Active,
+        Filled,
+        Cancelled,
+        Expired
+    }
+
+    struct ScheduledOrder {
+        uint256 totalAmount;    // Vault asset to spend over the life of the order
+        uint256 executedAmount; // Vault asset spent so far
+        uint256 sliceSize;      // Vault asset spent per execution (the last slice takes the remainder)
+        uint256 interval;       // Minimum time between slices
+        uint256 limitPrice;     // Minimum feed price to buy at, on top of priceThreshold (0 disables)
+        uint256 expiry;         // Unfilled remainder is abandoned from this time
+        uint256 nextExecution;  // Earliest time of the next slice
+        OrderStatus status;
+        address creator;        // Trader the slices are checked for by the compliance engine
+    }
+
+    uint256 public constant MAX_OPEN_ORDERS = 10; // Bounds the checkUpkeep scan
+    uint256 public constant SCHEDULED_ORDER_CONFIDENCE = 10000; // Orders are operator-approved, not AI signals
+    mapping(uint256 => ScheduledOrder) public scheduledOrders;
+    uint256 public totalScheduledOrders;
+    uint256[] internal openOrderIds;
+    address public keeperRegistryAddress;
+
+    // Security & Rate Limiting
+    uint256 public lastTradeTimestamp;
+    uint256 public dailyTradeVolume;
+    uint256 public lastDayReset;
+    uint256 public totalTrades;
+    uint256 public successfulTrades;
+
+    // Price feed validation
+    uint256 public constant MAX_PRICE_AGE = 1 hours;
+    uint256 public constant MIN_PRICE_DEVIATION = 500; // 5% in basis points, recommended circuit breaker setting
+    uint256 public lastValidPrice;
+    // Max spread between price sources and max move from lastValidPrice (basis points, 0 disables)
+    uint256 public priceDeviationThreshold;
+
+    // Emergency controls
+    bool public emergencyStop;
+    uint256 public emergencyStopTimestamp;
+
+    // Lifecycle: a retired agent is paused for good, a deactivated one until its factory
+    // reactivates it; a migrated one took over another agent's state
+    bool public retired;
+    bool public deactivated;
+    address public migratedFrom;
+
+    // Guardrails of the factory that deployed this agent (unset for standalone agents)
+    IAgentPolicy public policy;
+
+    // Fleet-wide circuit breaker of a standalone agent; factory agents use their factory's
+    IFleetGuardian public guardian;
+
+    // Two-step governance: trading config, price sources, trade routes, compliance engine,
+    // keeper registry and the delay itself only change through executeChange, governanceDelay
+    // after proposeChange. EMERGENCY_ROLE may cancel pending changes.
+    uint256 public constant MIN_GOVERNANCE_DELAY = 1 hours;
+    uint256 public constant MAX_GOVERNANCE_DELAY = 30 days;
+    uint256 public governanceDelay;
+    mapping(bytes32 => uint256) public pendingChanges; // changeId => earliest execution time
+
+    // Events
+    event TradeTriggered(
+        uint256 indexed tradeId,
+        uint256 amountIn,
+        uint256 amountOutMin,
+        address[] path,
+        uint256 currentPrice,
+        uint256 confidence
+    );
+    
+    event PriceChecked(uint256 price, uint256 timestamp, bool isValid);
+    event TradingConfigUpdated(TradingConfig oldConfig, TradingConfig newConfig);
+    event EmergencyStopActivated(address indexed activator, string reason);
+    event EmergencyStopDeactivated(address indexed deactivator);
+    event TargetTokenUpdated(address indexed oldToken, address indexed newToken);
+    event PriceFeedUpdated(address indexed oldFeed, address indexed newFeed);
+    event PriceSourceAdded(address indexed feed);
+    event PriceSourceRemoved(address indexed feed);
+    event PriceDeviationThresholdUpdated(uint256 oldThreshold, uint256 newThreshold);
+    event ReferencePriceReset(uint256 oldPrice, uint256 newPrice);
+    event PortfolioUpdated(address[] tokens, uint256[] weights);
+    event IntermediateTokenUpdated(address indexed token, bool allowed);
+    event DefaultRouteUpdated(address indexed target, address[] intermediates);
+    event SellTriggered(
+        uint256 indexed tradeId,
+        address indexed token,
+        uint256 amountIn,
+        uint256 amountOut,
+        int256 pnl,
+        uint256 currentPrice,
+        uint256 confidence
+    );
+    event PositionUpdated(address indexed token, uint256 amount, uint256 costBasis);
+    event SellConfigUpdated(SellConfig oldConfig, SellConfig newConfig);
+    event BatchLegExecuted(
+        uint256 indexed batchId,
+        uint256 indexed leg,
+        uint256 amountIn,
+        uint256 amountOut,
+        bool success,
+        bytes reason
+    );
+    event BatchTradeExecuted(uint256 indexed batchId, BatchMode mode, uint256 legs, uint256 succeeded, uint256 volume);
+    event ScheduledOrderCreated(
+        uint256 indexed orderId,
+        uint256 totalAmount,
+        uint256 sliceSize,
+        uint256 interval,
+        uint256 limitPrice,
+        uint256 expiry
+    );
+    event ScheduledOrderExecuted(uint256 indexed orderId, uint256 indexed tradeId, uint256 amountIn, uint256 executedAmount);
+    event ScheduledOrderClosed(uint256 indexed orderId, OrderStatus status, uint256 executedAmount);
+    event ComplianceEngineUpdated(address indexed oldEngine, address indexed newEngine);
+    event TradeNotCompliant(
+        address indexed trader,
+        address indexed asset,
+        uint256 amountIn,
+        IComplianceEngine.ReasonCode reason
+    );
+    event AgentRetired(address indexed retiredBy, uint256 cancelledOrders);
+    event StateMigrated(address indexed previousAgent, uint256 totalTrades, uint256 positions);
+    event GuardianUpdated(address indexed oldGuardian, address indexed newGuardian);
+    event ChangeProposed(bytes32 indexed changeId, bytes4 indexed selector, bytes data, uint256 executableAt);
+    event ChangeExecuted(bytes32 indexed changeId, address indexed executor);
+    event ChangeCancelled(bytes32 indexed changeId, address indexed canceller);
+    event GovernanceDelayUpdated(uint256 oldDelay, uint256 newDelay);
+    event KeeperRegistryUpdated(address indexed oldRegistry, address indexed newRegistry);
+
+    // Custom errors
+    error InvalidPrice();
+    error PriceDataStale();
+    error PriceBelowThreshold();
+    error TradeAmountTooLarge();
+    error DailyLimitExceeded();
+    error CooldownNotMet();
+    error ConfidenceTooLow();
+    error EmergencyStopActive();
+    error FleetHaltActive();
+    error InvalidConfiguration();
+    error UnauthorizedAccess();
+    error PriceSourcesDisagree(uint256 spreadBps);
+    error PriceDeviationTooHigh(uint256 price, uint256 referencePrice);
+    error InvalidRoute();
+    error InsufficientPosition();
+    error SellConditionsNotMet();
+    error AmountOutMinTooLow(uint256 amountOutMin, uint256 minimumOutput);
+    error BatchLegFailed(uint256 leg, bytes reason);
+    error UnauthorizedKeeper();
+    error OrderNotExecutable(uint256 orderId);
+    error ChangeNotGoverned(bytes4 selector);
+    error ChangeAlreadyProposed(bytes32 changeId);
+    error ChangeNotPending(bytes32 changeId);
+    error ChangeNotReady(bytes32 changeId, uint256 executableAt);
+
+    // Governed setters run only as part of executeChange
+    modifier onlyGovernance() {
+        if (msg.sender != address(this)) revert UnauthorizedAccess();
+        _;
+    }
+
+    modifier onlyRoleOrFactory(bytes32 role) {
+        if (!hasRole(role, msg.sender) && !hasRole(FACTORY_ROLE, msg.sender)) {
+            revert AccessControlUnauthorizedAccount(msg.sender, role);
+        }
+        _;
+    }
+
+    /**
+     * @dev Median price across all sources, with the feeds that contributed to it.
+     * Stale or invalid sources are skipped; reverts if none are usable or if the
+     * usable ones disagree by more than priceDeviationThreshold.
+     */
+    function _aggregatedPrice() internal view returns (uint256 price, uint256 updatedAt, address[] memory sources) {
+        PriceAggregation.Result memory result = PriceAggregation.aggregate(_priceSources(), MAX_PRICE_AGE);
+
+        if (result.sources.length == 0) {
+            if (result.invalidCount > 0) revert InvalidPrice();
+            revert PriceDataStale();
+        }
+        if (priceDeviationThreshold > 0 && result.spreadBps > priceDeviationThreshold) {
+            revert PriceSourcesDisagree(result.spreadBps);
+        }
+
+        return (result.price, result.updatedAt, result.sources);
+    }
+
+    function _latestPrice() internal view returns (uint256 price) {
+        (price, , ) = _aggregatedPrice();
+    }
+
+    function _priceSources() internal view returns (AggregatorV3Interface[] memory) {
+        return PriceAggregation.withPrimary(additionalPriceFeeds, priceFeed);
+    }
+
+    /**
+     * @dev The guardian this agent answers to: its factory's, or its own when standalone
+     */
+    function _fleetGuardian() internal view returns (IFleetGuardian) {
+        if (address(policy) != address(0)) return IFleetGuardian(policy.fleetGuardian());
+        return guardian;
+    }
+
+    function _isFleetHalted() internal view returns (bool) {
+        IFleetGuardian activeGuardian = _fleetGuardian();
+        return address(activeGuardian) != address(0) && activeGuardian.isHalted(address(vault));
+    }
+
+    /**
+     * @dev Full swap path from the vault asset to `target` along its default route
+     */
+    function _defaultPath(address target) internal view returns (address[] memory path) {
+        address[] storage intermediates = defaultRoutes[target];
+        path = new address[](intermediates.length + 2);
+        path[0] = vaultAsset;
+        for (uint256 i = 0; i < intermediates.length; i++) {
+            path[i + 1] = intermediates[i];
+        }
+        path[path.length - 1] = target;
+    }
+
+    /**
+     * @dev Swap path from `token` back to the vault asset, the reverse of its default route
+     */
+    function _sellPath(address token) internal view returns (address[] memory path) {
+        address[] memory buyPath = _defaultPath(token);
+        path = new address[](buyPath.length);
+        for (uint256 i = 0; i < buyPath.length; i++) {
+            path[i] = buyPath[buyPath.length - 1 - i];
+        }
+    }
+
+    /**
+     * @dev Oracle-derived floor for the output of swapping `amountIn` along `path` at
+     * `price`, less config.maxSlippage. Only swaps between the vault asset and
+     * targetToken have a floor; other pairs return 0.
+     */
+    function _minimumOutput(uint256 amountIn, address[] memory path, uint256 price) internal view returns (uint256) {
+        address tokenIn = path[0];
+        address tokenOut = path[path.length - 1];
+        bool isBuy = tokenIn == vaultAsset && tokenOut == targetToken;
+        bool isSell = tokenIn == targetToken && tokenOut == vaultAsset;
+        if (!isBuy && !isSell) return 0;
+
+        uint256 expected = PriceAggregation.convert(amountIn, price, priceFeed.decimals(), tokenIn, tokenOut, isSell);
+        return (expected * (10000 - config.maxSlippage)) / 10000;
+    }
+
+    function _sellPriceReached(uint256 price) internal view returns (bool) {
+        SellConfig memory sc = sellConfig;
+        if (sc.takeProfitPrice == 0 && sc.stopLossPrice == 0) return true;
+        return (sc.takeProfitPrice > 0 && price <= sc.takeProfitPrice) ||
+            (sc.stopLossPrice > 0 && price >= sc.stopLossPrice);
+    }
+
+    function _nextSlice(ScheduledOrder storage order) internal view returns (uint256) {
+        uint256 remaining = order.totalAmount - order.executedAmount;
+        return remaining < order.sliceSize ? remaining : order.sliceSize;
+    }
+
+    function _closeOrder(uint256 orderId, OrderStatus status) internal {
+        ScheduledOrder storage order = scheduledOrders[orderId];
+        order.status = status;
+
+        for (uint256 i = 0; i < openOrderIds.length; i++) {
+            if (openOrderIds[i] == orderId) {
+                openOrderIds[i] = openOrderIds[openOrderIds.length - 1];
+                openOrderIds.pop();
+                break;
+            }
+        }
+
+        emit ScheduledOrderClosed(orderId, status, order.executedAmount);
+    }
+
+    function _getCurrentDayVolume() internal view returns (uint256) {
+        if (block.timestamp >= lastDayReset + 1 days) {
+            return 0;
+        }
+        return dailyTradeVolume;
+    }
+}
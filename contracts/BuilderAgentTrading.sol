@@ -0,0 +1,468 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./BuilderAgentStorage.sol";
+
+/**
+ * @title BuilderAgentTrading
+ * @dev Trade execution of BuilderAgent: AI-triggered buys, sells and batches and
+ * scheduled orders executed in slices by keepers. Deployed once and shared; agents
+ * DELEGATECALL into it, so it must not hold state of its own.
+ * @author Cuttlefish Labs
+ */
+contract BuilderAgentTrading is BuilderAgentStorage {
+    /**
+     * @dev Advanced AI trading logic with comprehensive safety checks.
+     * Trades into targetToken along its default route.
+     */
+    function triggerTrade(
+        uint256 amountIn,
+        uint256 amountOutMin,
+        uint256 deadline,
+        uint256 aiConfidence // AI confidence score (0-10000)
+    ) external onlyRole(AI_ROLE) nonReentrant whenNotPaused {
+        uint256 currentPrice = _checkTradeConditions(amountIn, aiConfidence);
+        if (!_isCompliant(msg.sender, targetToken, amountIn, currentPrice)) return;
+        _executeTrade(amountIn, amountOutMin, _defaultPath(targetToken), deadline, currentPrice, aiConfidence);
+    }
+
+    /**
+     * @dev Trade along a caller-chosen route: the vault asset, approved intermediate
+     * tokens, then a portfolio token
+     */
+    function triggerTradeWithRoute(
+        uint256 amountIn,
+        uint256 amountOutMin,
+        address[] calldata path,
+        uint256 deadline,
+        uint256 aiConfidence
+    ) external onlyRole(AI_ROLE) nonReentrant whenNotPaused {
+        _validateRoute(path);
+        uint256 currentPrice = _checkTradeConditions(amountIn, aiConfidence);
+        if (!_isCompliant(msg.sender, path[path.length - 1], amountIn, currentPrice)) return;
+        _executeTrade(amountIn, amountOutMin, path, deadline, currentPrice, aiConfidence);
+    }
+
+    /**
+     * @dev Split `amountIn` across the portfolio by weight, trading each leg along its
+     * default route. Limits apply to the total; `amountsOutMin` follows portfolio order.
+     * Legs rejected by the compliance engine are skipped.
+     */
+    function triggerPortfolioTrade(
+        uint256 amountIn,
+        uint256[] calldata amountsOutMin,
+        uint256 deadline,
+        uint256 aiConfidence
+    ) external onlyRole(AI_ROLE) nonReentrant whenNotPaused {
+        require(amountsOutMin.length == portfolio.length, "Array length mismatch");
+        uint256 currentPrice = _checkTradeConditions(amountIn, aiConfidence);
+
+        uint256 remaining = amountIn;
+        for (uint256 i = 0; i < portfolio.length; i++) {
+            // The last leg takes the rounding remainder
+            uint256 legAmount = i == portfolio.length - 1 ? remaining : (amountIn * portfolio[i].weight) / 10000;
+            remaining -= legAmount;
+            if (legAmount == 0 || !_isCompliant(msg.sender, portfolio[i].token, legAmount, currentPrice)) continue;
+
+            _executeTrade(
+                legAmount,
+                amountsOutMin[i],
+                _defaultPath(portfolio[i].token),
+                deadline,
+                currentPrice,
+                aiConfidence
+            );
+        }
+    }
+
+    /**
+     * @dev Sell part of a position back into the vault asset along the reverse of its
+     * default route. Allowed once the price reaches a sellConfig trigger; sells are not
+     * counted against the daily limit, which caps vault asset going out.
+     */
+    function triggerSell(
+        address token,
+        uint256 amountIn,
+        uint256 amountOutMin,
+        uint256 deadline,
+        uint256 aiConfidence
+    ) external onlyRole(AI_ROLE) nonReentrant whenNotPaused {
+        if (emergencyStop) revert EmergencyStopActive();
+        if (_isFleetHalted()) revert FleetHaltActive();
+        if (amountIn == 0 || amountIn > positions[token].amount) revert InsufficientPosition();
+        if (block.timestamp < lastTradeTimestamp + config.cooldownPeriod) revert CooldownNotMet();
+        if (aiConfidence < config.confidenceThreshold) revert ConfidenceTooLow();
+
+        uint256 currentPrice = _checkPrice();
+        if (!_sellPriceReached(currentPrice)) revert SellConditionsNotMet();
+
+        // Sized for compliance by the cost basis leaving the position, in the vault asset
+        uint256 costBasis = (positions[token].costBasis * amountIn) / positions[token].amount;
+        if (!_isCompliant(msg.sender, token, costBasis, currentPrice)) return;
+
+        _executeSell(token, amountIn, amountOutMin, deadline, currentPrice, aiConfidence);
+    }
+
+    /**
+     * @dev Shared pre-trade checks; returns the validated price
+     */
+    function _checkTradeConditions(uint256 amountIn, uint256 aiConfidence) internal returns (uint256) {
+        if (emergencyStop) revert EmergencyStopActive();
+        if (_isFleetHalted()) revert FleetHaltActive();
+        
+        // Reset daily volume if needed
+        _resetDailyVolumeIfNeeded();
+        
+        // Validate trade parameters
+        _validateTradeParameters(amountIn, aiConfidence);
+        
+        // Check price conditions
+        uint256 currentPrice = _checkPrice();
+        if (currentPrice < config.priceThreshold) revert PriceBelowThreshold();
+
+        return currentPrice;
+    }
+
+    /**
+     * @dev Current aggregated price, passed through the circuit breaker
+     */
+    function _checkPrice() internal returns (uint256) {
+        (uint256 currentPrice, uint256 updatedAt, ) = _aggregatedPrice();
+        emit PriceChecked(currentPrice, updatedAt, true);
+
+        // Circuit breaker: block trades after an outsized move since the last accepted price
+        if (
+            priceDeviationThreshold > 0 &&
+            PriceAggregation.deviationBps(currentPrice, lastValidPrice) > priceDeviationThreshold
+        ) {
+            revert PriceDeviationTooHigh(currentPrice, lastValidPrice);
+        }
+
+        return currentPrice;
+    }
+
+    function _executeTrade(
+        uint256 amountIn,
+        uint256 amountOutMin,
+        address[] memory path,
+        uint256 deadline,
+        uint256 currentPrice,
+        uint256 aiConfidence
+    ) internal {
+        amountOutMin = _applyMinimumOutput(amountIn, amountOutMin, path, currentPrice);
+
+        // Update tracking variables
+        lastTradeTimestamp = block.timestamp;
+        dailyTradeVolume += amountIn;
+        totalTrades++;
+        lastValidPrice = currentPrice;
+
+        try vault.executeTradeOnUniswap(amountIn, amountOutMin, path, deadline) returns (uint256 amountOut) {
+            _recordBuy(amountIn, amountOut, amountOutMin, path, currentPrice, aiConfidence);
+        } catch Error(string memory reason) {
+            // Revert tracking changes on failure
+            dailyTradeVolume -= amountIn;
+            totalTrades--;
+            revert(reason);
+        }
+    }
+
+    function _recordBuy(
+        uint256 amountIn,
+        uint256 amountOut,
+        uint256 amountOutMin,
+        address[] memory path,
+        uint256 currentPrice,
+        uint256 aiConfidence
+    ) internal {
+        successfulTrades++;
+
+        address token = path[path.length - 1];
+        Position storage position = positions[token];
+        position.amount += amountOut;
+        position.costBasis += amountIn;
+
+        emit TradeTriggered(totalTrades, amountIn, amountOutMin, path, currentPrice, aiConfidence);
+        emit PositionUpdated(token, position.amount, position.costBasis);
+        _reportTrade(amountIn, 0);
+    }
+
+    function _executeSell(
+        address token,
+        uint256 amountIn,
+        uint256 amountOutMin,
+        uint256 deadline,
+        uint256 currentPrice,
+        uint256 aiConfidence
+    ) internal {
+        lastTradeTimestamp = block.timestamp;
+        totalTrades++;
+        lastValidPrice = currentPrice;
+
+        address[] memory path = _sellPath(token);
+        amountOutMin = _applyMinimumOutput(amountIn, amountOutMin, path, currentPrice);
+
+        Position storage position = positions[token];
+        // Cost basis leaves the position pro rata to the amount sold
+        uint256 costBasis = (position.costBasis * amountIn) / position.amount;
+
+        try vault.executeTradeOnUniswap(amountIn, amountOutMin, path, deadline) returns (
+            uint256 amountOut
+        ) {
+            successfulTrades++;
+
+            position.amount -= amountIn;
+            position.costBasis -= costBasis;
+            int256 pnl = int256(amountOut) - int256(costBasis);
+            realizedPnl += pnl;
+
+            emit SellTriggered(totalTrades, token, amountIn, amountOut, pnl, currentPrice, aiConfidence);
+            emit PositionUpdated(token, position.amount, position.costBasis);
+            _reportTrade(0, pnl);
+        } catch Error(string memory reason) {
+            totalTrades--;
+            revert(reason);
+        }
+    }
+
+    /**
+     * @dev Execute several trades into targetToken as one batch. Size, daily volume,
+     * cooldown and price checks apply once to the batch total; legs then run in order
+     * and each reports its outcome in BatchLegExecuted. Zero-amount legs are skipped.
+     */
+    function triggerBatchTrade(
+        uint256[] calldata amountsIn,
+        uint256[] calldata amountsOutMin,
+        uint256 deadline,
+        uint256 aiConfidence,
+        BatchMode mode
+    ) external onlyRole(AI_ROLE) nonReentrant whenNotPaused {
+        require(amountsIn.length == amountsOutMin.length, "Array length mismatch");
+        require(amountsIn.length <= MAX_BATCH_LEGS, "Too many trades"); // Prevent gas issues
+
+        uint256 totalAmount = 0;
+        for (uint256 i = 0; i < amountsIn.length; i++) {
+            totalAmount += amountsIn[i];
+        }
+
+        BatchParams memory params = BatchParams({
+            batchId: ++totalBatches,
+            mode: mode,
+            path: _defaultPath(targetToken),
+            deadline: deadline,
+            currentPrice: _checkTradeConditions(totalAmount, aiConfidence),
+            aiConfidence: aiConfidence
+        });
+        if (!_isCompliant(msg.sender, targetToken, totalAmount, params.currentPrice)) return;
+        _executeBatch(amountsIn, amountsOutMin, params);
+    }
+
+    function _executeBatch(
+        uint256[] calldata amountsIn,
+        uint256[] calldata amountsOutMin,
+        BatchParams memory params
+    ) internal {
+        uint256 legs = 0;
+        uint256 succeeded = 0;
+        uint256 volume = 0;
+        for (uint256 i = 0; i < amountsIn.length; i++) {
+            if (amountsIn[i] == 0) continue;
+            legs++;
+            if (_runBatchLeg(params, i, amountsIn[i], amountsOutMin[i])) {
+                succeeded++;
+                volume += amountsIn[i];
+            }
+        }
+
+        emit BatchTradeExecuted(params.batchId, params.mode, legs, succeeded, volume);
+    }
+
+    /**
+     * @dev Execute one batch leg. Failed legs count as attempted trades and, in BestEffort
+     * mode, are reported with their revert data instead of reverting the batch.
+     */
+    function _runBatchLeg(
+        BatchParams memory params,
+        uint256 leg,
+        uint256 amountIn,
+        uint256 amountOutMin
+    ) internal returns (bool success) {
+        totalTrades++;
+        uint256 amountOut;
+        bytes memory reason;
+
+        uint256 minimumOutput = _minimumOutput(amountIn, params.path, params.currentPrice);
+        if (amountOutMin == 0) amountOutMin = minimumOutput;
+
+        if (amountOutMin < minimumOutput) {
+            reason = abi.encodeWithSelector(AmountOutMinTooLow.selector, amountOutMin, minimumOutput);
+        } else {
+            try vault.executeTradeOnUniswap(amountIn, amountOutMin, params.path, params.deadline) returns (
+                uint256 received
+            ) {
+                success = true;
+                amountOut = received;
+            } catch (bytes memory err) {
+                reason = err;
+            }
+        }
+
+        if (success) {
+            lastTradeTimestamp = block.timestamp;
+            dailyTradeVolume += amountIn;
+            lastValidPrice = params.currentPrice;
+            _recordBuy(amountIn, amountOut, amountOutMin, params.path, params.currentPrice, params.aiConfidence);
+        } else if (params.mode == BatchMode.AllOrNothing) {
+            revert BatchLegFailed(leg, reason);
+        }
+
+        emit BatchLegExecuted(params.batchId, leg, amountIn, amountOut, success, reason);
+    }
+
+    /**
+     * @dev Register a parent order that keepers execute in slices of `sliceSize`, at most
+     * every `interval`, while the price is at or above `limitPrice` and before `expiry`.
+     * Each slice is a regular trade into targetToken and counts against every trading limit.
+     */
+    function createScheduledOrder(
+        uint256 totalAmount,
+        uint256 sliceSize,
+        uint256 interval,
+        uint256 limitPrice,
+        uint256 expiry
+    ) external onlyRole(OPERATOR_ROLE) returns (uint256 orderId) {
+        require(sliceSize > 0 && sliceSize <= totalAmount, "Invalid slice size");
+        require(sliceSize <= config.maxTradeSize, "Slice exceeds max trade size");
+        require(interval >= config.cooldownPeriod, "Interval below cooldown");
+        require(expiry > block.timestamp, "Invalid expiry");
+        require(openOrderIds.length < MAX_OPEN_ORDERS, "Too many open orders");
+
+        orderId = ++totalScheduledOrders;
+        scheduledOrders[orderId] = ScheduledOrder({
+            totalAmount: totalAmount,
+            executedAmount: 0,
+            sliceSize: sliceSize,
+            interval: interval,
+            limitPrice: limitPrice,
+            expiry: expiry,
+            nextExecution: block.timestamp,
+            status: OrderStatus.Active,
+            creator: msg.sender
+        });
+        openOrderIds.push(orderId);
+
+        emit ScheduledOrderCreated(orderId, totalAmount, sliceSize, interval, limitPrice, expiry);
+    }
+
+    /**
+     * @dev Cancel the unfilled remainder of a scheduled order
+     */
+    function cancelScheduledOrder(uint256 orderId) external onlyRole(OPERATOR_ROLE) {
+        require(scheduledOrders[orderId].status == OrderStatus.Active, "Order not active");
+        _closeOrder(orderId, OrderStatus.Cancelled);
+    }
+
+    /**
+     * @dev Chainlink Automation: execute the next slice of an order, or close it once expired
+     */
+    function performUpkeep(bytes calldata performData) external nonReentrant whenNotPaused {
+        if (msg.sender != keeperRegistryAddress && !hasRole(KEEPER_ROLE, msg.sender)) {
+            revert UnauthorizedKeeper();
+        }
+
+        uint256 orderId = abi.decode(performData, (uint256));
+        ScheduledOrder storage order = scheduledOrders[orderId];
+        if (order.status != OrderStatus.Active) revert OrderNotExecutable(orderId);
+
+        if (block.timestamp >= order.expiry) {
+            _closeOrder(orderId, OrderStatus.Expired);
+            return;
+        }
+        if (block.timestamp < order.nextExecution) revert OrderNotExecutable(orderId);
+
+        uint256 slice = _nextSlice(order);
+        uint256 currentPrice = _checkTradeConditions(slice, SCHEDULED_ORDER_CONFIDENCE);
+        if (currentPrice < order.limitPrice) revert PriceBelowThreshold();
+        if (!_isCompliant(order.creator, targetToken, slice, currentPrice)) return;
+
+        order.executedAmount += slice;
+        order.nextExecution = block.timestamp + order.interval;
+
+        // amountOutMin 0 trades at the oracle floor
+        _executeTrade(slice, 0, _defaultPath(targetToken), block.timestamp, currentPrice, SCHEDULED_ORDER_CONFIDENCE);
+        emit ScheduledOrderExecuted(orderId, totalTrades, slice, order.executedAmount);
+
+        if (order.executedAmount == order.totalAmount) _closeOrder(orderId, OrderStatus.Filled);
+    }
+
+    // Internal functions
+
+    /**
+     * @dev The amountOutMin to trade with: the oracle floor when the caller passed 0,
+     * otherwise the caller's minimum, which may not be below the floor
+     */
+    function _applyMinimumOutput(
+        uint256 amountIn,
+        uint256 amountOutMin,
+        address[] memory path,
+        uint256 price
+    ) internal view returns (uint256) {
+        uint256 minimumOutput = _minimumOutput(amountIn, path, price);
+        if (amountOutMin == 0) return minimumOutput;
+        if (amountOutMin < minimumOutput) revert AmountOutMinTooLow(amountOutMin, minimumOutput);
+        return amountOutMin;
+    }
+
+    /**
+     * @dev Validate a trade with the compliance engine, which records the decision.
+     * Rejections are reported in TradeNotCompliant and the trade is skipped.
+     */
+    function _isCompliant(address trader, address asset, uint256 amountIn, uint256 price) internal returns (bool) {
+        if (address(complianceEngine) == address(0)) return true;
+
+        (bool approved, IComplianceEngine.ReasonCode reason) =
+            complianceEngine.validateTrade(trader, asset, amountIn, price);
+        if (!approved) emit TradeNotCompliant(trader, asset, amountIn, reason);
+        return approved;
+    }
+
+    function _reportTrade(uint256 volume, int256 pnl) internal {
+        IFleetGuardian activeGuardian = _fleetGuardian();
+        if (address(activeGuardian) != address(0)) activeGuardian.recordTrade(address(vault), volume, pnl);
+    }
+
+    function _validateRoute(address[] calldata path) internal view {
+        if (path.length < 2 || path.length > MAX_PATH_LENGTH) revert InvalidRoute();
+        if (path[0] != vaultAsset || !_isPortfolioToken(path[path.length - 1])) revert InvalidRoute();
+
+        for (uint256 i = 1; i < path.length - 1; i++) {
+            if (!isIntermediateToken[path[i]] || path[i] == path[path.length - 1]) revert InvalidRoute();
+            for (uint256 j = 1; j < i; j++) {
+                if (path[j] == path[i]) revert InvalidRoute();
+            }
+        }
+    }
+
+    function _isPortfolioToken(address token) internal view returns (bool) {
+        for (uint256 i = 0; i < portfolio.length; i++) {
+            if (portfolio[i].token == token) return true;
+        }
+        return false;
+    }
+
+    function _validateTradeParameters(uint256 amountIn, uint256 aiConfidence) internal view {
+        if (amountIn > config.maxTradeSize) revert TradeAmountTooLarge();
+        if (block.timestamp < lastTradeTimestamp + config.cooldownPeriod) revert CooldownNotMet();
+        if (aiConfidence < config.confidenceThreshold) revert ConfidenceTooLow();
+        
+        uint256 currentDayVolume = _getCurrentDayVolume();
+        if (currentDayVolume + amountIn > config.dailyTradeLimit) revert DailyLimitExceeded();
+    }
+
+    function _resetDailyVolumeIfNeeded() internal {
+        if (block.timestamp >= lastDayReset + 1 days) {
+            dailyTradeVolume = 0;
+            lastDayReset = block.timestamp;
+        }
+    }
+}
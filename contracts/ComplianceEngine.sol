@@ -3,15 +3,19 @@ pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/access/AccessControl.sol";
 import "@chainlink/contracts/src/v0.8/interfaces/AggregatorV3Interface.sol";
+import "./IComplianceEngine.sol";
 
 /**
  * @title ComplianceEngine
  * @dev 2025 regulatory compliance engine for DeFAI applications
  */
-contract ComplianceEngine is AccessControl {
+contract ComplianceEngine is AccessControl, IComplianceEngine {
     bytes32 public constant COMPLIANCE_OFFICER_ROLE = keccak256("COMPLIANCE_OFFICER_ROLE");
     bytes32 public constant REGULATOR_ROLE = keccak256("REGULATOR_ROLE");
 
+    uint256 public constant MAX_RISK_SCORE = 8000; // Traders above 80% risk may not trade
+    uint256 public constant MAX_PREDICTION_VOLATILITY = 2000; // No predictions acted on above 20% volatility
+
     struct ComplianceRule {
         uint256 minPrice;
         uint256 maxPrice;
@@ -23,7 +27,7 @@ contract ComplianceEngine is AccessControl {
     struct TraderProfile {
         bool isKYCVerified;
         uint256 riskScore; // 0-10000
-        uint256 maxTradeSize;
+        uint256 maxTradeSize; // Per trade, in the trading agent's vault asset (0 for no limit)
         bool isBlacklisted;
         uint256 lastComplianceCheck;
     }
@@ -31,6 +35,28 @@ contract ComplianceEngine is AccessControl {
     mapping(address => ComplianceRule) public assetRules;
     mapping(address => TraderProfile) public traderProfiles;
     mapping(bytes32 => bool) public approvedPredictions;
+
+    // Audit trail: every trade decision made for an agent, and why traders were blacklisted.
+    // Prediction decisions are kept in approvedPredictions and logged, see reviewPrediction.
+    struct TradeDecision {
+        address agent;
+        ReasonCode reason;
+        uint64 timestamp;
+        address trader;
+        address asset;
+        uint256 amount;
+        uint256 price;
+    }
+
+    struct BlacklistRecord {
+        address regulator;
+        uint64 timestamp;
+        string reason;
+    }
+
+    mapping(uint256 => TradeDecision) public tradeDecisions; // By decisionId, from 1
+    uint256 public totalTradeDecisions;
+    mapping(address => BlacklistRecord) public blacklistRecords; // Latest blacklisting of each trader
     
     // Regulatory feeds
     AggregatorV3Interface public volatilityFeed;
@@ -38,8 +64,24 @@ contract ComplianceEngine is AccessControl {
 
     event ComplianceRuleUpdated(address indexed asset, ComplianceRule rule);
     event TraderProfileUpdated(address indexed trader, TraderProfile profile);
-    event PredictionValidated(bytes32 indexed requestId, bool approved, string reason);
+    event PredictionValidated(
+        bytes32 indexed requestId,
+        address indexed agent,
+        uint256 predictedPrice,
+        ReasonCode reason
+    );
     event RegulatoryAlert(address indexed asset, string alertType, uint256 value);
+    event TraderBlacklisted(address indexed trader, address indexed regulator, string reason);
+    event FeedsUpdated(address volatilityFeed, address regulatoryFeed);
+    event TradeValidated(
+        uint256 indexed decisionId,
+        address indexed agent,
+        address indexed trader,
+        address asset,
+        uint256 amount,
+        uint256 price,
+        ReasonCode reason
+    );
 
     constructor() {
         _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
@@ -49,22 +91,29 @@ contract ComplianceEngine is AccessControl {
     /**
      * @dev Validate AI prediction for compliance
      */
-    function validatePrediction(bytes32 requestId, uint256 predictedPrice) 
+    function validatePrediction(bytes32, uint256 predictedPrice) 
         external 
         view 
         returns (bool) 
     {
+        return checkPrediction(predictedPrice) == ReasonCode.Approved;
+    }
+
+    /**
+     * @dev Check a predicted price against the volatility and regulatory feeds
+     */
+    function checkPrediction(uint256 predictedPrice) public view returns (ReasonCode) {
         // Check if prediction is within acceptable bounds
-        if (predictedPrice == 0) return false;
+        if (predictedPrice == 0) return ReasonCode.InvalidPrediction;
         
         // Check volatility constraints
         if (address(volatilityFeed) != address(0)) {
             try volatilityFeed.latestRoundData() returns (
                 uint80, int256 volatility, uint256, uint256, uint80
             ) {
-                if (volatility > 2000) return false; // Max 20% volatility
+                if (volatility > int256(MAX_PREDICTION_VOLATILITY)) return ReasonCode.VolatilityTooHigh;
             } catch {
-                return false; // Fail-safe
+                return ReasonCode.DataUnavailable; // Fail-safe
             }
         }
 
@@ -73,13 +122,26 @@ contract ComplianceEngine is AccessControl {
             try regulatoryFeed.latestRoundData() returns (
                 uint80, int256 status, uint256, uint256, uint80
             ) {
-                if (status == 0) return false; // Regulatory halt
+                if (status == 0) return ReasonCode.RegulatoryHalt;
             } catch {
-                return false;
+                return ReasonCode.DataUnavailable;
             }
         }
 
-        return true;
+        return ReasonCode.Approved;
+    }
+
+    /**
+     * @dev Check a prediction for the calling agent, then record and log the decision.
+     * Agents call this from the upkeep that reviews a prediction after its Functions
+     * callback, not from the callback itself.
+     */
+    function reviewPrediction(bytes32 requestId, uint256 predictedPrice) external returns (bool) {
+        ReasonCode reason = checkPrediction(predictedPrice);
+        bool approved = reason == ReasonCode.Approved;
+        approvedPredictions[requestId] = approved;
+        emit PredictionValidated(requestId, msg.sender, predictedPrice, reason);
+        return approved;
     }
 
     /**
@@ -89,11 +151,77 @@ contract ComplianceEngine is AccessControl {
         TraderProfile memory profile = traderProfiles[trader];
         
         if (profile.isBlacklisted) return false;
-        if (profile.riskScore > 8000) return false; // Max 80% risk score
+        if (profile.riskScore > MAX_RISK_SCORE) return false;
         
         return true;
     }
 
+    /**
+     * @dev Check a trade of `amount` into `asset` by `trader` at the agent's feed `price`
+     * against the trader's profile, the asset's rule and the regulatory feeds
+     */
+    function checkTrade(address trader, address asset, uint256 amount, uint256 price)
+        public
+        view
+        returns (ReasonCode)
+    {
+        TraderProfile memory profile = traderProfiles[trader];
+        if (profile.isBlacklisted) return ReasonCode.TraderBlacklisted;
+        if (profile.riskScore > MAX_RISK_SCORE) return ReasonCode.TraderRiskTooHigh;
+        if (profile.maxTradeSize > 0 && amount > profile.maxTradeSize) return ReasonCode.TradeSizeExceeded;
+
+        ComplianceRule memory rule = assetRules[asset];
+        if (rule.isActive) {
+            if (rule.requiresKYC && !profile.isKYCVerified) return ReasonCode.KYCRequired;
+            if ((rule.minPrice > 0 && price < rule.minPrice) || (rule.maxPrice > 0 && price > rule.maxPrice)) {
+                return ReasonCode.PriceOutOfBand;
+            }
+            if (rule.maxVolatility > 0 && address(volatilityFeed) != address(0)) {
+                try volatilityFeed.latestRoundData() returns (uint80, int256 volatility, uint256, uint256, uint80) {
+                    if (volatility < 0 || uint256(volatility) > rule.maxVolatility) {
+                        return ReasonCode.VolatilityTooHigh;
+                    }
+                } catch {
+                    return ReasonCode.DataUnavailable; // Fail-safe
+                }
+            }
+        }
+
+        if (address(regulatoryFeed) != address(0)) {
+            try regulatoryFeed.latestRoundData() returns (uint80, int256 status, uint256, uint256, uint80) {
+                if (status == 0) return ReasonCode.RegulatoryHalt;
+            } catch {
+                return ReasonCode.DataUnavailable;
+            }
+        }
+
+        return ReasonCode.Approved;
+    }
+
+    /**
+     * @dev Check a trade for the calling agent and record the decision
+     */
+    function validateTrade(address trader, address asset, uint256 amount, uint256 price)
+        external
+        returns (bool approved, ReasonCode reason)
+    {
+        reason = checkTrade(trader, asset, amount, price);
+
+        uint256 decisionId = ++totalTradeDecisions;
+        tradeDecisions[decisionId] = TradeDecision({
+            agent: msg.sender,
+            reason: reason,
+            timestamp: uint64(block.timestamp),
+            trader: trader,
+            asset: asset,
+            amount: amount,
+            price: price
+        });
+
+        emit TradeValidated(decisionId, msg.sender, trader, asset, amount, price, reason);
+        return (reason == ReasonCode.Approved, reason);
+    }
+
     /**
      * @dev Get compliance score for asset
      */
@@ -150,6 +278,13 @@ contract ComplianceEngine is AccessControl {
         onlyRole(REGULATOR_ROLE) 
     {
         traderProfiles[trader].isBlacklisted = true;
+        blacklistRecords[trader] = BlacklistRecord({
+            regulator: msg.sender,
+            timestamp: uint64(block.timestamp),
+            reason: reason
+        });
+
+        emit TraderBlacklisted(trader, msg.sender, reason);
         emit RegulatoryAlert(trader, "BLACKLISTED", block.timestamp);
     }
 
@@ -162,5 +297,6 @@ contract ComplianceEngine is AccessControl {
     {
         volatilityFeed = AggregatorV3Interface(_volatilityFeed);
         regulatoryFeed = AggregatorV3Interface(_regulatoryFeed);
+        emit FeedsUpdated(_volatilityFeed, _regulatoryFeed);
     }
 }
@@ -0,0 +1,370 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts-upgradeable/token/ERC20/extensions/ERC4626Upgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/access/AccessControlUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/ReentrancyGuardUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/PausableUpgradeable.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "@chainlink/contracts/src/v0.8/interfaces/AggregatorV3Interface.sol";
+import "./PriceAggregation.sol";
+
+/**
+ * @dev Minimal Uniswap V2 router surface used by the vault
+ */
+interface IUniswapV2Router {
+    function swapExactTokensForTokens(
+        uint256 amountIn,
+        uint256 amountOutMin,
+        address[] calldata path,
+        address to,
+        uint256 deadline
+    ) external returns (uint256[] memory amounts);
+
+    function getAmountsOut(uint256 amountIn, address[] calldata path) external view returns (uint256[] memory amounts);
+}
+
+/**
+ * @title CuttlefishVault
+ * @dev Upgradeable ERC-4626 vault whose assets are traded on Uniswap by approved builder agents
+ * @author Cuttlefish Labs
+ */
+contract CuttlefishVault is
+    Initializable,
+    ERC4626Upgradeable,
+    AccessControlUpgradeable,
+    ReentrancyGuardUpgradeable,
+    PausableUpgradeable
+{
+    using SafeERC20 for IERC20;
+
+    // Role definitions
+    bytes32 public constant BUILDER_AGENT_ROLE = keccak256("BUILDER_AGENT_ROLE");
+
+    uint256 public constant MAX_PERFORMANCE_FEE = 2000; // 20% in basis points
+    uint256 public constant FEE_DENOMINATOR = 10000;
+    uint256 public constant MAX_PRICE_AGE = 1 hours;
+
+    // Trading infrastructure
+    IUniswapV2Router public router;
+    address public feeCollector;
+
+    // Fee accounting (denominated in the vault asset)
+    uint256 public performanceFeeRate;
+    uint256 public totalFeesAccrued;
+    uint256 public pendingFees;
+
+    // Trade tracking
+    uint256 public totalTradesExecuted;
+    uint256 public totalVolumeTraded;
+
+    // Tokens bought with the vault asset, counted in totalAssets
+    address[] internal heldTokens;
+    mapping(address => bool) internal isHeldToken;
+    mapping(address => uint256) public costBasis; // Vault asset spent on the current holdings
+    mapping(address => AggregatorV3Interface) public priceFeeds; // Price of the vault asset in the token
+
+    // Events
+    event TradeExecuted(address indexed tokenIn, address indexed tokenOut, uint256 amountIn, uint256 amountOut);
+    event FeesAccrued(address indexed agent, uint256 amount);
+    event FeesExtracted(uint256 amount);
+    event BuilderAgentAdded(address indexed agent);
+    event BuilderAgentRemoved(address indexed agent);
+    event FeeCollectorUpdated(address indexed oldCollector, address indexed newCollector);
+    event RouterUpdated(address indexed oldRouter, address indexed newRouter);
+    event PerformanceFeeRateUpdated(uint256 oldRate, uint256 newRate);
+    event PriceFeedUpdated(address indexed token, address indexed feed);
+
+    // Custom errors
+    error InvalidPath();
+    error InsufficientLiquidity();
+    error FeeTooHigh();
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+
+    /**
+     * @dev Proxy initializer
+     */
+    function initialize(
+        address _asset,
+        address _builderAgent,
+        address _feeCollector,
+        address _router
+    ) external initializer {
+        require(_asset != address(0), "Invalid asset");
+        require(_builderAgent != address(0), "Invalid builder agent");
+        require(_feeCollector != address(0), "Invalid fee collector");
+        require(_router != address(0), "Invalid router");
+
+        __ERC20_init("Cuttlefish Vault Share", "cfVAULT");
+        __ERC4626_init(IERC20(_asset));
+        __AccessControl_init();
+        __ReentrancyGuard_init();
+        __Pausable_init();
+
+        router = IUniswapV2Router(_router);
+        feeCollector = _feeCollector;
+        performanceFeeRate = 100; // 1%
+
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        _grantRole(BUILDER_AGENT_ROLE, _builderAgent);
+
+        emit BuilderAgentAdded(_builderAgent);
+    }
+
+    /**
+     * @dev Assets held for depositors, excluding fees not yet extracted: the vault asset
+     * plus the tokens agents bought with it, each valued by holdingValue
+     */
+    function totalAssets() public view override returns (uint256) {
+        uint256 total = IERC20(asset()).balanceOf(address(this));
+        for (uint256 i = 0; i < heldTokens.length; i++) {
+            total += holdingValue(heldTokens[i]);
+        }
+        return total > pendingFees ? total - pendingFees : 0;
+    }
+
+    /**
+     * @dev The vault's `token` balance in the vault asset, at its price feed. Without a
+     * feed, or while it is stale, invalid or unreadable, the holding is valued at cost.
+     */
+    function holdingValue(address token) public view returns (uint256) {
+        uint256 balance = IERC20(token).balanceOf(address(this));
+        if (balance == 0) return 0;
+
+        (bool priced, uint256 price, uint8 priceDecimals) = _feedPrice(priceFeeds[token]);
+        if (!priced) return costBasis[token];
+        return PriceAggregation.convert(balance, price, priceDecimals, token, asset(), true);
+    }
+
+    /**
+     * @dev Fresh, positive answer of `feed` and its decimals; `priced` is false when there
+     * is no feed or any of it cannot be read, so totalAssets never reverts on a bad feed
+     */
+    function _feedPrice(AggregatorV3Interface feed)
+        internal
+        view
+        returns (bool priced, uint256 price, uint8 priceDecimals)
+    {
+        if (address(feed) == address(0)) return (false, 0, 0);
+
+        try feed.decimals() returns (uint8 feedDecimals) {
+            priceDecimals = feedDecimals;
+        } catch {
+            return (false, 0, 0);
+        }
+
+        try feed.latestRoundData() returns (uint80, int256 answer, uint256, uint256 updatedAt, uint80) {
+            if (answer > 0 && updatedAt > block.timestamp - MAX_PRICE_AGE) {
+                return (true, uint256(answer), priceDecimals);
+            }
+        } catch {
+            // Unreadable feed: value at cost
+        }
+        return (false, 0, 0);
+    }
+
+    function getHeldTokens() external view returns (address[] memory) {
+        return heldTokens;
+    }
+
+    /**
+     * @dev Withdrawals are paid from the vault asset alone, not from held tokens
+     */
+    function maxWithdraw(address owner) public view override returns (uint256) {
+        return Math.min(super.maxWithdraw(owner), _liquidAssets());
+    }
+
+    function maxRedeem(address owner) public view override returns (uint256) {
+        return Math.min(super.maxRedeem(owner), convertToShares(_liquidAssets()));
+    }
+
+    /**
+     * @dev Swap through the router on behalf of a builder agent, either out of the vault
+     * asset (buy) or from a held token back into it (sell). Buys add to the token's cost
+     * basis; sells release it pro rata, and the performance fee is reserved for the fee
+     * collector out of the proceeds above that cost. Volume is counted in the vault asset.
+     */
+    function executeTradeOnUniswap(
+        uint256 amountIn,
+        uint256 amountOutMin,
+        address[] calldata path,
+        uint256 deadline
+    ) external onlyRole(BUILDER_AGENT_ROLE) nonReentrant whenNotPaused returns (uint256 amountOut) {
+        if (path.length < 2) revert InvalidPath();
+        bool isBuy = path[0] == asset();
+        bool isSell = path[path.length - 1] == asset();
+        if (isBuy == isSell) revert InvalidPath();
+        require(amountIn > 0, "Invalid amount");
+
+        uint256 cost;
+        if (isBuy) {
+            if (amountIn > _liquidAssets()) revert InsufficientLiquidity();
+        } else {
+            uint256 held = IERC20(path[0]).balanceOf(address(this));
+            if (amountIn > held) revert InsufficientLiquidity();
+            cost = Math.mulDiv(costBasis[path[0]], amountIn, held);
+        }
+
+        IERC20(path[0]).forceApprove(address(router), amountIn);
+        uint256[] memory amounts = router.swapExactTokensForTokens(
+            amountIn,
+            amountOutMin,
+            path,
+            address(this),
+            deadline
+        );
+        amountOut = amounts[amounts.length - 1];
+
+        if (isBuy) {
+            _recordPurchase(path[path.length - 1], amountIn);
+        } else {
+            costBasis[path[0]] -= cost;
+            if (amountOut > cost) {
+                uint256 fee = ((amountOut - cost) * performanceFeeRate) / FEE_DENOMINATOR;
+                pendingFees += fee;
+                totalFeesAccrued += fee;
+                emit FeesAccrued(msg.sender, fee);
+            }
+        }
+
+        totalTradesExecuted++;
+        totalVolumeTraded += isBuy ? amountIn : amountOut;
+
+        emit TradeExecuted(path[0], path[path.length - 1], amountIn, amountOut);
+    }
+
+    /**
+     * @dev Send accrued fees to the fee collector
+     */
+    function extractFees() external nonReentrant returns (uint256 amount) {
+        require(
+            msg.sender == feeCollector || hasRole(DEFAULT_ADMIN_ROLE, msg.sender),
+            "Unauthorized"
+        );
+
+        amount = pendingFees;
+        require(amount > 0, "No fees to extract");
+
+        pendingFees = 0;
+        IERC20(asset()).safeTransfer(feeCollector, amount);
+
+        emit FeesExtracted(amount);
+    }
+
+    /**
+     * @dev Get vault summary
+     */
+    function getVaultInfo() external view returns (
+        uint256 _totalAssets,
+        uint256 _totalShares,
+        uint256 _performanceFeeRate,
+        uint256 _totalFeesAccrued,
+        uint256 _pendingFees,
+        uint256 _totalTrades
+    ) {
+        return (
+            totalAssets(),
+            totalSupply(),
+            performanceFeeRate,
+            totalFeesAccrued,
+            pendingFees,
+            totalTradesExecuted
+        );
+    }
+
+    // Admin functions
+
+    function addBuilderAgent(address agent) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(agent != address(0), "Invalid builder agent");
+        _grantRole(BUILDER_AGENT_ROLE, agent);
+        emit BuilderAgentAdded(agent);
+    }
+
+    function removeBuilderAgent(address agent) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _revokeRole(BUILDER_AGENT_ROLE, agent);
+        emit BuilderAgentRemoved(agent);
+    }
+
+    function isBuilderAgent(address agent) external view returns (bool) {
+        return hasRole(BUILDER_AGENT_ROLE, agent);
+    }
+
+    function setFeeCollector(address newFeeCollector) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(newFeeCollector != address(0), "Invalid fee collector");
+        address oldCollector = feeCollector;
+        feeCollector = newFeeCollector;
+        emit FeeCollectorUpdated(oldCollector, newFeeCollector);
+    }
+
+    function setRouter(address newRouter) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(newRouter != address(0), "Invalid router");
+        address oldRouter = address(router);
+        router = IUniswapV2Router(newRouter);
+        emit RouterUpdated(oldRouter, newRouter);
+    }
+
+    function setPerformanceFeeRate(uint256 newRate) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (newRate > MAX_PERFORMANCE_FEE) revert FeeTooHigh();
+        uint256 oldRate = performanceFeeRate;
+        performanceFeeRate = newRate;
+        emit PerformanceFeeRateUpdated(oldRate, newRate);
+    }
+
+    /**
+     * @dev Value `token` holdings with `feed`, which prices the vault asset in `token`
+     * (as ETH/USD does for a USD stablecoin). The zero address values them at cost.
+     */
+    function setPriceFeed(address token, address feed) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(token != address(0) && token != asset(), "Invalid token");
+        priceFeeds[token] = AggregatorV3Interface(feed);
+        emit PriceFeedUpdated(token, feed);
+    }
+
+    function pause() external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _pause();
+    }
+
+    function unpause() external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _unpause();
+    }
+
+    // Internal functions
+
+    function _liquidAssets() internal view returns (uint256) {
+        uint256 balance = IERC20(asset()).balanceOf(address(this));
+        return balance > pendingFees ? balance - pendingFees : 0;
+    }
+
+    function _recordPurchase(address token, uint256 cost) internal {
+        costBasis[token] += cost;
+        if (!isHeldToken[token]) {
+            isHeldToken[token] = true;
+            heldTokens.push(token);
+        }
+    }
+
+    // Deposits and withdrawals stop while paused
+
+    function _deposit(address caller, address receiver, uint256 assets, uint256 shares)
+        internal
+        override
+        whenNotPaused
+    {
+        super._deposit(caller, receiver, assets, shares);
+    }
+
+    function _withdraw(address caller, address receiver, address owner, uint256 assets, uint256 shares)
+        internal
+        override
+        whenNotPaused
+    {
+        super._withdraw(caller, receiver, owner, assets, shares);
+    }
+}
@@ -1,152 +1,64 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.20;
 
-import "@openzeppelin/contracts/access/AccessControl.sol";
-import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
-import "@openzeppelin/contracts/security/Pausable.sol";
-import "@openzeppelin/contracts/utils/math/Math.sol";
-import "@openzeppelin/contracts/token/ERC721/ERC721.sol";
-import "@openzeppelin/contracts/utils/Counters.sol";
-import "./CuttlefishVault.sol";
-import "@chainlink/contracts/src/v0.8/interfaces/AggregatorV3Interface.sol";
-import "@chainlink/contracts/src/v0.8/interfaces/FunctionsClient.sol";
-import "@chainlink/contracts/src/v0.8/interfaces/AutomationCompatibleInterface.sol";
+import "@openzeppelin/contracts/utils/Address.sol";
+import "@chainlink/contracts/src/v0.8/functions/dev/v1_0_0/interfaces/IFunctionsClient.sol";
+import "@chainlink/contracts/src/v0.8/automation/interfaces/AutomationCompatibleInterface.sol";
+import "./EnhancedBuilderAgentStorage.sol";
+import "./EnhancedBuilderAgentTrading.sol";
 
 /**
  * @title EnhancedBuilderAgent
- * @dev Next-gen AI trading agent with Chainlink Functions, Automation, and 2025 DeFAI features
+ * @dev Next-gen AI trading agent with Chainlink Functions, Automation, and 2025 DeFAI features.
+ * Views live here; predictions and trading run in EnhancedBuilderAgentTrading and
+ * configuration in EnhancedBuilderAgentAdmin, both shared modules the agent DELEGATECALLs
+ * into so it stays under the EIP-170 contract size limit.
  * @author Cuttlefish Labs
  */
-contract EnhancedBuilderAgent is 
-    AccessControl, 
-    ReentrancyGuard, 
-    Pausable, 
-    FunctionsClient,
-    AutomationCompatibleInterface,
-    ERC721
+contract EnhancedBuilderAgent is
+    EnhancedBuilderAgentStorage,
+    IFunctionsClient,
+    AutomationCompatibleInterface
 {
-    using Math for uint256;
-    using Counters for Counters.Counter;
-
-    // Role definitions
-    bytes32 public constant OPERATOR_ROLE = keccak256("OPERATOR_ROLE");
-    bytes32 public constant EMERGENCY_ROLE = keccak256("EMERGENCY_ROLE");
-    bytes32 public constant AI_ROLE = keccak256("AI_ROLE");
-    bytes32 public constant KEEPER_ROLE = keccak256("KEEPER_ROLE");
-
-    // Core contracts
-    CuttlefishVault public immutable vault;
-    address public immutable vaultAsset;
-    address public targetToken;
-    AggregatorV3Interface public priceFeed;
-    AggregatorV3Interface public ecoFeed; // Carbon/ESG oracle
-    IComplianceEngine public complianceEngine;
-
-    // Chainlink Functions & Automation
-    uint64 public subscriptionId;
-    bytes32 public donId;
-    address public keeperRegistryAddress;
-    uint32 public constant CALLBACK_GAS_LIMIT = 300000;
-    
-    // AI Prediction System
-    struct PredictionRequest {
-        bytes32 requestId;
-        uint256 timestamp;
-        uint256 currentPrice;
-        bool fulfilled;
-        uint256 predictedPrice;
-        uint256 confidence;
-        bool isAnomaly;
-    }
-
-    struct TradingConfig {
-        uint256 priceThreshold;
-        uint256 maxTradeSize;
-        uint256 dailyTradeLimit;
-        uint256 cooldownPeriod;
-        uint256 maxSlippage;
-        uint256 confidenceThreshold;
-        uint256 deviationThreshold; // Max allowed price deviation (basis points)
-        uint256 ecoThreshold; // Max eco-impact score
-        uint256 predictionInterval; // Time between predictions
-    }
-
-    TradingConfig public config;
-    
-    // State tracking
-    mapping(bytes32 => PredictionRequest) public predictions;
-    mapping(uint256 => bytes32) public dayToPredictionId; // Daily prediction tracking
-    Counters.Counter private _predictionTokenIds;
-    
-    uint256 public lastPredictionTime;
-    uint256 public lastTradeTimestamp;
-    uint256 public dailyTradeVolume;
-    uint256 public lastDayReset;
-    uint256 public totalTrades;
-    uint256 public successfulTrades;
-    uint256 public pendingRequestsCount;
-    
-    // Price validation
-    uint256 public constant MAX_PRICE_AGE = 1 hours;
-    uint256 public constant MIN_PRICE_DEVIATION = 500; // 5% circuit breaker
-    uint256 public lastValidPrice;
-    
-    // Emergency controls
-    bool public emergencyStop;
-    uint256 public emergencyStopTimestamp;
-
-    // JavaScript source for Chainlink Functions
-    string public constant AI_PREDICTION_SOURCE = 
-        "const apiUrl = args[0];"
-        "const symbol = args[1];"
-        "const timeframe = args[2];"
-        "try {"
-        "  const response = await Functions.makeHttpRequest({"
-        "    url: `${apiUrl}/predict`,"
-        "    method: 'POST',"
-        "    headers: { 'Content-Type': 'application/json' },"
-        "    data: { symbol, timeframe, features: ['price', 'volume', 'sentiment'] }"
-        "  });"
-        "  if (response.error) throw new Error(response.error);"
-        "  const data = response.data;"
-        "  if (!data.prediction || !data.confidence) throw new Error('Invalid response');"
-        "  const prediction = Math.round(data.prediction * 100000000); // Scale to 8 decimals"
-        "  const confidence = Math.round(data.confidence * 10000); // Scale to basis points"
-        "  const anomaly = data.anomaly_score > 0.7 ? 1 : 0;"
-        "  return Functions.encodeUint256(prediction) + Functions.encodeUint256(confidence) + Functions.encodeUint256(anomaly);"
-        "} catch (error) {"
-        "  throw new Error(`API Error: ${error.message}`);"
-        "}";
-
-    // Events
-    event PredictionRequested(bytes32 indexed requestId, uint256 currentPrice, uint256 timestamp);
-    event PredictionFulfilled(
-        bytes32 indexed requestId, 
-        uint256 predictedPrice, 
-        uint256 confidence, 
-        bool isAnomaly,
-        uint256 tokenId
-    );
-    event TradeTriggered(
-        uint256 indexed tradeId,
-        bytes32 indexed predictionId,
-        uint256 amountIn,
-        uint256 currentPrice,
-        uint256 predictedPrice,
-        uint256 confidence
-    );
-    event ComplianceValidated(bytes32 indexed requestId, bool isCompliant);
-    event EcoScoreChecked(uint256 score, uint256 threshold, bool passed);
-    event EmergencyStopActivated(address indexed activator, string reason);
-    event ConfigUpdated(TradingConfig oldConfig, TradingConfig newConfig);
-
-    // Custom errors
-    error InvalidPrediction();
-    error PredictionNotReady();
-    error ComplianceViolation();
-    error EcoThresholdExceeded();
-    error PendingRequestExists();
-    error UnauthorizedKeeper();
+    // Shared module deployments the agent forwards calls to
+    struct Modules {
+        address trading;
+        address admin;
+    }
+
+    address public immutable tradingModule;
+    address public immutable adminModule;
+
+    // Default JavaScript source for Chainlink Functions, installed as source version 1.
+    // args: endpoint, symbol, timeframe and an optional comma-separated feature list.
+    string public constant AI_PREDICTION_SOURCE =
+        "const apiUrl = args[0];\n"
+        "const symbol = args[1];\n"
+        "const timeframe = args[2];\n"
+        "const features = args[3] ? args[3].split(',') : ['price', 'volume', 'sentiment'];\n"
+        "const headers = { 'Content-Type': 'application/json' };\n"
+        "if (secrets.apiKey) headers.Authorization = `Bearer ${secrets.apiKey}`;\n"
+        "try {\n"
+        "  const response = await Functions.makeHttpRequest({\n"
+        "    url: `${apiUrl}/predict`,\n"
+        "    method: 'POST',\n"
+        "    headers,\n"
+        "    data: { symbol, timeframe, features }\n"
+        "  });\n"
+        "  if (response.error) throw new Error(response.message || 'HTTP request failed');\n"
+        "  const data = response.data;\n"
+        "  if (!data.prediction || !data.confidence) throw new Error('Invalid response');\n"
+        "  const prediction = Math.round(data.prediction * 100000000); // Scale to 8 decimals\n"
+        "  const confidence = Math.round(data.confidence * 10000); // Scale to basis points\n"
+        "  const anomaly = data.anomaly_score > 0.7 ? 1 : 0;\n"
+        "  return new Uint8Array([\n"
+        "    ...Functions.encodeUint256(prediction),\n"
+        "    ...Functions.encodeUint256(confidence),\n"
+        "    ...Functions.encodeUint256(anomaly)\n"
+        "  ]);\n"
+        "} catch (error) {\n"
+        "  throw new Error(`API Error: ${error.message}`);\n"
+        "}\n";
 
     constructor(
         address _vault,
@@ -158,15 +70,18 @@ contract EnhancedBuilderAgent is
         address _functionsRouter,
         TradingConfig memory _config,
         uint64 _subscriptionId,
-        bytes32 _donId
-    ) 
-        FunctionsClient(_functionsRouter)
-        ERC721("CuttlefishPredictions", "CFPRED")
-    {
+        bytes32 _donId,
+        Modules memory _modules
+    ) {
         require(_vault != address(0), "Invalid vault");
         require(_vaultAsset != address(0), "Invalid vault asset");
         require(_targetToken != address(0), "Invalid target token");
         require(_priceFeed != address(0), "Invalid price feed");
+        require(_config.maxSlippage <= 1000, "Slippage too high"); // Max 10%
+        require(_modules.trading != address(0) && _modules.admin != address(0), "Invalid modules");
+
+        tradingModule = _modules.trading;
+        adminModule = _modules.admin;
 
         vault = CuttlefishVault(_vault);
         vaultAsset = _vaultAsset;
@@ -174,12 +89,22 @@ contract EnhancedBuilderAgent is
         priceFeed = AggregatorV3Interface(_priceFeed);
         ecoFeed = AggregatorV3Interface(_ecoFeed);
         complianceEngine = IComplianceEngine(_complianceEngine);
-        
+        functionsRouter = IFunctionsRouter(_functionsRouter);
+
         subscriptionId = _subscriptionId;
         donId = _donId;
         config = _config;
-        
+
+        predictionParams.endpoint = "https://api.cuttlefishlabs.com";
+        predictionParams.symbol = "ETH/USD";
+        predictionParams.timeframe = "1h";
+        predictionParams.features.push("price");
+        predictionParams.features.push("volume");
+        predictionParams.features.push("sentiment");
+        _activateSource(_addSource(AI_PREDICTION_SOURCE));
+
         lastDayReset = block.timestamp;
+        governanceDelay = MIN_GOVERNANCE_DELAY;
 
         // Set up roles
         _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
@@ -187,10 +112,11 @@ contract EnhancedBuilderAgent is
         _grantRole(EMERGENCY_ROLE, msg.sender);
         _grantRole(KEEPER_ROLE, msg.sender);
 
-        // Initialize with current price
-        try this.getLatestPrice() returns (uint256 price, uint256) {
-            lastValidPrice = price;
+        // Initialize with current price (external self-calls are unavailable during construction)
+        try priceFeed.latestRoundData() returns (uint80, int256 price, uint256, uint256, uint80) {
+            lastValidPrice = price > 0 ? uint256(price) : _config.priceThreshold;
         } catch {
+            // If price feed fails during deployment, set a default
             lastValidPrice = _config.priceThreshold;
         }
     }
@@ -199,353 +125,299 @@ contract EnhancedBuilderAgent is
      * @dev Enhanced price fetching with eco-score integration
      */
     function getLatestPrice() public view returns (uint256, uint256) {
-        (, int256 price, , uint256 updatedAt, ) = priceFeed.latestRoundData();
-        
-        if (price <= 0) revert InvalidPrice();
-        if (updatedAt <= block.timestamp - MAX_PRICE_AGE) revert PriceDataStale();
+        (uint256 price, uint256 updatedAt, ) = _aggregatedPrice();
+        return (price, updatedAt);
+    }
+
+    /**
+     * @dev Median price across all sources, with the feeds that contributed to it.
+     * Stale or invalid sources are skipped; reverts if none are usable or if the
+     * usable ones disagree by more than config.deviationThreshold.
+     */
+    function getAggregatedPrice() external view returns (uint256 price, uint256 updatedAt, address[] memory sources) {
+        return _aggregatedPrice();
+    }
 
-        return (uint256(price), updatedAt);
+    /**
+     * @dev All price sources, primary feed first
+     */
+    function getPriceSources() external view returns (AggregatorV3Interface[] memory) {
+        return _priceSources();
     }
 
     /**
      * @dev Get eco-impact score from carbon oracle
      */
-    function getEcoScore() public view returns (uint256) {
-        if (address(ecoFeed) == address(0)) return 0;
-        
-        try ecoFeed.latestRoundData() returns (
-            uint80, int256 score, uint256, uint256 updatedAt, uint80
-        ) {
-            if (score < 0 || updatedAt <= block.timestamp - MAX_PRICE_AGE) return type(uint256).max;
-            return uint256(score);
-        } catch {
-            return type(uint256).max; // Fail-safe: block trades if eco data unavailable
-        }
+    function getEcoScore() external view returns (uint256) {
+        return _ecoScore();
     }
 
     /**
      * @dev Check if there are pending prediction requests
      */
-    function hasPendingRequests() public view returns (bool) {
+    function hasPendingRequests() external view returns (bool) {
         return pendingRequestsCount > 0;
     }
 
     /**
      * @dev Chainlink Automation: Check if upkeep is needed
      */
-    function checkUpkeep(bytes calldata) 
-        external 
-        view 
-        override 
-        returns (bool upkeepNeeded, bytes memory performData) 
+    function checkUpkeep(bytes calldata)
+        external
+        view
+        override
+        returns (bool upkeepNeeded, bytes memory performData)
     {
-        upkeepNeeded = (
-            !emergencyStop &&
-            !paused() &&
-            block.timestamp >= lastPredictionTime + config.predictionInterval &&
-            !hasPendingRequests()
-        );
-        
-        if (upkeepNeeded) {
-            (uint256 currentPrice,) = getLatestPrice();
-            performData = abi.encode(currentPrice, block.timestamp);
+        if (emergencyStop || paused() || _isFleetHalted()) return (false, "");
+
+        // An answered prediction is reviewed before a new one is requested
+        if (pendingReviewRequestId != bytes32(0)) {
+            return (true, abi.encode(UpkeepAction.ReviewPrediction, abi.encode(pendingReviewRequestId)));
         }
-    }
 
-    /**
-     * @dev Chainlink Automation: Perform upkeep (request prediction)
-     */
-    function performUpkeep(bytes calldata performData) external override {
-        if (msg.sender != keeperRegistryAddress && !hasRole(KEEPER_ROLE, msg.sender)) {
-            revert UnauthorizedKeeper();
+        // An unanswered request blocks new ones until it expires
+        if (pendingRequestId != bytes32(0)) {
+            if (block.timestamp < predictions[pendingRequestId].expiresAt) return (false, "");
+            return (true, abi.encode(UpkeepAction.ExpirePrediction, abi.encode(pendingRequestId)));
         }
 
-        (uint256 currentPrice, uint256 timestamp) = abi.decode(performData, (uint256, uint256));
-        _requestPricePrediction(currentPrice, timestamp);
+        upkeepNeeded = block.timestamp >= _nextPredictionTime();
+
+        // The price and time are informational; performUpkeep reads its own
+        if (upkeepNeeded) {
+            performData = abi.encode(UpkeepAction.RequestPrediction, abi.encode(_latestPrice(), block.timestamp));
+        }
     }
 
     /**
-     * @dev Request AI price prediction via Chainlink Functions
+     * @dev When the next prediction is due: predictionInterval after the last request, or
+     * sooner while retrying after failures
      */
-    function requestPricePrediction() external onlyRole(OPERATOR_ROLE) {
-        (uint256 currentPrice,) = getLatestPrice();
-        _requestPricePrediction(currentPrice, block.timestamp);
-    }
-
-    function _requestPricePrediction(uint256 currentPrice, uint256 timestamp) internal {
-        if (hasPendingRequests()) revert PendingRequestExists();
-
-        string[] memory args = new string[](3);
-        args[0] = "https://api.cuttlefishlabs.com"; // AI API endpoint
-        args[1] = "ETH/USD";
-        args[2] = "1h";
-
-        // FIXED: Correct parameter order for _sendRequest
-        bytes32 requestId = _sendRequest(
-            bytes(AI_PREDICTION_SOURCE),
-            new bytes[](0), // encryptedSecretsReferences
-            args,           // FIXED: args comes third
-            subscriptionId, // FIXED: subscriptionId comes fourth
-            CALLBACK_GAS_LIMIT,
-            donId
-        );
-
-        predictions[requestId] = PredictionRequest({
-            requestId: requestId,
-            timestamp: timestamp,
-            currentPrice: currentPrice,
-            fulfilled: false,
-            predictedPrice: 0,
-            confidence: 0,
-            isAnomaly: false
-        });
+    function nextPredictionTime() external view returns (uint256) {
+        return _nextPredictionTime();
+    }
 
-        pendingRequestsCount++;
-        lastPredictionTime = timestamp;
+    function getPredictionParams() external view returns (PredictionParams memory) {
+        return predictionParams;
+    }
 
-        emit PredictionRequested(requestId, currentPrice, timestamp);
+    function getPredictionSecrets() external view returns (PredictionSecrets memory) {
+        return predictionSecrets;
     }
 
     /**
-     * @dev Chainlink Functions callback
+     * @dev Hash, time added and source of a stored version
      */
-    function fulfillRequest(bytes32 requestId, bytes memory response, bytes memory err) 
-        internal 
-        override 
+    function getPredictionSource(uint256 version)
+        external
+        view
+        returns (bytes32 sourceHash, uint256 addedAt, string memory source)
     {
-        if (err.length > 0) {
-            pendingRequestsCount--;
-            return; // Handle error gracefully
-        }
-
-        PredictionRequest storage prediction = predictions[requestId];
-        if (prediction.requestId == bytes32(0)) return;
-
-        // Decode response: prediction (uint256) + confidence (uint256) + anomaly (uint256)
-        require(response.length >= 96, "Invalid response length");
-        
-        uint256 predictedPrice = abi.decode(response[0:32], (uint256));
-        uint256 confidence = abi.decode(response[32:64], (uint256));
-        uint256 anomalyFlag = abi.decode(response[64:96], (uint256));
-
-        // Validate prediction
-        require(predictedPrice > 0 && confidence <= 10000, "Invalid prediction data");
-
-        // Compliance check
-        bool isCompliant = true;
-        if (address(complianceEngine) != address(0)) {
-            try complianceEngine.validatePrediction(requestId, predictedPrice) returns (bool compliant) {
-                isCompliant = compliant;
-            } catch {
-                isCompliant = false;
-            }
-        }
-
-        if (!isCompliant) {
-            emit ComplianceValidated(requestId, false);
-            pendingRequestsCount--;
-            return;
-        }
-
-        // Update prediction
-        prediction.predictedPrice = predictedPrice;
-        prediction.confidence = confidence;
-        prediction.isAnomaly = anomalyFlag == 1;
-        prediction.fulfilled = true;
-        pendingRequestsCount--;
-
-        // Mint NFT for successful high-confidence predictions
-        uint256 tokenId = 0;
-        if (confidence >= 8000) { // 80%+ confidence
-            _predictionTokenIds.increment();
-            tokenId = _predictionTokenIds.current();
-            _mint(address(this), tokenId); // Mint to contract, can be claimed later
-        }
-
-        emit PredictionFulfilled(requestId, predictedPrice, confidence, prediction.isAnomaly, tokenId);
-        emit ComplianceValidated(requestId, true);
-
-        // Auto-execute trade if conditions are met
-        _evaluateAndExecuteTrade(requestId);
+        if (version == 0 || version > sourceVersions.length) revert UnknownSourceVersion(version);
+        SourceVersion memory stored = sourceVersions[version - 1];
+        return (stored.sourceHash, stored.addedAt, sourcesByHash[stored.sourceHash]);
     }
 
-    /**
-     * @dev Evaluate prediction and execute trade if conditions are met
-     */
-    function _evaluateAndExecuteTrade(bytes32 requestId) internal {
-        PredictionRequest memory prediction = predictions[requestId];
-        
-        // Skip if anomaly detected
-        if (prediction.isAnomaly) return;
-        
-        // Skip if confidence too low
-        if (prediction.confidence < config.confidenceThreshold) return;
-        
-        // Check eco-score
-        uint256 ecoScore = getEcoScore();
-        if (ecoScore > config.ecoThreshold) {
-            emit EcoScoreChecked(ecoScore, config.ecoThreshold, false);
-            return;
-        }
-        emit EcoScoreChecked(ecoScore, config.ecoThreshold, true);
-
-        // Check if prediction suggests favorable trade
-        if (prediction.predictedPrice >= config.priceThreshold) {
-            // Calculate trade size based on confidence
-            uint256 baseAmount = config.maxTradeSize / 4; // 25% of max as base
-            uint256 confidenceMultiplier = (prediction.confidence * 3) / 10000; // 0-3x multiplier
-            uint256 tradeAmount = baseAmount + (baseAmount * confidenceMultiplier / 1000);
-            
-            tradeAmount = Math.min(tradeAmount, config.maxTradeSize);
-            
-            // Execute trade
-            _executePredictionTrade(requestId, tradeAmount);
-        }
+    function getSourceVersionCount() external view returns (uint256) {
+        return sourceVersions.length;
     }
 
     /**
-     * @dev Execute trade based on prediction
+     * @dev The CBOR payload the next prediction request will send to the DON
      */
-    function _executePredictionTrade(bytes32 requestId, uint256 amount) internal {
-        if (emergencyStop || paused()) return;
-        
-        _resetDailyVolumeIfNeeded();
-        
-        // Check limits
-        if (amount > config.maxTradeSize) return;
-        if (dailyTradeVolume + amount > config.dailyTradeLimit) return;
-        if (block.timestamp < lastTradeTimestamp + config.cooldownPeriod) return;
-
-        PredictionRequest memory prediction = predictions[requestId];
-        
-        try vault.executeTradeOnUniswap(
-            amount,
-            0, // Let vault handle slippage
-            _getPath(),
-            block.timestamp + 300 // 5 minute deadline
-        ) {
-            // Update tracking
-            lastTradeTimestamp = block.timestamp;
-            dailyTradeVolume += amount;
-            totalTrades++;
-            successfulTrades++;
-
-            emit TradeTriggered(
-                totalTrades,
-                requestId,
-                amount,
-                prediction.currentPrice,
-                prediction.predictedPrice,
-                prediction.confidence
-            );
-        } catch {
-            // Trade failed, don't update counters
-        }
+    function getPredictionRequestData() external view returns (bytes memory) {
+        return EnhancedBuilderAgentTrading(tradingModule).encodeRequest(
+            predictionParams,
+            _activeSource(),
+            predictionSecrets
+        );
     }
 
     /**
-     * @dev Get trading path
+     * @dev Oracle-derived floor for the targetToken received for `amount` of the vault
+     * asset: the aggregated price converted between token decimals, less config.maxSlippage
      */
-    function _getPath() internal view returns (address[] memory) {
-        address[] memory path = new address[](2);
-        path[0] = vaultAsset;
-        path[1] = targetToken;
-        return path;
+    function getMinimumOutput(uint256 amount) external view returns (uint256) {
+        return _minimumOutput(amount, _latestPrice());
     }
 
     /**
-     * @dev Manual trade trigger with prediction validation
+     * @dev Swap path used for prediction trades
      */
-    function triggerPredictionTrade(bytes32 requestId, uint256 amount) 
-        external 
-        onlyRole(AI_ROLE) 
-        nonReentrant 
-        whenNotPaused 
-    {
-        PredictionRequest memory prediction = predictions[requestId];
-        require(prediction.fulfilled, "Prediction not fulfilled");
-        require(!prediction.isAnomaly, "Anomaly detected");
-        require(prediction.confidence >= config.confidenceThreshold, "Confidence too low");
-
-        _executePredictionTrade(requestId, amount);
+    function getTradePath() external view returns (address[] memory) {
+        return _getPath();
     }
 
     /**
      * @dev Claim prediction NFT (for high-confidence predictions)
      */
     function claimPredictionNFT(uint256 tokenId) external {
-        require(_exists(tokenId), "Token does not exist");
+        require(_ownerOf(tokenId) != address(0), "Token does not exist");
         require(ownerOf(tokenId) == address(this), "Token already claimed");
         require(hasRole(AI_ROLE, msg.sender) || hasRole(DEFAULT_ADMIN_ROLE, msg.sender), "Unauthorized");
-        
+
         _transfer(address(this), msg.sender, tokenId);
     }
 
     /**
-     * @dev Emergency stop
+     * @dev Whether the fleet guardian has halted this agent's vault
      */
-    function activateEmergencyStop(string calldata reason) external onlyRole(EMERGENCY_ROLE) {
-        emergencyStop = true;
-        emergencyStopTimestamp = block.timestamp;
-        emit EmergencyStopActivated(msg.sender, reason);
+    function isFleetHalted() external view returns (bool) {
+        return _isFleetHalted();
     }
 
     /**
-     * @dev Update configuration
+     * @dev Get comprehensive stats including predictions
      */
-    function updateConfig(TradingConfig calldata newConfig) external onlyRole(DEFAULT_ADMIN_ROLE) {
-        require(newConfig.priceThreshold > 0, "Invalid threshold");
-        require(newConfig.maxTradeSize > 0, "Invalid trade size");
-        require(newConfig.confidenceThreshold <= 10000, "Invalid confidence");
-        require(newConfig.deviationThreshold <= 5000, "Deviation too high");
-
-        TradingConfig memory oldConfig = config;
-        config = newConfig;
-        emit ConfigUpdated(oldConfig, newConfig);
+    function getAdvancedStats() external view returns (
+        uint256 totalPredictions,
+        uint256 successfulPredictions,
+        uint256 averageConfidence,
+        uint256 anomalyCount,
+        uint256 nftsMinted
+    ) {
+        PredictionStats memory stats = predictionStats;
+        return (
+            stats.requested,
+            stats.fulfilled,
+            stats.fulfilled > 0 ? stats.cumulativeConfidence / stats.fulfilled : 0,
+            stats.anomalies,
+            _predictionTokenIds
+        );
     }
 
     /**
-     * @dev Set keeper registry address
+     * @dev Prediction accuracy against realized prices (basis points)
      */
-    function setKeeperRegistry(address _keeperRegistry) external onlyRole(DEFAULT_ADMIN_ROLE) {
-        keeperRegistryAddress = _keeperRegistry;
+    function getPredictionAccuracy() external view returns (
+        uint256 scoredPredictions,
+        uint256 accuratePredictions,
+        uint256 accuracyBps,
+        uint256 averageErrorBps
+    ) {
+        PredictionStats memory stats = predictionStats;
+        if (stats.scored == 0) return (0, 0, 0, 0);
+        return (
+            stats.scored,
+            stats.accurate,
+            uint256(stats.accurate) * 10000 / stats.scored,
+            stats.cumulativeErrorBps / stats.scored
+        );
     }
 
-    /**
-     * @dev Update compliance engine
-     */
-    function setComplianceEngine(address _complianceEngine) external onlyRole(DEFAULT_ADMIN_ROLE) {
-        complianceEngine = IComplianceEngine(_complianceEngine);
+    // Predictions and trading, implemented by EnhancedBuilderAgentTrading
+
+    function performUpkeep(bytes calldata) external override {
+        _delegate(tradingModule);
     }
 
-    /**
-     * @dev Update eco feed
-     */
-    function setEcoFeed(address _ecoFeed) external onlyRole(DEFAULT_ADMIN_ROLE) {
-        ecoFeed = AggregatorV3Interface(_ecoFeed);
+    function handleOracleFulfillment(bytes32, bytes memory, bytes memory) external override {
+        _delegate(tradingModule);
     }
 
-    // Internal helper functions
-    function _resetDailyVolumeIfNeeded() internal {
-        if (block.timestamp >= lastDayReset + 1 days) {
-            dailyTradeVolume = 0;
-            lastDayReset = block.timestamp;
-        }
+    function requestPricePrediction() external {
+        _delegate(tradingModule);
+    }
+
+    function expirePendingPrediction() external {
+        _delegate(tradingModule);
+    }
+
+    function triggerPredictionTrade(bytes32, uint256) external {
+        _delegate(tradingModule);
+    }
+
+    // Configuration and governance, implemented by EnhancedBuilderAgentAdmin
+
+    function setPredictionRetryPolicy(uint256, uint256) external {
+        _delegate(adminModule);
+    }
+
+    function setPredictionParams(PredictionParams calldata) external {
+        _delegate(adminModule);
+    }
+
+    function setPredictionSource(string calldata) external returns (uint256) {
+        return abi.decode(_delegate(adminModule), (uint256));
+    }
+
+    function activatePredictionSource(uint256) external {
+        _delegate(adminModule);
+    }
+
+    function setRemoteSecrets(bytes calldata) external {
+        _delegate(adminModule);
+    }
+
+    function setDONHostedSecrets(uint8, uint64) external {
+        _delegate(adminModule);
+    }
+
+    function clearSecrets() external {
+        _delegate(adminModule);
+    }
+
+    function activateEmergencyStop(string calldata) external {
+        _delegate(adminModule);
+    }
+
+    function proposeChange(bytes calldata) external returns (bytes32) {
+        return abi.decode(_delegate(adminModule), (bytes32));
+    }
+
+    function executeChange(bytes calldata) external {
+        _delegate(adminModule);
+    }
+
+    function cancelChange(bytes32) external {
+        _delegate(adminModule);
+    }
+
+    function setGovernanceDelay(uint256) external {
+        _delegate(adminModule);
+    }
+
+    function updateConfig(TradingConfig calldata) external {
+        _delegate(adminModule);
+    }
+
+    function setKeeperRegistry(address) external {
+        _delegate(adminModule);
+    }
+
+    function setComplianceEngine(address) external {
+        _delegate(adminModule);
+    }
+
+    function setGuardian(address) external {
+        _delegate(adminModule);
+    }
+
+    function setTradeRoute(address[] calldata) external {
+        _delegate(adminModule);
+    }
+
+    function addPriceSource(address) external {
+        _delegate(adminModule);
+    }
+
+    function removePriceSource(address) external {
+        _delegate(adminModule);
+    }
+
+    function resetReferencePrice() external {
+        _delegate(adminModule);
+    }
+
+    function setEcoFeed(address) external {
+        _delegate(adminModule);
     }
 
     /**
-     * @dev Get comprehensive stats including predictions
+     * @dev Run the current call in `module` on this agent's storage, bubbling up reverts
      */
-    function getAdvancedStats() external view returns (
-        uint256 totalPredictions,
-        uint256 successfulPredictions,
-        uint256 averageConfidence,
-        uint256 anomalyCount,
-        uint256 nftsMinted
-    ) {
-        // Implementation would iterate through predictions mapping
-        // For gas efficiency, consider using counters in production
-        return (0, 0, 0, 0, _predictionTokenIds.current());
+    function _delegate(address module) internal returns (bytes memory) {
+        return Address.functionDelegateCall(module, msg.data);
     }
 
     /**
@@ -555,12 +427,3 @@ contract EnhancedBuilderAgent is
         revert("Contract does not accept ETH");
     }
 }
-
-/**
- * @dev Compliance Engine Interface for 2025 regulatory features
- */
-interface IComplianceEngine {
-    function validatePrediction(bytes32 requestId, uint256 predictedPrice) external view returns (bool);
-    function validateTrader(address trader) external view returns (bool);
-    function getComplianceScore(address asset) external view returns (uint256);
-}
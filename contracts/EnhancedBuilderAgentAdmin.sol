@@ -0,0 +1,274 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/utils/Address.sol";
+import "./EnhancedBuilderAgentStorage.sol";
+
+/**
+ * @title EnhancedBuilderAgentAdmin
+ * @dev Configuration and governance of EnhancedBuilderAgent: governed changes, prediction
+ * request settings, trade route, price sources and emergency stop. Deployed once and
+ * shared; agents DELEGATECALL into it, so it must not hold state of its own.
+ * @author Cuttlefish Labs
+ */
+contract EnhancedBuilderAgentAdmin is EnhancedBuilderAgentStorage {
+    /**
+     * @dev Update how long requests may stay unanswered and the base retry delay after failures
+     */
+    function setPredictionRetryPolicy(uint256 timeout, uint256 retryDelay) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(timeout > 0, "Invalid timeout");
+        require(retryDelay > 0, "Invalid retry delay");
+
+        predictionTimeout = timeout;
+        predictionRetryDelay = retryDelay;
+        emit PredictionRetryPolicyUpdated(timeout, retryDelay);
+    }
+
+    /**
+     * @dev Point prediction requests at a different model server, pair, timeframe or feature set
+     */
+    function setPredictionParams(PredictionParams calldata params) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(bytes(params.endpoint).length > 0, "Invalid endpoint");
+        require(bytes(params.symbol).length > 0, "Invalid symbol");
+        require(bytes(params.timeframe).length > 0, "Invalid timeframe");
+        require(
+            params.features.length > 0 && params.features.length <= MAX_PREDICTION_FEATURES,
+            "Invalid feature count"
+        );
+        for (uint256 i = 0; i < params.features.length; i++) {
+            bytes memory feature = bytes(params.features[i]);
+            require(feature.length > 0, "Invalid feature");
+            for (uint256 j = 0; j < feature.length; j++) {
+                require(feature[j] != ",", "Invalid feature");
+            }
+        }
+
+        predictionParams = params;
+        emit PredictionParamsUpdated(params.endpoint, params.symbol, params.timeframe, params.features);
+    }
+
+    /**
+     * @dev Store a new prediction source and run it for subsequent requests. Returns its version.
+     */
+    function setPredictionSource(string calldata source) external onlyRole(DEFAULT_ADMIN_ROLE) returns (uint256) {
+        require(bytes(source).length > 0, "Invalid source");
+
+        uint256 version = _addSource(source);
+        _activateSource(version);
+        return version;
+    }
+
+    /**
+     * @dev Switch back to a previously stored source version
+     */
+    function activatePredictionSource(uint256 version) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (version == 0 || version > sourceVersions.length) revert UnknownSourceVersion(version);
+        _activateSource(version);
+    }
+
+    /**
+     * @dev Use remotely hosted secrets, referenced by their encrypted URLs
+     */
+    function setRemoteSecrets(bytes calldata encryptedSecretsReference) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(encryptedSecretsReference.length > 0, "Invalid secrets reference");
+
+        predictionSecrets = PredictionSecrets({
+            location: SecretsLocation.Remote,
+            encryptedSecretsReference: encryptedSecretsReference,
+            slotId: 0,
+            version: 0
+        });
+        emit PredictionSecretsUpdated(SecretsLocation.Remote);
+    }
+
+    /**
+     * @dev Use secrets uploaded to the DON
+     */
+    function setDONHostedSecrets(uint8 slotId, uint64 version) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(version > 0, "Invalid secrets version");
+
+        predictionSecrets = PredictionSecrets({
+            location: SecretsLocation.DONHosted,
+            encryptedSecretsReference: "",
+            slotId: slotId,
+            version: version
+        });
+        emit PredictionSecretsUpdated(SecretsLocation.DONHosted);
+    }
+
+    /**
+     * @dev Send requests without secrets
+     */
+    function clearSecrets() external onlyRole(DEFAULT_ADMIN_ROLE) {
+        delete predictionSecrets;
+        emit PredictionSecretsUpdated(SecretsLocation.None);
+    }
+
+    /**
+     * @dev Emergency stop
+     */
+    function activateEmergencyStop(string calldata reason) external onlyRole(EMERGENCY_ROLE) {
+        emergencyStop = true;
+        emergencyStopTimestamp = block.timestamp;
+        emit EmergencyStopActivated(msg.sender, reason);
+    }
+
+    /**
+     * @dev Queue a call to a governed setter, ABI-encoded in `data`, for execution
+     * once governanceDelay has passed. Returns its changeId, the hash of `data`.
+     */
+    function proposeChange(bytes calldata data) external onlyRole(DEFAULT_ADMIN_ROLE) returns (bytes32 changeId) {
+        bytes4 selector = bytes4(data);
+        if (
+            selector != this.updateConfig.selector &&
+            selector != this.setTradeRoute.selector &&
+            selector != this.addPriceSource.selector &&
+            selector != this.removePriceSource.selector &&
+            selector != this.setComplianceEngine.selector &&
+            selector != this.setEcoFeed.selector &&
+            selector != this.setKeeperRegistry.selector &&
+            selector != this.setGuardian.selector &&
+            selector != this.setGovernanceDelay.selector
+        ) revert ChangeNotGoverned(selector);
+
+        changeId = keccak256(data);
+        if (pendingChanges[changeId] != 0) revert ChangeAlreadyProposed(changeId);
+
+        uint256 executableAt = block.timestamp + governanceDelay;
+        pendingChanges[changeId] = executableAt;
+        emit ChangeProposed(changeId, selector, data, executableAt);
+    }
+
+    /**
+     * @dev Apply a proposed change whose delay has passed
+     */
+    function executeChange(bytes calldata data) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        bytes32 changeId = keccak256(data);
+        uint256 executableAt = pendingChanges[changeId];
+        if (executableAt == 0) revert ChangeNotPending(changeId);
+        if (block.timestamp < executableAt) revert ChangeNotReady(changeId, executableAt);
+
+        delete pendingChanges[changeId];
+        Address.functionCall(address(this), data);
+        emit ChangeExecuted(changeId, msg.sender);
+    }
+
+    /**
+     * @dev Drop a proposed change before it executes
+     */
+    function cancelChange(bytes32 changeId) external onlyRole(EMERGENCY_ROLE) {
+        if (pendingChanges[changeId] == 0) revert ChangeNotPending(changeId);
+
+        delete pendingChanges[changeId];
+        emit ChangeCancelled(changeId, msg.sender);
+    }
+
+    /**
+     * @dev Update the delay between proposing and executing governed changes (governed)
+     */
+    function setGovernanceDelay(uint256 newDelay) external onlyGovernance {
+        require(newDelay >= MIN_GOVERNANCE_DELAY, "Governance delay too short");
+        require(newDelay <= MAX_GOVERNANCE_DELAY, "Governance delay too long");
+
+        emit GovernanceDelayUpdated(governanceDelay, newDelay);
+        governanceDelay = newDelay;
+    }
+
+    /**
+     * @dev Update configuration (governed)
+     */
+    function updateConfig(TradingConfig calldata newConfig) external onlyGovernance {
+        require(newConfig.priceThreshold > 0, "Invalid threshold");
+        require(newConfig.maxTradeSize > 0, "Invalid trade size");
+        require(newConfig.maxSlippage <= 1000, "Slippage too high");
+        require(newConfig.confidenceThreshold <= 10000, "Invalid confidence");
+        require(newConfig.deviationThreshold <= 5000, "Deviation too high");
+
+        TradingConfig memory oldConfig = config;
+        config = newConfig;
+        emit ConfigUpdated(oldConfig, newConfig);
+    }
+
+    /**
+     * @dev Set keeper registry address (governed)
+     */
+    function setKeeperRegistry(address _keeperRegistry) external onlyGovernance {
+        emit KeeperRegistryUpdated(keeperRegistryAddress, _keeperRegistry);
+        keeperRegistryAddress = _keeperRegistry;
+    }
+
+    /**
+     * @dev Update compliance engine (governed)
+     */
+    function setComplianceEngine(address _complianceEngine) external onlyGovernance {
+        require(_complianceEngine != address(0), "Invalid compliance engine");
+        emit ComplianceEngineUpdated(address(complianceEngine), _complianceEngine);
+        complianceEngine = IComplianceEngine(_complianceEngine);
+    }
+
+    /**
+     * @dev Update fleet guardian (governed; zero for none)
+     */
+    function setGuardian(address _guardian) external onlyGovernance {
+        emit GuardianUpdated(address(guardian), _guardian);
+        guardian = IFleetGuardian(_guardian);
+    }
+
+    /**
+     * @dev Route prediction trades through intermediate tokens (governed; empty for a direct swap)
+     */
+    function setTradeRoute(address[] calldata intermediates) external onlyGovernance {
+        require(intermediates.length + 2 <= MAX_PATH_LENGTH, "Route too long");
+        for (uint256 i = 0; i < intermediates.length; i++) {
+            require(
+                intermediates[i] != address(0) && intermediates[i] != vaultAsset && intermediates[i] != targetToken,
+                "Invalid route"
+            );
+        }
+
+        routeIntermediates = intermediates;
+        emit TradeRouteUpdated(intermediates);
+    }
+
+    /**
+     * @dev Add a price source to the median (governed)
+     */
+    function addPriceSource(address feed) external onlyGovernance {
+        PriceAggregation.addSource(additionalPriceFeeds, address(priceFeed), feed);
+        emit PriceSourceAdded(feed);
+    }
+
+    /**
+     * @dev Remove an additional price source (governed)
+     */
+    function removePriceSource(address feed) external onlyGovernance {
+        PriceAggregation.removeSource(additionalPriceFeeds, feed);
+        emit PriceSourceRemoved(feed);
+    }
+
+    /**
+     * @dev Accept the current aggregated price as the circuit breaker reference after a
+     * genuine market move has tripped it
+     */
+    function resetReferencePrice() external onlyRole(DEFAULT_ADMIN_ROLE) {
+        uint256 currentPrice = _latestPrice();
+
+        uint256 oldPrice = lastValidPrice;
+        lastValidPrice = currentPrice;
+
+        emit ReferencePriceReset(oldPrice, currentPrice);
+    }
+
+    /**
+     * @dev Update eco feed (governed). config.ecoThreshold is in feed units, so a
+     * replacement must use the same decimals.
+     */
+    function setEcoFeed(address _ecoFeed) external onlyGovernance {
+        require(_ecoFeed != address(0), "Invalid eco feed");
+        if (address(ecoFeed) != address(0)) {
+            require(AggregatorV3Interface(_ecoFeed).decimals() == ecoFeed.decimals(), "Eco feed decimals mismatch");
+        }
+        emit EcoFeedUpdated(address(ecoFeed), _ecoFeed);
+        ecoFeed = AggregatorV3Interface(_ecoFeed);
+    }
+}
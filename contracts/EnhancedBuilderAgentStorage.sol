@@ -0,0 +1,384 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/Pausable.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "@openzeppelin/contracts/token/ERC721/ERC721.sol";
+import "./CuttlefishVault.sol";
+import "./PriceAggregation.sol";
+import "./IComplianceEngine.sol";
+import "./IFleetGuardian.sol";
+import "@chainlink/contracts/src/v0.8/interfaces/AggregatorV3Interface.sol";
+import "@chainlink/contracts/src/v0.8/functions/dev/v1_0_0/interfaces/IFunctionsRouter.sol";
+
+/**
+ * @title EnhancedBuilderAgentStorage
+ * @dev State, events and shared internals of EnhancedBuilderAgent. The agent and its
+ * trading and admin modules all inherit this contract and the modules run on the
+ * agent's storage through DELEGATECALL, so state is declared here and nowhere else.
+ * @author Cuttlefish Labs
+ */
+abstract contract EnhancedBuilderAgentStorage is AccessControl, ReentrancyGuard, Pausable, ERC721 {
+    // Role definitions
+    bytes32 public constant OPERATOR_ROLE = keccak256("OPERATOR_ROLE");
+    bytes32 public constant EMERGENCY_ROLE = keccak256("EMERGENCY_ROLE");
+    bytes32 public constant AI_ROLE = keccak256("AI_ROLE");
+    bytes32 public constant KEEPER_ROLE = keccak256("KEEPER_ROLE");
+
+    // Core contracts
+    CuttlefishVault public vault;
+    address public vaultAsset;
+    address public targetToken;
+    AggregatorV3Interface public priceFeed; // Primary price source
+    AggregatorV3Interface[] internal additionalPriceFeeds;
+    address[] internal routeIntermediates; // Hops between vaultAsset and targetToken
+    uint256 public constant MAX_PATH_LENGTH = 4;
+    AggregatorV3Interface public ecoFeed; // Carbon/ESG oracle
+    IComplianceEngine public complianceEngine;
+    IFleetGuardian public guardian; // Fleet-wide circuit breaker, if any
+
+    // Two-step governance: config, trade route, price sources, compliance engine, eco feed,
+    // keeper registry, fleet guardian and the delay itself only change through executeChange,
+    // governanceDelay after proposeChange. EMERGENCY_ROLE may cancel pending changes.
+    uint256 public constant MIN_GOVERNANCE_DELAY = 1 hours;
+    uint256 public constant MAX_GOVERNANCE_DELAY = 30 days;
+    uint256 public governanceDelay;
+    mapping(bytes32 => uint256) public pendingChanges; // changeId => earliest execution time
+
+    // Chainlink Functions & Automation
+    IFunctionsRouter internal functionsRouter;
+    uint64 public subscriptionId;
+    bytes32 public donId;
+    address public keeperRegistryAddress;
+    uint32 public constant CALLBACK_GAS_LIMIT = 300000; // Callbacks only store the answer, see ReviewPrediction
+
+    // AI Prediction System
+    enum PredictionFailure {
+        None,
+        CallbackError, // The DON returned an error instead of a response
+        NonCompliant, // Rejected by the compliance engine
+        InvalidPayload, // Response could not be decoded or failed validation
+        Expired // No callback within predictionTimeout
+    }
+
+    struct PredictionRequest {
+        bytes32 requestId;
+        uint256 timestamp;
+        uint256 currentPrice;
+        bool fulfilled;
+        uint256 predictedPrice;
+        uint256 confidence;
+        bool isAnomaly;
+        uint256 expiresAt;
+        PredictionFailure failure;
+        uint256 sourceVersion; // Prediction source the request ran
+    }
+
+    struct TradingConfig {
+        uint256 priceThreshold;
+        uint256 maxTradeSize;
+        uint256 dailyTradeLimit;
+        uint256 cooldownPeriod;
+        uint256 maxSlippage;
+        uint256 confidenceThreshold;
+        uint256 deviationThreshold; // Max allowed price deviation (basis points)
+        uint256 ecoThreshold; // Max eco-impact score
+        uint256 predictionInterval; // Time between predictions
+    }
+
+    TradingConfig public config;
+
+    // State tracking
+    mapping(bytes32 => PredictionRequest) public predictions;
+    mapping(uint256 => bytes32) public dayToPredictionId; // Daily prediction tracking
+    uint256 internal _predictionTokenIds;
+
+    uint256 public lastPredictionTime;
+    uint256 public lastTradeTimestamp;
+    uint256 public dailyTradeVolume;
+    uint256 public lastDayReset;
+    uint256 public totalTrades;
+    uint256 public successfulTrades;
+    uint256 public pendingRequestsCount;
+    bytes32 public pendingRequestId; // Outstanding Functions request, if any
+    bytes32 public pendingReviewRequestId; // Answered prediction awaiting review by upkeep
+
+    // Unanswered requests expire after predictionTimeout. After a failed request the next
+    // one is due predictionRetryDelay later, doubling with each consecutive failure and
+    // capped at the regular predictionInterval schedule.
+    uint256 public predictionTimeout = 15 minutes;
+    uint256 public predictionRetryDelay = 1 minutes;
+    uint256 public consecutivePredictionFailures;
+    uint256 public lastPredictionFailureTime;
+
+    // Running prediction counters, kept in storage so stats need no iteration
+    struct PredictionStats {
+        uint64 requested;
+        uint64 fulfilled;
+        uint64 failed; // Error callbacks from the DON
+        uint64 nonCompliant;
+        uint64 invalid; // Responses that failed decoding or validation
+        uint64 expired;
+        uint64 anomalies;
+        uint64 scored; // Fulfilled predictions compared against the realized price
+        uint64 accurate; // Scored predictions within deviationThreshold of the realized price
+        uint128 cumulativeConfidence;
+        uint128 cumulativeErrorBps;
+    }
+
+    PredictionStats public predictionStats;
+
+    // Latest fulfilled prediction, scored against the first price round after fulfillment
+    bytes32 public unscoredRequestId;
+    uint80 public unscoredRoundId;
+
+    // Chainlink Automation work items, encoded as the first word of performData
+    enum UpkeepAction {
+        RequestPrediction,
+        ReviewPrediction,
+        ExpirePrediction
+    }
+
+    // Price validation
+    uint256 public constant MAX_PRICE_AGE = 1 hours;
+    uint256 public constant MIN_PRICE_DEVIATION = 500; // 5% circuit breaker
+    uint256 public lastValidPrice; // Circuit breaker reference, checked against config.deviationThreshold
+
+    // Emergency controls
+    bool public emergencyStop;
+    uint256 public emergencyStopTimestamp;
+
+    // Request parameters passed to the prediction source as args
+    struct PredictionParams {
+        string endpoint; // Model server base URL; the source POSTs to `${endpoint}/predict`
+        string symbol;
+        string timeframe;
+        string[] features; // Sent comma-separated, so entries may not contain commas
+    }
+
+    uint256 public constant MAX_PREDICTION_FEATURES = 8;
+    PredictionParams internal predictionParams;
+
+    // Every source the agent has run, stored once by keccak256 hash; versions are 1-based
+    struct SourceVersion {
+        bytes32 sourceHash;
+        uint256 addedAt;
+    }
+
+    SourceVersion[] internal sourceVersions;
+    mapping(bytes32 => string) internal sourcesByHash;
+    uint256 public activeSourceVersion;
+
+    // Encrypted secrets the source reads from `secrets` (e.g. secrets.apiKey)
+    enum SecretsLocation {
+        None,
+        Remote, // Encrypted reference to off-chain hosted secrets
+        DONHosted // Secrets uploaded to the DON, by slot and version
+    }
+
+    struct PredictionSecrets {
+        SecretsLocation location;
+        bytes encryptedSecretsReference;
+        uint8 slotId;
+        uint64 version;
+    }
+
+    PredictionSecrets internal predictionSecrets;
+
+    // Events
+    event PredictionRequested(bytes32 indexed requestId, uint256 currentPrice, uint256 timestamp);
+    event PredictionFulfilled(
+        bytes32 indexed requestId,
+        uint256 predictedPrice,
+        uint256 confidence,
+        bool isAnomaly,
+        uint256 tokenId
+    );
+    event TradeTriggered(
+        uint256 indexed tradeId,
+        bytes32 indexed predictionId,
+        uint256 amountIn,
+        uint256 currentPrice,
+        uint256 predictedPrice,
+        uint256 confidence
+    );
+    event ComplianceValidated(bytes32 indexed requestId, bool isCompliant);
+    event PredictionReceived(bytes32 indexed requestId);
+    event PredictionScored(
+        bytes32 indexed requestId,
+        uint256 predictedPrice,
+        uint256 realizedPrice,
+        uint256 errorBps,
+        bool accurate
+    );
+    event EcoScoreChecked(uint256 score, uint256 threshold, bool passed);
+    event EmergencyStopActivated(address indexed activator, string reason);
+    event ConfigUpdated(TradingConfig oldConfig, TradingConfig newConfig);
+    event TradeRouteUpdated(address[] intermediates);
+    event PriceSourceAdded(address indexed feed);
+    event PriceSourceRemoved(address indexed feed);
+    event ReferencePriceReset(uint256 oldPrice, uint256 newPrice);
+    event PriceCircuitBreakerTripped(bytes32 indexed requestId, uint256 price, uint256 referencePrice);
+    event PriceCheckFailed(bytes32 indexed requestId, bytes reason);
+    event PredictionTradeFailed(bytes32 indexed requestId, bytes reason);
+    event TradeNotCompliant(bytes32 indexed requestId, address indexed trader, IComplianceEngine.ReasonCode reason);
+    event ComplianceCheckFailed(bytes32 indexed requestId, bytes reason);
+    event PredictionFailed(bytes32 indexed requestId, PredictionFailure reason, bytes details);
+    event PredictionRetryPolicyUpdated(uint256 timeout, uint256 retryDelay);
+    event PredictionParamsUpdated(string endpoint, string symbol, string timeframe, string[] features);
+    event PredictionSourceActivated(uint256 indexed version, bytes32 indexed sourceHash);
+    event PredictionSecretsUpdated(SecretsLocation location);
+    event ChangeProposed(bytes32 indexed changeId, bytes4 indexed selector, bytes data, uint256 executableAt);
+    event ChangeExecuted(bytes32 indexed changeId, address indexed executor);
+    event ChangeCancelled(bytes32 indexed changeId, address indexed canceller);
+    event GovernanceDelayUpdated(uint256 oldDelay, uint256 newDelay);
+    event KeeperRegistryUpdated(address indexed oldRegistry, address indexed newRegistry);
+    event ComplianceEngineUpdated(address indexed oldEngine, address indexed newEngine);
+    event GuardianUpdated(address indexed oldGuardian, address indexed newGuardian);
+    event EcoFeedUpdated(address indexed oldFeed, address indexed newFeed);
+
+    // Chainlink Functions client events
+    event RequestSent(bytes32 indexed id);
+    event RequestFulfilled(bytes32 indexed id);
+
+    // Custom errors
+    error InvalidPrice();
+    error PriceDataStale();
+    error InvalidPrediction();
+    error PredictionNotReady();
+    error ComplianceViolation();
+    error EcoThresholdExceeded();
+    error PendingRequestExists();
+    error UnauthorizedKeeper();
+    error NoPendingReview();
+    error NoPendingRequest();
+    error PredictionNotExpired(bytes32 requestId, uint256 expiresAt);
+    error UnknownSourceVersion(uint256 version);
+    error UnauthorizedAccess();
+    error ChangeNotGoverned(bytes4 selector);
+    error ChangeAlreadyProposed(bytes32 changeId);
+    error ChangeNotPending(bytes32 changeId);
+    error ChangeNotReady(bytes32 changeId, uint256 executableAt);
+    error PriceSourcesDisagree(uint256 spreadBps);
+    error OnlyRouterCanFulfill();
+
+    // Governed setters run only as part of executeChange
+    modifier onlyGovernance() {
+        if (msg.sender != address(this)) revert UnauthorizedAccess();
+        _;
+    }
+
+    constructor() ERC721("CuttlefishPredictions", "CFPRED") {}
+
+    /**
+     * @dev Median price across all sources, with the feeds that contributed to it.
+     * Stale or invalid sources are skipped; reverts if none are usable or if the
+     * usable ones disagree by more than config.deviationThreshold.
+     */
+    function _aggregatedPrice() internal view returns (uint256 price, uint256 updatedAt, address[] memory sources) {
+        PriceAggregation.Result memory result = PriceAggregation.aggregate(_priceSources(), MAX_PRICE_AGE);
+
+        if (result.sources.length == 0) {
+            if (result.invalidCount > 0) revert InvalidPrice();
+            revert PriceDataStale();
+        }
+        if (config.deviationThreshold > 0 && result.spreadBps > config.deviationThreshold) {
+            revert PriceSourcesDisagree(result.spreadBps);
+        }
+
+        return (result.price, result.updatedAt, result.sources);
+    }
+
+    function _latestPrice() internal view returns (uint256 price) {
+        (price, , ) = _aggregatedPrice();
+    }
+
+    function _priceSources() internal view returns (AggregatorV3Interface[] memory) {
+        return PriceAggregation.withPrimary(additionalPriceFeeds, priceFeed);
+    }
+
+    /**
+     * @dev Eco-impact score from the carbon oracle; max when unavailable so trades are blocked
+     */
+    function _ecoScore() internal view returns (uint256) {
+        if (address(ecoFeed) == address(0)) return 0;
+
+        try ecoFeed.latestRoundData() returns (
+            uint80, int256 score, uint256, uint256 updatedAt, uint80
+        ) {
+            if (score < 0 || updatedAt <= block.timestamp - MAX_PRICE_AGE) return type(uint256).max;
+            return uint256(score);
+        } catch {
+            return type(uint256).max; // Fail-safe: block trades if eco data unavailable
+        }
+    }
+
+    /**
+     * @dev When the next prediction is due: predictionInterval after the last request, or
+     * sooner while retrying after failures
+     */
+    function _nextPredictionTime() internal view returns (uint256) {
+        uint256 scheduled = lastPredictionTime + config.predictionInterval;
+        if (consecutivePredictionFailures == 0) return scheduled;
+
+        uint256 backoff = predictionRetryDelay << Math.min(consecutivePredictionFailures - 1, 16);
+        return Math.min(lastPredictionFailureTime + backoff, scheduled);
+    }
+
+    function _isFleetHalted() internal view returns (bool) {
+        return address(guardian) != address(0) && guardian.isHalted(address(vault));
+    }
+
+    /**
+     * @dev Oracle-derived floor for the targetToken received for `amount` of the vault
+     * asset: `price` converted between token decimals, less config.maxSlippage
+     */
+    function _minimumOutput(uint256 amount, uint256 price) internal view returns (uint256) {
+        uint256 expected = PriceAggregation.convert(amount, price, priceFeed.decimals(), vaultAsset, targetToken, false);
+        return (expected * (10000 - config.maxSlippage)) / 10000;
+    }
+
+    /**
+     * @dev Swap path used for prediction trades
+     */
+    function _getPath() internal view returns (address[] memory path) {
+        path = new address[](routeIntermediates.length + 2);
+        path[0] = vaultAsset;
+        for (uint256 i = 0; i < routeIntermediates.length; i++) {
+            path[i + 1] = routeIntermediates[i];
+        }
+        path[path.length - 1] = targetToken;
+    }
+
+    function _activeSource() internal view returns (string memory) {
+        return sourcesByHash[sourceVersions[activeSourceVersion - 1].sourceHash];
+    }
+
+    function _addSource(string memory source) internal returns (uint256) {
+        bytes32 sourceHash = keccak256(bytes(source));
+        if (bytes(sourcesByHash[sourceHash]).length == 0) sourcesByHash[sourceHash] = source;
+
+        sourceVersions.push(SourceVersion({sourceHash: sourceHash, addedAt: block.timestamp}));
+        return sourceVersions.length;
+    }
+
+    function _activateSource(uint256 version) internal {
+        activeSourceVersion = version;
+        emit PredictionSourceActivated(version, sourceVersions[version - 1].sourceHash);
+    }
+
+    /**
+     * @dev ERC721 and AccessControl both implement ERC165
+     */
+    function supportsInterface(bytes4 interfaceId)
+        public
+        view
+        virtual
+        override(AccessControl, ERC721)
+        returns (bool)
+    {
+        return super.supportsInterface(interfaceId);
+    }
+}
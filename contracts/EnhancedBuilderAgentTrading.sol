@@ -0,0 +1,450 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "@chainlink/contracts/src/v0.8/functions/dev/v1_0_0/interfaces/IFunctionsClient.sol";
+import "@chainlink/contracts/src/v0.8/functions/dev/v1_0_0/libraries/FunctionsRequest.sol";
+import "./EnhancedBuilderAgentStorage.sol";
+import "./EnhancedBuilderAgent.sol";
+
+/**
+ * @title EnhancedBuilderAgentTrading
+ * @dev Prediction and trading logic of EnhancedBuilderAgent: Chainlink Functions requests
+ * and callbacks, Automation upkeep, prediction scoring and prediction trades. Deployed
+ * once and shared; agents DELEGATECALL into it, so it must not hold state of its own.
+ * @author Cuttlefish Labs
+ */
+contract EnhancedBuilderAgentTrading is EnhancedBuilderAgentStorage, IFunctionsClient {
+    using FunctionsRequest for FunctionsRequest.Request;
+
+    /**
+     * @dev Chainlink Automation: Perform upkeep (request, review or expire a prediction).
+     * performData only selects the action: checkUpkeep's view may be stale by the time the
+     * keeper's transaction lands, so conditions are checked again and the price and time of a
+     * request are read on-chain.
+     */
+    function performUpkeep(bytes calldata performData) external {
+        _checkKeeper();
+        if (emergencyStop || paused() || _isFleetHalted()) return;
+
+        (UpkeepAction action, bytes memory data) = abi.decode(performData, (UpkeepAction, bytes));
+
+        if (action == UpkeepAction.ReviewPrediction) {
+            bytes32 requestId = abi.decode(data, (bytes32));
+            if (requestId == bytes32(0) || requestId != pendingReviewRequestId) revert NoPendingReview();
+            delete pendingReviewRequestId;
+            if (_reviewPrediction(requestId)) _evaluateAndExecuteTrade(requestId);
+        } else if (action == UpkeepAction.ExpirePrediction) {
+            if (abi.decode(data, (bytes32)) != pendingRequestId) revert NoPendingRequest();
+            _expirePendingPrediction();
+        } else {
+            if (block.timestamp < _nextPredictionTime()) return;
+            _requestPricePrediction(_latestPrice(), block.timestamp);
+        }
+    }
+
+    /**
+     * @dev Request AI price prediction via Chainlink Functions
+     */
+    function requestPricePrediction() external onlyRole(OPERATOR_ROLE) {
+        _requestPricePrediction(_latestPrice(), block.timestamp);
+    }
+
+    /**
+     * @dev Give up on a request the DON has not answered within predictionTimeout, so a
+     * new prediction can be requested. A late callback for it is ignored.
+     */
+    function expirePendingPrediction() external {
+        if (!hasRole(OPERATOR_ROLE, msg.sender)) _checkKeeper();
+        _expirePendingPrediction();
+    }
+
+    /**
+     * @dev Manual trade trigger with prediction validation
+     */
+    function triggerPredictionTrade(bytes32 requestId, uint256 amount)
+        external
+        onlyRole(AI_ROLE)
+        nonReentrant
+        whenNotPaused
+    {
+        PredictionRequest memory prediction = predictions[requestId];
+        require(prediction.fulfilled, "Prediction not fulfilled");
+        require(!prediction.isAnomaly, "Anomaly detected");
+        require(prediction.confidence >= config.confidenceThreshold, "Confidence too low");
+
+        _executePredictionTrade(requestId, amount);
+    }
+
+    /**
+     * @dev Chainlink Functions callback entry point, only callable by the router
+     */
+    function handleOracleFulfillment(bytes32 requestId, bytes memory response, bytes memory err) external override {
+        if (msg.sender != address(functionsRouter)) revert OnlyRouterCanFulfill();
+        _fulfillRequest(requestId, response, err);
+        emit RequestFulfilled(requestId);
+    }
+
+    /**
+     * @dev CBOR payload of a prediction request running `source` with `params` and `secrets`
+     */
+    function encodeRequest(
+        PredictionParams memory params,
+        string memory source,
+        PredictionSecrets memory secrets
+    ) public pure returns (bytes memory) {
+        string memory features = params.features[0];
+        for (uint256 i = 1; i < params.features.length; i++) {
+            features = string.concat(features, ",", params.features[i]);
+        }
+
+        string[] memory args = new string[](4);
+        args[0] = params.endpoint;
+        args[1] = params.symbol;
+        args[2] = params.timeframe;
+        args[3] = features;
+
+        FunctionsRequest.Request memory req;
+        req.initializeRequestForInlineJavaScript(source);
+        req.setArgs(args);
+
+        if (secrets.location == SecretsLocation.Remote) {
+            req.addSecretsReference(secrets.encryptedSecretsReference);
+        } else if (secrets.location == SecretsLocation.DONHosted) {
+            req.addDONHostedSecrets(secrets.slotId, secrets.version);
+        }
+
+        return req.encodeCBOR();
+    }
+
+    function _checkKeeper() internal view {
+        if (msg.sender != keeperRegistryAddress && !hasRole(KEEPER_ROLE, msg.sender)) {
+            revert UnauthorizedKeeper();
+        }
+    }
+
+    function _expirePendingPrediction() internal {
+        bytes32 requestId = pendingRequestId;
+        if (requestId == bytes32(0)) revert NoPendingRequest();
+        uint256 expiresAt = predictions[requestId].expiresAt;
+        if (block.timestamp < expiresAt) revert PredictionNotExpired(requestId, expiresAt);
+
+        predictionStats.expired++;
+        _failPrediction(requestId, PredictionFailure.Expired, "");
+    }
+
+    /**
+     * @dev Settle the pending request as failed and start backing off
+     */
+    function _failPrediction(bytes32 requestId, PredictionFailure reason, bytes memory details) internal {
+        predictions[requestId].failure = reason;
+        delete pendingRequestId;
+        pendingRequestsCount--;
+        consecutivePredictionFailures++;
+        lastPredictionFailureTime = block.timestamp;
+
+        emit PredictionFailed(requestId, reason, details);
+    }
+
+    function _requestPricePrediction(uint256 currentPrice, uint256 timestamp) internal {
+        if (pendingRequestsCount > 0) revert PendingRequestExists();
+        _scorePrediction();
+
+        bytes32 requestId = functionsRouter.sendRequest(
+            subscriptionId,
+            encodeRequest(predictionParams, _activeSource(), predictionSecrets),
+            FunctionsRequest.REQUEST_DATA_VERSION,
+            CALLBACK_GAS_LIMIT,
+            donId
+        );
+        emit RequestSent(requestId);
+
+        predictions[requestId] = PredictionRequest({
+            requestId: requestId,
+            timestamp: timestamp,
+            currentPrice: currentPrice,
+            fulfilled: false,
+            predictedPrice: 0,
+            confidence: 0,
+            isAnomaly: false,
+            expiresAt: block.timestamp + predictionTimeout,
+            failure: PredictionFailure.None,
+            sourceVersion: activeSourceVersion
+        });
+
+        pendingRequestId = requestId;
+        pendingRequestsCount++;
+        predictionStats.requested++;
+        lastPredictionTime = timestamp;
+
+        emit PredictionRequested(requestId, currentPrice, timestamp);
+    }
+
+    /**
+     * @dev Chainlink Functions callback. It runs on CALLBACK_GAS_LIMIT, so it only checks the
+     * payload and stores the answer; the next upkeep reviews it. Failures are recorded rather
+     * than reverted, since a reverted callback would leave the request pending.
+     */
+    function _fulfillRequest(bytes32 requestId, bytes memory response, bytes memory err) internal {
+        // Only the outstanding request is settled; callbacks for expired requests are ignored
+        if (requestId == bytes32(0) || requestId != pendingRequestId) return;
+        PredictionRequest storage prediction = predictions[requestId];
+
+        if (err.length > 0) {
+            predictionStats.failed++;
+            _failPrediction(requestId, PredictionFailure.CallbackError, err);
+            return;
+        }
+
+        // Decode response: prediction (uint256) + confidence (uint256) + anomaly (uint256)
+        if (response.length < 96) {
+            predictionStats.invalid++;
+            _failPrediction(requestId, PredictionFailure.InvalidPayload, response);
+            return;
+        }
+
+        (uint256 predictedPrice, uint256 confidence, uint256 anomalyFlag) =
+            abi.decode(response, (uint256, uint256, uint256));
+
+        // Validate prediction
+        if (predictedPrice == 0 || confidence > 10000) {
+            predictionStats.invalid++;
+            _failPrediction(requestId, PredictionFailure.InvalidPayload, response);
+            return;
+        }
+
+        // The request stays counted as pending until reviewed, so no new one is sent meanwhile
+        prediction.predictedPrice = predictedPrice;
+        prediction.confidence = confidence;
+        prediction.isAnomaly = anomalyFlag == 1;
+        delete pendingRequestId;
+        pendingReviewRequestId = requestId;
+
+        emit PredictionReceived(requestId);
+    }
+
+    /**
+     * @dev Run an answered prediction past compliance, then count, score and (for 80%+
+     * confidence) mint it. Returns whether it was accepted.
+     */
+    function _reviewPrediction(bytes32 requestId) internal returns (bool) {
+        PredictionRequest storage prediction = predictions[requestId];
+        uint256 predictedPrice = prediction.predictedPrice;
+        uint256 confidence = prediction.confidence;
+
+        // Compliance check
+        bool isCompliant = true;
+        if (address(complianceEngine) != address(0)) {
+            try complianceEngine.reviewPrediction(requestId, predictedPrice) returns (bool compliant) {
+                isCompliant = compliant;
+            } catch {
+                isCompliant = false;
+            }
+        }
+
+        if (!isCompliant) {
+            emit ComplianceValidated(requestId, false);
+            predictionStats.nonCompliant++;
+            _failPrediction(requestId, PredictionFailure.NonCompliant, "");
+            return false;
+        }
+
+        prediction.fulfilled = true;
+        pendingRequestsCount--;
+        consecutivePredictionFailures = 0;
+
+        predictionStats.fulfilled++;
+        predictionStats.cumulativeConfidence += uint128(confidence);
+        if (prediction.isAnomaly) predictionStats.anomalies++;
+
+        // Score the previous prediction before this one takes its place
+        _scorePrediction();
+        _trackForScoring(requestId);
+
+        // Mint NFT for successful high-confidence predictions
+        uint256 tokenId = 0;
+        if (confidence >= 8000) { // 80%+ confidence
+            tokenId = ++_predictionTokenIds;
+            _mint(address(this), tokenId); // Mint to contract, can be claimed later
+        }
+
+        emit PredictionFulfilled(requestId, predictedPrice, confidence, prediction.isAnomaly, tokenId);
+        emit ComplianceValidated(requestId, true);
+        return true;
+    }
+
+    /**
+     * @dev Evaluate prediction and execute trade if conditions are met
+     */
+    function _evaluateAndExecuteTrade(bytes32 requestId) internal {
+        PredictionRequest memory prediction = predictions[requestId];
+
+        // Skip if anomaly detected
+        if (prediction.isAnomaly) return;
+
+        // Skip if confidence too low
+        if (prediction.confidence < config.confidenceThreshold) return;
+
+        // Check eco-score
+        uint256 ecoScore = _ecoScore();
+        if (ecoScore > config.ecoThreshold) {
+            emit EcoScoreChecked(ecoScore, config.ecoThreshold, false);
+            return;
+        }
+        emit EcoScoreChecked(ecoScore, config.ecoThreshold, true);
+
+        // Check if prediction suggests favorable trade
+        if (prediction.predictedPrice >= config.priceThreshold) {
+            // Calculate trade size based on confidence
+            uint256 baseAmount = config.maxTradeSize / 4; // 25% of max as base
+            uint256 confidenceMultiplier = (prediction.confidence * 3) / 10000; // 0-3x multiplier
+            uint256 tradeAmount = baseAmount + (baseAmount * confidenceMultiplier / 1000);
+
+            tradeAmount = Math.min(tradeAmount, config.maxTradeSize);
+
+            // Execute trade
+            _executePredictionTrade(requestId, tradeAmount);
+        }
+    }
+
+    /**
+     * @dev Execute trade based on prediction
+     */
+    function _executePredictionTrade(bytes32 requestId, uint256 amount) internal {
+        if (emergencyStop || paused() || _isFleetHalted()) return;
+
+        _scorePrediction();
+        _resetDailyVolumeIfNeeded();
+
+        // Check limits
+        if (amount > config.maxTradeSize) return;
+        if (dailyTradeVolume + amount > config.dailyTradeLimit) return;
+        if (block.timestamp < lastTradeTimestamp + config.cooldownPeriod) return;
+
+        // Circuit breaker: skip when sources disagree or the price moved too far since the last trade
+        uint256 currentPrice;
+        try EnhancedBuilderAgent(payable(address(this))).getLatestPrice() returns (uint256 price, uint256) {
+            currentPrice = price;
+        } catch (bytes memory reason) {
+            emit PriceCheckFailed(requestId, reason);
+            return;
+        }
+        if (
+            config.deviationThreshold > 0 &&
+            PriceAggregation.deviationBps(currentPrice, lastValidPrice) > config.deviationThreshold
+        ) {
+            emit PriceCircuitBreakerTripped(requestId, currentPrice, lastValidPrice);
+            return;
+        }
+
+        // The agent trades for the vault and must pass compliance itself, whoever triggered it.
+        // An engine that cannot decide is recorded and the trade skipped, like a failed price check.
+        if (address(complianceEngine) != address(0)) {
+            try complianceEngine.validateTrade(address(this), targetToken, amount, currentPrice) returns (
+                bool approved,
+                IComplianceEngine.ReasonCode reason
+            ) {
+                if (!approved) {
+                    emit TradeNotCompliant(requestId, address(this), reason);
+                    return;
+                }
+            } catch (bytes memory reason) {
+                emit ComplianceCheckFailed(requestId, reason);
+                return;
+            }
+        }
+
+        PredictionRequest memory prediction = predictions[requestId];
+
+        try vault.executeTradeOnUniswap(
+            amount,
+            _minimumOutput(amount, currentPrice),
+            _getPath(),
+            block.timestamp + 300 // 5 minute deadline
+        ) {
+            // Update tracking
+            lastTradeTimestamp = block.timestamp;
+            dailyTradeVolume += amount;
+            totalTrades++;
+            successfulTrades++;
+            lastValidPrice = currentPrice;
+
+            emit TradeTriggered(
+                totalTrades,
+                requestId,
+                amount,
+                prediction.currentPrice,
+                prediction.predictedPrice,
+                prediction.confidence
+            );
+            // Buys realize nothing, so only the guardian's volume limit covers this agent
+            if (address(guardian) != address(0)) guardian.recordTrade(address(vault), amount, 0);
+        } catch (bytes memory reason) {
+            // Trade failed (e.g. a fill below the oracle floor): count the attempt only
+            totalTrades++;
+            emit PredictionTradeFailed(requestId, reason);
+        }
+    }
+
+    // Internal helper functions
+    function _resetDailyVolumeIfNeeded() internal {
+        if (block.timestamp >= lastDayReset + 1 days) {
+            dailyTradeVolume = 0;
+            lastDayReset = block.timestamp;
+        }
+    }
+
+    /**
+     * @dev Remember a fulfilled prediction and the current price round so it can be
+     * scored once the feed publishes the next round
+     */
+    function _trackForScoring(bytes32 requestId) internal {
+        try priceFeed.latestRoundData() returns (uint80 roundId, int256, uint256, uint256, uint80) {
+            unscoredRequestId = requestId;
+            unscoredRoundId = roundId;
+        } catch {
+            // Feed unavailable: leave this prediction unscored
+        }
+    }
+
+    /**
+     * @dev Compare the tracked prediction with the price realized at the next feed round.
+     * Does nothing until that round exists; a prediction still unscored when the next one
+     * is fulfilled is replaced.
+     */
+    function _scorePrediction() internal {
+        bytes32 requestId = unscoredRequestId;
+        if (requestId == bytes32(0)) return;
+
+        uint80 nextRoundId = unscoredRoundId + 1;
+        try priceFeed.latestRoundData() returns (uint80 latestRoundId, int256, uint256, uint256, uint80) {
+            if (latestRoundId < nextRoundId) return;
+        } catch {
+            return;
+        }
+
+        int256 realized;
+        try priceFeed.getRoundData(nextRoundId) returns (uint80, int256 answer, uint256, uint256, uint80) {
+            realized = answer;
+        } catch {
+            realized = 0;
+        }
+
+        delete unscoredRequestId;
+        delete unscoredRoundId;
+        if (realized <= 0) return;
+
+        uint256 realizedPrice = uint256(realized);
+        uint256 predictedPrice = predictions[requestId].predictedPrice;
+        uint256 errorBps = (
+            predictedPrice > realizedPrice ? predictedPrice - realizedPrice : realizedPrice - predictedPrice
+        ) * 10000 / realizedPrice;
+        bool accurate = errorBps <= config.deviationThreshold;
+
+        predictionStats.scored++;
+        predictionStats.cumulativeErrorBps += uint128(errorBps);
+        if (accurate) predictionStats.accurate++;
+
+        emit PredictionScored(requestId, predictedPrice, realizedPrice, errorBps, accurate);
+    }
+}
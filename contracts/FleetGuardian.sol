@@ -0,0 +1,180 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "./CuttlefishVault.sol";
+import "./IFleetGuardian.sol";
+
+/**
+ * @title FleetGuardian
+ * @dev Circuit breaker shared by every agent pointed at it. Guardians halt all
+ * agents of a vault, or of every vault, in one call. Agents report their trades,
+ * so a vault's fleet also halts itself once its daily volume or realized loss
+ * crosses the vault's limits. Only BuilderAgent sells and so realizes PnL;
+ * EnhancedBuilderAgent only buys and reports volume alone, so the loss limit
+ * never trips on its trades. Halts are lifted by the admin after a timelock,
+ * during which guardians may cancel the resume.
+ */
+contract FleetGuardian is AccessControl, IFleetGuardian {
+    bytes32 public constant GUARDIAN_ROLE = keccak256("GUARDIAN_ROLE");
+
+    address public constant ALL_VAULTS = address(0); // Halt key covering every vault
+    uint256 public constant MAX_RESUME_DELAY = 7 days;
+
+    struct Halt {
+        bool active;
+        uint64 haltedAt;
+        uint64 resumeAt; // When a scheduled resume may execute (0 if none)
+        string reason;
+    }
+
+    // Daily limits on a vault's fleet, in the vault asset (0 disables a limit)
+    struct CircuitBreaker {
+        uint256 maxDailyVolume; // Vault asset traded out by all agents
+        uint256 maxDailyLoss;   // Net realized loss of all agents
+    }
+
+    // Fleet activity of a vault during one UTC day
+    struct DailyActivity {
+        uint256 day;
+        uint256 volume;
+        int256 realizedPnl;
+    }
+
+    mapping(address => Halt) public halts;
+    mapping(address => CircuitBreaker) public circuitBreakers;
+    mapping(address => DailyActivity) public dailyActivity;
+    uint256 public resumeDelay;
+
+    event FleetHalted(address indexed vault, address indexed haltedBy, string reason);
+    event ResumeScheduled(address indexed vault, address indexed scheduledBy, uint256 resumeAt);
+    event ResumeCancelled(address indexed vault, address indexed cancelledBy);
+    event FleetResumed(address indexed vault, address indexed resumedBy);
+    event CircuitBreakerUpdated(address indexed vault, uint256 maxDailyVolume, uint256 maxDailyLoss);
+    event CircuitBreakerTripped(address indexed vault, uint256 dailyVolume, int256 dailyRealizedPnl);
+    event TradeRecorded(address indexed vault, address indexed agent, uint256 volume, int256 realizedPnl);
+    event ResumeDelayUpdated(uint256 oldDelay, uint256 newDelay);
+
+    constructor(uint256 _resumeDelay) {
+        require(_resumeDelay <= MAX_RESUME_DELAY, "Resume delay too long");
+        resumeDelay = _resumeDelay;
+
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        _grantRole(GUARDIAN_ROLE, msg.sender);
+    }
+
+    /**
+     * @dev Halt every agent of `vault`, or of all vaults for ALL_VAULTS. Halting
+     * again cancels a scheduled resume.
+     */
+    function halt(address vault, string calldata reason) external onlyRole(GUARDIAN_ROLE) {
+        _halt(vault, reason);
+    }
+
+    /**
+     * @dev Allow `vault` (or ALL_VAULTS) to resume once resumeDelay has passed
+     */
+    function scheduleResume(address vault) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        Halt storage current = halts[vault];
+        require(current.active, "Not halted");
+
+        current.resumeAt = uint64(block.timestamp + resumeDelay);
+        emit ResumeScheduled(vault, msg.sender, current.resumeAt);
+    }
+
+    /**
+     * @dev Keep a halt in place that the admin scheduled to lift
+     */
+    function cancelResume(address vault) external onlyRole(GUARDIAN_ROLE) {
+        require(halts[vault].resumeAt != 0, "Resume not scheduled");
+
+        halts[vault].resumeAt = 0;
+        emit ResumeCancelled(vault, msg.sender);
+    }
+
+    /**
+     * @dev Lift a halt whose resume timelock has passed. A vault's breaker starts
+     * counting its day afresh, or the next trade would trip it again.
+     */
+    function resume(address vault) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        uint256 resumeAt = halts[vault].resumeAt;
+        require(resumeAt != 0, "Resume not scheduled");
+        require(block.timestamp >= resumeAt, "Resume timelocked");
+
+        delete halts[vault];
+        if (vault != ALL_VAULTS) delete dailyActivity[vault];
+        emit FleetResumed(vault, msg.sender);
+    }
+
+    /**
+     * @dev Set the daily limits that halt a vault's fleet. Limits are per vault
+     * since fleets of different vaults trade different assets.
+     */
+    function setCircuitBreaker(address vault, uint256 maxDailyVolume, uint256 maxDailyLoss)
+        external
+        onlyRole(DEFAULT_ADMIN_ROLE)
+    {
+        require(vault != ALL_VAULTS, "Invalid vault");
+
+        circuitBreakers[vault] = CircuitBreaker({maxDailyVolume: maxDailyVolume, maxDailyLoss: maxDailyLoss});
+        emit CircuitBreakerUpdated(vault, maxDailyVolume, maxDailyLoss);
+    }
+
+    /**
+     * @dev Update the delay between scheduling and executing a resume
+     */
+    function setResumeDelay(uint256 newDelay) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(newDelay <= MAX_RESUME_DELAY, "Resume delay too long");
+
+        emit ResumeDelayUpdated(resumeDelay, newDelay);
+        resumeDelay = newDelay;
+    }
+
+    /**
+     * @dev Whether agents of `vault` must stop trading
+     */
+    function isHalted(address vault) public view override returns (bool) {
+        return halts[ALL_VAULTS].active || halts[vault].active;
+    }
+
+    /**
+     * @dev Called by an agent of `vault` after each trade: `volume` of the vault asset
+     * it traded out and the profit or loss it realized. Trips the vault's breaker
+     * once the day's totals cross its limits.
+     */
+    function recordTrade(address vault, uint256 volume, int256 realizedPnl) external override {
+        require(CuttlefishVault(vault).isBuilderAgent(msg.sender), "Not a vault agent");
+
+        DailyActivity storage activity = dailyActivity[vault];
+        uint256 today = block.timestamp / 1 days;
+        if (activity.day != today) {
+            activity.day = today;
+            activity.volume = 0;
+            activity.realizedPnl = 0;
+        }
+        activity.volume += volume;
+        activity.realizedPnl += realizedPnl;
+        emit TradeRecorded(vault, msg.sender, volume, realizedPnl);
+
+        if (halts[vault].active) return;
+
+        CircuitBreaker storage breaker = circuitBreakers[vault];
+        if (breaker.maxDailyVolume > 0 && activity.volume > breaker.maxDailyVolume) {
+            emit CircuitBreakerTripped(vault, activity.volume, activity.realizedPnl);
+            _halt(vault, "Daily volume limit");
+        } else if (breaker.maxDailyLoss > 0 && activity.realizedPnl < -int256(breaker.maxDailyLoss)) {
+            emit CircuitBreakerTripped(vault, activity.volume, activity.realizedPnl);
+            _halt(vault, "Daily loss limit");
+        }
+    }
+
+    function _halt(address vault, string memory reason) internal {
+        halts[vault] = Halt({
+            active: true,
+            haltedAt: uint64(block.timestamp),
+            resumeAt: 0,
+            reason: reason
+        });
+        emit FleetHalted(vault, msg.sender, reason);
+    }
+}
@@ -0,0 +1,23 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @dev Guardrails an agent's factory enforces on its configuration. Each check
+ * reverts with the violated rule and returns nothing when the change is allowed.
+ * The factory also names the fleet guardian its agents answer to.
+ */
+interface IAgentPolicy {
+    error CreatorNotAllowed(address vault, address creator);
+    error TargetTokenNotAllowed(address vault, address token);
+    error PriceFeedNotAllowed(address vault, address feed);
+    error MaxTradeSizeAboveLimit(uint256 maxTradeSize, uint256 limit);
+    error DailyTradeLimitAboveLimit(uint256 dailyTradeLimit, uint256 limit);
+    error CooldownBelowMinimum(uint256 cooldownPeriod, uint256 minimum);
+
+    function checkTradingConfig(address vault, uint256 maxTradeSize, uint256 dailyTradeLimit, uint256 cooldownPeriod)
+        external
+        view;
+    function checkTargetToken(address vault, address token) external view;
+    function checkPriceFeed(address vault, address feed) external view;
+    function fleetGuardian() external view returns (address);
+}
@@ -0,0 +1,34 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @dev Compliance Engine Interface for 2025 regulatory features
+ */
+interface IComplianceEngine {
+    // Outcome of a trade compliance check; anything but Approved blocks the trade
+    enum ReasonCode {
+        Approved,
+        TraderBlacklisted,
+        TraderRiskTooHigh, // Trader riskScore above MAX_RISK_SCORE
+        TradeSizeExceeded, // Amount above the trader's maxTradeSize
+        KYCRequired, // Asset requires KYC and the trader is not verified
+        PriceOutOfBand, // Price outside the asset's minPrice/maxPrice band
+        VolatilityTooHigh, // Volatility feed above the asset's maxVolatility
+        RegulatoryHalt, // Regulatory feed reports a halt
+        DataUnavailable, // A compliance feed could not be read
+        InvalidPrediction // Predicted price of zero
+    }
+
+    function validatePrediction(bytes32 requestId, uint256 predictedPrice) external view returns (bool);
+    function checkPrediction(uint256 predictedPrice) external view returns (ReasonCode);
+    function reviewPrediction(bytes32 requestId, uint256 predictedPrice) external returns (bool);
+    function validateTrader(address trader) external view returns (bool);
+    function getComplianceScore(address asset) external view returns (uint256);
+    function checkTrade(address trader, address asset, uint256 amount, uint256 price)
+        external
+        view
+        returns (ReasonCode);
+    function validateTrade(address trader, address asset, uint256 amount, uint256 price)
+        external
+        returns (bool approved, ReasonCode reason);
+}
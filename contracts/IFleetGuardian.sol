@@ -0,0 +1,10 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @dev Fleet-wide circuit breaker consulted by agents before every trade
+ */
+interface IFleetGuardian {
+    function isHalted(address vault) external view returns (bool);
+    function recordTrade(address vault, uint256 volume, int256 realizedPnl) external;
+}
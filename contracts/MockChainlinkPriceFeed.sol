@@ -4,7 +4,8 @@ pragma solidity ^0.8.20;
 import "@chainlink/contracts/src/v0.8/interfaces/AggregatorV3Interface.sol";
 
 contract MockChainlinkPriceFeed is AggregatorV3Interface {
-    uint8 public override decimals;
+    uint8 private feedDecimals;
+    bool public decimalsReverts;
     string public override description;
     uint256 public override version;
 
@@ -25,7 +26,7 @@ contract MockChainlinkPriceFeed is AggregatorV3Interface {
         uint256 _version,
         int256 _initialPrice
     ) {
-        decimals = _decimals;
+        feedDecimals = _decimals;
         description = _description;
         version = _version;
         
@@ -41,6 +42,11 @@ contract MockChainlinkPriceFeed is AggregatorV3Interface {
         rounds[1] = latestRound;
     }
 
+    function decimals() external view override returns (uint8) {
+        require(!decimalsReverts, "Decimals unavailable");
+        return feedDecimals;
+    }
+
     function getRoundData(uint80 _roundId)
         external
         view
@@ -95,6 +101,11 @@ contract MockChainlinkPriceFeed is AggregatorV3Interface {
         rounds[latestRound.roundId] = latestRound;
     }
 
+    // Admin function to simulate a feed whose decimals() reverts
+    function setDecimalsReverts(bool _reverts) external {
+        decimalsReverts = _reverts;
+    }
+
     // Admin function to simulate stale data
     function setStaleData(uint256 _timestamp) external {
         latestRound.updatedAt = _timestamp;
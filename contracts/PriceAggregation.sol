@@ -0,0 +1,162 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "@chainlink/contracts/src/v0.8/interfaces/AggregatorV3Interface.sol";
+
+/**
+ * @title PriceAggregation
+ * @dev Median price across a set of AggregatorV3 feeds, shared by the trading agents.
+ * Stale or non-positive answers are skipped; callers decide what to do with the
+ * result (e.g. revert when sources disagree beyond their threshold).
+ * @author Cuttlefish Labs
+ */
+library PriceAggregation {
+    uint256 internal constant MAX_SOURCES = 5;
+
+    struct Result {
+        uint256 price; // Median of the usable answers
+        uint256 updatedAt; // Oldest update among the usable answers
+        uint256 spreadBps; // Largest distance of a usable answer from the median
+        address[] sources; // Feeds whose answers were used
+        uint256 invalidCount; // Feeds with a non-positive answer
+        uint256 staleCount; // Feeds not updated within maxAge
+    }
+
+    /**
+     * @dev Read every feed and aggregate the usable answers. Feeds that revert count as invalid.
+     */
+    function aggregate(AggregatorV3Interface[] memory feeds, uint256 maxAge) internal view returns (Result memory result) {
+        uint256[] memory prices = new uint256[](feeds.length);
+        address[] memory used = new address[](feeds.length);
+        uint256 count = 0;
+        result.updatedAt = type(uint256).max;
+
+        for (uint256 i = 0; i < feeds.length; i++) {
+            try feeds[i].latestRoundData() returns (uint80, int256 answer, uint256, uint256 updatedAt, uint80) {
+                if (answer <= 0) {
+                    result.invalidCount++;
+                } else if (updatedAt <= block.timestamp - maxAge) {
+                    result.staleCount++;
+                } else {
+                    prices[count] = uint256(answer);
+                    used[count] = address(feeds[i]);
+                    count++;
+                    if (updatedAt < result.updatedAt) result.updatedAt = updatedAt;
+                }
+            } catch {
+                result.invalidCount++;
+            }
+        }
+
+        result.sources = new address[](count);
+        for (uint256 i = 0; i < count; i++) {
+            result.sources[i] = used[i];
+        }
+        if (count == 0) {
+            result.updatedAt = 0;
+            return result;
+        }
+
+        // Insertion sort; the source list is capped at MAX_SOURCES
+        for (uint256 i = 1; i < count; i++) {
+            uint256 value = prices[i];
+            uint256 j = i;
+            while (j > 0 && prices[j - 1] > value) {
+                prices[j] = prices[j - 1];
+                j--;
+            }
+            prices[j] = value;
+        }
+
+        result.price = count % 2 == 1 ? prices[count / 2] : (prices[count / 2 - 1] + prices[count / 2]) / 2;
+
+        uint256 low = deviationBps(prices[0], result.price);
+        uint256 high = deviationBps(prices[count - 1], result.price);
+        result.spreadBps = low > high ? low : high;
+    }
+
+    /**
+     * @dev Distance of `price` from `referencePrice` in basis points of `referencePrice`
+     */
+    function deviationBps(uint256 price, uint256 referencePrice) internal pure returns (uint256) {
+        if (referencePrice == 0) return 0;
+        uint256 diff = price > referencePrice ? price - referencePrice : referencePrice - price;
+        return (diff * 10000) / referencePrice;
+    }
+
+    /**
+     * @dev Convert `amountIn` raw units of `tokenIn` into raw units of `tokenOut` at `price`,
+     * the feed's price of one whole base token in quote tokens. With `inverse` the input is
+     * the quote token and the output the base token.
+     */
+    function convert(
+        uint256 amountIn,
+        uint256 price,
+        uint8 priceDecimals,
+        address tokenIn,
+        address tokenOut,
+        bool inverse
+    ) internal view returns (uint256) {
+        uint256 decimalsIn = IERC20Metadata(tokenIn).decimals();
+        uint256 decimalsOut = IERC20Metadata(tokenOut).decimals();
+
+        if (inverse) {
+            return Math.mulDiv(amountIn, 10 ** (priceDecimals + decimalsOut), price * 10 ** decimalsIn);
+        }
+        return Math.mulDiv(amountIn, price * 10 ** decimalsOut, 10 ** (priceDecimals + decimalsIn));
+    }
+
+    /**
+     * @dev Validate and append a feed to a source list. `primary` is the agent's main
+     * feed, which is always a source and cannot be added twice; the median is only
+     * meaningful when every source reports with the primary's decimals.
+     */
+    function addSource(AggregatorV3Interface[] storage feeds, address primary, address feed) internal {
+        require(feed != address(0), "Invalid price feed");
+        require(feed != primary, "Price source already added");
+        require(feeds.length + 2 <= MAX_SOURCES, "Too many price sources"); // Primary + existing + new
+        for (uint256 i = 0; i < feeds.length; i++) {
+            require(address(feeds[i]) != feed, "Price source already added");
+        }
+
+        (, int256 price, , uint256 updatedAt, ) = AggregatorV3Interface(feed).latestRoundData();
+        require(price > 0 && updatedAt > 0, "Invalid price feed");
+        require(
+            AggregatorV3Interface(feed).decimals() == AggregatorV3Interface(primary).decimals(),
+            "Price feed decimals mismatch"
+        );
+
+        feeds.push(AggregatorV3Interface(feed));
+    }
+
+    /**
+     * @dev Remove a feed from a source list (order is not preserved)
+     */
+    function removeSource(AggregatorV3Interface[] storage feeds, address feed) internal {
+        for (uint256 i = 0; i < feeds.length; i++) {
+            if (address(feeds[i]) == feed) {
+                feeds[i] = feeds[feeds.length - 1];
+                feeds.pop();
+                return;
+            }
+        }
+        revert("Price source not found");
+    }
+
+    /**
+     * @dev The primary feed followed by the additional sources
+     */
+    function withPrimary(AggregatorV3Interface[] storage feeds, AggregatorV3Interface primary)
+        internal
+        view
+        returns (AggregatorV3Interface[] memory all)
+    {
+        all = new AggregatorV3Interface[](feeds.length + 1);
+        all[0] = primary;
+        for (uint256 i = 0; i < feeds.length; i++) {
+            all[i + 1] = feeds[i];
+        }
+    }
+}
@@ -0,0 +1,25 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../BuilderAgent.sol";
+
+/**
+ * @title MockBuilderAgentV2
+ * @dev BuilderAgent implementation upgrade for testing fleet-wide upgrades
+ * through BuilderAgentFactory's beacon. Appends state after BuilderAgent's.
+ */
+contract MockBuilderAgentV2 is BuilderAgent {
+    string public note;
+
+    constructor(Modules memory modules)
+        BuilderAgent(address(0), address(0), address(0), address(0), TradingConfig(0, 0, 0, 0, 0, 0), modules)
+    {}
+
+    function version() external pure returns (uint256) {
+        return 2;
+    }
+
+    function setNote(string calldata newNote) external onlyRole(OPERATOR_ROLE) {
+        note = newNote;
+    }
+}
@@ -1,39 +1,78 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.20;
 
+import "@chainlink/contracts/src/v0.8/functions/dev/v1_0_0/interfaces/IFunctionsClient.sol";
+
 /**
  * @title MockFunctionsRouter
- * @dev Mock Chainlink Functions Router for testing
+ * @dev Mock Chainlink Functions Router for testing. Stores each request's CBOR
+ * payload so an off-chain simulator can execute it, and delivers results through
+ * the client's `handleOracleFulfillment`, like the real router.
  */
 contract MockFunctionsRouter {
+    struct Request {
+        address client;
+        uint64 subscriptionId;
+        uint32 callbackGasLimit;
+        bytes32 donId;
+        bytes data;
+    }
+
     mapping(bytes32 => address) public requestToSender;
+    mapping(bytes32 => Request) private requests;
     uint256 private requestCounter;
 
     event RequestSent(bytes32 indexed requestId, address indexed sender);
+    // `success` is false when the client callback reverted, mirroring the real
+    // router which records the failure instead of reverting the fulfillment
+    event RequestFulfilled(bytes32 indexed requestId, bool success);
 
     function sendRequest(
-        uint64, // subscriptionId
-        bytes calldata, // data
+        uint64 subscriptionId,
+        bytes calldata data,
         uint16, // dataVersion
-        uint32, // callbackGasLimit
-        bytes32 // donId
+        uint32 callbackGasLimit,
+        bytes32 donId
     ) external returns (bytes32) {
         bytes32 requestId = keccak256(abi.encodePacked(block.timestamp, msg.sender, requestCounter++));
         requestToSender[requestId] = msg.sender;
-        
+        requests[requestId] = Request({
+            client: msg.sender,
+            subscriptionId: subscriptionId,
+            callbackGasLimit: callbackGasLimit,
+            donId: donId,
+            data: data
+        });
+
         emit RequestSent(requestId, msg.sender);
         return requestId;
     }
 
-    // Mock fulfillment function for testing
+    /**
+     * @dev Returns the stored request; `client` is zero once fulfilled or if unknown
+     */
+    function getRequest(bytes32 requestId) external view returns (Request memory) {
+        return requests[requestId];
+    }
+
+    // Mock fulfillment functions for testing
+
     function fulfillRequest(bytes32 requestId, bytes memory response) external {
-        address sender = requestToSender[requestId];
-        require(sender != address(0), "Invalid request");
-        
-        // Call the fulfillRequest function on the requesting contract
-        (bool success,) = sender.call(
-            abi.encodeWithSignature("fulfillRequest(bytes32,bytes,bytes)", requestId, response, "")
+        _fulfill(requestId, response, "");
+    }
+
+    function fulfillRequestWithError(bytes32 requestId, bytes memory err) external {
+        _fulfill(requestId, "", err);
+    }
+
+    function _fulfill(bytes32 requestId, bytes memory response, bytes memory err) internal {
+        Request memory request = requests[requestId];
+        require(request.client != address(0), "Invalid request");
+        delete requests[requestId];
+
+        (bool success, ) = request.client.call{gas: request.callbackGasLimit}(
+            abi.encodeWithSelector(IFunctionsClient.handleOracleFulfillment.selector, requestId, response, err)
         );
-        require(success, "Fulfillment failed");
+        emit RequestFulfilled(requestId, success);
     }
 }
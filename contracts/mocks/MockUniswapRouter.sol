@@ -0,0 +1,104 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+
+/**
+ * @title MockUniswapRouter
+ * @dev Mock Uniswap V2 router for testing. Swaps at fixed per-pair rates and
+ * pays out of its own token balance, so it must be funded with output tokens.
+ * Multi-hop paths chain the per-pair rates, less an optional fee on every hop.
+ * An optional price impact worsens every quote and fill, standing in for a pool
+ * that a front-running (sandwich) trade has pushed against the trader.
+ */
+contract MockUniswapRouter {
+    using SafeERC20 for IERC20;
+
+    uint256 public constant RATE_PRECISION = 1e18;
+    uint256 public constant FEE_DENOMINATOR = 10000;
+
+    // Fee taken from the output of each hop (basis points), like a pool's LP fee
+    uint256 public hopFee;
+
+    // Reduction of every swap's final output (basis points), as after a sandwich front-run
+    uint256 public priceImpact;
+
+    // tokenIn => tokenOut => raw amountOut per RATE_PRECISION raw amountIn
+    mapping(address => mapping(address => uint256)) public exchangeRates;
+
+    event ExchangeRateSet(address indexed tokenIn, address indexed tokenOut, uint256 rate);
+    event HopFeeSet(uint256 fee);
+    event PriceImpactSet(uint256 impact);
+    event Swap(address indexed sender, address indexed tokenIn, address indexed tokenOut, uint256 amountIn, uint256 amountOut);
+
+    /**
+     * @dev Set the raw exchange rate for a pair (0 restores the decimals-adjusted 1:1 default)
+     */
+    function setExchangeRate(address tokenIn, address tokenOut, uint256 rate) external {
+        exchangeRates[tokenIn][tokenOut] = rate;
+        emit ExchangeRateSet(tokenIn, tokenOut, rate);
+    }
+
+    function setHopFee(uint256 fee) external {
+        require(fee < FEE_DENOMINATOR, "Invalid fee");
+        hopFee = fee;
+        emit HopFeeSet(fee);
+    }
+
+    function setPriceImpact(uint256 impact) external {
+        require(impact < FEE_DENOMINATOR, "Invalid impact");
+        priceImpact = impact;
+        emit PriceImpactSet(impact);
+    }
+
+    function getAmountsOut(uint256 amountIn, address[] memory path) public view returns (uint256[] memory amounts) {
+        require(path.length >= 2, "Invalid path");
+
+        amounts = new uint256[](path.length);
+        amounts[0] = amountIn;
+        for (uint256 i = 0; i < path.length - 1; i++) {
+            uint256 quoted = _quote(amounts[i], path[i], path[i + 1]);
+            amounts[i + 1] = (quoted * (FEE_DENOMINATOR - hopFee)) / FEE_DENOMINATOR;
+        }
+        amounts[path.length - 1] = (amounts[path.length - 1] * (FEE_DENOMINATOR - priceImpact)) / FEE_DENOMINATOR;
+    }
+
+    function swapExactTokensForTokens(
+        uint256 amountIn,
+        uint256 amountOutMin,
+        address[] calldata path,
+        address to,
+        uint256 deadline
+    ) external returns (uint256[] memory amounts) {
+        require(block.timestamp <= deadline, "Transaction expired");
+
+        amounts = getAmountsOut(amountIn, path);
+        uint256 amountOut = amounts[amounts.length - 1];
+        require(amountOut >= amountOutMin, "Insufficient output amount");
+
+        address tokenIn = path[0];
+        address tokenOut = path[path.length - 1];
+
+        IERC20(tokenIn).safeTransferFrom(msg.sender, address(this), amountIn);
+        IERC20(tokenOut).safeTransfer(to, amountOut);
+
+        emit Swap(msg.sender, tokenIn, tokenOut, amountIn, amountOut);
+    }
+
+    function _quote(uint256 amountIn, address tokenIn, address tokenOut) internal view returns (uint256) {
+        uint256 rate = exchangeRates[tokenIn][tokenOut];
+        if (rate > 0) {
+            return (amountIn * rate) / RATE_PRECISION;
+        }
+
+        // Default: one whole token in for one whole token out
+        uint8 decimalsIn = IERC20Metadata(tokenIn).decimals();
+        uint8 decimalsOut = IERC20Metadata(tokenOut).decimals();
+        if (decimalsIn > decimalsOut) {
+            return amountIn / (10 ** (decimalsIn - decimalsOut));
+        }
+        return amountIn * (10 ** (decimalsOut - decimalsIn));
+    }
+}
@@ -16,9 +16,9 @@ module.exports = {
   networks: {
     hardhat: {
       chainId: 31337,
-      gas: 12000000,
-      blockGasLimit: 12000000,
-      allowUnlimitedContractSize: true,
+      // BuilderAgentFactory deploys the agent implementation in its constructor
+      gas: 30000000,
+      blockGasLimit: 30000000,
     },
     sepolia: {
       url: process.env.SEPOLIA_URL || `https://sepolia.infura.io/v3/${process.env.INFURA_API_KEY}`,
@@ -0,0 +1,73 @@
+const { ethers } = require("hardhat")
+const fs = require("fs")
+const { loadStrategy } = require("./strategies")
+const { AgentRunner } = require("./lib/agent-runner")
+
+// STRATEGY is a built-in name or a path to a strategy module;
+// STRATEGY_OPTIONS is a JSON object passed to its factory.
+const STRATEGY = process.env.STRATEGY || "moving-average"
+const STRATEGY_OPTIONS = JSON.parse(process.env.STRATEGY_OPTIONS || "{}")
+const DRY_RUN = ["1", "true"].includes((process.env.DRY_RUN || "").toLowerCase())
+const INTERVAL = Number(process.env.RUNNER_INTERVAL_MS || 60000)
+
+async function main() {
+  if (!fs.existsSync("deployment-info.json")) {
+    console.error("❌ deployment-info.json not found. Run deploy script first.")
+    process.exit(1)
+  }
+
+  const deploymentInfo = JSON.parse(fs.readFileSync("deployment-info.json", "utf8"))
+  const { contracts } = deploymentInfo
+
+  // The runner key is kept separate from the deployer key when provided
+  const signer = process.env.AI_AGENT_PRIVATE_KEY
+    ? new ethers.Wallet(process.env.AI_AGENT_PRIVATE_KEY, ethers.provider)
+    : (await ethers.getSigners())[0]
+
+  const builderAgent = await ethers.getContractAt("BuilderAgent", contracts.builderAgent, signer)
+  const vault = await ethers.getContractAt("CuttlefishVault", contracts.vaultProxy)
+  const priceFeed = await ethers.getContractAt("AggregatorV3Interface", await builderAgent.priceFeed())
+  const router = await ethers.getContractAt("IUniswapV2Router", await vault.router())
+
+  console.log("🤖 Starting Builder Agent runner...")
+  console.log("Network:", deploymentInfo.network)
+  console.log("Agent:", contracts.builderAgent)
+  console.log("Signer:", signer.address)
+  console.log("Strategy:", STRATEGY)
+  console.log("Mode:", DRY_RUN ? "dry-run (no transactions)" : "live")
+
+  if (!DRY_RUN && !(await builderAgent.hasRole(await builderAgent.AI_ROLE(), signer.address))) {
+    console.error("❌ Signer does not hold AI_ROLE on the agent. Grant it or run with DRY_RUN=1.")
+    process.exit(1)
+  }
+
+  const runner = new AgentRunner({
+    agent: builderAgent,
+    priceFeed,
+    router,
+    strategy: loadStrategy(STRATEGY, STRATEGY_OPTIONS),
+    dryRun: DRY_RUN,
+    log: console.log,
+  })
+
+  let running = false
+  const cycle = async () => {
+    if (running) return
+    running = true
+    try {
+      await runner.tick()
+    } catch (error) {
+      console.error("Error in decision cycle:", error.message)
+    } finally {
+      running = false
+    }
+  }
+
+  await cycle()
+  setInterval(cycle, INTERVAL)
+}
+
+main().catch((error) => {
+  console.error(error)
+  process.exit(1)
+})
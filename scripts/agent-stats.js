@@ -0,0 +1,47 @@
+const { ethers } = require("hardhat")
+const fs = require("fs")
+const { collectAgentStats, formatAgentStats } = require("./lib/agent-stats")
+const { toJSON } = require("./lib/json")
+
+// AGENTS: comma-separated EnhancedBuilderAgent addresses; defaults to the agents in deployment-info.json
+// STATS_JSON: print machine-readable JSON instead of the text report
+function agentAddresses() {
+  if (process.env.AGENTS) {
+    return process.env.AGENTS.split(",")
+      .map((address) => address.trim())
+      .filter(Boolean)
+  }
+  if (!fs.existsSync("deployment-info.json")) return []
+
+  const { contracts } = JSON.parse(fs.readFileSync("deployment-info.json", "utf8"))
+  return [contracts.enhancedBuilderAgent, ...(contracts.enhancedBuilderAgents || [])].filter(Boolean)
+}
+
+async function main() {
+  const addresses = agentAddresses()
+  if (addresses.length === 0) {
+    console.error("❌ No agents found. Set AGENTS to a comma-separated list of EnhancedBuilderAgent addresses.")
+    process.exit(1)
+  }
+
+  const reports = []
+  for (const address of addresses) {
+    const agent = await ethers.getContractAt("EnhancedBuilderAgent", address)
+    reports.push(await collectAgentStats(agent))
+  }
+
+  if (process.env.STATS_JSON) {
+    console.log(toJSON(reports))
+    return
+  }
+
+  console.log("📊 Agent prediction statistics\n")
+  console.log(reports.map(formatAgentStats).join("\n\n"))
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error)
+    process.exit(1)
+  })
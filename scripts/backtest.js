@@ -0,0 +1,58 @@
+const { ethers, upgrades, network } = require("hardhat")
+const fs = require("fs")
+const path = require("path")
+const { DEFAULT_TRADING_CONFIG } = require("./config/networks")
+const { loadStrategy } = require("./strategies")
+const { loadPriceSeries, runBacktest, formatReport } = require("./lib/backtest")
+const { toJSON } = require("./lib/json")
+
+// BACKTEST_DATA: CSV/JSON price series (see scripts/lib/backtest.js for formats)
+// BACKTEST_CONFIG: JSON overrides for the TradingConfig under test
+// BACKTEST_OUTPUT: optional path for the full JSON report
+const DATA_FILE = process.env.BACKTEST_DATA || path.join(__dirname, "data", "eth-usd-sample.csv")
+const CONFIG_OVERRIDES = JSON.parse(process.env.BACKTEST_CONFIG || "{}")
+const STRATEGY = process.env.STRATEGY || "moving-average"
+// Let the agent's own priceThreshold guard block trades so it shows up in the report
+const STRATEGY_OPTIONS = { respectPriceThreshold: false, ...JSON.parse(process.env.STRATEGY_OPTIONS || "{}") }
+
+async function main() {
+  if (network.name !== "hardhat") {
+    console.error("❌ Backtests manipulate chain time and must run on the in-process hardhat network.")
+    process.exit(1)
+  }
+
+  const tradingConfig = { ...DEFAULT_TRADING_CONFIG }
+  for (const [key, value] of Object.entries(CONFIG_OVERRIDES)) {
+    if (!(key in tradingConfig)) throw new Error(`Unknown TradingConfig field: ${key}`)
+    tradingConfig[key] = BigInt(value)
+  }
+
+  const series = loadPriceSeries(DATA_FILE)
+
+  console.log("🧪 Running backtest...")
+  console.log("Data:", DATA_FILE, `(${series.length} points)`)
+  console.log("Trading config:", toJSON(tradingConfig))
+
+  const report = await runBacktest({
+    ethers,
+    upgrades,
+    series,
+    tradingConfig,
+    strategy: loadStrategy(STRATEGY, STRATEGY_OPTIONS),
+    log: process.env.VERBOSE ? console.log : () => {},
+  })
+
+  console.log("\n" + formatReport(report))
+
+  if (process.env.BACKTEST_OUTPUT) {
+    fs.writeFileSync(process.env.BACKTEST_OUTPUT, toJSON(report))
+    console.log("\n📄 Full report saved to", process.env.BACKTEST_OUTPUT)
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error)
+    process.exit(1)
+  })
@@ -0,0 +1,51 @@
+const { ethers } = require("hardhat")
+const fs = require("fs")
+const path = require("path")
+const { collectComplianceHistory, signReport, toCSV } = require("./lib/compliance-report")
+const { toJSON } = require("./lib/json")
+
+// COMPLIANCE_ENGINE: ComplianceEngine address
+// FROM_BLOCK, TO_BLOCK: block range to export (default: genesis to latest)
+// REPORT_DIR: where the CSV and signed JSON are written (default: reports)
+// REPORT_SIGNER_KEY: private key that signs the JSON; defaults to the first configured account
+async function main() {
+  const address = process.env.COMPLIANCE_ENGINE
+  if (!address) {
+    console.error("❌ Set COMPLIANCE_ENGINE to the ComplianceEngine address.")
+    process.exit(1)
+  }
+
+  const engine = await ethers.getContractAt("ComplianceEngine", address)
+  const signer = process.env.REPORT_SIGNER_KEY
+    ? new ethers.Wallet(process.env.REPORT_SIGNER_KEY, ethers.provider)
+    : (await ethers.getSigners())[0]
+
+  console.log("📋 Exporting compliance history for", address)
+  const report = await collectComplianceHistory(engine, {
+    fromBlock: process.env.FROM_BLOCK || 0,
+    toBlock: process.env.TO_BLOCK,
+  })
+  console.log(`Blocks:    ${report.fromBlock}-${report.toBlock}`)
+  console.log(`Records:   ${report.records.length}`)
+
+  const counts = {}
+  for (const record of report.records) counts[record.type] = (counts[record.type] || 0) + 1
+  for (const [type, count] of Object.entries(counts)) console.log(`  ${type}: ${count}`)
+
+  const signed = await signReport(report, signer)
+  const dir = process.env.REPORT_DIR || "reports"
+  const base = path.join(dir, `compliance-${report.chainId}-${report.fromBlock}-${report.toBlock}`)
+  fs.mkdirSync(dir, { recursive: true })
+  fs.writeFileSync(`${base}.csv`, toCSV(report.records))
+  fs.writeFileSync(`${base}.json`, toJSON(signed))
+
+  console.log(`✅ Wrote ${base}.csv and ${base}.json`)
+  console.log(`🔏 Signed by ${signed.signer}, digest ${signed.digest}`)
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error)
+    process.exit(1)
+  })
@@ -0,0 +1,66 @@
+// Alert rules evaluated by scripts/monitor.js on every status poll.
+//
+// Each rule names a `type` understood by scripts/lib/alerts.js plus its
+// thresholds (basis points, like the contracts). `cooldown` (seconds) limits how
+// often a still-firing alert is re-sent; it falls back to ALERT_COOLDOWN.
+// Sinks are enabled from the environment: ALERT_WEBHOOK_URL, ALERT_FILE.
+
+const rules = [
+  {
+    id: "emergency-stop",
+    type: "emergencyStop",
+    severity: "critical",
+  },
+  {
+    id: "price-feed-stale",
+    type: "priceFeedStale",
+    severity: "critical",
+  },
+  {
+    id: "trade-success-rate",
+    type: "tradeSuccessRate",
+    severity: "warning",
+    minSuccessRate: Number(process.env.ALERT_MIN_SUCCESS_RATE || 9000), // 90%
+    minTrades: 5, // ignore agents with too few trades to be meaningful
+  },
+  {
+    id: "daily-volume",
+    type: "dailyVolume",
+    severity: "warning",
+    maxUtilization: Number(process.env.ALERT_MAX_DAILY_UTILIZATION || 8000), // 80% of dailyTradeLimit
+  },
+  {
+    id: "prediction-failures",
+    type: "predictionFailures",
+    severity: "warning",
+    maxConsecutiveFailures: Number(process.env.ALERT_MAX_PREDICTION_FAILURES || 3),
+  },
+  {
+    id: "prediction-timeout",
+    type: "predictionTimeout",
+    severity: "warning",
+  },
+  {
+    id: "governance-change",
+    type: "pendingChange",
+    severity: "critical",
+  },
+  {
+    id: "tvl-drop",
+    type: "tvlDrop",
+    severity: "critical",
+    maxDrop: Number(process.env.ALERT_MAX_TVL_DROP || 2000), // 20%
+    window: 60 * 60, // 1 hour
+  },
+]
+
+function getAlertConfig() {
+  return {
+    rules,
+    cooldown: Number(process.env.ALERT_COOLDOWN || 15 * 60),
+    webhookUrl: process.env.ALERT_WEBHOOK_URL || null,
+    file: process.env.ALERT_FILE || null,
+  }
+}
+
+module.exports = { rules, getAlertConfig }
@@ -0,0 +1,24 @@
+// Keeper settings for scripts/keeper.js, overridable from the environment.
+//
+// Agents are discovered from the deployment's BuilderAgentFactory (active agents
+// only) and from KEEPER_CONFIG, a JSON file listing agents by address:
+//
+//   { "agents": ["0x…", { "address": "0x…", "type": "BuilderAgent" }] }
+//
+// Bare addresses are EnhancedBuilderAgents. Agents recorded in
+// deployment-info.json are always watched.
+
+function getKeeperConfig() {
+  return {
+    configFile: process.env.KEEPER_CONFIG || null,
+    factory: process.env.KEEPER_FACTORY || null, // defaults to the deployment's agentFactory
+    pollInterval: Number(process.env.KEEPER_POLL_MS || 2000), // how often to look for a new block
+    discoveryInterval: Number(process.env.KEEPER_DISCOVERY_MS || 5 * 60 * 1000),
+    gasBufferBps: Number(process.env.KEEPER_GAS_BUFFER_BPS || 2000), // 20% above the estimate
+    maxRetries: Number(process.env.KEEPER_MAX_RETRIES || 2),
+    retryDelayMs: Number(process.env.KEEPER_RETRY_DELAY_MS || 1000),
+    metricsPort: process.env.KEEPER_METRICS_PORT ? Number(process.env.KEEPER_METRICS_PORT) : null,
+  }
+}
+
+module.exports = { getKeeperConfig }
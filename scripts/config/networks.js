@@ -0,0 +1,102 @@
+// Per-network deployment manifest.
+//
+// Networks with `useMocks: true` get fresh mock tokens, price feed and router on
+// every clean deploy. Live networks point at real contracts; any address can be
+// overridden through the environment (e.g. VAULT_ASSET, PRICE_FEED, UNISWAP_ROUTER).
+//
+// `priceDeviationThreshold` (basis points) enables the agent's price-source agreement
+// and circuit breaker checks; `contracts.additionalPriceFeeds` are aggregated with
+// `contracts.priceFeed` into a median price.
+//
+// `guardianResumeDelay` (seconds) is how long a FleetGuardian halt stays in place after
+// the admin schedules its resume.
+//
+// `governanceDelay` (seconds) is how long a proposed change to the agent's trading
+// config, price sources, compliance engine or keeper registry waits before it can be
+// executed; at least the agent's MIN_GOVERNANCE_DELAY of 1 hour, which new agents
+// start with. It is set last, so the deployment is held up by the minimum only.
+
+const DEFAULT_TRADING_CONFIG = {
+  priceThreshold: 2000n * 10n ** 8n, // $2000 (8-decimal feed)
+  maxTradeSize: 100n * 10n ** 18n, // 100 WETH per trade
+  dailyTradeLimit: 1000n * 10n ** 18n, // 1000 WETH per day
+  cooldownPeriod: 5 * 60, // 5 minutes
+  maxSlippage: 300, // 3%
+  confidenceThreshold: 7000, // 70%
+}
+
+const mockNetwork = {
+  useMocks: true,
+  mocks: {
+    asset: { name: "Mock WETH", symbol: "mWETH", decimals: 18, initialSupply: "1000000" },
+    targetToken: { name: "Mock USDC", symbol: "mUSDC", decimals: 6, initialSupply: "1000000" },
+    priceFeed: { decimals: 8, description: "ETH/USD", version: 1, initialPrice: 2500n * 10n ** 8n },
+    routerLiquidity: "10000000", // target tokens minted to the mock router
+    vaultFunding: "10000", // assets minted to the vault
+  },
+  priceDeviationThreshold: 0, // disabled: scripts/interact.js moves the mock feed freely
+  guardianResumeDelay: 60,
+  governanceDelay: 60 * 60, // 1 hour, the minimum; local scripts move the clock past it
+  tradingConfig: DEFAULT_TRADING_CONFIG,
+}
+
+const networks = {
+  hardhat: mockNetwork,
+  localhost: mockNetwork,
+  sepolia: {
+    useMocks: false,
+    contracts: {
+      asset: "0xfFf9976782d46CC05630D1f6eBAb18b2324d6B14", // WETH
+      targetToken: "0x1c7D4B196Cb0C7B01d743Fbc6116a902379C7238", // USDC
+      priceFeed: "0x694AA1769357215DE4FAC081bf1f309aDC325306", // Chainlink ETH/USD
+      router: "0xeE567Fe1712Faf6149d80dA1E6934E354124CfE3", // Uniswap V2 Router02
+      additionalPriceFeeds: [],
+    },
+    priceDeviationThreshold: 500, // 5%
+    guardianResumeDelay: 60 * 60, // 1 hour
+    governanceDelay: 60 * 60, // 1 hour
+    tradingConfig: {
+      ...DEFAULT_TRADING_CONFIG,
+      maxTradeSize: 1n * 10n ** 18n,
+      dailyTradeLimit: 10n * 10n ** 18n,
+    },
+  },
+  mainnet: {
+    useMocks: false,
+    contracts: {
+      asset: "0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2", // WETH
+      targetToken: "0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48", // USDC
+      priceFeed: "0x5f4eC3Df9cbd43714FE2740f5E3616155c5b8419", // Chainlink ETH/USD
+      router: "0x7a250d5630B4cF539739dF2C5dAcb4c659F2488D", // Uniswap V2 Router02
+      additionalPriceFeeds: [],
+    },
+    priceDeviationThreshold: 500, // 5%
+    guardianResumeDelay: 24 * 60 * 60, // 1 day
+    governanceDelay: 2 * 24 * 60 * 60, // 2 days
+    tradingConfig: DEFAULT_TRADING_CONFIG,
+  },
+}
+
+const ENV_OVERRIDES = {
+  asset: "VAULT_ASSET",
+  targetToken: "TARGET_TOKEN",
+  priceFeed: "PRICE_FEED",
+  router: "UNISWAP_ROUTER",
+  feeCollector: "FEE_COLLECTOR",
+}
+
+function getNetworkConfig(networkName) {
+  const config = networks[networkName]
+  if (!config) {
+    throw new Error(`No deployment manifest for network "${networkName}"`)
+  }
+
+  const contracts = { ...(config.contracts || {}) }
+  for (const [key, envVar] of Object.entries(ENV_OVERRIDES)) {
+    if (process.env[envVar]) contracts[key] = process.env[envVar]
+  }
+
+  return { ...config, contracts }
+}
+
+module.exports = { networks, getNetworkConfig, DEFAULT_TRADING_CONFIG }
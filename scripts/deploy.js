@@ -1,138 +1,259 @@
 const { ethers, upgrades, network } = require("hardhat")
+const fs = require("fs")
+const { getNetworkConfig } = require("./config/networks")
+const { loadDeployment, deployContract, runStep, deploymentPath } = require("./lib/deployments")
+const { toJSON } = require("./lib/json")
+const { applyChange } = require("./lib/governance")
+
+async function deployMocks(deployment, mocks) {
+  const MockERC20 = await ethers.getContractFactory("MockERC20")
+  const { asset, targetToken, priceFeed } = mocks
+
+  console.log("\n📦 Deploying mock tokens...")
+  const assetAddress = await deployContract(deployment, "mockWETH", () =>
+    MockERC20.deploy(asset.name, asset.symbol, asset.decimals, ethers.parseUnits(asset.initialSupply, asset.decimals)),
+  )
+  const targetTokenAddress = await deployContract(deployment, "mockUSDC", () =>
+    MockERC20.deploy(
+      targetToken.name,
+      targetToken.symbol,
+      targetToken.decimals,
+      ethers.parseUnits(targetToken.initialSupply, targetToken.decimals),
+    ),
+  )
+
+  console.log("\n📊 Deploying Mock Chainlink Price Feed...")
+  const MockChainlinkPriceFeed = await ethers.getContractFactory("MockChainlinkPriceFeed")
+  const priceFeedAddress = await deployContract(deployment, "priceFeed", () =>
+    MockChainlinkPriceFeed.deploy(priceFeed.decimals, priceFeed.description, priceFeed.version, priceFeed.initialPrice),
+  )
+
+  console.log("\n📦 Deploying Mock Uniswap Router...")
+  const MockUniswapRouter = await ethers.getContractFactory("MockUniswapRouter")
+  const routerAddress = await deployContract(deployment, "mockRouter", () => MockUniswapRouter.deploy())
+
+  await runStep(deployment, "fundMockRouter", async () => {
+    const token = await ethers.getContractAt("MockERC20", targetTokenAddress)
+    const amount = ethers.parseUnits(mocks.routerLiquidity, targetToken.decimals)
+    await (await token.mint(routerAddress, amount)).wait()
+    return { amount }
+  })
+
+  // Fill at the feed price so trades clear the agents' oracle-derived minimum output
+  await runStep(deployment, "setMockRouterRate", async () => {
+    const router = await ethers.getContractAt("MockUniswapRouter", routerAddress)
+    const rate =
+      (priceFeed.initialPrice * 10n ** BigInt(targetToken.decimals) * 10n ** 18n) /
+      10n ** BigInt(priceFeed.decimals + asset.decimals)
+    await (await router.setExchangeRate(assetAddress, targetTokenAddress, rate)).wait()
+    return { rate }
+  })
+
+  return { asset: assetAddress, targetToken: targetTokenAddress, priceFeed: priceFeedAddress, router: routerAddress }
+}
 
 async function main() {
   const [deployer] = await ethers.getSigners()
+  const networkConfig = getNetworkConfig(network.name)
 
   console.log("🚀 Starting Cuttlefish Vault deployment...")
+  console.log("Network:", network.name)
   console.log("Deploying with account:", deployer.address)
-  console.log("Account balance:", ethers.utils.formatEther(await deployer.getBalance()), "ETH")
+  console.log("Account balance:", ethers.formatEther(await ethers.provider.getBalance(deployer.address)), "ETH")
 
   try {
-    // Deploy mock asset
-    console.log("\n📦 Deploying Mock WETH...")
-    const MockERC20 = await ethers.getContractFactory("MockERC20")
-    const mockAsset = await MockERC20.deploy("Mock WETH", "mWETH", 18, ethers.utils.parseEther("1000000"))
-    await mockAsset.deployed()
-    console.log("Mock WETH deployed at:", mockAsset.address)
-
-    // Deploy mock output token for swaps
-    console.log("\n📦 Deploying Mock USDC...")
-    const mockTokenOut = await MockERC20.deploy("Mock USDC", "mUSDC", 6, ethers.utils.parseUnits("1000000", 6))
-    await mockTokenOut.deployed()
-    console.log("Mock USDC deployed at:", mockTokenOut.address)
-
-    // Deploy mock Chainlink price feed
-    console.log("\n📊 Deploying Mock Chainlink Price Feed...")
-    const MockChainlinkPriceFeed = await ethers.getContractFactory("MockChainlinkPriceFeed")
-    const initialPrice = 2500 * 10 ** 8 // $2500 with 8 decimals
-    const priceFeed = await MockChainlinkPriceFeed.deploy(
-      8, // decimals
-      "ETH/USD",
-      1, // version
-      initialPrice,
-    )
-    await priceFeed.deployed()
-    console.log("Mock Price Feed deployed at:", priceFeed.address)
-    console.log("Initial ETH price set to: $2500")
+    const deployment = await loadDeployment(ethers, network.name)
+    deployment.deployer = deployment.deployer || deployer.address
 
-    // Deploy mock Uniswap router
-    console.log("\n📦 Deploying Mock Uniswap Router...")
-    const MockUniswapRouter = await ethers.getContractFactory("MockUniswapRouter")
-    const mockRouter = await MockUniswapRouter.deploy()
-    await mockRouter.deployed()
-    console.log("Mock Uniswap router deployed at:", mockRouter.address)
+    // Resolve external dependencies: mocks locally, manifest addresses on live networks
+    const external = networkConfig.useMocks
+      ? await deployMocks(deployment, networkConfig.mocks)
+      : networkConfig.contracts
 
-    // Fund mock router with output tokens
-    await mockTokenOut.mint(mockRouter.address, ethers.utils.parseUnits("100000", 6))
-    console.log("Mock router funded with 100,000 mUSDC")
+    for (const key of ["asset", "targetToken", "priceFeed", "router"]) {
+      if (!external[key] || !ethers.isAddress(external[key])) {
+        throw new Error(`Missing ${key} address for network ${network.name}`)
+      }
+    }
+    const feeCollector = networkConfig.contracts.feeCollector || deployer.address
 
     // Deploy vault as upgradable proxy
     console.log("\n🦑 Deploying Cuttlefish Vault...")
     const CuttlefishVault = await ethers.getContractFactory("CuttlefishVault")
-    const vault = await upgrades.deployProxy(CuttlefishVault, [
-      mockAsset.address,
-      deployer.address, // Initial builderAgent (updated below)
-      deployer.address, // feeCollector
-      mockRouter.address,
-    ])
-    await vault.deployed()
+    const vaultAddress = await deployContract(deployment, "vaultProxy", () =>
+      upgrades.deployProxy(CuttlefishVault, [
+        external.asset,
+        deployer.address, // Placeholder builderAgent, replaced by the agent below
+        feeCollector,
+        external.router,
+      ]),
+    )
+    const vault = await ethers.getContractAt("CuttlefishVault", vaultAddress)
+    const implementationAddress = await upgrades.erc1967.getImplementationAddress(vaultAddress)
+    console.log("Vault implementation at:", implementationAddress)
 
-    const implementationAddress = await upgrades.erc1967.getImplementationAddress(vault.address)
+    // Deploy the shared modules every agent delegates trading and configuration to
+    console.log("\n🧩 Deploying BuilderAgent modules...")
+    const BuilderAgentTrading = await ethers.getContractFactory("BuilderAgentTrading")
+    const BuilderAgentAdmin = await ethers.getContractFactory("BuilderAgentAdmin")
+    const agentModules = {
+      trading: await deployContract(deployment, "agentTradingModule", () => BuilderAgentTrading.deploy()),
+      admin: await deployContract(deployment, "agentAdminModule", () => BuilderAgentAdmin.deploy()),
+    }
 
-    console.log("Vault proxy deployed at:", vault.address)
-    console.log("Vault implementation at:", implementationAddress)
+    // Deploy agent factory
+    console.log("\n🏭 Deploying BuilderAgentFactory...")
+    const BuilderAgentFactory = await ethers.getContractFactory("BuilderAgentFactory")
+    const factoryAddress = await deployContract(deployment, "agentFactory", () =>
+      BuilderAgentFactory.deploy(agentModules),
+    )
+    const factory = await ethers.getContractAt("BuilderAgentFactory", factoryAddress)
 
-    // Deploy builder agent with price feed
-    console.log("\n🤖 Deploying Builder Agent with Chainlink integration...")
-    const BuilderAgent = await ethers.getContractFactory("BuilderAgent")
-    const priceThreshold = 2000 * 10 ** 8 // $2000 threshold
-    const builderAgent = await BuilderAgent.deploy(
-      vault.address,
-      mockAsset.address,
-      mockTokenOut.address,
-      priceFeed.address,
-      priceThreshold,
+    // Deploy the fleet guardian every factory agent answers to
+    console.log("\n🛡️  Deploying FleetGuardian...")
+    const FleetGuardian = await ethers.getContractFactory("FleetGuardian")
+    const guardianAddress = await deployContract(deployment, "fleetGuardian", () =>
+      FleetGuardian.deploy(networkConfig.guardianResumeDelay),
     )
-    await builderAgent.deployed()
-    console.log("BuilderAgent deployed at:", builderAgent.address)
-    console.log("Price threshold set to: $2000")
+    await runStep(deployment, "setFleetGuardian", async () => {
+      if ((await factory.fleetGuardian()) !== guardianAddress) {
+        await (await factory.setFleetGuardian(guardianAddress)).wait()
+      }
+    })
+
+    // Create builder agent through the factory with the manifest's TradingConfig
+    console.log("\n🤖 Creating Builder Agent with Chainlink integration...")
+    const tradingConfig = networkConfig.tradingConfig
+    const { agent: builderAgentAddress } = await runStep(deployment, "createBuilderAgent", async () => {
+      const tx = await factory.createAgent(
+        vaultAddress,
+        external.asset,
+        external.targetToken,
+        external.priceFeed,
+        tradingConfig,
+      )
+      const receipt = await tx.wait()
+      const created = receipt.logs
+        .filter((log) => log.address === factoryAddress)
+        .map((log) => factory.interface.parseLog(log))
+        .find((event) => event && event.name === "AgentCreated")
 
-    // Update vault to use BuilderAgent as the role
+      return { agent: created.args.agent, txHash: tx.hash, blockNumber: receipt.blockNumber }
+    })
+    console.log("BuilderAgent deployed at:", builderAgentAddress)
+    console.log("Price threshold set to:", ethers.formatUnits(tradingConfig.priceThreshold, 8), "USD")
+
+    // Grant the agent its role in the vault
     console.log("\n🔐 Configuring Builder Agent role...")
-    await vault.addBuilderAgent(builderAgent.address)
-    console.log("BuilderAgent assigned role in vault")
+    await runStep(deployment, "addBuilderAgent", async () => {
+      if (!(await vault.isBuilderAgent(builderAgentAddress))) {
+        await (await vault.addBuilderAgent(builderAgentAddress)).wait()
+      }
+    })
+    // The deployer only held the role to initialize the vault; it must not keep trading rights
+    await runStep(deployment, "removeDeployerBuilderAgent", async () => {
+      if (await vault.isBuilderAgent(deployer.address)) {
+        await (await vault.removeBuilderAgent(deployer.address)).wait()
+      }
+    })
+
+    // Value the target tokens the agent buys at the agent's feed in totalAssets
+    await runStep(deployment, "setVaultPriceFeed", async () => {
+      if ((await vault.priceFeeds(external.targetToken)) !== external.priceFeed) {
+        await (await vault.setPriceFeed(external.targetToken, external.priceFeed)).wait()
+      }
+    })
 
-    // Fund vault for testing
-    console.log("\n💰 Funding vault for testing...")
-    await mockAsset.mint(vault.address, ethers.utils.parseEther("10000"))
-    console.log("Vault funded with 10,000 mWETH")
+    // Price sources and the delay are governed: changes wait out the agent's governance
+    // delay, so on live networks a rerun executes what an earlier run proposed
+    const builderAgent = await ethers.getContractAt("BuilderAgent", builderAgentAddress)
+    const governed = async (method, args) => {
+      const tx = await applyChange(builderAgent, method, args)
+      if (tx) await tx.wait()
+      else console.log(`⏳ ${method} proposed; run the deployment again once it is executable`)
+    }
+
+    const additionalPriceFeeds = networkConfig.contracts.additionalPriceFeeds || []
+    if (networkConfig.priceDeviationThreshold || additionalPriceFeeds.length > 0) {
+      console.log("\n📡 Configuring price sources...")
+      const sources = (await builderAgent.getPriceSources()).map((address) => address.toLowerCase())
+      for (const feed of additionalPriceFeeds) {
+        if (!sources.includes(feed.toLowerCase())) await governed("addPriceSource", [feed])
+      }
+      const threshold = networkConfig.priceDeviationThreshold || 0
+      if ((await builderAgent.priceDeviationThreshold()) !== BigInt(threshold)) {
+        await governed("setPriceDeviationThreshold", [threshold])
+      }
+    }
+
+    console.log("\n⏳ Configuring governance delay...")
+    if ((await builderAgent.governanceDelay()) !== BigInt(networkConfig.governanceDelay)) {
+      await governed("setGovernanceDelay", [networkConfig.governanceDelay])
+    }
+
+    if (networkConfig.useMocks) {
+      console.log("\n💰 Funding vault for testing...")
+      await runStep(deployment, "fundVault", async () => {
+        const asset = await ethers.getContractAt("MockERC20", external.asset)
+        const amount = ethers.parseEther(networkConfig.mocks.vaultFunding)
+        await (await asset.mint(vaultAddress, amount)).wait()
+        return { amount }
+      })
+    }
 
     // Verify deployment
     console.log("\n✅ Verifying deployment...")
     const vaultInfo = await vault.getVaultInfo()
-    const currentPrice = await builderAgent.getLatestPrice()
-    console.log("Total Assets:", ethers.utils.formatEther(vaultInfo._totalAssets))
-    console.log("Current ETH Price:", (currentPrice[0] / 10 ** 8).toString(), "USD")
-    console.log("Price Threshold:", (priceThreshold / 10 ** 8).toString(), "USD")
+    const [currentPrice] = await builderAgent.getLatestPrice()
+    console.log("Total Assets:", ethers.formatEther(vaultInfo._totalAssets))
+    console.log("Current ETH Price:", ethers.formatUnits(currentPrice, 8), "USD")
 
     // Output summary for CI/CD
     console.log("\n🎉 Deployment completed successfully!")
     console.log("\n📋 Contract Summary:")
     console.log("Network:", network.name)
     console.log("Deployer:", deployer.address)
-    console.log("Mock WETH:", mockAsset.address)
-    console.log("Mock USDC:", mockTokenOut.address)
-    console.log("Price Feed:", priceFeed.address)
-    console.log("Mock Router:", mockRouter.address)
-    console.log("Vault Proxy:", vault.address)
+    console.log("Vault Asset:", external.asset)
+    console.log("Target Token:", external.targetToken)
+    console.log("Price Feed:", external.priceFeed)
+    console.log("Router:", external.router)
+    console.log("Vault Proxy:", vaultAddress)
     console.log("Vault Implementation:", implementationAddress)
-    console.log("Builder Agent:", builderAgent.address)
+    console.log("Agent Factory:", factoryAddress)
+    console.log("Fleet Guardian:", guardianAddress)
+    console.log("Builder Agent:", builderAgentAddress)
+    console.log("\n📄 Deployment record:", deploymentPath(network.name))
 
     // Save deployment info to JSON for other scripts
     const deploymentInfo = {
       network: network.name,
       deployer: deployer.address,
       contracts: {
-        mockWETH: mockAsset.address,
-        mockUSDC: mockTokenOut.address,
-        priceFeed: priceFeed.address,
-        mockRouter: mockRouter.address,
-        vaultProxy: vault.address,
+        ...(networkConfig.useMocks && {
+          mockWETH: external.asset,
+          mockUSDC: external.targetToken,
+          mockRouter: external.router,
+        }),
+        asset: external.asset,
+        targetToken: external.targetToken,
+        priceFeed: external.priceFeed,
+        router: external.router,
+        vaultProxy: vaultAddress,
         vaultImplementation: implementationAddress,
-        builderAgent: builderAgent.address,
+        agentFactory: factoryAddress,
+        fleetGuardian: guardianAddress,
+        builderAgent: builderAgentAddress,
       },
       config: {
-        initialPrice: initialPrice,
-        priceThreshold: priceThreshold,
+        tradingConfig,
       },
       timestamp: new Date().toISOString(),
-      blockNumber: await ethers.provider.getBlockNumber(),
+      blockNumber: deployment.contracts.vaultProxy.blockNumber,
     }
 
     // Write to file for other processes to use
-    const fs = require("fs")
-    fs.writeFileSync("deployment-info.json", JSON.stringify(deploymentInfo, null, 2))
-    console.log("\n📄 Deployment info saved to deployment-info.json")
+    fs.writeFileSync("deployment-info.json", toJSON(deploymentInfo))
+    console.log("📄 Deployment info saved to deployment-info.json")
   } catch (error) {
     console.error("❌ Deployment failed:", error)
     process.exit(1)
@@ -0,0 +1,55 @@
+const { ethers } = require("hardhat")
+const fs = require("fs")
+const { collectFleet, formatFleet } = require("./lib/fleet")
+const { toJSON } = require("./lib/json")
+
+// FACTORY: BuilderAgentFactory address; defaults to the one in deployment-info.json
+// CREATOR, VAULT, TARGET_TOKEN, PRICE_FEED: only list agents matching these addresses
+// ACTIVE_ONLY: skip deactivated and retired agents
+// PAGE_SIZE: agents fetched per getAgents call (default 100)
+// FLEET_JSON: print machine-readable JSON instead of the text report
+function factoryAddress() {
+  if (process.env.FACTORY) return process.env.FACTORY
+  if (!fs.existsSync("deployment-info.json")) return null
+  return JSON.parse(fs.readFileSync("deployment-info.json", "utf8")).contracts.agentFactory
+}
+
+async function main() {
+  const address = factoryAddress()
+  if (!address) {
+    console.error("❌ No factory found. Set FACTORY to a BuilderAgentFactory address.")
+    process.exit(1)
+  }
+
+  const env = process.env
+  const factory = await ethers.getContractAt("BuilderAgentFactory", address)
+  const fleet = await collectFleet(
+    factory,
+    {
+      creator: env.CREATOR,
+      vault: env.VAULT,
+      targetToken: env.TARGET_TOKEN,
+      priceFeed: env.PRICE_FEED,
+      activeOnly: ["1", "true"].includes((env.ACTIVE_ONLY || "").toLowerCase()),
+    },
+    {
+      getAgent: (agent) => ethers.getContractAt("BuilderAgent", agent),
+      pageSize: env.PAGE_SIZE ? Number(env.PAGE_SIZE) : undefined,
+    },
+  )
+
+  if (env.FLEET_JSON) {
+    console.log(toJSON(fleet))
+    return
+  }
+
+  console.log(`🏭 Fleet of ${address}: ${fleet.length} of ${await factory.getTotalAgents()} agents\n`)
+  console.log(formatFleet(fleet))
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error)
+    process.exit(1)
+  })
@@ -0,0 +1,70 @@
+const { ethers, network } = require("hardhat")
+const fs = require("fs")
+const path = require("path")
+const { EventStore } = require("./lib/event-store")
+const { EventIndexer } = require("./lib/indexer")
+const { createIndexerServer } = require("./lib/indexer-api")
+
+const PORT = Number(process.env.INDEXER_PORT || 4000)
+const POLL_INTERVAL = Number(process.env.INDEXER_POLL_MS || 15000)
+const CONFIRMATIONS = Number(process.env.INDEXER_CONFIRMATIONS || (network.name === "hardhat" ? 0 : 3))
+const DB_FILE = process.env.INDEXER_DB || path.join("indexer-data", `${network.name}.json`)
+
+async function main() {
+  if (!fs.existsSync("deployment-info.json")) {
+    console.error("❌ deployment-info.json not found. Run deploy script first.")
+    process.exit(1)
+  }
+
+  const deploymentInfo = JSON.parse(fs.readFileSync("deployment-info.json", "utf8"))
+  const { contracts } = deploymentInfo
+
+  const interfaces = {}
+  for (const name of ["CuttlefishVault", "BuilderAgentFactory", "BuilderAgent"]) {
+    interfaces[name] = (await ethers.getContractFactory(name)).interface
+  }
+
+  const store = new EventStore(DB_FILE)
+  const indexer = new EventIndexer({
+    provider: ethers.provider,
+    store,
+    interfaces,
+    vault: contracts.vaultProxy,
+    factory: contracts.agentFactory,
+    agents: [contracts.builderAgent].filter(Boolean),
+    startBlock: deploymentInfo.blockNumber || 0,
+    confirmations: CONFIRMATIONS,
+    log: console.log,
+  })
+
+  console.log("🗂️  Starting Cuttlefish event indexer...")
+  console.log("Network:", network.name)
+  console.log("Store:", DB_FILE)
+  console.log("Resuming from block:", store.checkpoint ? store.checkpoint.blockNumber + 1 : deploymentInfo.blockNumber)
+
+  const { head, indexed } = await indexer.sync()
+  console.log(`✅ Backfill complete: ${indexed} events up to block ${head}`)
+
+  createIndexerServer(store).listen(PORT, () => {
+    console.log(`🌐 Query API listening on http://localhost:${PORT}`)
+  })
+
+  // Follow the chain
+  let syncing = false
+  setInterval(async () => {
+    if (syncing) return
+    syncing = true
+    try {
+      await indexer.sync()
+    } catch (error) {
+      console.error("Error syncing events:", error.message)
+    } finally {
+      syncing = false
+    }
+  }, POLL_INTERVAL)
+}
+
+main().catch((error) => {
+  console.error(error)
+  process.exit(1)
+})
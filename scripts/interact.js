@@ -1,5 +1,9 @@
 const { ethers } = require("hardhat")
 const fs = require("fs")
+const { applyChange } = require("./lib/governance")
+
+// Confidence score submitted with demo trades (basis points)
+const AI_CONFIDENCE = 8000
 
 async function main() {
   // Load deployment info
@@ -20,99 +24,120 @@ async function main() {
   const builderAgent = await ethers.getContractAt("BuilderAgent", deploymentInfo.contracts.builderAgent)
   const mockAsset = await ethers.getContractAt("MockERC20", deploymentInfo.contracts.mockWETH)
   const priceFeed = await ethers.getContractAt("MockChainlinkPriceFeed", deploymentInfo.contracts.priceFeed)
+  const mockRouter = await ethers.getContractAt("MockUniswapRouter", deploymentInfo.contracts.mockRouter)
+
+  // Move the mock feed and have the mock router fill at the same price (whole USD)
+  const setMockPrice = async (usd) => {
+    await (await priceFeed.updatePrice(BigInt(usd) * 10n ** 8n)).wait()
+    const rate = BigInt(usd) * 10n ** 6n // mUSDC (6 decimals) per 1e18 mWETH
+    const { mockWETH, mockUSDC } = deploymentInfo.contracts
+    await (await mockRouter.setExchangeRate(mockWETH, mockUSDC, rate)).wait()
+  }
 
   try {
     // Check current price and threshold
     console.log("\n📊 Price Information:")
     const [currentPrice, timestamp] = await builderAgent.getLatestPrice()
-    const priceThreshold = await builderAgent.priceThreshold()
+    const tradingConfig = await builderAgent.config()
+    const priceThreshold = tradingConfig.priceThreshold
 
-    console.log("Current ETH Price:", (currentPrice / 10 ** 8).toString(), "USD")
-    console.log("Price Threshold:", (priceThreshold / 10 ** 8).toString(), "USD")
-    console.log("Price Updated At:", new Date(timestamp * 1000).toISOString())
-    console.log("Trading Condition:", currentPrice.gte(priceThreshold) ? "✅ TRADE ALLOWED" : "❌ TRADE BLOCKED")
+    console.log("Current ETH Price:", ethers.formatUnits(currentPrice, 8), "USD")
+    console.log("Price Threshold:", ethers.formatUnits(priceThreshold, 8), "USD")
+    console.log("Price Updated At:", new Date(Number(timestamp) * 1000).toISOString())
+    console.log("Trading Condition:", currentPrice >= priceThreshold ? "✅ TRADE ALLOWED" : "❌ TRADE BLOCKED")
 
     // Check vault status
     console.log("\n📊 Vault Status:")
     const vaultInfo = await vault.getVaultInfo()
-    console.log("Total Assets:", ethers.utils.formatEther(vaultInfo._totalAssets), "WETH")
-    console.log("Total Shares:", ethers.utils.formatEther(vaultInfo._totalShares))
+    console.log("Total Assets:", ethers.formatEther(vaultInfo._totalAssets), "WETH")
+    console.log("Total Shares:", ethers.formatEther(vaultInfo._totalShares))
     console.log("Performance Fee:", vaultInfo._performanceFeeRate.toString(), "basis points")
 
     // Simulate user deposit
     console.log("\n💰 Simulating user deposit...")
-    const depositAmount = ethers.utils.parseEther("100")
+    const depositAmount = ethers.parseEther("100")
 
     // Mint tokens to user
     await mockAsset.mint(deployer.address, depositAmount)
-    await mockAsset.approve(vault.address, depositAmount)
+    await mockAsset.approve(await vault.getAddress(), depositAmount)
 
     // Deposit to vault
     const tx = await vault.deposit(depositAmount, deployer.address)
     await tx.wait()
 
-    console.log("Deposited:", ethers.utils.formatEther(depositAmount), "WETH")
-    console.log("User shares:", ethers.utils.formatEther(await vault.balanceOf(deployer.address)))
+    console.log("Deposited:", ethers.formatEther(depositAmount), "WETH")
+    console.log("User shares:", ethers.formatEther(await vault.balanceOf(deployer.address)))
 
     // Test price-based trading scenarios
     console.log("\n🧪 Testing Price-Based Trading Scenarios...")
 
     // Scenario 1: Price below threshold
     console.log("\n📉 Scenario 1: Setting price below threshold ($1800)")
-    await priceFeed.updatePrice(1800 * 10 ** 8)
+    await setMockPrice(1800)
 
     const [lowPrice] = await builderAgent.getLatestPrice()
-    console.log("New Price:", (lowPrice / 10 ** 8).toString(), "USD")
+    console.log("New Price:", ethers.formatUnits(lowPrice, 8), "USD")
 
     try {
-      const tradeAmount = ethers.utils.parseEther("50")
+      const tradeAmount = ethers.parseEther("50")
       const deadline = Math.floor(Date.now() / 1000) + 3600
-      await builderAgent.triggerTrade(tradeAmount, 0, deadline)
+      await builderAgent.triggerTrade(tradeAmount, 0, deadline, AI_CONFIDENCE)
       console.log("❌ Trade should have failed!")
     } catch (error) {
-      console.log("✅ Trade correctly blocked:", error.message.includes("Price below threshold"))
+      console.log("✅ Trade correctly blocked:", error.message.includes("PriceBelowThreshold"))
     }
 
     // Scenario 2: Price above threshold
     console.log("\n📈 Scenario 2: Setting price above threshold ($2800)")
-    await priceFeed.updatePrice(2800 * 10 ** 8)
+    await setMockPrice(2800)
 
     const [highPrice] = await builderAgent.getLatestPrice()
-    console.log("New Price:", (highPrice / 10 ** 8).toString(), "USD")
+    console.log("New Price:", ethers.formatUnits(highPrice, 8), "USD")
 
-    const tradeAmount = ethers.utils.parseEther("50")
+    const tradeAmount = ethers.parseEther("50")
     const deadline = Math.floor(Date.now() / 1000) + 3600
 
     console.log("🤖 Executing AI trade...")
-    const tradeTx = await builderAgent.triggerTrade(tradeAmount, 0, deadline)
+    const tradeTx = await builderAgent.triggerTrade(tradeAmount, 0, deadline, AI_CONFIDENCE)
     const receipt = await tradeTx.wait()
 
     console.log("✅ Trade executed! Gas used:", receipt.gasUsed.toString())
 
     // Check events
-    const tradeEvent = receipt.events.find((e) => e.event === "TradeTriggered")
-    const priceEvent = receipt.events.find((e) => e.event === "PriceChecked")
+    const events = receipt.logs
+      .map((log) => {
+        try {
+          return builderAgent.interface.parseLog(log)
+        } catch {
+          return null
+        }
+      })
+      .filter(Boolean)
+    const tradeEvent = events.find((e) => e.name === "TradeTriggered")
 
     if (tradeEvent) {
-      console.log("Trade Amount:", ethers.utils.formatEther(tradeEvent.args.amountIn), "WETH")
-      console.log("Trade Price:", (tradeEvent.args.currentPrice / 10 ** 8).toString(), "USD")
+      console.log("Trade Amount:", ethers.formatEther(tradeEvent.args.amountIn), "WETH")
+      console.log("Trade Price:", ethers.formatUnits(tradeEvent.args.currentPrice, 8), "USD")
     }
 
-    // Check fees accrued
+    // Check fees accrued: buys carry none, the fee is charged on the realized profit of sells
     const feesAccrued = await vault.totalFeesAccrued()
-    console.log("Fees accrued:", ethers.utils.formatEther(feesAccrued), "WETH")
+    console.log("Fees accrued:", ethers.formatEther(feesAccrued), "WETH")
 
     // Scenario 3: Update threshold and test again
     console.log("\n⚙️ Scenario 3: Updating price threshold to $3000")
-    await builderAgent.setPriceThreshold(3000 * 10 ** 8)
+    const newConfig = { ...tradingConfig.toObject(), priceThreshold: 3000n * 10n ** 8n }
+    await (await applyChange(builderAgent, "updateTradingConfig", [newConfig])).wait()
+    await setMockPrice(2800) // The governance delay left the last round stale
 
-    const newThreshold = await builderAgent.priceThreshold()
-    console.log("New Threshold:", (newThreshold / 10 ** 8).toString(), "USD")
-    console.log("Current Price:", (highPrice / 10 ** 8).toString(), "USD")
-    console.log("Trading Condition:", highPrice.gte(newThreshold) ? "✅ TRADE ALLOWED" : "❌ TRADE BLOCKED")
+    const newThreshold = (await builderAgent.config()).priceThreshold
+    console.log("New Threshold:", ethers.formatUnits(newThreshold, 8), "USD")
+    console.log("Current Price:", ethers.formatUnits(highPrice, 8), "USD")
+    console.log("Trading Condition:", highPrice >= newThreshold ? "✅ TRADE ALLOWED" : "❌ TRADE BLOCKED")
 
     try {
-      await builderAgent.triggerTrade(ethers.utils.parseEther("25"), 0, deadline)
+      const { timestamp: now } = await ethers.provider.getBlock("latest")
+      await builderAgent.triggerTrade(ethers.parseEther("25"), 0, now + 300, AI_CONFIDENCE)
       console.log("❌ Trade should have failed with new threshold!")
     } catch (error) {
       console.log("✅ Trade correctly blocked with new threshold")
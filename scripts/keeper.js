@@ -0,0 +1,110 @@
+const { ethers } = require("hardhat")
+const fs = require("fs")
+const { getKeeperConfig } = require("./config/keeper")
+const { Keeper, discoverAgents } = require("./lib/keeper")
+const { createKeeperServer } = require("./lib/keeper-api")
+
+// KEEPER_ONCE: run a single check-and-perform pass and exit
+const ONCE = ["1", "true"].includes((process.env.KEEPER_ONCE || "").toLowerCase())
+
+function deploymentContracts() {
+  if (!fs.existsSync("deployment-info.json")) return {}
+  return JSON.parse(fs.readFileSync("deployment-info.json", "utf8")).contracts
+}
+
+// Watched agents the signer may perform upkeep on
+async function loadTargets(keeperConfig, signer) {
+  const contracts = deploymentContracts()
+  const factoryAddress = keeperConfig.factory || contracts.agentFactory
+  const agents = await discoverAgents({
+    factory: factoryAddress ? await ethers.getContractAt("BuilderAgentFactory", factoryAddress) : null,
+    configFile: keeperConfig.configFile,
+    extra: [
+      { address: contracts.builderAgent, type: "BuilderAgent" },
+      ...[contracts.enhancedBuilderAgent, ...(contracts.enhancedBuilderAgents || [])].map((address) => ({
+        address,
+        type: "EnhancedBuilderAgent",
+      })),
+    ],
+  })
+
+  const targets = []
+  for (const { address, type } of agents) {
+    const agent = await ethers.getContractAt(type, address, signer)
+    const authorized =
+      (await agent.hasRole(await agent.KEEPER_ROLE(), signer.address)) ||
+      (await agent.keeperRegistryAddress()) === signer.address
+    if (!authorized) {
+      console.warn(`⚠️  Skipping ${type} ${address}: signer does not hold KEEPER_ROLE`)
+      continue
+    }
+    targets.push(agent)
+  }
+  return targets
+}
+
+async function main() {
+  const keeperConfig = getKeeperConfig()
+  const signer = process.env.KEEPER_PRIVATE_KEY
+    ? new ethers.Wallet(process.env.KEEPER_PRIVATE_KEY, ethers.provider)
+    : (await ethers.getSigners())[0]
+
+  const targets = await loadTargets(keeperConfig, signer)
+  if (targets.length === 0) {
+    console.error("❌ No agents to keep. Run the deploy script or list agents in a KEEPER_CONFIG file.")
+    process.exit(1)
+  }
+
+  console.log("⏰ Starting keeper...")
+  console.log("Signer:", signer.address)
+  console.log("Agents:", (await Promise.all(targets.map((target) => target.getAddress()))).join(", "))
+
+  const keeper = new Keeper({
+    targets,
+    gasBufferBps: keeperConfig.gasBufferBps,
+    maxRetries: keeperConfig.maxRetries,
+    retryDelayMs: keeperConfig.retryDelayMs,
+    log: console.log,
+  })
+  if (ONCE) {
+    await keeper.tick()
+    return
+  }
+
+  if (keeperConfig.metricsPort !== null) {
+    createKeeperServer(keeper).listen(keeperConfig.metricsPort, () => {
+      console.log(`🌐 Metrics listening on http://localhost:${keeperConfig.metricsPort}/metrics`)
+    })
+  }
+
+  // Check every new block
+  let running = false
+  const cycle = async () => {
+    if (running) return
+    running = true
+    try {
+      await keeper.poll()
+    } catch (error) {
+      console.error("Error in keeper cycle:", error.message)
+    } finally {
+      running = false
+    }
+  }
+
+  // Pick up agents created through the factory since start
+  setInterval(async () => {
+    try {
+      keeper.setTargets(await loadTargets(keeperConfig, signer))
+    } catch (error) {
+      console.error("Error discovering agents:", error.message)
+    }
+  }, keeperConfig.discoveryInterval)
+
+  await cycle()
+  setInterval(cycle, keeperConfig.pollInterval)
+}
+
+main().catch((error) => {
+  console.error(error)
+  process.exit(1)
+})
@@ -0,0 +1,39 @@
+// BuilderAgent and EnhancedBuilderAgent run most of their logic in shared module
+// contracts they DELEGATECALL into, which keeps each deployment under the EIP-170
+// size limit. Agents take the module addresses as their last constructor argument,
+// a `{ trading, admin }` struct.
+
+const AGENT_MODULES = {
+  BuilderAgent: { trading: "BuilderAgentTrading", admin: "BuilderAgentAdmin" },
+  EnhancedBuilderAgent: { trading: "EnhancedBuilderAgentTrading", admin: "EnhancedBuilderAgentAdmin" },
+}
+
+const deployed = new Map()
+
+/**
+ * Deploy the modules of `agentName` ("BuilderAgent" or "EnhancedBuilderAgent") and
+ * resolve to their `{ trading, admin }` addresses. Modules hold no state, so one
+ * deployment per network serves every agent; it is reused for as long as the chain
+ * still has code at it.
+ */
+async function deployAgentModules(ethers, agentName) {
+  const names = AGENT_MODULES[agentName]
+  if (!names) throw new Error(`No modules for ${agentName}`)
+
+  const { chainId } = await ethers.provider.getNetwork()
+  const key = `${chainId}:${agentName}`
+  const cached = deployed.get(key)
+  if (cached && (await ethers.provider.getCode(cached.trading)) !== "0x") return cached
+
+  const modules = {}
+  for (const [kind, contractName] of Object.entries(names)) {
+    const module = await (await ethers.getContractFactory(contractName)).deploy()
+    await module.waitForDeployment()
+    modules[kind] = await module.getAddress()
+  }
+
+  deployed.set(key, modules)
+  return modules
+}
+
+module.exports = { AGENT_MODULES, deployAgentModules }
@@ -0,0 +1,134 @@
+const { formatEther, formatUnits } = require("ethers")
+const { revertReason } = require("./errors")
+
+/**
+ * Drives a BuilderAgent from an off-chain strategy: reads the validated price
+ * and recent feed rounds, asks the strategy for a decision, pre-checks it with
+ * `canTrade()` / `canSell()`, derives `amountOutMin` from the router quote and
+ * `config.maxSlippage`, and submits `triggerTrade` or `triggerSell` (unless in
+ * dry-run mode). Sells close part of the position in the agent's target token.
+ * Quotes below the agent's oracle-derived floor are not submitted, since the
+ * agent would reject them.
+ *
+ * `agent` must be connected to a signer holding AI_ROLE for live runs.
+ */
+class AgentRunner {
+  constructor({ agent, priceFeed, router, strategy, dryRun = false, deadlineSeconds = 300, log = () => {} }) {
+    this.agent = agent
+    this.priceFeed = priceFeed
+    this.router = router
+    this.strategy = strategy
+    this.dryRun = dryRun
+    this.deadlineSeconds = deadlineSeconds
+    this.log = log
+  }
+
+  /**
+   * Feed answers for the last `count` rounds, oldest first. Stops at the first
+   * missing round (mock feeds return zeros, live aggregators revert).
+   */
+  async loadPriceHistory(count) {
+    const latest = await this.priceFeed.latestRoundData()
+    const prices = [latest.answer]
+
+    for (let roundId = latest.roundId - 1n; roundId > 0n && prices.length < count; roundId--) {
+      let round
+      try {
+        round = await this.priceFeed.getRoundData(roundId)
+      } catch {
+        break
+      }
+      if (round.answer <= 0n || round.updatedAt === 0n) break
+      prices.unshift(round.answer)
+    }
+
+    return prices
+  }
+
+  /**
+   * Run one decision cycle. Returns a record of what happened:
+   * `{ status: "skipped" | "hold" | "rejected" | "dry-run" | "submitted" | "failed", ... }`
+   */
+  async tick() {
+    let currentPrice
+    try {
+      ;[currentPrice] = await this.agent.getLatestPrice()
+    } catch (error) {
+      const reason = revertReason(error, this.agent.interface)
+      this.log(`⏭️  Skipping cycle: price unavailable (${reason})`)
+      return { status: "skipped", reason }
+    }
+
+    const targetToken = await this.agent.targetToken()
+    const [config, stats, position] = await Promise.all([
+      this.agent.config(),
+      this.agent.getTradingStats(),
+      this.agent.positions(targetToken),
+    ])
+    const history = await this.loadPriceHistory(this.strategy.lookback)
+    // The validated on-chain price is authoritative for the latest point
+    const prices = [...history.slice(0, -1), currentPrice]
+
+    const decision = this.strategy.decide({ prices, config, stats, position })
+    this.log(`🧠 ${this.strategy.name} @ ${formatUnits(currentPrice, 8)} USD: ${decision.action} (${decision.reason})`)
+
+    if (decision.action !== "trade" && decision.action !== "sell") {
+      return { status: "hold", decision }
+    }
+    const isSell = decision.action === "sell"
+
+    const [allowed, reason] = isSell
+      ? await this.agent.canSell(targetToken, decision.amountIn, decision.confidence)
+      : await this.agent.canTrade(decision.amountIn, decision.confidence)
+    if (!allowed) {
+      this.log(`🚫 ${isSell ? "Sell rejected by canSell" : "Trade rejected by canTrade"}: ${reason}`)
+      return { status: "rejected", decision, reason }
+    }
+
+    const path = isSell ? await this.agent.getSellPath(targetToken) : await this.agent.getDefaultPath(targetToken)
+    const [amountOutMin, minimumOutput] = await Promise.all([
+      this.quoteMinimumOut(decision.amountIn, config.maxSlippage, path),
+      this.agent.getMinimumOutput(decision.amountIn, [...path]),
+    ])
+    if (amountOutMin < minimumOutput) {
+      const reason = `Router quote below oracle floor (${amountOutMin} < ${minimumOutput})`
+      this.log(`🚫 ${reason}`)
+      return { status: "rejected", decision, reason }
+    }
+    const deadline = (await this.agent.runner.provider.getBlock("latest")).timestamp + this.deadlineSeconds
+    const trade = { amountIn: decision.amountIn, amountOutMin, deadline, confidence: decision.confidence }
+    // Sells spend target token units, buys the (18-decimal) vault asset
+    const amount = isSell ? `${trade.amountIn} target token units` : formatEther(trade.amountIn)
+
+    if (this.dryRun) {
+      this.log(
+        `📝 [dry-run] Would ${isSell ? "sell" : "trade"} ${amount} (min out ${trade.amountOutMin}) at confidence ${trade.confidence}`,
+      )
+      return { status: "dry-run", decision, trade }
+    }
+
+    try {
+      const args = [trade.amountIn, trade.amountOutMin, trade.deadline, trade.confidence]
+      const tx = isSell ? await this.agent.triggerSell(targetToken, ...args) : await this.agent.triggerTrade(...args)
+      const receipt = await tx.wait()
+      this.log(`✅ ${isSell ? "Sell" : "Trade"} submitted: ${amount} in, tx ${tx.hash}`)
+      return { status: "submitted", decision, trade, txHash: tx.hash, blockNumber: receipt.blockNumber }
+    } catch (error) {
+      const reason = revertReason(error, this.agent.interface)
+      this.log(`❌ Trade failed: ${reason}`)
+      return { status: "failed", decision, trade, reason }
+    }
+  }
+
+  /**
+   * Router quote along `path` (by default the agent's route to its target token), reduced by maxSlippage.
+   */
+  async quoteMinimumOut(amountIn, maxSlippage, path = null) {
+    path = [...(path ?? (await this.agent.getDefaultPath(await this.agent.targetToken())))]
+    const amounts = await this.router.getAmountsOut(amountIn, path)
+    const quoted = amounts[amounts.length - 1]
+    return (quoted * (10000n - maxSlippage)) / 10000n
+  }
+}
+
+module.exports = { AgentRunner }
@@ -0,0 +1,77 @@
+const { ZeroHash } = require("ethers")
+
+/**
+ * Read an EnhancedBuilderAgent's prediction and trading counters.
+ */
+async function collectAgentStats(agent) {
+  const [
+    advanced,
+    counters,
+    accuracy,
+    totalTrades,
+    successfulTrades,
+    pendingRequests,
+    unscoredRequestId,
+    consecutiveFailures,
+  ] = await Promise.all([
+    agent.getAdvancedStats(),
+    agent.predictionStats(),
+    agent.getPredictionAccuracy(),
+    agent.totalTrades(),
+    agent.successfulTrades(),
+    agent.pendingRequestsCount(),
+    agent.unscoredRequestId(),
+    agent.consecutivePredictionFailures(),
+  ])
+
+  return {
+    address: await agent.getAddress(),
+    predictions: {
+      requested: advanced.totalPredictions,
+      fulfilled: advanced.successfulPredictions,
+      failed: counters.failed,
+      nonCompliant: counters.nonCompliant,
+      invalid: counters.invalid,
+      expired: counters.expired,
+      consecutiveFailures,
+      pending: pendingRequests,
+      anomalies: advanced.anomalyCount,
+      averageConfidenceBps: advanced.averageConfidence,
+      nftsMinted: advanced.nftsMinted,
+    },
+    accuracy: {
+      scored: accuracy.scoredPredictions,
+      accurate: accuracy.accuratePredictions,
+      accuracyBps: accuracy.accuracyBps,
+      averageErrorBps: accuracy.averageErrorBps,
+      awaitingScore: unscoredRequestId !== ZeroHash,
+    },
+    trades: {
+      total: totalTrades,
+      successful: successfulTrades,
+    },
+  }
+}
+
+function formatAgentStats(stats) {
+  const pct = (bps) => `${(Number(bps) / 100).toFixed(2)}%`
+  const { predictions, accuracy, trades } = stats
+
+  return [
+    `🤖 Agent ${stats.address}`,
+    `Predictions: ${predictions.requested} requested, ${predictions.fulfilled} fulfilled, ${predictions.failed} failed, ${predictions.nonCompliant} non-compliant, ${predictions.invalid} invalid, ${predictions.expired} expired, ${predictions.pending} pending`,
+    ...(predictions.consecutiveFailures > 0n
+      ? [`Retrying after ${predictions.consecutiveFailures} consecutive failed predictions`]
+      : []),
+    `Average confidence: ${pct(predictions.averageConfidenceBps)}`,
+    `Anomalies: ${predictions.anomalies}`,
+    `Prediction NFTs minted: ${predictions.nftsMinted}`,
+    accuracy.scored > 0n
+      ? `Accuracy: ${pct(accuracy.accuracyBps)} (${accuracy.accurate}/${accuracy.scored} within threshold, average error ${pct(accuracy.averageErrorBps)})`
+      : "Accuracy: no predictions scored yet",
+    ...(accuracy.awaitingScore ? ["Latest prediction awaiting the next price round"] : []),
+    `Trades: ${trades.successful}/${trades.total} successful`,
+  ].join("\n")
+}
+
+module.exports = { collectAgentStats, formatAgentStats }
@@ -0,0 +1,333 @@
+const fs = require("fs")
+const path = require("path")
+const { ZeroHash, formatEther } = require("ethers")
+const { normalize } = require("./json")
+const { revertReason } = require("./errors")
+const { listPendingChanges, describeChange } = require("./governance")
+
+// Rule evaluators. Each receives the rule, the current snapshot and the engine's
+// TVL history, and returns one finding per offending subject (agent or vault).
+const RULE_TYPES = {
+  emergencyStop(rule, snapshot) {
+    return snapshot.agents
+      .filter((agent) => agent.emergencyStop)
+      .map((agent) => ({
+        subject: agent.address,
+        message: `Emergency stop active on agent ${agent.address}`,
+      }))
+  },
+
+  priceFeedStale(rule, snapshot) {
+    return snapshot.agents
+      .filter((agent) => agent.priceError)
+      .map((agent) => ({
+        subject: agent.address,
+        message: `Price feed check failed for agent ${agent.address}: ${agent.priceError}`,
+      }))
+  },
+
+  tradeSuccessRate(rule, snapshot) {
+    return snapshot.agents
+      .filter((agent) => agent.totalTrades >= BigInt(rule.minTrades || 1))
+      .filter((agent) => agent.successRate < BigInt(rule.minSuccessRate))
+      .map((agent) => ({
+        subject: agent.address,
+        message: `Trade success rate ${Number(agent.successRate) / 100}% below ${rule.minSuccessRate / 100}% on agent ${agent.address}`,
+        details: { successRate: agent.successRate, totalTrades: agent.totalTrades },
+      }))
+  },
+
+  dailyVolume(rule, snapshot) {
+    return snapshot.agents
+      .filter((agent) => agent.dailyTradeLimit > 0n)
+      .map((agent) => ({ agent, utilization: (agent.dailyVolume * 10000n) / agent.dailyTradeLimit }))
+      .filter(({ utilization }) => utilization > BigInt(rule.maxUtilization))
+      .map(({ agent, utilization }) => ({
+        subject: agent.address,
+        message: `Daily volume ${formatEther(agent.dailyVolume)} is ${Number(utilization) / 100}% of the ${formatEther(agent.dailyTradeLimit)} limit on agent ${agent.address}`,
+        details: { dailyVolume: agent.dailyVolume, dailyTradeLimit: agent.dailyTradeLimit },
+      }))
+  },
+
+  predictionFailures(rule, snapshot) {
+    return snapshot.predictionAgents
+      .filter((agent) => agent.consecutiveFailures >= BigInt(rule.maxConsecutiveFailures))
+      .map((agent) => ({
+        subject: agent.address,
+        message: `${agent.consecutiveFailures} consecutive prediction requests failed on agent ${agent.address}`,
+        details: { consecutiveFailures: agent.consecutiveFailures },
+      }))
+  },
+
+  predictionTimeout(rule, snapshot) {
+    return snapshot.predictionAgents
+      .filter((agent) => agent.pendingRequestId && snapshot.timestamp >= Number(agent.pendingExpiresAt))
+      .map((agent) => ({
+        subject: agent.address,
+        message: `Prediction request ${agent.pendingRequestId} on agent ${agent.address} is past its expiry and awaits expiration`,
+        details: { requestId: agent.pendingRequestId, expiresAt: agent.pendingExpiresAt },
+      }))
+  },
+
+  // One finding per proposed governance change, so it can be reviewed (and cancelled)
+  // before it executes; it resolves once executed or cancelled
+  pendingChange(rule, snapshot) {
+    return [...snapshot.agents, ...snapshot.predictionAgents].flatMap((agent) =>
+      agent.pendingChanges.map((change) => ({
+        subject: change.changeId,
+        message: `Change ${change.call} proposed on agent ${agent.address}, executable ${new Date(Number(change.executableAt) * 1000).toISOString()}`,
+        details: { agent: agent.address, ...change },
+      })),
+    )
+  },
+
+  tvlDrop(rule, snapshot, history) {
+    const since = snapshot.timestamp - rule.window
+    const peak = history
+      .filter((sample) => sample.timestamp >= since)
+      .reduce((max, sample) => (sample.totalAssets > max ? sample.totalAssets : max), 0n)
+    if (peak === 0n || snapshot.vault.totalAssets >= peak) return []
+
+    const drop = ((peak - snapshot.vault.totalAssets) * 10000n) / peak
+    if (drop <= BigInt(rule.maxDrop)) return []
+
+    return [
+      {
+        subject: snapshot.vault.address,
+        message: `Vault TVL dropped ${Number(drop) / 100}% (${formatEther(peak)} → ${formatEther(snapshot.vault.totalAssets)}) within ${rule.window / 60} minutes`,
+        details: { peak, totalAssets: snapshot.vault.totalAssets },
+      },
+    ]
+  },
+}
+
+/**
+ * Evaluates declarative rules against monitor snapshots and fans alerts out to
+ * sinks. A firing alert is sent once, repeated only after its cooldown, and a
+ * "resolved" alert is sent when the condition clears.
+ */
+class AlertEngine {
+  constructor({ rules, sinks = [], cooldown = 15 * 60, log = console.error }) {
+    for (const rule of rules) {
+      if (!RULE_TYPES[rule.type]) throw new Error(`Unknown alert rule type: ${rule.type}`)
+    }
+
+    this.rules = rules
+    this.sinks = sinks
+    this.cooldown = cooldown
+    this.log = log
+    this.active = new Map() // key => { rule, subject, firstSeen, lastNotified, occurrences }
+    this.history = [] // { timestamp, totalAssets } samples for TVL rules
+    this.historyWindow = Math.max(0, ...rules.filter((r) => r.type === "tvlDrop").map((r) => r.window))
+  }
+
+  /**
+   * Evaluate every rule against a snapshot and dispatch any alerts due.
+   * Returns the alerts that were sent.
+   */
+  async evaluate(snapshot) {
+    const now = snapshot.timestamp
+    this._recordHistory(snapshot)
+
+    const sent = []
+    const seen = new Set()
+
+    for (const rule of this.rules) {
+      const findings = RULE_TYPES[rule.type](rule, snapshot, this.history)
+
+      for (const finding of findings) {
+        const key = `${rule.id}:${finding.subject}`
+        seen.add(key)
+
+        const state = this.active.get(key)
+        if (!state) {
+          this.active.set(key, { rule, subject: finding.subject, firstSeen: now, lastNotified: now, occurrences: 1 })
+          sent.push(this._alert(rule, "firing", key, finding, now, 1))
+          continue
+        }
+
+        state.occurrences++
+        const cooldown = rule.cooldown ?? this.cooldown
+        if (now - state.lastNotified >= cooldown) {
+          state.lastNotified = now
+          sent.push(this._alert(rule, "firing", key, finding, now, state.occurrences))
+        }
+      }
+    }
+
+    for (const [key, state] of this.active) {
+      if (seen.has(key)) continue
+      this.active.delete(key)
+      const message = `Resolved: ${state.rule.id} for ${state.subject}`
+      sent.push(this._alert(state.rule, "resolved", key, { subject: state.subject, message }, now, state.occurrences))
+    }
+
+    for (const alert of sent) {
+      await this._dispatch(alert)
+    }
+    return sent
+  }
+
+  _recordHistory(snapshot) {
+    this.history.push({ timestamp: snapshot.timestamp, totalAssets: snapshot.vault.totalAssets })
+    const since = snapshot.timestamp - this.historyWindow
+    this.history = this.history.filter((sample) => sample.timestamp >= since)
+  }
+
+  _alert(rule, status, key, finding, timestamp, occurrences) {
+    return {
+      key,
+      rule: rule.id,
+      severity: rule.severity || "warning",
+      status,
+      subject: finding.subject,
+      message: finding.message,
+      details: normalize(finding.details || {}),
+      occurrences,
+      timestamp,
+    }
+  }
+
+  async _dispatch(alert) {
+    // One failing sink must not stop the others
+    await Promise.all(
+      this.sinks.map(async (sink) => {
+        try {
+          await sink.send(alert)
+        } catch (error) {
+          this.log(`❌ Alert sink ${sink.name} failed: ${error.message}`)
+        }
+      }),
+    )
+  }
+}
+
+// Sinks
+
+class ConsoleSink {
+  constructor(log = console.log) {
+    this.name = "console"
+    this.log = log
+  }
+
+  async send(alert) {
+    const icon = alert.status === "resolved" ? "✅" : alert.severity === "critical" ? "🚨" : "⚠️ "
+    const repeat = alert.occurrences > 1 && alert.status === "firing" ? ` (seen ${alert.occurrences}x)` : ""
+    this.log(`${icon} [${alert.severity.toUpperCase()}] ${alert.message}${repeat}`)
+  }
+}
+
+class WebhookSink {
+  constructor(url, { timeout = 5000 } = {}) {
+    this.name = "webhook"
+    this.url = url
+    this.timeout = timeout
+  }
+
+  async send(alert) {
+    const response = await fetch(this.url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(alert),
+      signal: AbortSignal.timeout(this.timeout),
+    })
+    if (!response.ok) throw new Error(`Webhook responded with ${response.status}`)
+  }
+}
+
+// Appends one JSON line per alert
+class FileSink {
+  constructor(file) {
+    this.name = "file"
+    this.file = file
+  }
+
+  async send(alert) {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true })
+    fs.appendFileSync(this.file, JSON.stringify(alert) + "\n")
+  }
+}
+
+function createSinks({ webhookUrl, file }) {
+  const sinks = [new ConsoleSink()]
+  if (webhookUrl) sinks.push(new WebhookSink(webhookUrl))
+  if (file) sinks.push(new FileSink(file))
+  return sinks
+}
+
+/**
+ * Read the on-chain state the rules need from the vault and each agent.
+ * `predictionAgents` are EnhancedBuilderAgents, checked for failing prediction requests.
+ * Governance proposals are looked up from `fromBlock` on.
+ */
+async function collectSnapshot({ provider, vault, agents, predictionAgents = [], fromBlock = 0 }) {
+  const block = await provider.getBlock("latest")
+  const vaultInfo = await vault.getVaultInfo()
+
+  const agentStates = []
+  for (const agent of agents) {
+    const [stats, config, emergencyStop] = await Promise.all([
+      agent.getTradingStats(),
+      agent.config(),
+      agent.emergencyStop(),
+    ])
+
+    let priceError = null
+    try {
+      await agent.getLatestPrice()
+    } catch (error) {
+      priceError = revertReason(error, agent.interface)
+    }
+
+    agentStates.push({
+      address: await agent.getAddress(),
+      emergencyStop,
+      priceError,
+      totalTrades: stats._totalTrades,
+      successfulTrades: stats._successfulTrades,
+      successRate: stats._successRate,
+      dailyVolume: stats._dailyVolume,
+      dailyTradeLimit: config.dailyTradeLimit,
+      pendingChanges: await collectPendingChanges(agent, fromBlock),
+    })
+  }
+
+  const predictionStates = []
+  for (const agent of predictionAgents) {
+    const [consecutiveFailures, pendingRequestId] = await Promise.all([
+      agent.consecutivePredictionFailures(),
+      agent.pendingRequestId(),
+    ])
+    const pending = pendingRequestId !== ZeroHash
+
+    predictionStates.push({
+      address: await agent.getAddress(),
+      consecutiveFailures,
+      pendingRequestId: pending ? pendingRequestId : null,
+      pendingExpiresAt: pending ? (await agent.predictions(pendingRequestId)).expiresAt : null,
+      pendingChanges: await collectPendingChanges(agent, fromBlock),
+    })
+  }
+
+  return {
+    timestamp: block.timestamp,
+    blockNumber: block.number,
+    vault: {
+      address: await vault.getAddress(),
+      totalAssets: vaultInfo._totalAssets,
+      totalShares: vaultInfo._totalShares,
+    },
+    agents: agentStates,
+    predictionAgents: predictionStates,
+  }
+}
+
+async function collectPendingChanges(agent, fromBlock) {
+  return (await listPendingChanges(agent, { fromBlock })).map(({ changeId, data, executableAt }) => ({
+    changeId,
+    call: describeChange(agent, data),
+    executableAt,
+  }))
+}
+
+module.exports = { RULE_TYPES, AlertEngine, ConsoleSink, WebhookSink, FileSink, createSinks, collectSnapshot }
@@ -0,0 +1,262 @@
+const fs = require("fs")
+const path = require("path")
+const { parseUnits, formatUnits, formatEther } = require("ethers")
+const { revertReason } = require("./errors")
+const { deployAgentModules } = require("./agent-modules")
+
+const FEED_DECIMALS = 8
+const TARGET_DECIMALS = 6 // mock USDC
+
+/**
+ * Load a price series from CSV (`timestamp,price` or a single `price` column,
+ * header optional) or JSON (array of prices or `{ timestamp, price }` objects).
+ * Prices are USD decimals; timestamps are unix seconds or ISO dates. Points
+ * without a timestamp are spaced `interval` seconds apart.
+ */
+function loadPriceSeries(file, { interval = 3600 } = {}) {
+  const raw = fs.readFileSync(file, "utf8")
+  let rows
+
+  if (path.extname(file).toLowerCase() === ".json") {
+    rows = JSON.parse(raw).map((item) => (typeof item === "object" ? item : { price: item }))
+  } else {
+    const lines = raw.split(/\r?\n/).map((line) => line.trim()).filter(Boolean)
+    const hasHeader = isNaN(Number(lines[0].split(",").pop()))
+    const header = hasHeader ? lines.shift().split(",").map((h) => h.trim().toLowerCase()) : null
+    rows = lines.map((line) => {
+      const cells = line.split(",").map((c) => c.trim())
+      if (header) return Object.fromEntries(header.map((h, i) => [h, cells[i]]))
+      return cells.length > 1 ? { timestamp: cells[0], price: cells[1] } : { price: cells[0] }
+    })
+  }
+
+  if (rows.length === 0) throw new Error(`No price points in ${file}`)
+
+  return rows.map((row, i) => ({
+    timestamp: parseTimestamp(row.timestamp, i * interval),
+    price: parseUnits(String(row.price), FEED_DECIMALS),
+  }))
+}
+
+function parseTimestamp(value, fallback) {
+  if (value === undefined || value === null || value === "") return fallback
+  const numeric = Number(value)
+  return isNaN(numeric) ? Math.floor(Date.parse(value) / 1000) : numeric
+}
+
+// Raw target-token amount the mock router pays per 1e18 raw asset at `price`
+function routerRate(price) {
+  return (price * 10n ** BigInt(TARGET_DECIMALS)) / 10n ** BigInt(FEED_DECIMALS)
+}
+
+// Raw vault-asset amount the mock router pays per 1e18 raw target token at `price`
+function sellRate(price) {
+  return (10n ** 36n * 10n ** BigInt(FEED_DECIMALS)) / (price * 10n ** BigInt(TARGET_DECIMALS))
+}
+
+// Value of an asset amount in target-token units at `price`
+function assetValue(amount, price) {
+  return (amount * routerRate(price)) / 10n ** 18n
+}
+
+// Value of a target-token amount in asset units at `price`
+function targetValue(amount, price) {
+  return (amount * sellRate(price)) / 10n ** 18n
+}
+
+async function deployEnvironment({ ethers, upgrades }, { tradingConfig, initialPrice, vaultFunding }) {
+  const [deployer] = await ethers.getSigners()
+
+  const MockERC20 = await ethers.getContractFactory("MockERC20")
+  const asset = await MockERC20.deploy("Mock WETH", "mWETH", 18, 0)
+  const targetToken = await MockERC20.deploy("Mock USDC", "mUSDC", TARGET_DECIMALS, 0)
+
+  const MockChainlinkPriceFeed = await ethers.getContractFactory("MockChainlinkPriceFeed")
+  const priceFeed = await MockChainlinkPriceFeed.deploy(FEED_DECIMALS, "ETH/USD", 1, initialPrice)
+
+  const MockUniswapRouter = await ethers.getContractFactory("MockUniswapRouter")
+  const router = await MockUniswapRouter.deploy()
+  await targetToken.mint(await router.getAddress(), parseUnits("1000000000", TARGET_DECIMALS))
+  await asset.mint(await router.getAddress(), parseUnits("1000000000", 18))
+
+  const CuttlefishVault = await ethers.getContractFactory("CuttlefishVault")
+  const vault = await upgrades.deployProxy(CuttlefishVault, [
+    await asset.getAddress(),
+    deployer.address,
+    deployer.address,
+    await router.getAddress(),
+  ])
+
+  const BuilderAgent = await ethers.getContractFactory("BuilderAgent")
+  const agent = await BuilderAgent.deploy(
+    await vault.getAddress(),
+    await asset.getAddress(),
+    await targetToken.getAddress(),
+    await priceFeed.getAddress(),
+    tradingConfig,
+    await deployAgentModules(ethers, "BuilderAgent"),
+  )
+  await agent.grantRole(await agent.AI_ROLE(), deployer.address)
+  await vault.addBuilderAgent(await agent.getAddress())
+  // Mark the target tokens the vault buys to the replayed price
+  await vault.setPriceFeed(await targetToken.getAddress(), await priceFeed.getAddress())
+
+  // Seed the vault through a real deposit so shares exist
+  await asset.mint(deployer.address, vaultFunding)
+  await asset.approve(await vault.getAddress(), vaultFunding)
+  await vault.deposit(vaultFunding, deployer.address)
+
+  return { asset, targetToken, priceFeed, router, vault, agent }
+}
+
+/**
+ * Replay a price series through a freshly deployed vault and BuilderAgent on the
+ * in-process Hardhat network. Each point advances chain time, updates the mock
+ * feed and router rates, asks the strategy for a decision and calls `triggerTrade`
+ * for a "trade" or `triggerSell` for a "sell" directly, so the agent's own guards
+ * decide. Any other action than those and "hold" is an error.
+ */
+async function runBacktest({
+  ethers,
+  upgrades,
+  series,
+  tradingConfig,
+  strategy,
+  vaultFunding = parseUnits("10000", 18),
+  log = () => {},
+}) {
+  if (series.length === 0) throw new Error("Empty price series")
+
+  const env = await deployEnvironment({ ethers, upgrades }, { tradingConfig, initialPrice: series[0].price, vaultFunding })
+  const { asset, targetToken, priceFeed, router, vault, agent } = env
+  const assetAddress = await asset.getAddress()
+  const targetAddress = await targetToken.getAddress()
+
+  const prices = []
+  const trades = []
+  const blocked = {}
+  let holds = 0
+  let sells = 0
+  let volume = 0n
+  let peak = 0n
+  let maxDrawdown = 0n
+  const equity = []
+
+  for (let i = 0; i < series.length; i++) {
+    const point = series[i]
+    if (i > 0 && point.timestamp > series[i - 1].timestamp) {
+      await ethers.provider.send("evm_increaseTime", [point.timestamp - series[i - 1].timestamp])
+    }
+    await priceFeed.updatePrice(point.price)
+    await router.setExchangeRate(assetAddress, targetAddress, routerRate(point.price))
+    await router.setExchangeRate(targetAddress, assetAddress, sellRate(point.price))
+    prices.push(point.price)
+
+    const [config, stats, position] = await Promise.all([
+      agent.config(),
+      agent.getTradingStats(),
+      agent.positions(targetAddress),
+    ])
+    const decision = strategy.decide({ prices: prices.slice(-strategy.lookback), config, stats, position })
+
+    if (decision.action === "trade" || decision.action === "sell") {
+      // Sells spend target token units, buys the vault asset
+      const isSell = decision.action === "sell"
+      const quoted = isSell ? targetValue(decision.amountIn, point.price) : assetValue(decision.amountIn, point.price)
+      const amountOutMin = (quoted * (10000n - config.maxSlippage)) / 10000n
+      const deadline = (await ethers.provider.getBlock("latest")).timestamp + 3600
+      const args = [decision.amountIn, amountOutMin, deadline, decision.confidence]
+
+      try {
+        await (await (isSell ? agent.triggerSell(targetAddress, ...args) : agent.triggerTrade(...args))).wait()
+        if (isSell) sells++
+        else volume += decision.amountIn
+        trades.push({
+          action: decision.action,
+          timestamp: point.timestamp,
+          price: point.price,
+          amountIn: decision.amountIn,
+          confidence: decision.confidence,
+        })
+        const amount = isSell ? `${formatUnits(decision.amountIn, TARGET_DECIMALS)} target` : formatEther(decision.amountIn)
+        log(`🔄 ${point.timestamp} ${decision.action} ${amount} @ ${formatUnits(point.price, FEED_DECIMALS)}`)
+      } catch (error) {
+        const reason = revertReason(error, agent.interface)
+        blocked[reason] = (blocked[reason] || 0) + 1
+        log(`🚫 ${point.timestamp} blocked: ${reason}`)
+      }
+    } else if (decision.action === "hold") {
+      holds++
+    } else {
+      throw new Error(`Strategy ${strategy.name} returned unknown action "${decision.action}"`)
+    }
+
+    // Mark to market: totalAssets values the vault's target tokens at the feed, net of pending fees
+    const value = assetValue(await vault.totalAssets(), point.price)
+    equity.push({ timestamp: point.timestamp, price: point.price, value })
+    if (value > peak) peak = value
+    const drawdown = peak > 0n ? ((peak - value) * 10000n) / peak : 0n
+    if (drawdown > maxDrawdown) maxDrawdown = drawdown
+  }
+
+  const first = series[0]
+  const last = series[series.length - 1]
+  const startValue = assetValue(vaultFunding, first.price)
+  const endValue = equity[equity.length - 1].value
+  const holdValue = assetValue(vaultFunding, last.price)
+  const feesAccrued = await vault.totalFeesAccrued()
+  const feeValue = assetValue(feesAccrued, last.price)
+
+  return {
+    points: series.length,
+    from: first.timestamp,
+    to: last.timestamp,
+    tradingConfig,
+    strategy: strategy.name,
+    trades: trades.length - sells,
+    sells,
+    holds,
+    blocked,
+    volume,
+    startValue,
+    endValue,
+    pnl: endValue - startValue,
+    pnlBps: ((endValue - startValue) * 10000n) / startValue,
+    buyAndHoldPnl: holdValue - startValue,
+    fees: {
+      accrued: feesAccrued,
+      value: feeValue,
+      dragBps: (feeValue * 10000n) / startValue,
+    },
+    maxDrawdownBps: maxDrawdown,
+    tradeLog: trades,
+    equity,
+  }
+}
+
+function formatReport(report) {
+  const usd = (value) => formatUnits(value, TARGET_DECIMALS)
+  const pct = (bps) => `${(Number(bps) / 100).toFixed(2)}%`
+  const blocked = Object.entries(report.blocked)
+
+  return [
+    "📈 Backtest Report",
+    `Strategy: ${report.strategy}`,
+    `Period: ${new Date(report.from * 1000).toISOString()} → ${new Date(report.to * 1000).toISOString()} (${report.points} points)`,
+    "",
+    `Trades executed: ${report.trades}`,
+    `Sells executed: ${report.sells}`,
+    `Volume: ${formatEther(report.volume)} asset bought`,
+    `Holds (strategy): ${report.holds}`,
+    `Blocked by agent: ${blocked.length === 0 ? "none" : blocked.map(([reason, n]) => `${reason} ×${n}`).join(", ")}`,
+    "",
+    `Start value: ${usd(report.startValue)} USD`,
+    `End value: ${usd(report.endValue)} USD`,
+    `P&L: ${usd(report.pnl)} USD (${pct(report.pnlBps)})`,
+    `Buy & hold P&L: ${usd(report.buyAndHoldPnl)} USD`,
+    `Fees accrued: ${formatEther(report.fees.accrued)} asset (${usd(report.fees.value)} USD, drag ${pct(report.fees.dragBps)})`,
+    `Max drawdown: ${pct(report.maxDrawdownBps)}`,
+  ].join("\n")
+}
+
+module.exports = { loadPriceSeries, runBacktest, formatReport, routerRate }
@@ -0,0 +1,190 @@
+// Minimal CBOR codec for Chainlink Functions request payloads.
+//
+// FunctionsRequest.encodeCBOR writes a flat sequence of top-level items
+// (key, value, key, value, ...) rather than a map, using text strings,
+// indefinite-length arrays and bignum tags for uint256 values.
+
+const { getBytes, hexlify, toBeHex } = require("ethers")
+
+const TAG_BIGNUM = 2
+const TAG_NEGATIVE_BIGNUM = 3
+const BREAK = Symbol("break")
+
+// `bytes` may be a 0x-prefixed hex string (as returned by ethers) or a byte array
+function decodeSequence(bytes) {
+  const data = Buffer.from(getBytes(bytes))
+  const state = { offset: 0 }
+  const items = []
+  while (state.offset < data.length) {
+    items.push(readItem(data, state))
+  }
+  return items
+}
+
+function readLength(data, state, info) {
+  if (info < 24) return BigInt(info)
+  if (info === 24) return BigInt(data.readUInt8(state.offset++))
+  if (info === 25) {
+    const value = data.readUInt16BE(state.offset)
+    state.offset += 2
+    return BigInt(value)
+  }
+  if (info === 26) {
+    const value = data.readUInt32BE(state.offset)
+    state.offset += 4
+    return BigInt(value)
+  }
+  if (info === 27) {
+    const value = data.readBigUInt64BE(state.offset)
+    state.offset += 8
+    return value
+  }
+  if (info === 31) return null // indefinite length
+  throw new Error(`Unsupported CBOR length encoding ${info}`)
+}
+
+function readItem(data, state) {
+  const initial = data.readUInt8(state.offset++)
+  const major = initial >> 5
+  const info = initial & 0x1f
+
+  if (initial === 0xff) return BREAK
+
+  const length = readLength(data, state, info)
+
+  switch (major) {
+    case 0:
+      return length
+    case 1:
+      return -1n - length
+    case 2:
+    case 3: {
+      if (length === null) {
+        const chunks = []
+        for (let chunk = readItem(data, state); chunk !== BREAK; chunk = readItem(data, state)) chunks.push(chunk)
+        return major === 2 ? Buffer.concat(chunks) : chunks.join("")
+      }
+      const end = state.offset + Number(length)
+      const slice = data.subarray(state.offset, end)
+      state.offset = end
+      return major === 2 ? Buffer.from(slice) : slice.toString("utf8")
+    }
+    case 4: {
+      const items = []
+      if (length === null) {
+        for (let item = readItem(data, state); item !== BREAK; item = readItem(data, state)) items.push(item)
+      } else {
+        for (let i = 0n; i < length; i++) items.push(readItem(data, state))
+      }
+      return items
+    }
+    case 5: {
+      const map = {}
+      const read = () => {
+        const key = readItem(data, state)
+        if (key === BREAK) return false
+        map[key] = readItem(data, state)
+        return true
+      }
+      if (length === null) {
+        while (read());
+      } else {
+        for (let i = 0n; i < length; i++) read()
+      }
+      return map
+    }
+    case 6: {
+      const value = readItem(data, state)
+      if (length === BigInt(TAG_BIGNUM)) return BigInt("0x" + (value.toString("hex") || "0"))
+      if (length === BigInt(TAG_NEGATIVE_BIGNUM)) return -1n - BigInt("0x" + (value.toString("hex") || "0"))
+      return value
+    }
+    case 7:
+      if (info === 20) return false
+      if (info === 21) return true
+      if (info === 22 || info === 23) return null
+      throw new Error(`Unsupported CBOR simple value ${info}`)
+    default:
+      throw new Error(`Unsupported CBOR major type ${major}`)
+  }
+}
+
+/**
+ * Decode a FunctionsRequest CBOR payload into
+ * `{ codeLocation, language, source, args, secretsLocation, secrets, bytesArgs }`.
+ */
+function decodeFunctionsRequest(bytes) {
+  const items = decodeSequence(bytes)
+  const request = {}
+  for (let i = 0; i + 1 < items.length; i += 2) {
+    request[items[i]] = items[i + 1]
+  }
+  request.args = request.args || []
+  return request
+}
+
+// Head of a definite-length item, in the shortest form as CBOR.sol writes it
+function writeHead(major, value) {
+  const n = BigInt(value)
+  if (n <= 23n) return Buffer.from([(major << 5) | Number(n)])
+  const [info, size] = n <= 0xffn ? [24, 1] : n <= 0xffffn ? [25, 2] : n <= 0xffffffffn ? [26, 4] : [27, 8]
+  return Buffer.concat([Buffer.from([(major << 5) | info]), Buffer.from(getBytes(toBeHex(n, size)))])
+}
+
+const writeString = (value) => {
+  const bytes = Buffer.from(value, "utf8")
+  return Buffer.concat([writeHead(3, bytes.length), bytes])
+}
+
+const writeBytes = (value) => {
+  const bytes = Buffer.from(getBytes(value))
+  return Buffer.concat([writeHead(2, bytes.length), bytes])
+}
+
+// CBOR.writeUInt256: a bignum tag over the 32-byte word
+const writeUInt256 = (value) => Buffer.concat([Buffer.from([0xc0 | TAG_BIGNUM]), writeBytes(toBeHex(value, 32))])
+
+const writeArray = (items, write) => Buffer.concat([Buffer.from([0x9f]), ...items.map(write), Buffer.from([0xff])])
+
+/**
+ * Encode a request the way FunctionsRequest.encodeCBOR does, so payloads can
+ * be built and compared off-chain. Takes the shape decodeFunctionsRequest returns.
+ */
+function encodeFunctionsRequest({
+  codeLocation = 0,
+  language = 0,
+  source,
+  args = [],
+  secretsLocation,
+  secrets,
+  bytesArgs = [],
+}) {
+  const parts = [
+    writeString("codeLocation"),
+    writeUInt256(codeLocation),
+    writeString("language"),
+    writeUInt256(language),
+    writeString("source"),
+    writeString(source),
+  ]
+  if (args.length > 0) parts.push(writeString("args"), writeArray(args, writeString))
+  if (secrets && getBytes(secrets).length > 0) {
+    parts.push(
+      writeString("secretsLocation"),
+      writeUInt256(secretsLocation),
+      writeString("secrets"),
+      writeBytes(secrets),
+    )
+  }
+  if (bytesArgs.length > 0) parts.push(writeString("bytesArgs"), writeArray(bytesArgs, writeBytes))
+  return hexlify(Buffer.concat(parts))
+}
+
+// FunctionsRequest.addDONHostedSecrets: the slot and version as a key/value sequence
+function encodeDONHostedSecrets(slotId, version) {
+  return hexlify(
+    Buffer.concat([writeString("slotID"), writeHead(0, slotId), writeString("version"), writeHead(0, version)]),
+  )
+}
+
+module.exports = { decodeSequence, decodeFunctionsRequest, encodeFunctionsRequest, encodeDONHostedSecrets }
@@ -0,0 +1,195 @@
+const { getBytes, keccak256, toUtf8Bytes, verifyMessage } = require("ethers")
+const { normalize } = require("./json")
+
+// IComplianceEngine.ReasonCode, in declaration order
+const REASON_CODES = [
+  "Approved",
+  "TraderBlacklisted",
+  "TraderRiskTooHigh",
+  "TradeSizeExceeded",
+  "KYCRequired",
+  "PriceOutOfBand",
+  "VolatilityTooHigh",
+  "RegulatoryHalt",
+  "DataUnavailable",
+  "InvalidPrediction",
+]
+
+const CSV_COLUMNS = [
+  "block",
+  "timestamp",
+  "transactionHash",
+  "logIndex",
+  "sender",
+  "type",
+  "subject",
+  "reason",
+  "details",
+]
+
+function reasonName(code) {
+  return REASON_CODES[Number(code)] || `Unknown(${code})`
+}
+
+// Turn one decoded ComplianceEngine log into an audit record (without block metadata)
+function describe(log) {
+  const args = log.args
+  switch (log.eventName) {
+    case "ComplianceRuleUpdated": {
+      const { minPrice, maxPrice, maxVolatility, requiresKYC, isActive } = args.rule
+      return {
+        type: "RULE_UPDATED",
+        subject: args.asset,
+        reason: "",
+        details: { minPrice, maxPrice, maxVolatility, requiresKYC, isActive },
+      }
+    }
+    case "TraderProfileUpdated": {
+      const { isKYCVerified, riskScore, maxTradeSize, isBlacklisted, lastComplianceCheck } = args.profile
+      return {
+        type: "PROFILE_UPDATED",
+        subject: args.trader,
+        reason: "",
+        details: { isKYCVerified, riskScore, maxTradeSize, isBlacklisted, lastComplianceCheck },
+      }
+    }
+    case "TraderBlacklisted":
+      return { type: "BLACKLISTED", subject: args.trader, reason: args.reason, details: { regulator: args.regulator } }
+    case "PredictionValidated":
+      return {
+        type: "PREDICTION_DECISION",
+        subject: args.requestId,
+        reason: reasonName(args.reason),
+        details: { agent: args.agent, predictedPrice: args.predictedPrice },
+      }
+    case "TradeValidated":
+      return {
+        type: "TRADE_DECISION",
+        subject: args.trader,
+        reason: reasonName(args.reason),
+        details: {
+          decisionId: args.decisionId,
+          agent: args.agent,
+          asset: args.asset,
+          amount: args.amount,
+          price: args.price,
+        },
+      }
+    case "FeedsUpdated":
+      return {
+        type: "FEEDS_UPDATED",
+        subject: "",
+        reason: "",
+        details: { volatilityFeed: args.volatilityFeed, regulatoryFeed: args.regulatoryFeed },
+      }
+    case "RegulatoryAlert":
+      // Blacklistings also raise an alert; TraderBlacklisted already records them with the reason
+      if (args.alertType === "BLACKLISTED") return null
+      return { type: "REGULATORY_ALERT", subject: args.asset, reason: args.alertType, details: { value: args.value } }
+    case "RoleGranted":
+    case "RoleRevoked":
+      return {
+        type: log.eventName === "RoleGranted" ? "ROLE_GRANTED" : "ROLE_REVOKED",
+        subject: args.account,
+        reason: "",
+        details: { role: args.role, sender: args.sender },
+      }
+    default:
+      return null
+  }
+}
+
+/**
+ * Rebuild a ComplianceEngine's audit history over a block range: rule, profile
+ * and feed changes, blacklistings, role changes, regulatory alerts and every
+ * prediction and trade decision, ordered as they happened on chain.
+ * Resolves to `{ engine, chainId, fromBlock, toBlock, generatedAt, records }`.
+ */
+async function collectComplianceHistory(engine, { fromBlock = 0, toBlock } = {}) {
+  const provider = engine.runner.provider
+  const to = toBlock === undefined ? await provider.getBlockNumber() : Number(toBlock)
+  const from = Number(fromBlock)
+  if (from > to) throw new Error(`fromBlock ${from} is after toBlock ${to}`)
+
+  const logs = await engine.queryFilter("*", from, to)
+  const blocks = new Map()
+  const senders = new Map()
+  const records = []
+
+  for (const log of logs) {
+    if (!log.eventName) continue // Not in the engine's ABI
+    const record = describe(log)
+    if (!record) continue
+
+    if (!blocks.has(log.blockNumber)) blocks.set(log.blockNumber, await provider.getBlock(log.blockNumber))
+    if (!senders.has(log.transactionHash)) {
+      senders.set(log.transactionHash, (await provider.getTransaction(log.transactionHash)).from)
+    }
+
+    records.push({
+      block: log.blockNumber,
+      timestamp: blocks.get(log.blockNumber).timestamp,
+      transactionHash: log.transactionHash,
+      logIndex: log.index,
+      sender: senders.get(log.transactionHash),
+      ...record,
+    })
+  }
+
+  records.sort((a, b) => a.block - b.block || a.logIndex - b.logIndex)
+
+  const { chainId } = await provider.getNetwork()
+  return normalize({
+    engine: await engine.getAddress(),
+    chainId,
+    fromBlock: from,
+    toBlock: to,
+    generatedAt: new Date().toISOString(),
+    records,
+  })
+}
+
+function csvField(value) {
+  const text = typeof value === "object" ? JSON.stringify(value) : String(value)
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * Render audit records as CSV, one row per record, with `details` as a JSON column.
+ */
+function toCSV(records) {
+  const rows = records.map((record) => CSV_COLUMNS.map((column) => csvField(record[column] ?? "")).join(","))
+  return [CSV_COLUMNS.join(","), ...rows].join("\n") + "\n"
+}
+
+// Digest of the compact JSON encoding, which is what gets signed
+function reportDigest(report) {
+  return keccak256(toUtf8Bytes(JSON.stringify(normalize(report))))
+}
+
+/**
+ * Sign a report with an ethers signer. The signature is an EIP-191 personal
+ * signature over the keccak256 digest of the report's compact JSON.
+ */
+async function signReport(report, signer) {
+  const digest = reportDigest(report)
+  const signature = await signer.signMessage(getBytes(digest))
+  return { report: normalize(report), digest, signature, signer: await signer.getAddress() }
+}
+
+/**
+ * Check a signed report: the digest must match its contents and the
+ * signature must recover to the stated signer.
+ */
+function verifyReport({ report, digest, signature, signer }) {
+  if (reportDigest(report) !== digest) return false
+  return verifyMessage(getBytes(digest), signature).toLowerCase() === signer.toLowerCase()
+}
+
+module.exports = {
+  REASON_CODES,
+  collectComplianceHistory,
+  toCSV,
+  signReport,
+  verifyReport,
+}
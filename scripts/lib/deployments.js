@@ -0,0 +1,98 @@
+const fs = require("fs")
+const path = require("path")
+const { toJSON } = require("./json")
+
+const DEPLOYMENTS_DIR = path.join(__dirname, "..", "..", "deployments")
+
+function deploymentPath(networkName) {
+  return path.join(DEPLOYMENTS_DIR, `${networkName}.json`)
+}
+
+/**
+ * Load the deployment record for a network, discarding it when the chain no
+ * longer has code at the recorded addresses (e.g. a restarted local node).
+ */
+async function loadDeployment(ethers, networkName) {
+  const { chainId } = await ethers.provider.getNetwork()
+  const empty = { network: networkName, chainId: chainId.toString(), contracts: {}, steps: {} }
+
+  const file = deploymentPath(networkName)
+  if (!fs.existsSync(file)) return empty
+
+  const deployment = JSON.parse(fs.readFileSync(file, "utf8"))
+  if (deployment.chainId !== chainId.toString()) {
+    console.warn(`⚠️  ${file} was recorded on chain ${deployment.chainId}, starting fresh`)
+    return empty
+  }
+
+  for (const [name, record] of Object.entries(deployment.contracts)) {
+    if ((await ethers.provider.getCode(record.address)) === "0x") {
+      console.warn(`⚠️  ${name} has no code at ${record.address}, starting fresh`)
+      return empty
+    }
+  }
+
+  return deployment
+}
+
+function saveDeployment(deployment) {
+  fs.mkdirSync(DEPLOYMENTS_DIR, { recursive: true })
+  deployment.updatedAt = new Date().toISOString()
+  fs.writeFileSync(deploymentPath(deployment.network), toJSON(deployment))
+}
+
+/**
+ * Deploy a contract once. `deployFn` must return a deployed contract and
+ * optionally the deployment transaction; the result is persisted immediately.
+ */
+async function deployContract(deployment, name, deployFn) {
+  const existing = deployment.contracts[name]
+  if (existing) {
+    console.log(`⏭️  ${name} already deployed at ${existing.address}`)
+    return existing.address
+  }
+
+  const contract = await deployFn()
+  await contract.waitForDeployment()
+  const address = await contract.getAddress()
+  const tx = contract.deploymentTransaction()
+  const receipt = tx ? await tx.wait() : null
+
+  deployment.contracts[name] = {
+    address,
+    txHash: tx ? tx.hash : null,
+    blockNumber: receipt ? receipt.blockNumber : null,
+  }
+  saveDeployment(deployment)
+
+  console.log(`✅ ${name} deployed at ${address}`)
+  return address
+}
+
+/**
+ * Run a non-deployment step (funding, role grants, agent creation) once.
+ * Whatever `stepFn` returns is stored as the step result.
+ */
+async function runStep(deployment, name, stepFn) {
+  const existing = deployment.steps[name]
+  if (existing) {
+    console.log(`⏭️  ${name} already done`)
+    return existing.result
+  }
+
+  const result = await stepFn()
+  deployment.steps[name] = { result: result === undefined ? null : result, completedAt: new Date().toISOString() }
+  saveDeployment(deployment)
+
+  console.log(`✅ ${name}`)
+  return result
+}
+
+module.exports = {
+  DEPLOYMENTS_DIR,
+  deploymentPath,
+  loadDeployment,
+  saveDeployment,
+  deployContract,
+  runStep,
+}
@@ -0,0 +1,24 @@
+// Error helpers shared by the scripts
+
+/**
+ * Best-effort short reason for a failed contract call: the custom error name
+ * when it can be decoded (ethers attaches it on live networks, the Hardhat
+ * network only exposes the raw revert data), otherwise the error message.
+ */
+function revertReason(error, iface) {
+  if (error.revert) return error.revert.name
+
+  const data = error.data || (error.error && error.error.data)
+  if (iface && typeof data === "string") {
+    try {
+      const parsed = iface.parseError(data)
+      if (parsed) return parsed.name === "Error" ? parsed.args[0] : parsed.name
+    } catch {
+      // not an error defined by this contract
+    }
+  }
+
+  return error.reason || error.shortMessage || error.message
+}
+
+module.exports = { revertReason }
@@ -0,0 +1,153 @@
+const fs = require("fs")
+const path = require("path")
+const { toJSON } = require("./json")
+
+// Number of recent block hashes kept for reorg detection
+const MAX_TRACKED_BLOCKS = 128
+
+/**
+ * JSON-file backed store for decoded contract events plus the indexer checkpoint.
+ * Writes go through a temp file and rename so a crash never leaves a torn file.
+ */
+class EventStore {
+  constructor(file) {
+    this.file = file
+    this.state = {
+      checkpoint: null, // { blockNumber, blockHash }
+      blockHashes: {}, // blockNumber => blockHash for recently indexed blocks
+      baseAgents: [], // agent addresses known from the deployment record
+      agents: [], // base agents plus agents discovered from factory events
+      events: [],
+    }
+
+    if (file && fs.existsSync(file)) {
+      this.state = { ...this.state, ...JSON.parse(fs.readFileSync(file, "utf8")) }
+    }
+  }
+
+  get checkpoint() {
+    return this.state.checkpoint
+  }
+
+  get agents() {
+    return this.state.agents
+  }
+
+  addAgent(address) {
+    if (!this.state.agents.includes(address)) {
+      this.state.agents.push(address)
+      return true
+    }
+    return false
+  }
+
+  addEvents(events) {
+    const known = new Set(this.state.events.map((e) => e.id))
+    for (const event of events) {
+      if (!known.has(event.id)) this.state.events.push(event)
+    }
+    this.state.events.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex)
+  }
+
+  trackBlock(blockNumber, blockHash) {
+    this.state.blockHashes[blockNumber] = blockHash
+
+    const tracked = Object.keys(this.state.blockHashes).map(Number)
+    if (tracked.length > MAX_TRACKED_BLOCKS) {
+      tracked
+        .sort((a, b) => a - b)
+        .slice(0, tracked.length - MAX_TRACKED_BLOCKS)
+        .forEach((n) => delete this.state.blockHashes[n])
+    }
+  }
+
+  trackedBlocks() {
+    return Object.entries(this.state.blockHashes)
+      .map(([blockNumber, blockHash]) => ({ blockNumber: Number(blockNumber), blockHash }))
+      .sort((a, b) => b.blockNumber - a.blockNumber)
+  }
+
+  setCheckpoint(blockNumber, blockHash) {
+    this.state.checkpoint = { blockNumber, blockHash }
+    this.trackBlock(blockNumber, blockHash)
+  }
+
+  /**
+   * Drop everything indexed after `blockNumber` (used when a reorg is detected)
+   */
+  rollbackTo(blockNumber, blockHash) {
+    this.state.events = this.state.events.filter((e) => e.blockNumber <= blockNumber)
+    for (const n of Object.keys(this.state.blockHashes)) {
+      if (Number(n) > blockNumber) delete this.state.blockHashes[n]
+    }
+
+    // Agents discovered in dropped blocks are re-discovered when those blocks are re-indexed
+    const createdAgents = this.state.events.filter((e) => e.event === "AgentCreated").map((e) => e.args.agent)
+    this.state.agents = [...new Set([...this.state.baseAgents, ...createdAgents])]
+
+    this.state.checkpoint = blockHash ? { blockNumber, blockHash } : null
+  }
+
+  setBaseAgents(addresses) {
+    this.state.baseAgents = addresses
+    addresses.forEach((a) => this.addAgent(a))
+  }
+
+  save() {
+    if (!this.file) return
+    fs.mkdirSync(path.dirname(this.file), { recursive: true })
+    const tmp = `${this.file}.tmp`
+    fs.writeFileSync(tmp, toJSON(this.state))
+    fs.renameSync(tmp, this.file)
+  }
+
+  // Queries
+
+  find({ contract, event, address, fromBlock, toBlock } = {}) {
+    return this.state.events.filter(
+      (e) =>
+        (!contract || e.contract === contract) &&
+        (!event || e.event === event) &&
+        (!address || e.address.toLowerCase() === address.toLowerCase()) &&
+        (fromBlock === undefined || e.blockNumber >= fromBlock) &&
+        (toBlock === undefined || e.blockNumber <= toBlock),
+    )
+  }
+
+  tradesByAgent(agent) {
+    return this.find({ contract: "BuilderAgent", event: "TradeTriggered", address: agent })
+  }
+
+  depositsByUser(user) {
+    const lower = user.toLowerCase()
+    return this.find({ contract: "CuttlefishVault", event: "Deposit" }).filter(
+      (e) => e.args.owner.toLowerCase() === lower || e.args.sender.toLowerCase() === lower,
+    )
+  }
+
+  feeHistory() {
+    let totalAccrued = 0n
+    let totalExtracted = 0n
+    const history = this.state.events
+      .filter((e) => e.contract === "CuttlefishVault" && (e.event === "FeesAccrued" || e.event === "FeesExtracted"))
+      .map((e) => {
+        const amount = BigInt(e.args.amount)
+        if (e.event === "FeesAccrued") totalAccrued += amount
+        else totalExtracted += amount
+
+        return {
+          type: e.event === "FeesAccrued" ? "accrued" : "extracted",
+          agent: e.args.agent || null,
+          amount: e.args.amount,
+          blockNumber: e.blockNumber,
+          timestamp: e.timestamp,
+          txHash: e.txHash,
+          pending: (totalAccrued - totalExtracted).toString(),
+        }
+      })
+
+    return { totalAccrued: totalAccrued.toString(), totalExtracted: totalExtracted.toString(), history }
+  }
+}
+
+module.exports = { EventStore, MAX_TRACKED_BLOCKS }
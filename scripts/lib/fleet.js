@@ -0,0 +1,109 @@
+const { ZeroAddress, formatEther } = require("ethers")
+
+// BuilderAgentFactory.MAX_PAGE_SIZE
+const MAX_PAGE_SIZE = 100
+
+/**
+ * BuilderAgentFactory.AgentFilter from `{ creator, vault, targetToken, priceFeed, activeOnly }`;
+ * omitted fields match any agent.
+ */
+function toAgentFilter({ creator, vault, targetToken, priceFeed, activeOnly = false } = {}) {
+  return {
+    creator: creator || ZeroAddress,
+    vault: vault || ZeroAddress,
+    targetToken: targetToken || ZeroAddress,
+    priceFeed: priceFeed || ZeroAddress,
+    activeOnly: Boolean(activeOnly),
+  }
+}
+
+/**
+ * Every registry entry of a BuilderAgentFactory matching `filter`, fetched page by page
+ * with getAgents. Resolves to `{ agent, vault, creator, createdAt, isActive, isRetired, migratedTo }`.
+ */
+async function listAgents(factory, filter = {}, { pageSize = MAX_PAGE_SIZE } = {}) {
+  const agentFilter = toAgentFilter(filter)
+  const agents = []
+
+  let offset = 0n
+  let total
+  do {
+    const [page, nextOffset, pageTotal] = await factory.getAgents(offset, pageSize, agentFilter)
+    for (const info of page) {
+      agents.push({
+        agent: info.agent,
+        vault: info.vault,
+        creator: info.creator,
+        createdAt: info.createdAt,
+        isActive: info.isActive,
+        isRetired: info.isRetired,
+        migratedTo: info.migratedTo,
+      })
+    }
+    offset = nextOffset
+    total = pageTotal
+  } while (offset < total)
+
+  return agents
+}
+
+/**
+ * Registry entries matching `filter` with each agent's live state and getTradingStats().
+ * `getAgent(address)` resolves to a BuilderAgent contract.
+ */
+async function collectFleet(factory, filter, { getAgent, pageSize } = {}) {
+  const fleet = []
+  for (const info of await listAgents(factory, filter, { pageSize })) {
+    const agent = await getAgent(info.agent)
+    const [stats, targetToken, priceFeed, paused] = await Promise.all([
+      agent.getTradingStats(),
+      agent.targetToken(),
+      agent.priceFeed(),
+      agent.paused(),
+    ])
+
+    fleet.push({
+      ...info,
+      targetToken,
+      priceFeed,
+      paused,
+      stats: {
+        totalTrades: stats._totalTrades,
+        successfulTrades: stats._successfulTrades,
+        successRateBps: stats._successRate,
+        dailyVolume: stats._dailyVolume,
+        lastTradeTime: stats._lastTradeTime,
+        canTrade: stats._canTrade,
+      },
+    })
+  }
+  return fleet
+}
+
+function agentStatus(entry) {
+  if (entry.isRetired) return entry.migratedTo !== ZeroAddress ? `migrated to ${entry.migratedTo}` : "retired"
+  if (!entry.isActive) return "deactivated"
+  return entry.paused ? "paused" : "active"
+}
+
+function formatFleet(fleet) {
+  if (fleet.length === 0) return "No agents match"
+
+  const pct = (bps) => `${(Number(bps) / 100).toFixed(2)}%`
+  return fleet
+    .map((entry) => {
+      const { stats } = entry
+      const lastTrade = stats.lastTradeTime > 0n ? new Date(Number(stats.lastTradeTime) * 1000).toISOString() : "never"
+      return [
+        `🤖 Agent ${entry.agent} (${agentStatus(entry)})`,
+        `Creator: ${entry.creator}  Vault: ${entry.vault}`,
+        `Target: ${entry.targetToken}  Feed: ${entry.priceFeed}`,
+        `Trades: ${stats.successfulTrades}/${stats.totalTrades} successful (${pct(stats.successRateBps)})`,
+        `Daily volume: ${formatEther(stats.dailyVolume)}  Last trade: ${lastTrade}`,
+        `Can trade now: ${stats.canTrade ? "yes" : "no"}`,
+      ].join("\n")
+    })
+    .join("\n\n")
+}
+
+module.exports = { MAX_PAGE_SIZE, toAgentFilter, listAgents, collectFleet, formatFleet }
@@ -0,0 +1,191 @@
+const vm = require("vm")
+const { hexlify, toUtf8Bytes, ZeroAddress } = require("ethers")
+const { decodeFunctionsRequest } = require("./cbor")
+
+const MAX_EXECUTION_MS = 10000
+const MAX_RESPONSE_BYTES = 256
+
+/**
+ * The subset of the Chainlink Functions `Functions` global that request
+ * sources use. HTTP errors are reported through the response object, as the
+ * DON does, rather than thrown.
+ */
+function createFunctionsApi({ rewriteUrl, fetch: fetchImpl }) {
+  const encodeUint256 = (value) => {
+    const n = BigInt(value)
+    if (n < 0n || n >= 2n ** 256n) throw new Error("encodeUint256 invalid input")
+    return Uint8Array.from(Buffer.from(n.toString(16).padStart(64, "0"), "hex"))
+  }
+
+  return {
+    async makeHttpRequest({ url, method = "GET", headers = {}, params, data, timeout = 5000, responseType = "json" }) {
+      const target = new URL(rewriteUrl(url))
+      if (params) Object.entries(params).forEach(([k, v]) => target.searchParams.set(k, v))
+
+      try {
+        const response = await fetchImpl(target, {
+          method,
+          headers,
+          body: data === undefined ? undefined : typeof data === "string" ? data : JSON.stringify(data),
+          signal: AbortSignal.timeout(timeout),
+        })
+        const text = await response.text()
+        let body = text
+        if (responseType === "json") {
+          try {
+            body = JSON.parse(text)
+          } catch {
+            // leave as text
+          }
+        }
+        if (!response.ok) {
+          return {
+            error: true,
+            message: `HTTP ${response.status}`,
+            code: "ERR_BAD_RESPONSE",
+            response: { status: response.status, data: body },
+          }
+        }
+        return { error: false, status: response.status, headers: Object.fromEntries(response.headers), data: body }
+      } catch (error) {
+        return { error: true, message: error.message, code: "ERR_NETWORK" }
+      }
+    },
+
+    encodeUint256,
+
+    encodeInt256(value) {
+      const n = BigInt(value)
+      if (n < -(2n ** 255n) || n >= 2n ** 255n) throw new Error("encodeInt256 invalid input")
+      return encodeUint256(n < 0n ? 2n ** 256n + n : n)
+    },
+
+    encodeString(value) {
+      return Uint8Array.from(Buffer.from(String(value), "utf8"))
+    },
+  }
+}
+
+/**
+ * Run a Functions JavaScript source in a separate VM context, the way the DON
+ * would: `args`, `secrets` (decrypted, as an object) and `Functions` are
+ * globals and the source body is awaited.
+ * Resolves to `{ response }` (hex bytes) or `{ error }` (message).
+ *
+ * Node's vm module is not a security boundary; only run sources you trust.
+ */
+async function executeSource(source, args = [], options = {}) {
+  const {
+    rewriteUrl = (url) => url,
+    fetch: fetchImpl = fetch,
+    timeout = MAX_EXECUTION_MS,
+    secrets = {},
+    log = () => {},
+  } = options
+  const context = vm.createContext({
+    args,
+    secrets,
+    Functions: createFunctionsApi({ rewriteUrl, fetch: fetchImpl }),
+    console: { log },
+  })
+
+  let timer
+  try {
+    const run = vm.runInContext(`(async () => {\n${source}\n})()`, context, { timeout })
+    const expired = new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error("Execution timed out")), timeout)
+    })
+    const result = await Promise.race([run, expired])
+
+    // The source runs in its own realm, so compare by tag rather than instanceof
+    const tag = Object.prototype.toString.call(result)
+    if (tag !== "[object Uint8Array]" && tag !== "[object ArrayBuffer]") {
+      throw new Error("returned value not an ArrayBuffer or Uint8Array")
+    }
+    const bytes = tag === "[object ArrayBuffer]" ? Buffer.from(new Uint8Array(result)) : Buffer.from(Array.from(result))
+    if (bytes.length > MAX_RESPONSE_BYTES) throw new Error(`response exceeds ${MAX_RESPONSE_BYTES} bytes`)
+
+    return { response: hexlify(bytes) }
+  } catch (error) {
+    return { error: error.message }
+  } finally {
+    clearTimeout(timer)
+  }
+}
+
+/**
+ * Off-chain stand-in for the Functions DON against a MockFunctionsRouter:
+ * reads a pending request's CBOR payload, executes its source and delivers the
+ * result (or error) through the router's fulfillment path. Encrypted secrets
+ * references cannot be decrypted locally, so `secrets` stands in for them.
+ */
+class FunctionsSimulator {
+  constructor({ router, rewriteUrl, fetch: fetchImpl, secrets, log = () => {} }) {
+    this.router = router
+    this.options = { rewriteUrl, fetch: fetchImpl, secrets, log }
+    this.log = log
+  }
+
+  async simulate(requestId) {
+    const request = await this.router.getRequest(requestId)
+    if (request.client === ZeroAddress) {
+      throw new Error(`Unknown or already fulfilled request ${requestId}`)
+    }
+
+    const decoded = decodeFunctionsRequest(request.data)
+    const options = Object.entries(this.options).filter(([, value]) => value !== undefined)
+    const result = await executeSource(decoded.source, decoded.args, Object.fromEntries(options))
+    return { request: decoded, ...result }
+  }
+
+  /**
+   * Execute and fulfill one request. Returns the simulation result plus the
+   * fulfillment receipt and whether the client callback succeeded.
+   */
+  async fulfill(requestId) {
+    const result = await this.simulate(requestId)
+
+    const tx = result.error
+      ? await this.router.fulfillRequestWithError(requestId, hexlify(toUtf8Bytes(result.error)))
+      : await this.router.fulfillRequest(requestId, result.response)
+    const receipt = await tx.wait()
+
+    const fulfilled = receipt.logs
+      .map((log) => {
+        try {
+          return this.router.interface.parseLog(log)
+        } catch {
+          return null
+        }
+      })
+      .find((event) => event && event.name === "RequestFulfilled")
+
+    this.log(
+      result.error
+        ? `⚠️  Request ${requestId} failed: ${result.error}`
+        : `✅ Request ${requestId} fulfilled with ${result.response}`,
+    )
+    return { ...result, receipt, callbackSucceeded: fulfilled ? fulfilled.args.success : false }
+  }
+
+  /**
+   * Fulfill every request sent through the router that is still pending.
+   */
+  async fulfillPending() {
+    const sent = await this.router.queryFilter(this.router.filters.RequestSent())
+    const results = []
+    for (const event of sent) {
+      const request = await this.router.getRequest(event.args.requestId)
+      if (request.client === ZeroAddress) continue
+      results.push(await this.fulfill(event.args.requestId))
+    }
+    return results
+  }
+}
+
+// Redirect requests for `from` (an origin or URL prefix) to `to`
+function rewritePrefix(from, to) {
+  return (url) => (url.startsWith(from) ? to + url.slice(from.length) : url)
+}
+
+module.exports = { executeSource, createFunctionsApi, FunctionsSimulator, rewritePrefix }
@@ -0,0 +1,76 @@
+const { keccak256 } = require("ethers")
+
+// Two-step governance of BuilderAgent and EnhancedBuilderAgent settings: a governed
+// setter call is proposed as calldata and executed once the agent's governanceDelay
+// has passed. A change is identified by the keccak256 of its calldata.
+
+// Hardhat Network and `hardhat node`, whose clock scripts may move
+const DEV_CHAIN_IDS = [31337n]
+
+function encodeChange(agent, method, args) {
+  return agent.interface.encodeFunctionData(method, args)
+}
+
+/**
+ * Propose `agent.method(...args)` and wait for it to be mined.
+ * Resolves to `{ changeId, data, executableAt }`.
+ */
+async function proposeChange(agent, method, args) {
+  const data = encodeChange(agent, method, args)
+  await (await agent.proposeChange(data)).wait()
+
+  const changeId = keccak256(data)
+  return { changeId, data, executableAt: await agent.pendingChanges(changeId) }
+}
+
+/**
+ * Execute a proposed change once its delay has passed. Resolves to the transaction response.
+ */
+async function executeChange(agent, method, args) {
+  return agent.executeChange(encodeChange(agent, method, args))
+}
+
+/**
+ * Propose a change unless it is already pending, then execute it once its delay has
+ * passed. On a local development chain the delay is skipped by moving the clock forward.
+ * Resolves to the execution's transaction response, or null while a change on a live
+ * chain is still waiting; calling again later executes it.
+ */
+async function applyChange(agent, method, args) {
+  const changeId = keccak256(encodeChange(agent, method, args))
+  let executableAt = await agent.pendingChanges(changeId)
+  if (executableAt === 0n) ({ executableAt } = await proposeChange(agent, method, args))
+
+  const provider = agent.runner.provider || agent.runner
+  const { timestamp } = await provider.getBlock("latest")
+  if (BigInt(timestamp) < executableAt) {
+    const { chainId } = await provider.getNetwork()
+    if (!DEV_CHAIN_IDS.includes(chainId)) return null
+    await provider.send("evm_setNextBlockTimestamp", [Number(executableAt)])
+  }
+  return executeChange(agent, method, args)
+}
+
+/**
+ * Changes proposed on `agent` that were neither executed nor cancelled, with their
+ * decoded call: `{ changeId, method, args, data, executableAt }`.
+ */
+async function listPendingChanges(agent, { fromBlock = 0 } = {}) {
+  const pending = new Map()
+  for (const log of await agent.queryFilter(agent.filters.ChangeProposed(), fromBlock)) {
+    const { changeId, data } = log.args
+    const executableAt = await agent.pendingChanges(changeId)
+    if (executableAt === 0n) continue
+
+    const call = agent.interface.parseTransaction({ data })
+    pending.set(changeId, { changeId, method: call.name, args: call.args, data, executableAt })
+  }
+  return [...pending.values()]
+}
+
+function describeChange(agent, data) {
+  const call = agent.interface.parseTransaction({ data })
+  return `${call.name}(${call.args.map((arg) => arg.toString()).join(", ")})`
+}
+
+module.exports = { encodeChange, proposeChange, executeChange, applyChange, listPendingChanges, describeChange }
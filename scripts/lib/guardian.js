@@ -0,0 +1,82 @@
+const { Contract, ZeroAddress } = require("ethers")
+const { listAgents } = require("./fleet")
+
+// FleetGuardian.ALL_VAULTS
+const ALL_VAULTS = ZeroAddress
+
+// Enough of BuilderAgent and EnhancedBuilderAgent to tell whether an agent is halted.
+// Factory agents answer to fleetGuardian(); EnhancedBuilderAgent only has guardian().
+const AGENT_ABI = [
+  "function fleetGuardian() view returns (address)",
+  "function guardian() view returns (address)",
+  "function isFleetHalted() view returns (bool)",
+]
+
+/**
+ * Halt every agent of `vault`, or of all vaults when omitted, on a FleetGuardian.
+ * Resolves to the mined receipt.
+ */
+async function haltFleet(guardian, { vault, reason }) {
+  const tx = await guardian.halt(vault || ALL_VAULTS, reason)
+  return tx.wait()
+}
+
+async function agentGuardian(agent) {
+  try {
+    return await agent.fleetGuardian()
+  } catch {
+    return agent.guardian()
+  }
+}
+
+/**
+ * Check a halt took effect. The agents checked are the factory's non-retired agents
+ * of `vault` (all of them without a vault) plus standalone `agents`; each must
+ * answer to this guardian and report isFleetHalted(). Resolves to
+ * `{ ok, guardianHalted, agents: [{ agent, guardian, covered, halted }] }`.
+ */
+async function verifyHalt(guardian, { factory, vault, agents = [] } = {}) {
+  const guardianAddress = await guardian.getAddress()
+  const guardianHalted = await guardian.isHalted(vault || ALL_VAULTS)
+
+  const addresses = [...agents]
+  if (factory) {
+    for (const info of await listAgents(factory, { vault })) {
+      if (!info.isRetired) addresses.push(info.agent)
+    }
+  }
+
+  const results = []
+  for (const address of addresses) {
+    const agent = new Contract(address, AGENT_ABI, guardian.runner)
+    const answersTo = await agentGuardian(agent)
+    results.push({
+      agent: address,
+      guardian: answersTo,
+      covered: answersTo.toLowerCase() === guardianAddress.toLowerCase(),
+      halted: await agent.isFleetHalted(),
+    })
+  }
+
+  return {
+    ok: guardianHalted && results.every((entry) => entry.covered && entry.halted),
+    guardianHalted,
+    agents: results,
+  }
+}
+
+function formatHaltReport(report) {
+  const lines = [`Guardian halt: ${report.guardianHalted ? "active" : "NOT ACTIVE"}`]
+  for (const entry of report.agents) {
+    if (!entry.covered) {
+      const reason = entry.guardian === ZeroAddress ? "no guardian" : `answers to ${entry.guardian}`
+      lines.push(`❌ ${entry.agent}: not covered (${reason})`)
+    } else {
+      lines.push(`${entry.halted ? "✅" : "❌"} ${entry.agent}: ${entry.halted ? "halted" : "still trading"}`)
+    }
+  }
+  if (report.agents.length === 0) lines.push("No agents checked")
+  return lines.join("\n")
+}
+
+module.exports = { ALL_VAULTS, AGENT_ABI, haltFleet, verifyHalt, formatHaltReport }
@@ -0,0 +1,47 @@
+const http = require("http")
+
+/**
+ * Minimal local HTTP server that records every request, for use as a webhook
+ * (or any other HTTP dependency) target in tests and local runs.
+ *
+ * `handler(request)` may return `{ status, body }` to customise the response;
+ * by default every request gets a 200 with an empty JSON object.
+ */
+async function startHttpStub(handler = () => ({})) {
+  const requests = []
+
+  const server = http.createServer((req, res) => {
+    let raw = ""
+    req.on("data", (chunk) => (raw += chunk))
+    req.on("end", async () => {
+      let body = raw
+      try {
+        body = raw ? JSON.parse(raw) : null
+      } catch {
+        // keep the raw text
+      }
+
+      const request = { method: req.method, path: req.url, headers: req.headers, body }
+      requests.push(request)
+
+      try {
+        const { status = 200, body: responseBody = {} } = (await handler(request)) || {}
+        res.writeHead(status, { "Content-Type": "application/json" })
+        res.end(JSON.stringify(responseBody))
+      } catch (error) {
+        res.writeHead(500, { "Content-Type": "application/json" })
+        res.end(JSON.stringify({ error: error.message }))
+      }
+    })
+  })
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve))
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  }
+}
+
+module.exports = { startHttpStub }
@@ -0,0 +1,77 @@
+const http = require("http")
+const { toJSON } = require("./json")
+
+function send(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json" })
+  res.end(toJSON(body))
+}
+
+// Invalid query values, answered with 400 instead of 500
+class BadRequestError extends Error {}
+
+function optionalInt(params, name) {
+  const value = params.get(name)
+  if (value === null) return undefined
+  if (!/^\d+$/.test(value)) throw new BadRequestError(`${name} must be a non-negative integer`)
+  return Number(value)
+}
+
+/**
+ * Read-only HTTP API over an EventStore.
+ *
+ *   GET /status                      checkpoint and counts
+ *   GET /agents                      tracked agent addresses
+ *   GET /agents/:address/trades      TradeTriggered events for one agent
+ *   GET /users/:address/deposits     vault deposits by sender or owner
+ *   GET /fees                        fee accrual and extraction history
+ *   GET /events?contract=&event=&address=&fromBlock=&toBlock=
+ */
+function createIndexerServer(store) {
+  return http.createServer((req, res) => {
+    if (req.method !== "GET") return send(res, 405, { error: "Method not allowed" })
+
+    const url = new URL(req.url, "http://localhost")
+    const parts = url.pathname.split("/").filter(Boolean)
+
+    try {
+      if (url.pathname === "/status") {
+        return send(res, 200, {
+          checkpoint: store.checkpoint,
+          agents: store.agents.length,
+          events: store.find().length,
+        })
+      }
+      if (url.pathname === "/agents") {
+        return send(res, 200, store.agents)
+      }
+      if (parts[0] === "agents" && parts[2] === "trades" && parts.length === 3) {
+        return send(res, 200, store.tradesByAgent(parts[1]))
+      }
+      if (parts[0] === "users" && parts[2] === "deposits" && parts.length === 3) {
+        return send(res, 200, store.depositsByUser(parts[1]))
+      }
+      if (url.pathname === "/fees") {
+        return send(res, 200, store.feeHistory())
+      }
+      if (url.pathname === "/events") {
+        const q = url.searchParams
+        return send(
+          res,
+          200,
+          store.find({
+            contract: q.get("contract") || undefined,
+            event: q.get("event") || undefined,
+            address: q.get("address") || undefined,
+            fromBlock: optionalInt(q, "fromBlock"),
+            toBlock: optionalInt(q, "toBlock"),
+          }),
+        )
+      }
+      return send(res, 404, { error: "Not found" })
+    } catch (error) {
+      return send(res, error instanceof BadRequestError ? 400 : 500, { error: error.message })
+    }
+  })
+}
+
+module.exports = { createIndexerServer }
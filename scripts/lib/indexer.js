@@ -0,0 +1,153 @@
+const { normalize } = require("./json")
+
+/**
+ * Backfills and follows events from the vault, the agent factory and every
+ * known BuilderAgent into an EventStore, rolling back on chain reorganisations.
+ */
+class EventIndexer {
+  constructor({
+    provider,
+    store,
+    interfaces,
+    vault,
+    factory,
+    agents = [],
+    startBlock = 0,
+    confirmations = 0,
+    batchSize = 2000,
+    log = () => {},
+  }) {
+    this.provider = provider
+    this.store = store
+    this.interfaces = interfaces // { CuttlefishVault, BuilderAgentFactory, BuilderAgent }
+    this.vault = vault
+    this.factory = factory
+    this.startBlock = startBlock
+    this.confirmations = confirmations
+    this.batchSize = batchSize
+    this.log = log
+
+    this.store.setBaseAgents(agents)
+  }
+
+  /**
+   * Index everything up to the confirmed chain head. Safe to call repeatedly.
+   */
+  async sync() {
+    const reorg = await this._handleReorg()
+
+    const head = (await this.provider.getBlockNumber()) - this.confirmations
+    const checkpoint = this.store.checkpoint
+    let fromBlock = checkpoint ? checkpoint.blockNumber + 1 : this.startBlock
+    let indexed = 0
+
+    while (fromBlock <= head) {
+      const toBlock = Math.min(fromBlock + this.batchSize - 1, head)
+      indexed += await this._indexRange(fromBlock, toBlock)
+      this.store.save()
+      fromBlock = toBlock + 1
+    }
+
+    return { reorg, head, indexed }
+  }
+
+  /**
+   * Detect whether the checkpoint block was replaced and roll back to the
+   * newest tracked block that is still canonical.
+   */
+  async _handleReorg() {
+    const checkpoint = this.store.checkpoint
+    if (!checkpoint) return null
+
+    const current = await this.provider.getBlock(checkpoint.blockNumber)
+    if (current && current.hash === checkpoint.blockHash) return null
+
+    for (const tracked of this.store.trackedBlocks()) {
+      if (tracked.blockNumber >= checkpoint.blockNumber) continue
+      const block = await this.provider.getBlock(tracked.blockNumber)
+      if (block && block.hash === tracked.blockHash) {
+        this.log(`⚠️  Reorg detected at block ${checkpoint.blockNumber}, rolling back to ${tracked.blockNumber}`)
+        this.store.rollbackTo(tracked.blockNumber, tracked.blockHash)
+        this.store.save()
+        return { from: checkpoint.blockNumber, to: tracked.blockNumber }
+      }
+    }
+
+    // No common ancestor within the tracked window: re-index from scratch
+    this.log(`⚠️  Reorg deeper than tracked history, re-indexing from block ${this.startBlock}`)
+    this.store.rollbackTo(this.startBlock - 1, null)
+    this.store.save()
+    return { from: checkpoint.blockNumber, to: this.startBlock - 1 }
+  }
+
+  async _indexRange(fromBlock, toBlock) {
+    // Factory first so agents created in this range are included below
+    const factoryEvents = this.factory ? await this._fetch([this.factory], fromBlock, toBlock) : []
+    for (const event of factoryEvents) {
+      if (event.event === "AgentCreated" && this.store.addAgent(event.args.agent)) {
+        this.log(`🤖 Tracking new agent ${event.args.agent}`)
+      }
+    }
+
+    const otherEvents = await this._fetch([this.vault, ...this.store.agents], fromBlock, toBlock)
+    const events = [...factoryEvents, ...otherEvents]
+
+    const timestamps = {}
+    for (const blockNumber of new Set(events.map((e) => e.blockNumber))) {
+      const block = await this.provider.getBlock(blockNumber)
+      timestamps[blockNumber] = block.timestamp
+      this.store.trackBlock(blockNumber, block.hash)
+    }
+    events.forEach((e) => (e.timestamp = timestamps[e.blockNumber]))
+
+    this.store.addEvents(events)
+
+    const last = await this.provider.getBlock(toBlock)
+    this.store.setCheckpoint(toBlock, last.hash)
+
+    if (events.length > 0) {
+      this.log(`📥 Indexed ${events.length} events in blocks ${fromBlock}-${toBlock}`)
+    }
+    return events.length
+  }
+
+  async _fetch(addresses, fromBlock, toBlock) {
+    const targets = addresses.filter(Boolean)
+    if (targets.length === 0) return []
+
+    const logs = await this.provider.getLogs({ address: targets, fromBlock, toBlock })
+    return logs.map((log) => this._decode(log)).filter(Boolean)
+  }
+
+  _contractName(address) {
+    const lower = address.toLowerCase()
+    if (this.vault && lower === this.vault.toLowerCase()) return "CuttlefishVault"
+    if (this.factory && lower === this.factory.toLowerCase()) return "BuilderAgentFactory"
+    return "BuilderAgent"
+  }
+
+  _decode(log) {
+    const contract = this._contractName(log.address)
+    let parsed
+    try {
+      parsed = this.interfaces[contract].parseLog(log)
+    } catch {
+      return null
+    }
+    if (!parsed) return null
+
+    return {
+      id: `${log.blockNumber}-${log.index}`,
+      contract,
+      address: log.address,
+      event: parsed.name,
+      args: normalize(parsed.args.toObject(true)),
+      blockNumber: log.blockNumber,
+      blockHash: log.blockHash,
+      logIndex: log.index,
+      txHash: log.transactionHash,
+    }
+  }
+}
+
+module.exports = { EventIndexer }
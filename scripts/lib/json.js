@@ -0,0 +1,16 @@
+// BigInt-safe JSON helpers shared by the scripts
+
+function replacer(_, value) {
+  return typeof value === "bigint" ? value.toString() : value
+}
+
+function toJSON(value) {
+  return JSON.stringify(value, replacer, 2)
+}
+
+// Deep-convert bigints to decimal strings so values survive a JSON round trip
+function normalize(value) {
+  return JSON.parse(JSON.stringify(value, replacer))
+}
+
+module.exports = { toJSON, normalize }
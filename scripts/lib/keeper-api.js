@@ -0,0 +1,33 @@
+const http = require("http")
+const { toJSON } = require("./json")
+
+function send(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json" })
+  res.end(toJSON(body))
+}
+
+/**
+ * Read-only HTTP API over a Keeper.
+ *
+ *   GET /metrics                     upkeep counters, totals and per target
+ *   GET /targets                     watched agent addresses
+ */
+function createKeeperServer(keeper) {
+  return http.createServer(async (req, res) => {
+    if (req.method !== "GET") return send(res, 405, { error: "Method not allowed" })
+
+    try {
+      if (req.url === "/metrics") {
+        return send(res, 200, keeper.metrics())
+      }
+      if (req.url === "/targets") {
+        return send(res, 200, await Promise.all(keeper.targets.map((target) => target.getAddress())))
+      }
+      return send(res, 404, { error: "Not found" })
+    } catch (error) {
+      return send(res, 500, { error: error.message })
+    }
+  })
+}
+
+module.exports = { createKeeperServer }
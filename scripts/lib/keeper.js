@@ -0,0 +1,253 @@
+const fs = require("fs")
+const { AbiCoder } = require("ethers")
+const { revertReason } = require("./errors")
+const { listAgents } = require("./fleet")
+
+// EnhancedBuilderAgent.UpkeepAction, in declaration order
+const UPKEEP_ACTIONS = ["RequestPrediction", "ReviewPrediction", "ExpirePrediction"]
+
+// Send errors worth retrying with a fresh nonce; reverts are not retried
+const RETRYABLE_CODES = ["NONCE_EXPIRED", "REPLACEMENT_UNDERPRICED", "NETWORK_ERROR", "TIMEOUT", "SERVER_ERROR"]
+
+function isRetryable(error) {
+  if (RETRYABLE_CODES.includes(error.code)) return true
+  return /nonce|replacement transaction/i.test(error.message || "")
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+/**
+ * Short label for an upkeep: the UpkeepAction of an EnhancedBuilderAgent, or
+ * the scheduled order a BuilderAgent upkeep executes.
+ */
+function describeUpkeep(target, performData) {
+  const coder = AbiCoder.defaultAbiCoder()
+  try {
+    if (target.interface.getFunction("requestPricePrediction")) {
+      const [action] = coder.decode(["uint8", "bytes"], performData)
+      return UPKEEP_ACTIONS[Number(action)] || `UpkeepAction ${action}`
+    }
+    const [orderId] = coder.decode(["uint256"], performData)
+    return `ScheduledOrder #${orderId}`
+  } catch {
+    return "upkeep"
+  }
+}
+
+/**
+ * Agents to watch, as `{ address, type }` with `type` a contract name for
+ * getContractAt. Collected from the active agents of a BuilderAgentFactory, a
+ * JSON config file (`{ "agents": ["0x…" | { "address", "type" }] }`, type
+ * defaulting to EnhancedBuilderAgent) and any extra entries; duplicates are dropped.
+ */
+async function discoverAgents({ factory = null, configFile = null, extra = [] } = {}) {
+  const found = [...extra]
+
+  if (configFile) {
+    const { agents = [] } = JSON.parse(fs.readFileSync(configFile, "utf8"))
+    for (const entry of agents) {
+      found.push(typeof entry === "string" ? { address: entry, type: "EnhancedBuilderAgent" } : entry)
+    }
+  }
+
+  if (factory) {
+    for (const { agent } of await listAgents(factory, { activeOnly: true })) {
+      found.push({ address: agent, type: "BuilderAgent" })
+    }
+  }
+
+  const seen = new Set()
+  return found
+    .filter((agent) => agent.address)
+    .map((agent) => ({ type: "EnhancedBuilderAgent", ...agent }))
+    .filter((agent) => {
+      const key = agent.address.toLowerCase()
+      if (seen.has(key)) return false
+      seen.add(key)
+      return true
+    })
+}
+
+/**
+ * Local stand-in for Chainlink Automation: for each new block, simulates
+ * `checkUpkeep()` on every target and submits `performUpkeep(performData)` for
+ * those that need it.
+ *
+ * Transactions from one tick are sent back to back with locally tracked
+ * nonces and a gas limit of the estimate plus `gasBufferBps`, then awaited
+ * together. Sends that fail on nonce or transport errors are retried up to
+ * `maxRetries` times with a nonce re-read from the node; upkeeps that revert
+ * are reported and left for the next block. Counters per target are
+ * available from `metrics()`.
+ *
+ * `targets` are Automation-compatible contracts connected to a signer that
+ * holds KEEPER_ROLE (or is the target's keeperRegistryAddress).
+ */
+class Keeper {
+  constructor({ targets = [], gasBufferBps = 2000, maxRetries = 2, retryDelayMs = 1000, log = () => {} }) {
+    this.gasBufferBps = BigInt(gasBufferBps)
+    this.maxRetries = maxRetries
+    this.retryDelayMs = retryDelayMs
+    this.log = log
+    this.nonces = new Map() // Signer address => next nonce to use
+    this.lastBlock = null
+    this.stats = { ticks: 0, checks: 0, performed: 0, failed: 0, retries: 0, targets: {} }
+    this.setTargets(targets)
+  }
+
+  /**
+   * Replace the watched targets; counters of targets still watched are kept
+   */
+  setTargets(targets) {
+    this.targets = targets
+  }
+
+  /**
+   * Tick when the chain has a block the keeper has not checked yet.
+   * Returns the tick results, or null when there was no new block.
+   */
+  async poll() {
+    const provider = this.targets.length > 0 ? this.targets[0].runner.provider : null
+    if (!provider) return null
+
+    const blockNumber = await provider.getBlockNumber()
+    if (this.lastBlock !== null && blockNumber <= this.lastBlock) return null
+    this.lastBlock = blockNumber
+    return this.tick()
+  }
+
+  /**
+   * Check and perform upkeep on every target. Returns one record per target:
+   * `{ target, status: "idle" | "performed" | "failed", ... }`
+   */
+  async tick() {
+    this.stats.ticks++
+
+    // Simulate first, then send everything that is due before waiting on receipts
+    const results = []
+    const pending = []
+    for (const target of this.targets) {
+      const result = await this.check(target)
+      results.push(result)
+      if (result.status !== "due") continue
+
+      try {
+        pending.push({ result, tx: await this.send(target, result) })
+      } catch (error) {
+        this.fail(result, revertReason(error, target.interface), "performUpkeep")
+      }
+    }
+
+    await Promise.all(pending.map(({ result, tx }) => this.confirm(result, tx)))
+    return results
+  }
+
+  async check(target) {
+    const address = await target.getAddress()
+    const stats = this.targetStats(address)
+    this.stats.checks++
+    stats.checks++
+
+    let upkeepNeeded, performData
+    try {
+      ;[upkeepNeeded, performData] = await target.checkUpkeep("0x")
+    } catch (error) {
+      return this.fail({ target: address }, revertReason(error, target.interface), "checkUpkeep")
+    }
+    if (!upkeepNeeded) {
+      this.log(`💤 ${address}: no upkeep needed`)
+      return { target: address, status: "idle" }
+    }
+
+    return { target: address, status: "due", action: describeUpkeep(target, performData), performData }
+  }
+
+  async send(target, result) {
+    const signer = target.runner
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const estimate = await target.performUpkeep.estimateGas(result.performData)
+        const gasLimit = (estimate * (10000n + this.gasBufferBps)) / 10000n
+        const nonce = await this.nextNonce(signer)
+
+        const tx = await target.performUpkeep(result.performData, { gasLimit, nonce })
+        this.nonces.set(signer.address, nonce + 1)
+        return tx
+      } catch (error) {
+        this.nonces.delete(signer.address) // Re-read from the node on the next send
+        if (!isRetryable(error) || attempt >= this.maxRetries) throw error
+
+        this.stats.retries++
+        this.targetStats(result.target).retries++
+        this.log(`🔁 ${result.target}: retrying ${result.action} (${error.shortMessage || error.message})`)
+        await sleep(this.retryDelayMs)
+      }
+    }
+  }
+
+  async confirm(result, tx) {
+    try {
+      const receipt = await tx.wait()
+      const stats = this.targetStats(result.target)
+      this.stats.performed++
+      stats.performed++
+      stats.actions[result.action] = (stats.actions[result.action] || 0) + 1
+      stats.lastPerformedBlock = receipt.blockNumber
+
+      Object.assign(result, { status: "performed", txHash: tx.hash, blockNumber: receipt.blockNumber })
+      this.log(`✅ ${result.target}: ${result.action} performed, tx ${tx.hash}`)
+    } catch (error) {
+      this.fail(result, revertReason(error), "performUpkeep")
+    }
+  }
+
+  async nextNonce(signer) {
+    if (!this.nonces.has(signer.address)) {
+      this.nonces.set(signer.address, await signer.getNonce("pending"))
+    }
+    return this.nonces.get(signer.address)
+  }
+
+  fail(result, reason, step) {
+    const stats = this.targetStats(result.target)
+    this.stats.failed++
+    stats.failed++
+    stats.lastError = reason
+
+    this.log(`❌ ${result.target}: ${step} failed (${reason})`)
+    return Object.assign(result, { status: "failed", reason })
+  }
+
+  targetStats(address) {
+    if (!this.stats.targets[address]) {
+      this.stats.targets[address] = {
+        checks: 0,
+        performed: 0,
+        failed: 0,
+        retries: 0,
+        actions: {},
+        lastPerformedBlock: null,
+        lastError: null,
+      }
+    }
+    return this.stats.targets[address]
+  }
+
+  /**
+   * Counters since start: totals, plus per-target counts with performed upkeeps by action
+   */
+  metrics() {
+    const { targets, ...totals } = this.stats
+    return {
+      ...totals,
+      lastBlock: this.lastBlock,
+      targets: Object.entries(targets).map(([address, stats]) => ({
+        address,
+        ...stats,
+        actions: { ...stats.actions },
+      })),
+    }
+  }
+}
+
+module.exports = { Keeper, discoverAgents, describeUpkeep }
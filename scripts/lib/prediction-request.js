@@ -0,0 +1,159 @@
+const { AbiCoder, getBytes, isHexString, keccak256, toUtf8Bytes } = require("ethers")
+const { encodeFunctionsRequest, encodeDONHostedSecrets } = require("./cbor")
+const { executeSource } = require("./functions-simulator")
+
+// EnhancedBuilderAgent.MAX_PREDICTION_FEATURES
+const MAX_FEATURES = 8
+
+// EnhancedBuilderAgent.SecretsLocation, in declaration order
+const SECRETS_LOCATIONS = ["None", "Remote", "DONHosted"]
+
+// FunctionsRequest.Location
+const LOCATION = { Inline: 0, Remote: 1, DONHosted: 2 }
+
+/**
+ * Check prediction request parameters before they are sent to an agent.
+ * Covers the agent's own setter checks plus ones that only fail at the DON
+ * (malformed URLs, symbols the model server will not recognise).
+ * Returns a list of problems, empty when the parameters are usable.
+ *
+ * `secrets` is `{ location: "None" }`, `{ location: "Remote", encryptedSecretsReference }`
+ * or `{ location: "DONHosted", slotId, version }`.
+ */
+function validatePredictionParams({ source, endpoint, symbol, timeframe, features, secrets = { location: "None" } }) {
+  const errors = []
+
+  if (typeof source !== "string" || source.trim() === "") errors.push("source is empty")
+
+  let url = null
+  try {
+    url = new URL(endpoint)
+  } catch {
+    errors.push(`endpoint ${JSON.stringify(endpoint)} is not a URL`)
+  }
+  if (url && !["https:", "http:"].includes(url.protocol)) errors.push(`endpoint must be http(s), got ${url.protocol}`)
+  if (url && endpoint.endsWith("/")) errors.push("endpoint must not end with '/' (the source appends /predict)")
+
+  if (!/^[A-Z0-9]+\/[A-Z0-9]+$/.test(symbol || "")) errors.push(`symbol ${JSON.stringify(symbol)} is not BASE/QUOTE`)
+  if (!/^\d+[mhdw]$/.test(timeframe || "")) {
+    errors.push(`timeframe ${JSON.stringify(timeframe)} is not like 15m, 1h or 1d`)
+  }
+
+  if (!Array.isArray(features) || features.length === 0 || features.length > MAX_FEATURES) {
+    errors.push(`features must list 1 to ${MAX_FEATURES} entries`)
+  } else {
+    for (const feature of features) {
+      if (typeof feature !== "string" || feature === "" || feature.includes(",")) {
+        errors.push(`feature ${JSON.stringify(feature)} must be a non-empty string without commas`)
+      }
+    }
+    if (new Set(features).size !== features.length) errors.push("features contain duplicates")
+  }
+
+  const location = secrets.location || "None"
+  if (!SECRETS_LOCATIONS.includes(location)) {
+    errors.push(`unknown secrets location ${location}`)
+  } else if (location === "Remote") {
+    const reference = secrets.encryptedSecretsReference
+    if (!isHexString(reference) || getBytes(reference).length === 0) {
+      errors.push("remote secrets need a non-empty hex encryptedSecretsReference")
+    }
+  } else if (location === "DONHosted") {
+    if (!Number.isInteger(Number(secrets.slotId)) || Number(secrets.slotId) < 0 || Number(secrets.slotId) > 255) {
+      errors.push("DON-hosted secrets need a slotId from 0 to 255")
+    }
+    if (!(BigInt(secrets.version || 0) > 0n)) errors.push("DON-hosted secrets need a version")
+  }
+
+  return errors
+}
+
+/**
+ * Build the request an EnhancedBuilderAgent sends for the given parameters:
+ * `{ source, sourceHash, args, secretsLocation, secrets, data }`, where `data`
+ * is the CBOR payload as getPredictionRequestData() returns it. Throws when
+ * the parameters do not validate.
+ */
+function buildPredictionRequest(params) {
+  const errors = validatePredictionParams(params)
+  if (errors.length > 0) throw new Error(`Invalid prediction request: ${errors.join("; ")}`)
+
+  const { source, endpoint, symbol, timeframe, features, secrets = { location: "None" } } = params
+  const request = {
+    codeLocation: LOCATION.Inline,
+    language: 0, // JavaScript
+    source,
+    args: [endpoint, symbol, timeframe, features.join(",")],
+  }
+
+  if (secrets.location === "Remote") {
+    Object.assign(request, { secretsLocation: LOCATION.Remote, secrets: secrets.encryptedSecretsReference })
+  } else if (secrets.location === "DONHosted") {
+    Object.assign(request, {
+      secretsLocation: LOCATION.DONHosted,
+      secrets: encodeDONHostedSecrets(secrets.slotId, secrets.version),
+    })
+  }
+
+  return { ...request, sourceHash: keccak256(toUtf8Bytes(source)), data: encodeFunctionsRequest(request) }
+}
+
+/**
+ * Read an agent's current prediction parameters, active source and secrets
+ * configuration, in the shape buildPredictionRequest takes.
+ */
+async function readPredictionParams(agent) {
+  const [params, secrets, sourceVersion] = await Promise.all([
+    agent.getPredictionParams(),
+    agent.getPredictionSecrets(),
+    agent.activeSourceVersion(),
+  ])
+  const [sourceHash, , source] = await agent.getPredictionSource(sourceVersion)
+
+  const location = SECRETS_LOCATIONS[Number(secrets.location)]
+  return {
+    source,
+    sourceHash,
+    sourceVersion,
+    endpoint: params.endpoint,
+    symbol: params.symbol,
+    timeframe: params.timeframe,
+    features: [...params.features],
+    secrets:
+      location === "Remote"
+        ? { location, encryptedSecretsReference: secrets.encryptedSecretsReference }
+        : location === "DONHosted"
+          ? { location, slotId: Number(secrets.slotId), version: secrets.version }
+          : { location },
+  }
+}
+
+/**
+ * Execute a built request's source locally and check its response the way
+ * the agent's fulfillRequest does. Resolves to `{ response, prediction }` with
+ * the decoded `{ predictedPrice, confidence, isAnomaly }`, or `{ error }`.
+ * `options` are passed to executeSource (e.g. `rewriteUrl`, `secrets`).
+ */
+async function simulatePredictionRequest(request, options = {}) {
+  const { response, error } = await executeSource(request.source, request.args, options)
+  if (error) return { error }
+
+  if (getBytes(response).length < 96) return { response, error: "response shorter than three uint256 words" }
+  const [predictedPrice, confidence, anomaly] = AbiCoder.defaultAbiCoder().decode(
+    ["uint256", "uint256", "uint256"],
+    response,
+  )
+  if (predictedPrice === 0n) return { response, error: "predicted price is zero" }
+  if (confidence > 10000n) return { response, error: `confidence ${confidence} exceeds 10000 bps` }
+
+  return { response, prediction: { predictedPrice, confidence, isAnomaly: anomaly === 1n } }
+}
+
+module.exports = {
+  MAX_FEATURES,
+  SECRETS_LOCATIONS,
+  validatePredictionParams,
+  buildPredictionRequest,
+  readPredictionParams,
+  simulatePredictionRequest,
+}
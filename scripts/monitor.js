@@ -1,32 +1,97 @@
 const { ethers } = require("hardhat")
 const fs = require("fs")
+const { getAlertConfig } = require("./config/alerts")
+const { AlertEngine, createSinks, collectSnapshot } = require("./lib/alerts")
+const { REASON_CODES } = require("./lib/compliance-report")
+const { describeChange } = require("./lib/governance")
 
 async function main() {
   const deploymentInfo = JSON.parse(fs.readFileSync("deployment-info.json", "utf8"))
   const vault = await ethers.getContractAt("CuttlefishVault", deploymentInfo.contracts.vaultProxy)
+  const agents = deploymentInfo.contracts.builderAgent
+    ? [await ethers.getContractAt("BuilderAgent", deploymentInfo.contracts.builderAgent)]
+    : []
+  const { enhancedBuilderAgent, enhancedBuilderAgents = [] } = deploymentInfo.contracts
+  const predictionAgents = []
+  for (const address of [enhancedBuilderAgent, ...enhancedBuilderAgents].filter(Boolean)) {
+    predictionAgents.push(await ethers.getContractAt("EnhancedBuilderAgent", address))
+  }
+
+  const alertConfig = getAlertConfig()
+  const alerts = new AlertEngine({
+    rules: alertConfig.rules,
+    sinks: createSinks(alertConfig),
+    cooldown: alertConfig.cooldown,
+  })
+
+  const fromBlock = deploymentInfo.blockNumber || 0
+  const evaluateAlerts = async () =>
+    alerts.evaluate(await collectSnapshot({ provider: ethers.provider, vault, agents, predictionAgents, fromBlock }))
 
   console.log("🔍 Monitoring Cuttlefish Vault...")
   console.log("Vault Address:", deploymentInfo.contracts.vaultProxy)
+  console.log("Alert rules:", alertConfig.rules.map((rule) => rule.id).join(", "))
 
   // Set up event listeners
-  vault.on("Deposit", (user, assets, shares, event) => {
-    console.log(`💰 Deposit: ${ethers.utils.formatEther(assets)} WETH from ${user}`)
+  vault.on("Deposit", (sender, owner, assets, shares, event) => {
+    console.log(`💰 Deposit: ${ethers.formatEther(assets)} WETH from ${sender}`)
   })
 
-  vault.on("Withdraw", (user, assets, shares, event) => {
-    console.log(`💸 Withdrawal: ${ethers.utils.formatEther(assets)} WETH to ${user}`)
+  vault.on("Withdraw", (sender, receiver, owner, assets, shares, event) => {
+    console.log(`💸 Withdrawal: ${ethers.formatEther(assets)} WETH to ${receiver}`)
   })
 
   vault.on("TradeExecuted", (tokenIn, tokenOut, amountIn, amountOut, event) => {
     console.log(
-      `🔄 Trade: ${ethers.utils.formatEther(amountIn)} ${tokenIn} → ${ethers.utils.formatEther(amountOut)} ${tokenOut}`,
+      `🔄 Trade: ${ethers.formatEther(amountIn)} ${tokenIn} → ${ethers.formatEther(amountOut)} ${tokenOut}`,
     )
   })
 
   vault.on("FeesExtracted", (amount, event) => {
-    console.log(`💼 Fees Extracted: ${ethers.utils.formatEther(amount)} WETH`)
+    console.log(`💼 Fees Extracted: ${ethers.formatEther(amount)} WETH`)
   })
 
+  // Failure reasons in EnhancedBuilderAgent.PredictionFailure order
+  const predictionFailures = ["None", "CallbackError", "NonCompliant", "InvalidPayload", "Expired"]
+  for (const agent of predictionAgents) {
+    agent.on("PredictionFailed", (requestId, reason, details, event) => {
+      console.log(`🔮 Prediction ${requestId} failed on ${event.log.address}: ${predictionFailures[Number(reason)]}`)
+    })
+  }
+
+  // Compliance rejections, in IComplianceEngine.ReasonCode order
+  for (const agent of agents) {
+    agent.on("TradeNotCompliant", (trader, asset, amountIn, reason, event) => {
+      console.log(
+        `🚫 Trade of ${ethers.formatEther(amountIn)} into ${asset} by ${trader} blocked on ${event.log.address}: ` +
+          REASON_CODES[Number(reason)],
+      )
+    })
+  }
+  for (const agent of predictionAgents) {
+    agent.on("TradeNotCompliant", (requestId, trader, reason, event) => {
+      console.log(`🚫 Prediction trade ${requestId} by ${trader} blocked: ${REASON_CODES[Number(reason)]}`)
+    })
+    agent.on("ComplianceCheckFailed", (requestId, reason, event) => {
+      console.log(`🚫 Prediction trade ${requestId} skipped on ${event.log.address}: compliance check reverted (${reason})`)
+    })
+  }
+
+  // Pending governance changes, so a hostile proposal is seen while it can still be cancelled.
+  // The governance-change alert rule sends them to the alert sinks right away.
+  for (const agent of [...agents, ...predictionAgents]) {
+    agent.on("ChangeProposed", async (changeId, selector, data, executableAt, event) => {
+      const executable = new Date(Number(executableAt) * 1000).toISOString()
+      console.log(
+        `🗳️ Change ${changeId} proposed on ${event.log.address}: ${describeChange(agent, data)}, executable ${executable}`,
+      )
+      await evaluateAlerts().catch((error) => console.error("Error evaluating alerts:", error.message))
+    })
+    agent.on("ChangeCancelled", (changeId, canceller, event) => {
+      console.log(`🗑️ Change ${changeId} cancelled on ${event.log.address} by ${canceller}`)
+    })
+  }
+
   // Keep monitoring
   console.log("Monitoring events... Press Ctrl+C to stop")
 
@@ -35,8 +100,10 @@ async function main() {
     try {
       const vaultInfo = await vault.getVaultInfo()
       console.log(
-        `📊 Status - Assets: ${ethers.utils.formatEther(vaultInfo._totalAssets)} WETH, Shares: ${ethers.utils.formatEther(vaultInfo._totalShares)}`,
+        `📊 Status - Assets: ${ethers.formatEther(vaultInfo._totalAssets)} WETH, Shares: ${ethers.formatEther(vaultInfo._totalShares)}`,
       )
+
+      await evaluateAlerts()
     } catch (error) {
       console.error("Error fetching vault info:", error.message)
     }
@@ -0,0 +1,56 @@
+const { ethers } = require("hardhat")
+const fs = require("fs")
+const { haltFleet, verifyHalt, formatHaltReport } = require("./lib/guardian")
+
+// GUARDIAN: FleetGuardian address; defaults to the one in deployment-info.json
+// FACTORY: BuilderAgentFactory whose agents are verified; defaults to deployment-info.json
+// VAULT: halt only this vault's agents (default: every vault)
+// REASON: halt reason recorded on-chain (default "Manual panic")
+// AGENTS: comma-separated standalone agents to verify as well
+// VERIFY_ONLY: skip the halt and only verify an existing one
+function deploymentContracts() {
+  if (!fs.existsSync("deployment-info.json")) return {}
+  return JSON.parse(fs.readFileSync("deployment-info.json", "utf8")).contracts
+}
+
+async function main() {
+  const env = process.env
+  const contracts = deploymentContracts()
+  const guardianAddress = env.GUARDIAN || contracts.fleetGuardian
+  if (!guardianAddress) {
+    console.error("❌ No guardian found. Set GUARDIAN to a FleetGuardian address.")
+    process.exit(1)
+  }
+
+  const guardian = await ethers.getContractAt("FleetGuardian", guardianAddress)
+  const factoryAddress = env.FACTORY || contracts.agentFactory
+  const factory = factoryAddress ? await ethers.getContractAt("BuilderAgentFactory", factoryAddress) : null
+  const scope = env.VAULT ? `vault ${env.VAULT}` : "all vaults"
+
+  if (!env.VERIFY_ONLY) {
+    console.log(`🚨 Halting ${scope} on ${guardianAddress}...`)
+    const receipt = await haltFleet(guardian, { vault: env.VAULT, reason: env.REASON || "Manual panic" })
+    console.log(`✅ Halt mined in block ${receipt.blockNumber} (${receipt.hash})`)
+  }
+
+  console.log(`\n🔍 Verifying halt of ${scope}...`)
+  const report = await verifyHalt(guardian, {
+    factory,
+    vault: env.VAULT,
+    agents: env.AGENTS ? env.AGENTS.split(",").map((agent) => agent.trim()) : [],
+  })
+  console.log(formatHaltReport(report))
+
+  if (!report.ok) {
+    console.error("\n❌ Halt incomplete: some agents can still trade")
+    process.exit(1)
+  }
+  console.log(`\n🛑 ${report.agents.length} agents halted`)
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error)
+    process.exit(1)
+  })
@@ -0,0 +1,99 @@
+const { ethers } = require("hardhat")
+const fs = require("fs")
+const {
+  buildPredictionRequest,
+  readPredictionParams,
+  simulatePredictionRequest,
+  validatePredictionParams,
+} = require("./lib/prediction-request")
+const { toJSON } = require("./lib/json")
+
+// AGENT: EnhancedBuilderAgent address; defaults to the one in deployment-info.json
+// PREDICTION_ENDPOINT, PREDICTION_SYMBOL, PREDICTION_TIMEFRAME, PREDICTION_FEATURES (comma-separated),
+// PREDICTION_SOURCE_FILE: override the agent's current parameters or source
+// PREDICTION_SECRETS: JSON secrets the source receives when simulating, e.g. {"apiKey":"..."}
+// SIMULATE: run the source locally against the endpoint
+// APPLY: send the overridden parameters and source to the agent
+function agentAddress() {
+  if (process.env.AGENT) return process.env.AGENT
+  if (!fs.existsSync("deployment-info.json")) return null
+  return JSON.parse(fs.readFileSync("deployment-info.json", "utf8")).contracts.enhancedBuilderAgent
+}
+
+function overrides(current) {
+  const env = process.env
+  return {
+    ...current,
+    endpoint: env.PREDICTION_ENDPOINT || current.endpoint,
+    symbol: env.PREDICTION_SYMBOL || current.symbol,
+    timeframe: env.PREDICTION_TIMEFRAME || current.timeframe,
+    features: env.PREDICTION_FEATURES ? env.PREDICTION_FEATURES.split(",").map((f) => f.trim()) : current.features,
+    source: env.PREDICTION_SOURCE_FILE ? fs.readFileSync(env.PREDICTION_SOURCE_FILE, "utf8") : current.source,
+  }
+}
+
+async function main() {
+  const address = agentAddress()
+  if (!address) {
+    console.error("❌ No agent found. Set AGENT to an EnhancedBuilderAgent address.")
+    process.exit(1)
+  }
+
+  const agent = await ethers.getContractAt("EnhancedBuilderAgent", address)
+  const current = await readPredictionParams(agent)
+  const params = overrides(current)
+
+  console.log("🔮 Prediction request for", address)
+  console.log(`Endpoint:  ${params.endpoint}`)
+  console.log(`Symbol:    ${params.symbol} (${params.timeframe})`)
+  console.log(`Features:  ${params.features.join(", ")}`)
+  console.log(`Secrets:   ${params.secrets.location}`)
+
+  const errors = validatePredictionParams(params)
+  if (errors.length > 0) {
+    errors.forEach((error) => console.error(`❌ ${error}`))
+    process.exit(1)
+  }
+
+  const request = buildPredictionRequest(params)
+  const sourceChanged = request.sourceHash !== current.sourceHash
+  console.log(`Source:    ${request.sourceHash}${sourceChanged ? " (new)" : ` (version ${current.sourceVersion})`}`)
+  console.log(`Payload:   ${ethers.dataLength(request.data)} bytes`)
+
+  if (!sourceChanged && request.data === buildPredictionRequest(current).data) {
+    const matches = request.data === (await agent.getPredictionRequestData())
+    console.log(matches ? "✅ Matches the agent's payload" : "⚠️  Differs from the agent's payload")
+  }
+
+  if (process.env.SIMULATE) {
+    const secrets = process.env.PREDICTION_SECRETS ? JSON.parse(process.env.PREDICTION_SECRETS) : {}
+    const result = await simulatePredictionRequest(request, { secrets })
+    if (result.error) {
+      console.error(`❌ Simulation failed: ${result.error}`)
+      process.exit(1)
+    }
+    console.log("✅ Simulated prediction:", toJSON(result.prediction))
+  }
+
+  if (process.env.APPLY) {
+    const paramsChanged = ["endpoint", "symbol", "timeframe", "features"].some(
+      (key) => toJSON(params[key]) !== toJSON(current[key]),
+    )
+    if (paramsChanged) {
+      const { endpoint, symbol, timeframe, features } = params
+      await (await agent.setPredictionParams({ endpoint, symbol, timeframe, features })).wait()
+      console.log("✅ Prediction parameters updated")
+    }
+    if (sourceChanged) {
+      await (await agent.setPredictionSource(params.source)).wait()
+      console.log(`✅ Source version ${await agent.activeSourceVersion()} activated`)
+    }
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error)
+    process.exit(1)
+  })
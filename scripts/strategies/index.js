@@ -0,0 +1,27 @@
+const path = require("path")
+const { createMovingAverageStrategy } = require("./moving-average")
+
+// Built-in strategies by name. A strategy is an object with a `name`, the number
+// of price rounds it needs (`lookback`) and `decide({ prices, config, stats, position })`
+// returning `{ action: "trade" | "sell" | "hold", amountIn, confidence, reason }`.
+// A "sell" spends `amountIn` target token units of the agent's `position`.
+const strategies = {
+  "moving-average": createMovingAverageStrategy,
+}
+
+/**
+ * Resolve a strategy by registry name or by path to a module exporting a
+ * factory (either as the module itself or as `createStrategy`).
+ */
+function loadStrategy(name, options = {}) {
+  if (strategies[name]) return strategies[name](options)
+
+  const mod = require(path.resolve(name))
+  const factory = typeof mod === "function" ? mod : mod.createStrategy
+  if (typeof factory !== "function") {
+    throw new Error(`Strategy module ${name} must export a factory function`)
+  }
+  return factory(options)
+}
+
+module.exports = { strategies, loadStrategy }
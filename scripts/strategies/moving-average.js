@@ -0,0 +1,82 @@
+// Moving-average crossover / momentum strategy.
+//
+// Compares a short and a long simple moving average over recent price feed
+// rounds. When the short average leads the long one by at least `minMomentum`
+// basis points the agent trades, with confidence growing with the momentum.
+// With `exitMomentum` set, an open position is sold back once the short
+// average trails the long one by at least that many basis points.
+
+function average(values) {
+  return values.reduce((sum, value) => sum + value, 0n) / BigInt(values.length)
+}
+
+function createMovingAverageStrategy({
+  shortWindow = 3,
+  longWindow = 8,
+  minMomentum = 50, // 0.5% lead of the short average over the long one
+  baseConfidence = 6000, // confidence at exactly minMomentum
+  confidencePerBps = 20, // extra confidence per basis point of momentum above minMomentum
+  tradeSize = null, // defaults to 10% of config.maxTradeSize
+  respectPriceThreshold = true, // hold below config.priceThreshold instead of letting the agent revert
+  exitMomentum = null, // lag (bps) of the short average that closes an open position; null never sells
+} = {}) {
+  if (shortWindow < 1 || longWindow <= shortWindow) {
+    throw new Error("moving-average: longWindow must be greater than shortWindow")
+  }
+
+  return {
+    name: "moving-average",
+    lookback: longWindow,
+
+    /**
+     * @param prices feed answers, oldest first, the validated current price last
+     * @param config the agent's TradingConfig
+     * @param position the agent's position in its target token, if known
+     */
+    decide({ prices, config, position }) {
+      if (prices.length < longWindow) {
+        return { action: "hold", reason: `Need ${longWindow} price rounds, have ${prices.length}` }
+      }
+
+      const shortMa = average(prices.slice(-shortWindow))
+      const longMa = average(prices.slice(-longWindow))
+      const momentum = ((shortMa - longMa) * 10000n) / longMa
+      const signals = { shortMa, longMa, momentum }
+
+      if (exitMomentum !== null && position && position.amount > 0n && -momentum >= BigInt(exitMomentum)) {
+        const lag = -momentum - BigInt(exitMomentum)
+        return {
+          action: "sell",
+          amountIn: position.amount,
+          confidence: Math.min(10000, baseConfidence + Number(lag) * confidencePerBps),
+          reason: `Short MA trails long MA by ${-momentum} bps`,
+          signals,
+        }
+      }
+
+      const current = prices[prices.length - 1]
+      if (respectPriceThreshold && current < config.priceThreshold) {
+        return { action: "hold", reason: "Price below threshold" }
+      }
+
+      if (momentum < BigInt(minMomentum)) {
+        return { action: "hold", reason: `Momentum ${momentum} bps below ${minMomentum} bps`, signals }
+      }
+
+      const confidence = Math.min(10000, baseConfidence + Number(momentum - BigInt(minMomentum)) * confidencePerBps)
+      const size = tradeSize !== null ? BigInt(tradeSize) : config.maxTradeSize / 10n
+      const scaled = (size * BigInt(confidence)) / 10000n
+      const amountIn = scaled > config.maxTradeSize ? config.maxTradeSize : scaled
+
+      return {
+        action: "trade",
+        amountIn,
+        confidence,
+        reason: `Short MA leads long MA by ${momentum} bps`,
+        signals,
+      }
+    },
+  }
+}
+
+module.exports = { createMovingAverageStrategy }
@@ -0,0 +1,362 @@
+const { expect } = require("chai")
+const { ethers, upgrades } = require("hardhat")
+const { deployAgentModules } = require("../scripts/lib/agent-modules")
+const { applyChange } = require("../scripts/lib/governance")
+
+describe("Agent Lifecycle", () => {
+  let deployer, creator, operator, stranger
+  let weth, usdc, dai, router, vault, priceFeed, backupFeed, factory
+
+  const AI_CONFIDENCE = 8000
+  const usd = (value) => BigInt(value) * 10n ** 8n
+  const deadline = async () => (await ethers.provider.getBlock("latest")).timestamp + 3600
+  const config = {
+    priceThreshold: usd(2000),
+    maxTradeSize: ethers.parseEther("100"),
+    dailyTradeLimit: ethers.parseEther("1000"),
+    cooldownPeriod: 0,
+    maxSlippage: 300,
+    confidenceThreshold: 7000,
+  }
+
+  const agentArgs = async () => [
+    await vault.getAddress(),
+    await weth.getAddress(),
+    await usdc.getAddress(),
+    await priceFeed.getAddress(),
+    config,
+  ]
+
+  const createAgent = async (signer = creator) => {
+    const args = await agentArgs()
+    const address = await factory.connect(signer).createAgent.staticCall(...args)
+    await factory.connect(signer).createAgent(...args)
+    await vault.addBuilderAgent(address)
+    return ethers.getContractAt("BuilderAgent", address)
+  }
+
+  const buy = async (agent, amount) =>
+    agent.connect(creator).triggerTrade(ethers.parseEther(amount), 0, await deadline(), AI_CONFIDENCE)
+
+  beforeEach(async () => {
+    ;[deployer, creator, operator, stranger] = await ethers.getSigners()
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20")
+    weth = await MockERC20.deploy("Mock WETH", "mWETH", 18, ethers.parseEther("1000000"))
+    usdc = await MockERC20.deploy("Mock USDC", "mUSDC", 6, 0)
+    dai = await MockERC20.deploy("Mock DAI", "mDAI", 18, 0)
+
+    const MockUniswapRouter = await ethers.getContractFactory("MockUniswapRouter")
+    router = await MockUniswapRouter.deploy()
+    await usdc.mint(await router.getAddress(), ethers.parseUnits("10000000", 6))
+    await router.setExchangeRate(await weth.getAddress(), await usdc.getAddress(), 2500n * 10n ** 6n)
+
+    const MockChainlinkPriceFeed = await ethers.getContractFactory("MockChainlinkPriceFeed")
+    priceFeed = await MockChainlinkPriceFeed.deploy(8, "ETH/USD", 1, usd(2500))
+    backupFeed = await MockChainlinkPriceFeed.deploy(8, "ETH/USD", 1, usd(2500))
+
+    const CuttlefishVault = await ethers.getContractFactory("CuttlefishVault")
+    vault = await upgrades.deployProxy(CuttlefishVault, [
+      await weth.getAddress(),
+      deployer.address,
+      deployer.address,
+      await router.getAddress(),
+    ])
+    await weth.mint(await vault.getAddress(), ethers.parseEther("10000"))
+
+    const BuilderAgentFactory = await ethers.getContractFactory("BuilderAgentFactory")
+    factory = await BuilderAgentFactory.deploy(await deployAgentModules(ethers, "BuilderAgent"))
+  })
+
+  describe("Beacon proxy deployment", () => {
+    it("Should deploy agents as beacon proxies far cheaper than a full contract", async () => {
+      const args = await agentArgs()
+      const receipt = await (await factory.connect(creator).createAgent(...args)).wait()
+      const agent = await ethers.getContractAt("BuilderAgent", await factory.allAgents(0))
+
+      expect(await upgrades.erc1967.getBeaconAddress(await agent.getAddress())).to.equal(await factory.beacon())
+      expect((await agent.config()).maxTradeSize).to.equal(config.maxTradeSize)
+      expect(await agent.vault()).to.equal(await vault.getAddress())
+
+      const BuilderAgent = await ethers.getContractFactory("BuilderAgent")
+      const direct = await BuilderAgent.deploy(...args, await deployAgentModules(ethers, "BuilderAgent"))
+      const directReceipt = await direct.deploymentTransaction().wait()
+      expect(receipt.gasUsed * 4n).to.be.lessThan(directReceipt.gasUsed)
+    })
+
+    it("Should leave the creator in charge and the factory with only its own role", async () => {
+      const agent = await createAgent()
+      const factoryAddress = await factory.getAddress()
+
+      for (const role of ["DEFAULT_ADMIN_ROLE", "OPERATOR_ROLE", "EMERGENCY_ROLE", "AI_ROLE", "KEEPER_ROLE"]) {
+        expect(await agent.hasRole(await agent[role](), creator.address)).to.equal(true)
+        expect(await agent.hasRole(await agent[role](), factoryAddress)).to.equal(false)
+      }
+
+      const factoryRole = await agent.FACTORY_ROLE()
+      expect(await agent.hasRole(factoryRole, factoryAddress)).to.equal(true)
+      await expect(agent.connect(creator).revokeRole(factoryRole, factoryAddress))
+        .to.be.revertedWithCustomError(agent, "AccessControlUnauthorizedAccount")
+        .withArgs(creator.address, factoryRole)
+    })
+
+    it("Should not allow agents or the implementation to be initialized again", async () => {
+      const agent = await createAgent()
+      const args = await agentArgs()
+      await expect(agent.initialize(...args)).to.be.revertedWithCustomError(agent, "InvalidInitialization")
+
+      const implementation = await ethers.getContractAt("BuilderAgent", await factory.agentImplementation())
+      await expect(implementation.initialize(...args)).to.be.revertedWithCustomError(
+        implementation,
+        "InvalidInitialization",
+      )
+    })
+  })
+
+  describe("Deactivation and reactivation", () => {
+    it("Should pause and resume agents even when their creator already paused them", async () => {
+      const agent = await createAgent()
+      await agent.connect(creator).pause()
+
+      await expect(factory.deactivateAgent(await agent.getAddress()))
+        .to.emit(factory, "AgentDeactivated")
+        .withArgs(await agent.getAddress(), deployer.address)
+      expect(await factory.getActiveAgentsCount()).to.equal(0)
+
+      await expect(factory.reactivateAgent(await agent.getAddress()))
+        .to.emit(factory, "AgentReactivated")
+        .withArgs(await agent.getAddress(), deployer.address)
+      expect(await agent.paused()).to.equal(false)
+      expect((await factory.agents(await agent.getAddress())).isActive).to.equal(true)
+      await expect(buy(agent, "1")).to.emit(agent, "TradeTriggered")
+    })
+
+    it("Should keep a deactivated agent paused until the factory reactivates it", async () => {
+      const agent = await createAgent()
+      await factory.deactivateAgent(await agent.getAddress())
+      expect(await agent.deactivated()).to.equal(true)
+
+      await expect(agent.connect(creator).unpause()).to.be.revertedWith("Agent deactivated")
+      await expect(agent.connect(creator).deactivate()).to.be.revertedWithCustomError(
+        agent,
+        "AccessControlUnauthorizedAccount",
+      )
+      expect(await agent.paused()).to.equal(true)
+
+      await factory.reactivateAgent(await agent.getAddress())
+      expect(await agent.deactivated()).to.equal(false)
+      await agent.connect(creator).pause()
+      await expect(agent.connect(creator).unpause()).to.emit(agent, "Unpaused")
+    })
+
+    it("Should reject invalid reactivations", async () => {
+      const agent = await createAgent()
+      await expect(factory.reactivateAgent(await agent.getAddress())).to.be.revertedWith("Agent already active")
+      await expect(factory.reactivateAgent(stranger.address)).to.be.revertedWith("Agent not found")
+
+      await factory.deactivateAgent(await agent.getAddress())
+      await expect(factory.connect(creator).reactivateAgent(await agent.getAddress()))
+        .to.be.revertedWithCustomError(factory, "OwnableUnauthorizedAccount")
+        .withArgs(creator.address)
+    })
+  })
+
+  describe("Retirement", () => {
+    it("Should cancel orders, return stray tokens to the vault and revoke every role", async () => {
+      const agent = await createAgent()
+      const agentAddress = await agent.getAddress()
+      await agent.connect(creator).grantRole(await agent.OPERATOR_ROLE(), operator.address)
+      await agent
+        .connect(creator)
+        .createScheduledOrder(ethers.parseEther("10"), ethers.parseEther("1"), 3600, 0, (await deadline()) + 86400)
+      await weth.transfer(agentAddress, ethers.parseEther("3"))
+      await usdc.mint(agentAddress, 500)
+
+      const vaultWeth = await weth.balanceOf(await vault.getAddress())
+      await expect(factory.retireAgent(agentAddress, [operator.address]))
+        .to.emit(factory, "AgentRetired")
+        .withArgs(agentAddress, deployer.address)
+        .and.to.emit(agent, "AgentRetired")
+        .withArgs(await factory.getAddress(), 1)
+        .and.to.emit(agent, "ScheduledOrderClosed")
+        .withArgs(1, 3, 0) // Cancelled
+
+      expect(await agent.retired()).to.equal(true)
+      expect(await agent.paused()).to.equal(true)
+      expect(await agent.getOpenOrders()).to.deep.equal([])
+      expect(await weth.balanceOf(await vault.getAddress())).to.equal(vaultWeth + ethers.parseEther("3"))
+      expect(await usdc.balanceOf(await vault.getAddress())).to.equal(500)
+      expect(await weth.balanceOf(agentAddress)).to.equal(0)
+
+      for (const role of ["DEFAULT_ADMIN_ROLE", "OPERATOR_ROLE", "EMERGENCY_ROLE", "AI_ROLE", "KEEPER_ROLE"]) {
+        expect(await agent.hasRole(await agent[role](), creator.address)).to.equal(false)
+      }
+      expect(await agent.hasRole(await agent.OPERATOR_ROLE(), operator.address)).to.equal(false)
+      expect(await agent.hasRole(await agent.FACTORY_ROLE(), await factory.getAddress())).to.equal(false)
+
+      const info = await factory.agents(agentAddress)
+      expect(info.isActive).to.equal(false)
+      expect(info.isRetired).to.equal(true)
+    })
+
+    it("Should keep retired agents down for good", async () => {
+      const agent = await createAgent()
+      const agentAddress = await agent.getAddress()
+      await agent.connect(creator).grantRole(await agent.DEFAULT_ADMIN_ROLE(), operator.address)
+      await factory.retireAgent(agentAddress, [])
+
+      // An admin the factory was not told about keeps the role but cannot revive the agent
+      await expect(agent.connect(operator).unpause()).to.be.revertedWith("Agent retired")
+      await expect(factory.reactivateAgent(agentAddress)).to.be.revertedWith("Agent retired")
+      await expect(factory.retireAgent(agentAddress, [])).to.be.revertedWith("Agent already retired")
+      await expect(factory.migrateAgent(agentAddress)).to.be.revertedWith("Agent retired")
+    })
+  })
+
+  describe("Migration", () => {
+    it("Should move a factory agent's configuration, counters and positions to a new agent", async () => {
+      const previous = await createAgent()
+      const usdcAddress = await usdc.getAddress()
+      await buy(previous, "2")
+      await buy(previous, "1")
+      await previous.connect(creator).setSellConfig({ takeProfitPrice: usd(2200), stopLossPrice: usd(3000) })
+      await applyChange(previous.connect(creator), "addPriceSource", [await backupFeed.getAddress()])
+      await applyChange(previous.connect(creator), "setPriceDeviationThreshold", [800])
+      await applyChange(previous.connect(creator), "setIntermediateToken", [await dai.getAddress(), true])
+      await applyChange(previous.connect(creator), "setDefaultRoute", [usdcAddress, [await dai.getAddress()]])
+      // Fresh again after the governance delay
+      await priceFeed.updatePrice(usd(2500))
+      await backupFeed.updatePrice(usd(2500))
+
+      const newAddress = await factory.connect(creator).migrateAgent.staticCall(await previous.getAddress())
+      await expect(factory.connect(creator).migrateAgent(await previous.getAddress()))
+        .to.emit(factory, "AgentMigrated")
+        .withArgs(await previous.getAddress(), newAddress, creator.address)
+        .and.to.emit(factory, "AgentCreated")
+      const agent = await ethers.getContractAt("BuilderAgent", newAddress)
+
+      expect(await agent.migratedFrom()).to.equal(await previous.getAddress())
+      expect(await agent.totalTrades()).to.equal(2)
+      expect(await agent.successfulTrades()).to.equal(2)
+      expect(await agent.dailyTradeVolume()).to.equal(await previous.dailyTradeVolume())
+      expect(await agent.lastTradeTimestamp()).to.equal(await previous.lastTradeTimestamp())
+      expect(await agent.lastValidPrice()).to.equal(await previous.lastValidPrice())
+      expect(await agent.positions(usdcAddress)).to.deep.equal(await previous.positions(usdcAddress))
+      expect(await agent.sellConfig()).to.deep.equal([usd(2200), usd(3000)])
+      expect(await agent.getPriceSources()).to.deep.equal(await previous.getPriceSources())
+      expect(await agent.priceDeviationThreshold()).to.equal(800)
+      expect(await agent.isIntermediateToken(await dai.getAddress())).to.equal(true)
+      expect(await agent.getDefaultPath(usdcAddress)).to.deep.equal(await previous.getDefaultPath(usdcAddress))
+      expect(await agent.hasRole(await agent.DEFAULT_ADMIN_ROLE(), creator.address)).to.equal(true)
+
+      // The previous agent is retired and the new one carries on once the vault admits it
+      expect(await previous.retired()).to.equal(true)
+      const info = await factory.agents(await previous.getAddress())
+      expect(info.migratedTo).to.equal(newAddress)
+      expect(await factory.getActiveAgentsCount()).to.equal(1)
+
+      await vault.addBuilderAgent(newAddress)
+      await applyChange(agent.connect(creator), "setDefaultRoute", [usdcAddress, []])
+      await priceFeed.updatePrice(usd(2500))
+      await backupFeed.updatePrice(usd(2500))
+      await expect(buy(agent, "1")).to.emit(agent, "TradeTriggered")
+      expect(await agent.totalTrades()).to.equal(3)
+    })
+
+    it("Should migrate a directly deployed agent for its admin once paused", async () => {
+      const BuilderAgent = await ethers.getContractFactory("BuilderAgent")
+      const previous = await BuilderAgent.connect(creator).deploy(
+        ...(await agentArgs()),
+        await deployAgentModules(ethers, "BuilderAgent"),
+      )
+      const previousAddress = await previous.getAddress()
+      await previous.connect(creator).grantRole(await previous.AI_ROLE(), creator.address)
+      await vault.addBuilderAgent(previousAddress)
+      await buy(previous, "1")
+
+      // Only builds the owner vouched for, since the new agent copies what the old one reports
+      await expect(factory.connect(creator).migrateAgent(previousAddress)).to.be.revertedWith("Unknown agent code")
+      const codeHash = ethers.keccak256(await ethers.provider.getCode(previousAddress))
+      await expect(factory.connect(creator).setAllowedAgentCodeHash(codeHash, true)).to.be.revertedWithCustomError(
+        factory,
+        "OwnableUnauthorizedAccount",
+      )
+      await expect(factory.setAllowedAgentCodeHash(codeHash, true))
+        .to.emit(factory, "AgentCodeHashAllowed")
+        .withArgs(codeHash, true)
+
+      await expect(factory.connect(stranger).migrateAgent(previousAddress)).to.be.revertedWith("Not agent admin")
+      await expect(factory.connect(creator).migrateAgent(previousAddress)).to.be.revertedWith(
+        "Previous agent not paused",
+      )
+
+      await previous.connect(creator).pause()
+      const newAddress = await factory.connect(creator).migrateAgent.staticCall(previousAddress)
+      await factory.connect(creator).migrateAgent(previousAddress)
+      const agent = await ethers.getContractAt("BuilderAgent", newAddress)
+
+      expect(await agent.totalTrades()).to.equal(1)
+      expect((await factory.agents(newAddress)).creator).to.equal(creator.address)
+      // The factory has no hold over the old agent, which stays with its admin
+      expect(await previous.retired()).to.equal(false)
+      expect(await previous.hasRole(await previous.DEFAULT_ADMIN_ROLE(), creator.address)).to.equal(true)
+    })
+
+    it("Should refuse migrations that would lose or overwrite state", async () => {
+      const previous = await createAgent()
+      await expect(factory.connect(stranger).migrateAgent(await previous.getAddress())).to.be.revertedWith(
+        "Not agent owner",
+      )
+
+      await previous
+        .connect(creator)
+        .createScheduledOrder(ethers.parseEther("10"), ethers.parseEther("1"), 3600, 0, (await deadline()) + 86400)
+      await expect(factory.connect(creator).migrateAgent(await previous.getAddress())).to.be.revertedWith(
+        "Previous agent has open orders",
+      )
+
+      // migrateFrom is reserved for the factory
+      const other = await createAgent()
+      await expect(other.connect(creator).migrateFrom(await previous.getAddress()))
+        .to.be.revertedWithCustomError(other, "AccessControlUnauthorizedAccount")
+        .withArgs(creator.address, await other.FACTORY_ROLE())
+    })
+  })
+
+  describe("Fleet-wide upgrades", () => {
+    it("Should upgrade every agent in place, keeping its state", async () => {
+      const first = await createAgent()
+      const second = await createAgent(stranger)
+      await buy(first, "1")
+
+      const MockBuilderAgentV2 = await ethers.getContractFactory("MockBuilderAgentV2")
+      const v2 = await MockBuilderAgentV2.deploy(await deployAgentModules(ethers, "BuilderAgent"))
+      const oldImplementation = await factory.agentImplementation()
+
+      await expect(factory.connect(creator).upgradeAgents(await v2.getAddress()))
+        .to.be.revertedWithCustomError(factory, "OwnableUnauthorizedAccount")
+        .withArgs(creator.address)
+      await expect(factory.upgradeAgents(await v2.getAddress()))
+        .to.emit(factory, "AgentImplementationUpgraded")
+        .withArgs(oldImplementation, await v2.getAddress())
+      expect(await factory.agentImplementation()).to.equal(await v2.getAddress())
+
+      const upgradedFirst = await ethers.getContractAt("MockBuilderAgentV2", await first.getAddress())
+      const upgradedSecond = await ethers.getContractAt("MockBuilderAgentV2", await second.getAddress())
+      expect(await upgradedFirst.version()).to.equal(2)
+      expect(await upgradedSecond.version()).to.equal(2)
+
+      expect(await upgradedFirst.totalTrades()).to.equal(1)
+      expect((await upgradedFirst.config()).maxTradeSize).to.equal(config.maxTradeSize)
+      expect(await upgradedSecond.hasRole(await upgradedSecond.DEFAULT_ADMIN_ROLE(), stranger.address)).to.equal(true)
+
+      await upgradedFirst.connect(creator).setNote("v2")
+      expect(await upgradedFirst.note()).to.equal("v2")
+      await expect(buy(upgradedFirst, "1")).to.emit(upgradedFirst, "TradeTriggered")
+
+      // Agents created after the upgrade run it too
+      const third = await ethers.getContractAt("MockBuilderAgentV2", await (await createAgent()).getAddress())
+      expect(await third.version()).to.equal(2)
+    })
+  })
+})
@@ -0,0 +1,301 @@
+const { expect } = require("chai")
+const { ethers, upgrades } = require("hardhat")
+const { applyChange } = require("../scripts/lib/governance")
+const { deployAgentModules } = require("../scripts/lib/agent-modules")
+
+describe("Agent Policy", () => {
+  let deployer, alice, bob
+  let weth, usdc, dai, router, priceFeed, otherFeed, vault, otherVault, factory
+  let vaultAddress
+
+  const usd = (value) => BigInt(value) * 10n ** 8n
+  const TEMPLATE = {
+    maxTradeSize: ethers.parseEther("10"),
+    maxDailyTradeLimit: ethers.parseEther("50"),
+    minCooldownPeriod: 600,
+  }
+  const CONFIG = {
+    priceThreshold: usd(2000),
+    maxTradeSize: ethers.parseEther("10"),
+    dailyTradeLimit: ethers.parseEther("50"),
+    cooldownPeriod: 600,
+    maxSlippage: 300,
+    confidenceThreshold: 7000,
+  }
+
+  const agentArgs = async (overrides = {}) => [
+    overrides.vault || vaultAddress,
+    await weth.getAddress(),
+    overrides.targetToken || (await usdc.getAddress()),
+    overrides.priceFeed || (await priceFeed.getAddress()),
+    { ...CONFIG, ...overrides.config },
+  ]
+
+  const createAgent = async (signer, overrides) => {
+    const args = await agentArgs(overrides)
+    const address = await factory.connect(signer).createAgent.staticCall(...args)
+    await factory.connect(signer).createAgent(...args)
+    return ethers.getContractAt("BuilderAgent", address)
+  }
+
+  beforeEach(async () => {
+    ;[deployer, alice, bob] = await ethers.getSigners()
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20")
+    weth = await MockERC20.deploy("Mock WETH", "mWETH", 18, ethers.parseEther("1000000"))
+    usdc = await MockERC20.deploy("Mock USDC", "mUSDC", 6, 0)
+    dai = await MockERC20.deploy("Mock DAI", "mDAI", 18, 0)
+
+    const MockUniswapRouter = await ethers.getContractFactory("MockUniswapRouter")
+    router = await MockUniswapRouter.deploy()
+
+    const MockChainlinkPriceFeed = await ethers.getContractFactory("MockChainlinkPriceFeed")
+    priceFeed = await MockChainlinkPriceFeed.deploy(8, "ETH/USD", 1, usd(2500))
+    otherFeed = await MockChainlinkPriceFeed.deploy(8, "ETH/USD", 1, usd(2500))
+
+    const CuttlefishVault = await ethers.getContractFactory("CuttlefishVault")
+    const vaultArgs = [await weth.getAddress(), deployer.address, deployer.address, await router.getAddress()]
+    vault = await upgrades.deployProxy(CuttlefishVault, vaultArgs)
+    otherVault = await upgrades.deployProxy(CuttlefishVault, vaultArgs)
+    vaultAddress = await vault.getAddress()
+
+    const BuilderAgentFactory = await ethers.getContractFactory("BuilderAgentFactory")
+    factory = await BuilderAgentFactory.deploy(await deployAgentModules(ethers, "BuilderAgent"))
+
+    // Govern `vault`: alice may deploy USDC agents on the primary feed within TEMPLATE
+    await factory.createPolicyTemplate(TEMPLATE)
+    await factory.setVaultPolicy(vaultAddress, 1)
+    await factory.setAllowedCreators(vaultAddress, [alice.address], true)
+    await factory.setAllowedTargetTokens(vaultAddress, [await usdc.getAddress()], true)
+    await factory.setAllowedPriceFeeds(vaultAddress, [await priceFeed.getAddress()], true)
+  })
+
+  describe("Administration", () => {
+    it("Should let only the owner manage policies", async () => {
+      const asAlice = factory.connect(alice)
+
+      await expect(asAlice.createPolicyTemplate(TEMPLATE)).to.be.revertedWithCustomError(
+        factory,
+        "OwnableUnauthorizedAccount",
+      )
+      await expect(asAlice.updatePolicyTemplate(1, TEMPLATE)).to.be.revertedWithCustomError(
+        factory,
+        "OwnableUnauthorizedAccount",
+      )
+      await expect(asAlice.setVaultPolicy(vaultAddress, 0)).to.be.revertedWithCustomError(
+        factory,
+        "OwnableUnauthorizedAccount",
+      )
+      await expect(asAlice.setAllowedCreators(vaultAddress, [bob.address], true)).to.be.revertedWithCustomError(
+        factory,
+        "OwnableUnauthorizedAccount",
+      )
+      await expect(
+        asAlice.setAllowedTargetTokens(vaultAddress, [await dai.getAddress()], true),
+      ).to.be.revertedWithCustomError(factory, "OwnableUnauthorizedAccount")
+      await expect(
+        asAlice.setAllowedPriceFeeds(vaultAddress, [await otherFeed.getAddress()], true),
+      ).to.be.revertedWithCustomError(factory, "OwnableUnauthorizedAccount")
+    })
+
+    it("Should record templates and allowlists with events", async () => {
+      await expect(factory.createPolicyTemplate({ ...TEMPLATE, minCooldownPeriod: 60 }))
+        .to.emit(factory, "PolicyTemplateSet")
+        .withArgs(2, [TEMPLATE.maxTradeSize, TEMPLATE.maxDailyTradeLimit, 60])
+      expect(await factory.policyTemplateCount()).to.equal(2)
+      expect((await factory.policyTemplates(2)).minCooldownPeriod).to.equal(60)
+
+      await expect(factory.setVaultPolicy(vaultAddress, 2)).to.emit(factory, "VaultPolicySet").withArgs(vaultAddress, 2)
+      await expect(factory.setVaultPolicy(vaultAddress, 3)).to.be.revertedWith("Unknown policy template")
+      await expect(factory.updatePolicyTemplate(0, TEMPLATE)).to.be.revertedWith("Unknown policy template")
+      await expect(factory.setVaultPolicy(ethers.ZeroAddress, 1)).to.be.revertedWith("Invalid vault")
+
+      await expect(factory.setAllowedCreators(vaultAddress, [bob.address], true))
+        .to.emit(factory, "CreatorAllowed")
+        .withArgs(vaultAddress, bob.address, true)
+      expect(await factory.allowedCreators(vaultAddress, bob.address)).to.equal(true)
+      await expect(factory.setAllowedTargetTokens(vaultAddress, [await usdc.getAddress()], false))
+        .to.emit(factory, "TargetTokenAllowed")
+        .withArgs(vaultAddress, await usdc.getAddress(), false)
+      await expect(factory.setAllowedPriceFeeds(vaultAddress, [await otherFeed.getAddress()], true))
+        .to.emit(factory, "PriceFeedAllowed")
+        .withArgs(vaultAddress, await otherFeed.getAddress(), true)
+    })
+  })
+
+  describe("Agent creation", () => {
+    it("Should deploy agents that satisfy the vault policy", async () => {
+      const agent = await createAgent(alice)
+      expect(await agent.policy()).to.equal(await factory.getAddress())
+      expect(await factory.getAgentsByVault(vaultAddress)).to.deep.equal([await agent.getAddress()])
+    })
+
+    it("Should reject creators missing from the vault allowlist", async () => {
+      await expect(factory.connect(bob).createAgent(...(await agentArgs())))
+        .to.be.revertedWithCustomError(factory, "CreatorNotAllowed")
+        .withArgs(vaultAddress, bob.address)
+
+      await factory.setAllowedCreators(vaultAddress, [alice.address], false)
+      await expect(factory.connect(alice).createAgent(...(await agentArgs())))
+        .to.be.revertedWithCustomError(factory, "CreatorNotAllowed")
+        .withArgs(vaultAddress, alice.address)
+    })
+
+    it("Should reject target tokens and price feeds not allowed for the vault", async () => {
+      const daiAddress = await dai.getAddress()
+      await expect(factory.connect(alice).createAgent(...(await agentArgs({ targetToken: daiAddress }))))
+        .to.be.revertedWithCustomError(factory, "TargetTokenNotAllowed")
+        .withArgs(vaultAddress, daiAddress)
+
+      const feedAddress = await otherFeed.getAddress()
+      await expect(factory.connect(alice).createAgent(...(await agentArgs({ priceFeed: feedAddress }))))
+        .to.be.revertedWithCustomError(factory, "PriceFeedNotAllowed")
+        .withArgs(vaultAddress, feedAddress)
+    })
+
+    it("Should reject configs outside the template limits", async () => {
+      const tooLarge = { config: { maxTradeSize: ethers.parseEther("11") } }
+      await expect(factory.connect(alice).createAgent(...(await agentArgs(tooLarge))))
+        .to.be.revertedWithCustomError(factory, "MaxTradeSizeAboveLimit")
+        .withArgs(ethers.parseEther("11"), TEMPLATE.maxTradeSize)
+
+      const tooMuchDaily = { config: { dailyTradeLimit: ethers.parseEther("51") } }
+      await expect(factory.connect(alice).createAgent(...(await agentArgs(tooMuchDaily))))
+        .to.be.revertedWithCustomError(factory, "DailyTradeLimitAboveLimit")
+        .withArgs(ethers.parseEther("51"), TEMPLATE.maxDailyTradeLimit)
+
+      const tooFast = { config: { cooldownPeriod: 599 } }
+      await expect(factory.connect(alice).createAgent(...(await agentArgs(tooFast))))
+        .to.be.revertedWithCustomError(factory, "CooldownBelowMinimum")
+        .withArgs(599, TEMPLATE.minCooldownPeriod)
+
+      // The factory defaults (100 ETH per trade, 5 minute cooldown) break this template too
+      const defaults = (await agentArgs()).slice(0, 4)
+      await expect(factory.connect(alice).createAgentWithDefaults(...defaults)).to.be.revertedWithCustomError(
+        factory,
+        "MaxTradeSizeAboveLimit",
+      )
+    })
+
+    it("Should treat zero template limits as uncapped", async () => {
+      await factory.updatePolicyTemplate(1, { maxTradeSize: 0, maxDailyTradeLimit: 0, minCooldownPeriod: 0 })
+      const agent = await createAgent(alice, {
+        config: { maxTradeSize: ethers.parseEther("1000"), dailyTradeLimit: ethers.parseEther("5000"), cooldownPeriod: 0 },
+      })
+      expect((await agent.config()).maxTradeSize).to.equal(ethers.parseEther("1000"))
+    })
+
+    it("Should leave vaults without a policy unrestricted", async () => {
+      const args = await agentArgs({
+        vault: await otherVault.getAddress(),
+        targetToken: await dai.getAddress(),
+        priceFeed: await otherFeed.getAddress(),
+        config: { maxTradeSize: ethers.parseEther("500"), cooldownPeriod: 0 },
+      })
+      await expect(factory.connect(bob).createAgent(...args)).to.emit(factory, "AgentCreated")
+
+      // Lifting a vault's policy opens it up again
+      await factory.setVaultPolicy(vaultAddress, 0)
+      await expect(factory.connect(bob).createAgent(...(await agentArgs({ targetToken: await dai.getAddress() }))))
+        .to.emit(factory, "AgentCreated")
+    })
+  })
+
+  describe("Agent reconfiguration", () => {
+    let agent
+
+    beforeEach(async () => {
+      agent = await createAgent(alice)
+    })
+
+    it("Should hold trading config updates to the vault policy", async () => {
+      const configure = (config) => applyChange(agent.connect(alice), "updateTradingConfig", [config])
+
+      await expect(configure({ ...CONFIG, maxTradeSize: ethers.parseEther("20") }))
+        .to.be.revertedWithCustomError(factory, "MaxTradeSizeAboveLimit")
+        .withArgs(ethers.parseEther("20"), TEMPLATE.maxTradeSize)
+      await expect(configure({ ...CONFIG, cooldownPeriod: 60 }))
+        .to.be.revertedWithCustomError(factory, "CooldownBelowMinimum")
+        .withArgs(60, TEMPLATE.minCooldownPeriod)
+
+      await expect(configure({ ...CONFIG, maxTradeSize: ethers.parseEther("5") })).to.emit(agent, "TradingConfigUpdated")
+
+      // Tightened templates apply to the next change
+      await factory.updatePolicyTemplate(1, { ...TEMPLATE, maxTradeSize: ethers.parseEther("4") })
+      await expect(configure({ ...CONFIG, maxTradeSize: ethers.parseEther("5") })).to.be.revertedWithCustomError(
+        factory,
+        "MaxTradeSizeAboveLimit",
+      )
+    })
+
+    it("Should hold target tokens and portfolios to the vault allowlist", async () => {
+      const daiAddress = await dai.getAddress()
+      const usdcAddress = await usdc.getAddress()
+
+      await expect(agent.connect(alice).setTargetToken(daiAddress))
+        .to.be.revertedWithCustomError(factory, "TargetTokenNotAllowed")
+        .withArgs(vaultAddress, daiAddress)
+      await expect(agent.connect(alice).setPortfolio([usdcAddress, daiAddress], [5000, 5000]))
+        .to.be.revertedWithCustomError(factory, "TargetTokenNotAllowed")
+        .withArgs(vaultAddress, daiAddress)
+
+      await factory.setAllowedTargetTokens(vaultAddress, [daiAddress], true)
+      await agent.connect(alice).setPortfolio([usdcAddress, daiAddress], [5000, 5000])
+      expect((await agent.getPortfolio())[0]).to.deep.equal([usdcAddress, daiAddress])
+    })
+
+    it("Should hold price feeds and sources to the vault allowlist", async () => {
+      const feedAddress = await otherFeed.getAddress()
+
+      await expect(applyChange(agent.connect(alice), "setPriceFeed", [feedAddress]))
+        .to.be.revertedWithCustomError(factory, "PriceFeedNotAllowed")
+        .withArgs(vaultAddress, feedAddress)
+      await expect(applyChange(agent.connect(alice), "addPriceSource", [feedAddress]))
+        .to.be.revertedWithCustomError(factory, "PriceFeedNotAllowed")
+        .withArgs(vaultAddress, feedAddress)
+
+      await factory.setAllowedPriceFeeds(vaultAddress, [feedAddress], true)
+      await expect(applyChange(agent.connect(alice), "addPriceSource", [feedAddress])).to.emit(
+        agent,
+        "PriceSourceAdded",
+      )
+    })
+
+    it("Should not restrict standalone agents", async () => {
+      const BuilderAgent = await ethers.getContractFactory("BuilderAgent")
+      const standalone = await BuilderAgent.deploy(...(await agentArgs()), await deployAgentModules(ethers, "BuilderAgent"))
+      expect(await standalone.policy()).to.equal(ethers.ZeroAddress)
+
+      const config = { ...CONFIG, maxTradeSize: ethers.parseEther("500"), cooldownPeriod: 0 }
+      await applyChange(standalone, "updateTradingConfig", [config])
+      await standalone.setTargetToken(await dai.getAddress())
+    })
+  })
+
+  describe("Migration", () => {
+    it("Should migrate agents that satisfy the current policy", async () => {
+      const agent = await createAgent(alice)
+      const migrated = await factory.connect(alice).migrateAgent.staticCall(agent)
+      await expect(factory.connect(alice).migrateAgent(agent)).to.emit(factory, "AgentMigrated")
+      expect((await factory.agents(migrated)).creator).to.equal(alice.address)
+    })
+
+    it("Should refuse to migrate agents that break the current policy", async () => {
+      const agent = await createAgent(alice)
+      const feedAddress = await otherFeed.getAddress()
+      await factory.setAllowedPriceFeeds(vaultAddress, [feedAddress], true)
+      await applyChange(agent.connect(alice), "addPriceSource", [feedAddress])
+
+      // A source disallowed after it was added still blocks the migration
+      await factory.setAllowedPriceFeeds(vaultAddress, [feedAddress], false)
+      await expect(factory.connect(alice).migrateAgent(agent))
+        .to.be.revertedWithCustomError(factory, "PriceFeedNotAllowed")
+        .withArgs(vaultAddress, feedAddress)
+
+      await factory.setAllowedCreators(vaultAddress, [alice.address], false)
+      await expect(factory.migrateAgent(agent))
+        .to.be.revertedWithCustomError(factory, "CreatorNotAllowed")
+        .withArgs(vaultAddress, alice.address)
+    })
+  })
+})
@@ -0,0 +1,200 @@
+const { expect } = require("chai")
+const { ethers, upgrades } = require("hardhat")
+const { collectFleet, formatFleet, listAgents } = require("../scripts/lib/fleet")
+const { deployAgentModules } = require("../scripts/lib/agent-modules")
+
+describe("Agent Registry", () => {
+  let deployer, alice, bob
+  let weth, usdc, dai, router, priceFeed, otherFeed, vault, otherVault, factory
+
+  const usd = (value) => BigInt(value) * 10n ** 8n
+  const NO_FILTER = {
+    creator: ethers.ZeroAddress,
+    vault: ethers.ZeroAddress,
+    targetToken: ethers.ZeroAddress,
+    priceFeed: ethers.ZeroAddress,
+    activeOnly: false,
+  }
+  const filter = (overrides) => ({ ...NO_FILTER, ...overrides })
+
+  const createAgent = async (signer, agentVault = vault, feed = priceFeed) => {
+    const args = [
+      await agentVault.getAddress(),
+      await weth.getAddress(),
+      await usdc.getAddress(),
+      await feed.getAddress(),
+    ]
+    const address = await factory.connect(signer).createAgentWithDefaults.staticCall(...args)
+    await factory.connect(signer).createAgentWithDefaults(...args)
+    return address
+  }
+
+  const pageAddresses = async (offset, limit, agentFilter = NO_FILTER) => {
+    const [page, nextOffset, total] = await factory.getAgents(offset, limit, agentFilter)
+    return { agents: page.map((info) => info.agent), nextOffset, total }
+  }
+
+  beforeEach(async () => {
+    ;[deployer, alice, bob] = await ethers.getSigners()
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20")
+    weth = await MockERC20.deploy("Mock WETH", "mWETH", 18, ethers.parseEther("1000000"))
+    usdc = await MockERC20.deploy("Mock USDC", "mUSDC", 6, 0)
+    dai = await MockERC20.deploy("Mock DAI", "mDAI", 18, 0)
+
+    const MockUniswapRouter = await ethers.getContractFactory("MockUniswapRouter")
+    router = await MockUniswapRouter.deploy()
+
+    const MockChainlinkPriceFeed = await ethers.getContractFactory("MockChainlinkPriceFeed")
+    priceFeed = await MockChainlinkPriceFeed.deploy(8, "ETH/USD", 1, usd(2500))
+    otherFeed = await MockChainlinkPriceFeed.deploy(8, "ETH/USD", 1, usd(2500))
+
+    const CuttlefishVault = await ethers.getContractFactory("CuttlefishVault")
+    const vaultArgs = [await weth.getAddress(), deployer.address, deployer.address, await router.getAddress()]
+    vault = await upgrades.deployProxy(CuttlefishVault, vaultArgs)
+    otherVault = await upgrades.deployProxy(CuttlefishVault, vaultArgs)
+
+    const BuilderAgentFactory = await ethers.getContractFactory("BuilderAgentFactory")
+    factory = await BuilderAgentFactory.deploy(await deployAgentModules(ethers, "BuilderAgent"))
+  })
+
+  describe("Indexes", () => {
+    it("Should index agents by creator and by vault", async () => {
+      const a1 = await createAgent(alice)
+      const b1 = await createAgent(bob, otherVault)
+      const a2 = await createAgent(alice, otherVault)
+
+      expect(await factory.getAgentsByCreator(alice.address)).to.deep.equal([a1, a2])
+      expect(await factory.getAgentsByCreator(bob.address)).to.deep.equal([b1])
+      expect(await factory.getAgentsByCreator(deployer.address)).to.deep.equal([])
+      expect(await factory.getAgentsByVault(await vault.getAddress())).to.deep.equal([a1])
+      expect(await factory.getAgentsByVault(await otherVault.getAddress())).to.deep.equal([b1, a2])
+    })
+
+    it("Should keep the active count through the agent lifecycle", async () => {
+      const first = await createAgent(alice)
+      const second = await createAgent(alice)
+      await createAgent(bob)
+      expect(await factory.getActiveAgentsCount()).to.equal(3)
+
+      await factory.deactivateAgent(first)
+      expect(await factory.getActiveAgentsCount()).to.equal(2)
+      await factory.reactivateAgent(first)
+      expect(await factory.getActiveAgentsCount()).to.equal(3)
+
+      // Retiring a deactivated agent does not count it twice
+      await factory.deactivateAgent(first)
+      await factory.retireAgent(first, [])
+      expect(await factory.getActiveAgentsCount()).to.equal(2)
+
+      // A migration replaces one active agent with another
+      const migrated = await factory.connect(alice).migrateAgent.staticCall(second)
+      await factory.connect(alice).migrateAgent(second)
+      expect(await factory.getActiveAgentsCount()).to.equal(2)
+      expect(await factory.getAgentsByCreator(alice.address)).to.deep.equal([first, second, migrated])
+    })
+  })
+
+  describe("getAgents", () => {
+    it("Should page through the registry", async () => {
+      const created = []
+      for (let i = 0; i < 5; i++) created.push(await createAgent(i % 2 === 0 ? alice : bob))
+
+      expect(await pageAddresses(0, 2)).to.deep.equal({ agents: created.slice(0, 2), nextOffset: 2n, total: 5n })
+      expect(await pageAddresses(2, 2)).to.deep.equal({ agents: created.slice(2, 4), nextOffset: 4n, total: 5n })
+      expect(await pageAddresses(4, 2)).to.deep.equal({ agents: created.slice(4), nextOffset: 5n, total: 5n })
+      expect(await pageAddresses(9, 2)).to.deep.equal({ agents: [], nextOffset: 5n, total: 5n })
+
+      // Creator pages run over that creator's agents only
+      expect(await pageAddresses(1, 10, filter({ creator: alice.address }))).to.deep.equal({
+        agents: [created[2], created[4]],
+        nextOffset: 3n,
+        total: 3n,
+      })
+
+      const info = (await factory.getAgents(0, 1, NO_FILTER))[0][0]
+      expect(info.creator).to.equal(alice.address)
+      expect(info.vault).to.equal(await vault.getAddress())
+      expect(info.isActive).to.equal(true)
+    })
+
+    it("Should filter by vault, target token, price feed and status", async () => {
+      const a1 = await createAgent(alice)
+      const a2 = await createAgent(alice, otherVault)
+      const b1 = await createAgent(bob, vault, otherFeed)
+      const b2 = await createAgent(bob)
+
+      // The target token is matched live, so it follows setTargetToken
+      const retargeted = await ethers.getContractAt("BuilderAgent", b2)
+      await retargeted.connect(bob).setTargetToken(await dai.getAddress())
+      await factory.deactivateAgent(a1)
+
+      const matching = async (agentFilter) => (await pageAddresses(0, 100, agentFilter)).agents
+      expect(await matching(filter({ vault: await vault.getAddress() }))).to.deep.equal([a1, b1, b2])
+      expect(await matching(filter({ targetToken: await dai.getAddress() }))).to.deep.equal([b2])
+      expect(await matching(filter({ targetToken: await usdc.getAddress() }))).to.deep.equal([a1, a2, b1])
+      expect(await matching(filter({ priceFeed: await otherFeed.getAddress() }))).to.deep.equal([b1])
+      expect(await matching(filter({ activeOnly: true }))).to.deep.equal([a2, b1, b2])
+      expect(
+        await matching(filter({ creator: alice.address, vault: await vault.getAddress(), activeOnly: true })),
+      ).to.deep.equal([])
+      expect(await matching(filter({ creator: bob.address, priceFeed: await priceFeed.getAddress() }))).to.deep.equal([
+        b2,
+      ])
+    })
+
+    it("Should bound the page size", async () => {
+      await expect(factory.getAgents(0, 0, NO_FILTER)).to.be.revertedWith("Invalid page size")
+      await expect(factory.getAgents(0, 101, NO_FILTER)).to.be.revertedWith("Invalid page size")
+    })
+  })
+
+  describe("Fleet CLI library", () => {
+    it("Should list every matching agent across pages", async () => {
+      const created = []
+      for (let i = 0; i < 5; i++) created.push(await createAgent(alice))
+      await factory.deactivateAgent(created[1])
+
+      const all = await listAgents(factory, {}, { pageSize: 2 })
+      expect(all.map((entry) => entry.agent)).to.deep.equal(created)
+
+      const active = await listAgents(factory, { activeOnly: true }, { pageSize: 2 })
+      expect(active.map((entry) => entry.agent)).to.deep.equal([created[0], ...created.slice(2)])
+    })
+
+    it("Should collect live trading stats for each agent", async () => {
+      const traded = await createAgent(alice)
+      const idle = await createAgent(bob)
+      await factory.deactivateAgent(idle)
+
+      const agent = await ethers.getContractAt("BuilderAgent", traded)
+      await vault.addBuilderAgent(traded)
+      await weth.mint(await vault.getAddress(), ethers.parseEther("100"))
+      await usdc.mint(await router.getAddress(), ethers.parseUnits("100000", 6))
+      await router.setExchangeRate(await weth.getAddress(), await usdc.getAddress(), 2500n * 10n ** 6n)
+      const deadline = (await ethers.provider.getBlock("latest")).timestamp + 3600
+      await agent.connect(alice).triggerTrade(ethers.parseEther("2"), 0, deadline, 8000)
+
+      const fleet = await collectFleet(
+        factory,
+        { vault: await vault.getAddress() },
+        { getAgent: (address) => ethers.getContractAt("BuilderAgent", address) },
+      )
+      expect(fleet.map((entry) => entry.agent)).to.deep.equal([traded, idle])
+
+      const [tradedEntry, idleEntry] = fleet
+      expect(tradedEntry.targetToken).to.equal(await usdc.getAddress())
+      expect(tradedEntry.stats.totalTrades).to.equal(1)
+      expect(tradedEntry.stats.successRateBps).to.equal(10000)
+      expect(tradedEntry.stats.dailyVolume).to.equal(ethers.parseEther("2"))
+      expect(idleEntry.paused).to.equal(true)
+      expect(idleEntry.stats.canTrade).to.equal(false)
+
+      const report = formatFleet(fleet)
+      expect(report).to.include(`🤖 Agent ${traded} (active)`)
+      expect(report).to.include(`🤖 Agent ${idle} (deactivated)`)
+      expect(report).to.include("Trades: 1/1 successful (100.00%)")
+      expect(formatFleet([])).to.equal("No agents match")
+    })
+  })
+})
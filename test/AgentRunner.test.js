@@ -0,0 +1,178 @@
+const { expect } = require("chai")
+const { ethers, upgrades } = require("hardhat")
+const { createMovingAverageStrategy } = require("../scripts/strategies/moving-average")
+const { loadStrategy } = require("../scripts/strategies")
+const { AgentRunner } = require("../scripts/lib/agent-runner")
+const { deployAgentModules } = require("../scripts/lib/agent-modules")
+
+describe("AI Agent Runner", () => {
+  let deployer, aiOperator
+  let asset, mockTokenOut, vault, mockRouter, builderAgent, priceFeed
+  let tradingConfig, strategy
+
+  const usd = (value) => BigInt(value) * 10n ** 8n
+
+  // New feed rounds, with the router filling at the same price
+  const pushPrices = async (values) => {
+    for (const value of values) {
+      await priceFeed.updatePrice(usd(value))
+      const rate = BigInt(value) * 10n ** 6n
+      await mockRouter.setExchangeRate(await asset.getAddress(), await mockTokenOut.getAddress(), rate)
+    }
+  }
+
+  const createRunner = (options = {}) =>
+    new AgentRunner({
+      agent: builderAgent.connect(aiOperator),
+      priceFeed,
+      router: mockRouter,
+      strategy,
+      ...options,
+    })
+
+  beforeEach(async () => {
+    ;[deployer, aiOperator] = await ethers.getSigners()
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20")
+    asset = await MockERC20.deploy("Mock WETH", "mWETH", 18, ethers.parseEther("1000000"))
+    mockTokenOut = await MockERC20.deploy("Mock USDC", "mUSDC", 6, ethers.parseUnits("1000000", 6))
+
+    const MockChainlinkPriceFeed = await ethers.getContractFactory("MockChainlinkPriceFeed")
+    priceFeed = await MockChainlinkPriceFeed.deploy(8, "ETH/USD", 1, usd(2500))
+
+    const MockUniswapRouter = await ethers.getContractFactory("MockUniswapRouter")
+    mockRouter = await MockUniswapRouter.deploy()
+    await mockTokenOut.mint(await mockRouter.getAddress(), ethers.parseUnits("100000", 6))
+    await mockRouter.setExchangeRate(await asset.getAddress(), await mockTokenOut.getAddress(), 2500n * 10n ** 6n)
+
+    const CuttlefishVault = await ethers.getContractFactory("CuttlefishVault")
+    vault = await upgrades.deployProxy(CuttlefishVault, [
+      await asset.getAddress(),
+      deployer.address,
+      deployer.address,
+      await mockRouter.getAddress(),
+    ])
+
+    tradingConfig = {
+      priceThreshold: usd(2000),
+      maxTradeSize: ethers.parseEther("100"),
+      dailyTradeLimit: ethers.parseEther("1000"),
+      cooldownPeriod: 0,
+      maxSlippage: 300,
+      confidenceThreshold: 7000,
+    }
+    const BuilderAgent = await ethers.getContractFactory("BuilderAgent")
+    builderAgent = await BuilderAgent.deploy(
+      await vault.getAddress(),
+      await asset.getAddress(),
+      await mockTokenOut.getAddress(),
+      await priceFeed.getAddress(),
+      tradingConfig,
+      await deployAgentModules(ethers, "BuilderAgent"),
+    )
+    await builderAgent.grantRole(await builderAgent.AI_ROLE(), aiOperator.address)
+    await vault.addBuilderAgent(await builderAgent.getAddress())
+    await asset.mint(await vault.getAddress(), ethers.parseEther("10000"))
+
+    strategy = createMovingAverageStrategy({ shortWindow: 2, longWindow: 5 })
+  })
+
+  describe("Moving average strategy", () => {
+    it("Should hold until enough rounds are available", () => {
+      const decision = strategy.decide({ prices: [usd(2500), usd(2600)], config: tradingConfig })
+      expect(decision.action).to.equal("hold")
+      expect(decision.reason).to.include("Need 5 price rounds")
+    })
+
+    it("Should hold in a flat or falling market", () => {
+      const flat = strategy.decide({ prices: Array(5).fill(usd(2500)), config: tradingConfig })
+      expect(flat.action).to.equal("hold")
+
+      const falling = [2900, 2800, 2700, 2600, 2500].map(usd)
+      expect(strategy.decide({ prices: falling, config: tradingConfig }).action).to.equal("hold")
+    })
+
+    it("Should trade on upward momentum with confidence scaled by momentum", () => {
+      const mild = strategy.decide({ prices: [2500, 2500, 2500, 2520, 2540].map(usd), config: tradingConfig })
+      const strong = strategy.decide({ prices: [2500, 2500, 2500, 2700, 2800].map(usd), config: tradingConfig })
+
+      expect(mild.action).to.equal("trade")
+      expect(strong.action).to.equal("trade")
+      expect(strong.confidence).to.be.gt(mild.confidence)
+      expect(strong.confidence).to.be.at.most(10000)
+      expect(strong.amountIn).to.be.at.most(tradingConfig.maxTradeSize)
+    })
+
+    it("Should hold when the price is below the agent threshold", () => {
+      const prices = [1500, 1500, 1500, 1700, 1900].map(usd)
+      expect(strategy.decide({ prices, config: tradingConfig }).reason).to.equal("Price below threshold")
+    })
+
+    it("Should be resolvable from the strategy registry", () => {
+      expect(loadStrategy("moving-average").name).to.equal("moving-average")
+    })
+  })
+
+  describe("Runner", () => {
+    it("Should read price history from feed rounds, oldest first", async () => {
+      await pushPrices([2510, 2520, 2530])
+      const prices = await createRunner().loadPriceHistory(10)
+      expect(prices).to.deep.equal([2500, 2510, 2520, 2530].map(usd))
+    })
+
+    it("Should submit a trade with amountOutMin derived from maxSlippage", async () => {
+      await pushPrices([2500, 2500, 2700, 2800])
+
+      const result = await createRunner().tick()
+
+      expect(result.status).to.equal("submitted")
+      const [quoted] = (
+        await mockRouter.getAmountsOut(result.trade.amountIn, [await asset.getAddress(), await mockTokenOut.getAddress()])
+      ).slice(-1)
+      expect(result.trade.amountOutMin).to.equal((quoted * 9700n) / 10000n)
+      expect(await builderAgent.totalTrades()).to.equal(1)
+    })
+
+    it("Should only log decisions in dry-run mode", async () => {
+      await pushPrices([2500, 2500, 2700, 2800])
+      const logs = []
+
+      const result = await createRunner({ dryRun: true, log: (line) => logs.push(line) }).tick()
+
+      expect(result.status).to.equal("dry-run")
+      expect(logs.some((line) => line.includes("[dry-run]"))).to.be.true
+      expect(await builderAgent.totalTrades()).to.equal(0)
+    })
+
+    it("Should not submit when canTrade rejects the trade", async () => {
+      await pushPrices([2500, 2500, 2700, 2800])
+      await builderAgent.activateEmergencyStop("Maintenance")
+
+      const result = await createRunner().tick()
+
+      expect(result.status).to.equal("rejected")
+      expect(result.reason).to.equal("Emergency stop active")
+    })
+
+    it("Should not submit when the router quote is below the oracle floor", async () => {
+      await pushPrices([2500, 2500, 2700, 2800])
+      await mockRouter.setPriceImpact(500) // Pool pushed 5% against the agent
+
+      const result = await createRunner().tick()
+
+      expect(result.status).to.equal("rejected")
+      expect(result.reason).to.include("Router quote below oracle floor")
+      expect(await builderAgent.totalTrades()).to.equal(0)
+    })
+
+    it("Should skip the cycle when the price feed is stale", async () => {
+      const latest = await ethers.provider.getBlock("latest")
+      await priceFeed.setStaleData(latest.timestamp - 2 * 60 * 60)
+
+      const result = await createRunner().tick()
+
+      expect(result.status).to.equal("skipped")
+      expect(result.reason).to.equal("PriceDataStale")
+    })
+  })
+})
@@ -0,0 +1,247 @@
+const { expect } = require("chai")
+const { ethers, upgrades } = require("hardhat")
+const fs = require("fs")
+const os = require("os")
+const path = require("path")
+const { AlertEngine, WebhookSink, FileSink, collectSnapshot } = require("../scripts/lib/alerts")
+const { startHttpStub } = require("../scripts/lib/http-stub")
+const { deployAgentModules } = require("../scripts/lib/agent-modules")
+const { proposeChange, executeChange } = require("../scripts/lib/governance")
+
+describe("Monitor Alerting", () => {
+  let deployer
+  let asset, vault, builderAgent, priceFeed
+  let webhook, engine, chainSnapshot
+
+  const AI_CONFIDENCE = 8000
+
+  const rules = [
+    { id: "emergency-stop", type: "emergencyStop", severity: "critical" },
+    { id: "price-feed-stale", type: "priceFeedStale", severity: "critical" },
+    { id: "daily-volume", type: "dailyVolume", severity: "warning", maxUtilization: 8000 },
+    { id: "tvl-drop", type: "tvlDrop", severity: "critical", maxDrop: 2000, window: 3600 },
+    { id: "governance-change", type: "pendingChange", severity: "critical" },
+  ]
+
+  const snapshot = () => collectSnapshot({ provider: ethers.provider, vault, agents: [builderAgent] })
+
+  const increaseTime = async (seconds) => {
+    await ethers.provider.send("evm_increaseTime", [seconds])
+    await ethers.provider.send("evm_mine")
+  }
+
+  beforeEach(async () => {
+    ;[deployer] = await ethers.getSigners()
+    // Tests below move chain time; restore it so later suites see wall-clock time
+    chainSnapshot = await ethers.provider.send("evm_snapshot", [])
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20")
+    asset = await MockERC20.deploy("Mock WETH", "mWETH", 18, ethers.parseEther("1000000"))
+    const mockTokenOut = await MockERC20.deploy("Mock USDC", "mUSDC", 6, ethers.parseUnits("1000000", 6))
+
+    const MockChainlinkPriceFeed = await ethers.getContractFactory("MockChainlinkPriceFeed")
+    priceFeed = await MockChainlinkPriceFeed.deploy(8, "ETH/USD", 1, 2500 * 10 ** 8)
+
+    const MockUniswapRouter = await ethers.getContractFactory("MockUniswapRouter")
+    const mockRouter = await MockUniswapRouter.deploy()
+    await mockTokenOut.mint(await mockRouter.getAddress(), ethers.parseUnits("10000000", 6))
+    // Fill at the feed price so trades clear the agent's oracle-derived minimum output
+    await mockRouter.setExchangeRate(await asset.getAddress(), await mockTokenOut.getAddress(), 2500n * 10n ** 6n)
+
+    const CuttlefishVault = await ethers.getContractFactory("CuttlefishVault")
+    vault = await upgrades.deployProxy(CuttlefishVault, [
+      await asset.getAddress(),
+      deployer.address,
+      deployer.address,
+      await mockRouter.getAddress(),
+    ])
+
+    const BuilderAgent = await ethers.getContractFactory("BuilderAgent")
+    builderAgent = await BuilderAgent.deploy(
+      await vault.getAddress(),
+      await asset.getAddress(),
+      await mockTokenOut.getAddress(),
+      await priceFeed.getAddress(),
+      {
+        priceThreshold: 2000 * 10 ** 8,
+        maxTradeSize: ethers.parseEther("500"),
+        dailyTradeLimit: ethers.parseEther("1000"),
+        cooldownPeriod: 0,
+        maxSlippage: 300,
+        confidenceThreshold: 7000,
+      },
+      await deployAgentModules(ethers, "BuilderAgent"),
+    )
+    await builderAgent.grantRole(await builderAgent.AI_ROLE(), deployer.address)
+    await vault.addBuilderAgent(await builderAgent.getAddress())
+    await asset.mint(await vault.getAddress(), ethers.parseEther("10000"))
+
+    webhook = await startHttpStub()
+    engine = new AlertEngine({ rules, sinks: [new WebhookSink(webhook.url)], cooldown: 600, log: () => {} })
+  })
+
+  afterEach(async () => {
+    await webhook.close()
+    await ethers.provider.send("evm_revert", [chainSnapshot])
+  })
+
+  describe("Rules", () => {
+    it("Should not alert on a healthy system", async () => {
+      const sent = await engine.evaluate(await snapshot())
+      expect(sent).to.have.length(0)
+      expect(webhook.requests).to.have.length(0)
+    })
+
+    it("Should alert when the emergency stop is activated and resolve when lifted", async () => {
+      await builderAgent.activateEmergencyStop("Market crash")
+      await engine.evaluate(await snapshot())
+
+      expect(webhook.requests).to.have.length(1)
+      const alert = webhook.requests[0].body
+      expect(alert.rule).to.equal("emergency-stop")
+      expect(alert.severity).to.equal("critical")
+      expect(alert.status).to.equal("firing")
+      expect(alert.subject).to.equal(await builderAgent.getAddress())
+
+      await builderAgent.deactivateEmergencyStop()
+      await engine.evaluate(await snapshot())
+
+      expect(webhook.requests).to.have.length(2)
+      expect(webhook.requests[1].body.status).to.equal("resolved")
+    })
+
+    it("Should alert when daily volume approaches the daily limit", async () => {
+      const deadline = (await ethers.provider.getBlock("latest")).timestamp + 3600
+      await builderAgent.triggerTrade(ethers.parseEther("450"), 0, deadline, AI_CONFIDENCE)
+      expect(await engine.evaluate(await snapshot())).to.have.length(0)
+
+      await builderAgent.triggerTrade(ethers.parseEther("400"), 0, deadline, AI_CONFIDENCE)
+      const [alert] = await engine.evaluate(await snapshot())
+
+      expect(alert.rule).to.equal("daily-volume")
+      expect(alert.details.dailyVolume).to.equal(ethers.parseEther("850").toString())
+    })
+
+    it("Should alert when the price feed is stale", async () => {
+      await increaseTime(2 * 60 * 60)
+      const sent = await engine.evaluate(await snapshot())
+
+      expect(sent.map((a) => a.rule)).to.deep.equal(["price-feed-stale"])
+      expect(sent[0].message).to.equal(
+        `Price feed check failed for agent ${await builderAgent.getAddress()}: PriceDataStale`,
+      )
+
+      await priceFeed.updatePrice(2500 * 10 ** 8)
+      const [resolved] = await engine.evaluate(await snapshot())
+      expect(resolved.status).to.equal("resolved")
+    })
+
+    it("Should alert when TVL drops beyond the threshold within the window", async () => {
+      const state = await snapshot()
+      const at = (offset, totalAssets) => ({
+        ...state,
+        timestamp: state.timestamp + offset,
+        vault: { ...state.vault, totalAssets },
+      })
+
+      await engine.evaluate(at(0, ethers.parseEther("10000")))
+      expect(await engine.evaluate(at(600, ethers.parseEther("8500")))).to.have.length(0)
+
+      const [alert] = await engine.evaluate(at(1200, ethers.parseEther("7500")))
+      expect(alert.rule).to.equal("tvl-drop")
+      expect(alert.subject).to.equal(await vault.getAddress())
+
+      // Outside the window the old peak no longer counts
+      const later = await engine.evaluate(at(1200 + 3601, ethers.parseEther("7500")))
+      expect(later.map((a) => a.status)).to.deep.equal(["resolved"])
+    })
+
+    it("Should alert on proposed governance changes until they execute", async () => {
+      const { changeId, executableAt } = await proposeChange(builderAgent, "setGovernanceDelay", [7200])
+      const [alert] = await engine.evaluate(await snapshot())
+
+      expect(alert.rule).to.equal("governance-change")
+      expect(alert.subject).to.equal(changeId)
+      expect(alert.details.call).to.equal("setGovernanceDelay(7200)")
+      expect(alert.details.executableAt).to.equal(executableAt.toString())
+
+      await increaseTime(3600)
+      await executeChange(builderAgent, "setGovernanceDelay", [7200])
+      await priceFeed.updatePrice(2500 * 10 ** 8)
+      const [resolved] = await engine.evaluate(await snapshot())
+      expect(resolved.status).to.equal("resolved")
+    })
+  })
+
+  describe("Deduplication", () => {
+    it("Should suppress repeats until the cooldown elapses", async () => {
+      await builderAgent.activateEmergencyStop("Market crash")
+
+      await engine.evaluate(await snapshot())
+      await engine.evaluate(await snapshot())
+      await increaseTime(300)
+      await engine.evaluate(await snapshot())
+      expect(webhook.requests).to.have.length(1)
+
+      await increaseTime(300)
+      await engine.evaluate(await snapshot())
+
+      expect(webhook.requests).to.have.length(2)
+      expect(webhook.requests[1].body.occurrences).to.equal(4)
+    })
+
+    it("Should honour per-rule cooldown overrides", async () => {
+      engine = new AlertEngine({
+        rules: [{ id: "emergency-stop", type: "emergencyStop", cooldown: 0 }],
+        sinks: [new WebhookSink(webhook.url)],
+        log: () => {},
+      })
+      await builderAgent.activateEmergencyStop("Market crash")
+
+      await engine.evaluate(await snapshot())
+      await engine.evaluate(await snapshot())
+
+      expect(webhook.requests).to.have.length(2)
+    })
+  })
+
+  describe("Sinks", () => {
+    let dir
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), "alerts-"))
+    })
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true })
+    })
+
+    it("Should append alerts to a file and keep going when a sink fails", async () => {
+      const file = path.join(dir, "alerts.jsonl")
+      const failing = await startHttpStub(() => ({ status: 500 }))
+      const errors = []
+
+      engine = new AlertEngine({
+        rules,
+        sinks: [new WebhookSink(failing.url), new FileSink(file)],
+        log: (message) => errors.push(message),
+      })
+
+      try {
+        await builderAgent.activateEmergencyStop("Market crash")
+        await engine.evaluate(await snapshot())
+      } finally {
+        await failing.close()
+      }
+
+      const lines = fs.readFileSync(file, "utf8").trim().split("\n").map(JSON.parse)
+      expect(lines).to.have.length(1)
+      expect(lines[0].rule).to.equal("emergency-stop")
+      expect(errors[0]).to.include("webhook")
+    })
+
+    it("Should reject unknown rule types", () => {
+      expect(() => new AlertEngine({ rules: [{ id: "x", type: "nope" }] })).to.throw("Unknown alert rule type")
+    })
+  })
+})
@@ -0,0 +1,180 @@
+const { expect } = require("chai")
+const { ethers, upgrades } = require("hardhat")
+const fs = require("fs")
+const os = require("os")
+const path = require("path")
+const { createMovingAverageStrategy } = require("../scripts/strategies/moving-average")
+const { loadPriceSeries, runBacktest, formatReport } = require("../scripts/lib/backtest")
+
+describe("Backtesting Harness", () => {
+  let chainSnapshot
+
+  const HOUR = 3600
+  const usd = (value) => ethers.parseUnits(String(value), 8)
+
+  beforeEach(async () => {
+    // Backtests move chain time; restore it so later suites see wall-clock time
+    chainSnapshot = await ethers.provider.send("evm_snapshot", [])
+  })
+
+  afterEach(async () => {
+    await ethers.provider.send("evm_revert", [chainSnapshot])
+  })
+
+  describe("Price series loading", () => {
+    let dir
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), "backtest-"))
+    })
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true })
+    })
+
+    it("Should load CSV with a header", () => {
+      const file = path.join(dir, "series.csv")
+      fs.writeFileSync(file, "timestamp,price\n1700000000,2500.5\n1700003600,2510\n")
+
+      const series = loadPriceSeries(file)
+
+      expect(series).to.deep.equal([
+        { timestamp: 1700000000, price: usd("2500.5") },
+        { timestamp: 1700003600, price: usd(2510) },
+      ])
+    })
+
+    it("Should load JSON prices and space untimed points by the interval", () => {
+      const file = path.join(dir, "series.json")
+      fs.writeFileSync(file, JSON.stringify([2500, "2510.25", { timestamp: "2024-06-01T00:00:00Z", price: 2520 }]))
+
+      const series = loadPriceSeries(file, { interval: 60 })
+
+      expect(series.map((p) => p.timestamp)).to.deep.equal([0, 60, 1717200000])
+      expect(series[1].price).to.equal(usd("2510.25"))
+    })
+  })
+
+  describe("Replay", () => {
+    // Hours since start and USD prices
+    const points = [
+      [0, 2100], // hold: not enough history
+      [1, 2110], // trade
+      [2, 2120], // CooldownNotMet
+      [3, 2130], // trade
+      [4, 1900], // hold: falling
+      [5, 1900], // PriceBelowThreshold
+      [6, 2150], // trade (daily limit now reached)
+      [7, 2160], // CooldownNotMet
+      [9, 2170], // DailyLimitExceeded
+    ]
+
+    const tradingConfig = {
+      priceThreshold: usd(2000),
+      maxTradeSize: ethers.parseEther("100"),
+      dailyTradeLimit: ethers.parseEther("30"),
+      cooldownPeriod: 2 * HOUR,
+      maxSlippage: 300,
+      confidenceThreshold: 7000,
+    }
+
+    let report
+
+    beforeEach(async () => {
+      const series = points.map(([hours, price]) => ({ timestamp: 1717200000 + hours * HOUR, price: usd(price) }))
+      const strategy = createMovingAverageStrategy({
+        shortWindow: 1,
+        longWindow: 2,
+        minMomentum: 0,
+        baseConfidence: 8000,
+        confidencePerBps: 0,
+        tradeSize: (ethers.parseEther("10") * 10000n) / 8000n, // 10 ETH after confidence scaling
+        respectPriceThreshold: false,
+      })
+
+      report = await runBacktest({ ethers, upgrades, series, tradingConfig, strategy })
+    })
+
+    it("Should count executed trades, strategy holds and trades blocked per custom error", async () => {
+      expect(report.points).to.equal(points.length)
+      expect(report.trades).to.equal(3)
+      expect(report.holds).to.equal(2)
+      expect(report.volume).to.equal(ethers.parseEther("30"))
+      expect(report.blocked).to.deep.equal({
+        CooldownNotMet: 2,
+        PriceBelowThreshold: 1,
+        DailyLimitExceeded: 1,
+      })
+    })
+
+    it("Should report fee drag from totalFeesAccrued", async () => {
+      // The performance fee is charged on realized profit, and this strategy never sells
+      expect(report.fees.accrued).to.equal(0)
+      expect(report.fees.value).to.equal(0)
+      expect(report.fees.dragBps).to.equal(0)
+    })
+
+    it("Should report P&L and max drawdown from the marked-to-market equity curve", async () => {
+      expect(report.equity).to.have.length(points.length)
+      expect(report.pnl).to.equal(report.endValue - report.startValue)
+      expect(report.endValue).to.equal(report.equity[report.equity.length - 1].value)
+      // The drop from $2130 to $1900 is the largest peak-to-trough move
+      expect(report.maxDrawdownBps).to.be.gt(900)
+      expect(report.maxDrawdownBps).to.be.lt(1100)
+
+      const text = formatReport(report)
+      expect(text).to.include("CooldownNotMet ×2")
+      expect(text).to.include("Max drawdown")
+    })
+  })
+
+  describe("Sell replay", () => {
+    const tradingConfig = {
+      priceThreshold: usd(2000),
+      maxTradeSize: ethers.parseEther("100"),
+      dailyTradeLimit: ethers.parseEther("1000"),
+      cooldownPeriod: 0,
+      maxSlippage: 300,
+      confidenceThreshold: 7000,
+    }
+
+    it("Should sell the position back through triggerSell when the strategy exits", async () => {
+      const series = [2100, 2200, 2100].map((price, hours) => ({
+        timestamp: 1717200000 + hours * HOUR,
+        price: usd(price),
+      }))
+      const strategy = createMovingAverageStrategy({
+        shortWindow: 1,
+        longWindow: 2,
+        minMomentum: 0,
+        baseConfidence: 8000,
+        confidencePerBps: 0,
+        tradeSize: (ethers.parseEther("10") * 10000n) / 8000n, // 10 ETH after confidence scaling
+        exitMomentum: 100,
+      })
+
+      const report = await runBacktest({ ethers, upgrades, series, tradingConfig, strategy })
+
+      expect(report.trades).to.equal(1)
+      expect(report.sells).to.equal(1)
+      expect(report.holds).to.equal(1)
+      expect(report.blocked).to.deep.equal({})
+      expect(report.tradeLog.map((trade) => trade.action)).to.deep.equal(["trade", "sell"])
+      expect(report.tradeLog[1].amountIn).to.equal(22000n * 10n ** 6n)
+
+      // 22000 USDC bought with 10 ETH at $2200 sells back at $2100; the fee is 1% of the profit
+      const proceeds = (22000n * 10n ** 6n * (10n ** 30n / 2100n)) / 10n ** 18n
+      expect(report.fees.accrued).to.equal(((proceeds - ethers.parseEther("10")) * 100n) / 10000n)
+      expect(formatReport(report)).to.include("Sells executed: 1")
+    })
+
+    it("Should reject unknown strategy actions", async () => {
+      const strategy = { name: "broken", lookback: 1, decide: () => ({ action: "short" }) }
+      const series = [{ timestamp: 1717200000, price: usd(2100) }]
+
+      const error = await runBacktest({ ethers, upgrades, series, tradingConfig, strategy }).catch((e) => e)
+
+      expect(error.message).to.equal('Strategy broken returned unknown action "short"')
+    })
+  })
+})
@@ -0,0 +1,284 @@
+const { expect } = require("chai")
+const { ethers, upgrades } = require("hardhat")
+const {
+  REASON_CODES,
+  collectComplianceHistory,
+  signReport,
+  toCSV,
+  verifyReport,
+} = require("../scripts/lib/compliance-report")
+const { deployAgentModules } = require("../scripts/lib/agent-modules")
+
+describe("Compliance Audit Trail", () => {
+  let deployer, regulator, trader, other
+  let complianceEngine, builderAgent, functionsRouter, volatilityFeed, regulatoryFeed, usdc
+
+  const usd = (value) => BigInt(value) * 10n ** 8n
+  const coder = ethers.AbiCoder.defaultAbiCoder()
+  const prediction = (price) => coder.encode(["uint256", "uint256", "uint256"], [price, 8500, 0])
+
+  // IComplianceEngine.ReasonCode
+  const Reason = Object.fromEntries(REASON_CODES.map((name, code) => [name, code]))
+
+  const profile = (overrides = {}) => ({
+    isKYCVerified: false,
+    riskScore: 0,
+    maxTradeSize: 0,
+    isBlacklisted: false,
+    lastComplianceCheck: 0,
+    ...overrides,
+  })
+  const rule = (overrides = {}) => ({
+    minPrice: 0,
+    maxPrice: 0,
+    maxVolatility: 0,
+    requiresKYC: false,
+    isActive: true,
+    ...overrides,
+  })
+
+  const requestPrediction = async () => {
+    await builderAgent.requestPricePrediction()
+    return builderAgent.pendingRequestId()
+  }
+
+  // Deliver a prediction, then run the upkeep that reviews it
+  const answerPrediction = async (requestId, response) => {
+    await functionsRouter.fulfillRequest(requestId, response)
+    const [, performData] = await builderAgent.checkUpkeep("0x")
+    return builderAgent.performUpkeep(performData)
+  }
+
+  beforeEach(async () => {
+    ;[deployer, regulator, trader, other] = await ethers.getSigners()
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20")
+    const weth = await MockERC20.deploy("Mock WETH", "mWETH", 18, ethers.parseEther("1000000"))
+    usdc = await MockERC20.deploy("Mock USDC", "mUSDC", 6, 0)
+
+    const MockChainlinkPriceFeed = await ethers.getContractFactory("MockChainlinkPriceFeed")
+    const priceFeed = await MockChainlinkPriceFeed.deploy(8, "ETH/USD", 1, usd(2500))
+    volatilityFeed = await MockChainlinkPriceFeed.deploy(2, "VOL", 1, 500)
+    regulatoryFeed = await MockChainlinkPriceFeed.deploy(0, "REG", 1, 1)
+
+    const ComplianceEngine = await ethers.getContractFactory("ComplianceEngine")
+    complianceEngine = await ComplianceEngine.deploy()
+    await complianceEngine.grantRole(await complianceEngine.REGULATOR_ROLE(), regulator.address)
+
+    const MockFunctionsRouter = await ethers.getContractFactory("MockFunctionsRouter")
+    functionsRouter = await MockFunctionsRouter.deploy()
+
+    const MockUniswapRouter = await ethers.getContractFactory("MockUniswapRouter")
+    const router = await MockUniswapRouter.deploy()
+
+    const CuttlefishVault = await ethers.getContractFactory("CuttlefishVault")
+    const vault = await upgrades.deployProxy(CuttlefishVault, [
+      await weth.getAddress(),
+      deployer.address,
+      deployer.address,
+      await router.getAddress(),
+    ])
+
+    const EnhancedBuilderAgent = await ethers.getContractFactory("EnhancedBuilderAgent")
+    builderAgent = await EnhancedBuilderAgent.deploy(
+      await vault.getAddress(),
+      await weth.getAddress(),
+      await usdc.getAddress(),
+      await priceFeed.getAddress(),
+      ethers.ZeroAddress,
+      await complianceEngine.getAddress(),
+      await functionsRouter.getAddress(),
+      {
+        priceThreshold: usd(2000),
+        maxTradeSize: ethers.parseEther("100"),
+        dailyTradeLimit: ethers.parseEther("1000"),
+        cooldownPeriod: 0,
+        maxSlippage: 300,
+        confidenceThreshold: 7000,
+        deviationThreshold: 1000,
+        ecoThreshold: 1000,
+        predictionInterval: 3600,
+      },
+      1,
+      ethers.encodeBytes32String("test-don"),
+      await deployAgentModules(ethers, "EnhancedBuilderAgent"),
+    )
+  })
+
+  describe("ComplianceEngine records", () => {
+    it("Should persist every trade decision", async () => {
+      const usdcAddress = await usdc.getAddress()
+      await complianceEngine.updateTraderProfile(trader.address, profile({ maxTradeSize: 5 }))
+
+      await complianceEngine.validateTrade(trader.address, usdcAddress, 5, usd(2500))
+      await complianceEngine.connect(other).validateTrade(trader.address, usdcAddress, 6, usd(2400))
+
+      const approved = await complianceEngine.tradeDecisions(1)
+      expect(approved.agent).to.equal(deployer.address)
+      expect(approved.reason).to.equal(Reason.Approved)
+      expect(approved.amount).to.equal(5)
+
+      const rejected = await complianceEngine.tradeDecisions(2)
+      expect(rejected.agent).to.equal(other.address)
+      expect(rejected.reason).to.equal(Reason.TradeSizeExceeded)
+      expect(rejected.trader).to.equal(trader.address)
+      expect(rejected.asset).to.equal(usdcAddress)
+      expect(rejected.amount).to.equal(6)
+      expect(rejected.price).to.equal(usd(2400))
+      expect(rejected.timestamp).to.equal((await ethers.provider.getBlock("latest")).timestamp)
+    })
+
+    it("Should keep the reason and regulator for blacklistings", async () => {
+      await expect(complianceEngine.connect(regulator).blacklistTrader(trader.address, "OFAC match"))
+        .to.emit(complianceEngine, "TraderBlacklisted")
+        .withArgs(trader.address, regulator.address, "OFAC match")
+
+      const record = await complianceEngine.blacklistRecords(trader.address)
+      expect(record.regulator).to.equal(regulator.address)
+      expect(record.reason).to.equal("OFAC match")
+      expect((await complianceEngine.traderProfiles(trader.address)).isBlacklisted).to.equal(true)
+    })
+
+    it("Should explain prediction rejections", async () => {
+      expect(await complianceEngine.checkPrediction(0)).to.equal(Reason.InvalidPrediction)
+      expect(await complianceEngine.checkPrediction(usd(2500))).to.equal(Reason.Approved)
+
+      await expect(complianceEngine.setFeeds(await volatilityFeed.getAddress(), await regulatoryFeed.getAddress()))
+        .to.emit(complianceEngine, "FeedsUpdated")
+        .withArgs(await volatilityFeed.getAddress(), await regulatoryFeed.getAddress())
+      await volatilityFeed.updatePrice(2001)
+      expect(await complianceEngine.checkPrediction(usd(2500))).to.equal(Reason.VolatilityTooHigh)
+      expect(await complianceEngine.validatePrediction(ethers.ZeroHash, usd(2500))).to.equal(false)
+
+      await volatilityFeed.updatePrice(500)
+      await regulatoryFeed.updatePrice(0)
+      expect(await complianceEngine.checkPrediction(usd(2500))).to.equal(Reason.RegulatoryHalt)
+
+      await complianceEngine.setFeeds(await usdc.getAddress(), ethers.ZeroAddress)
+      expect(await complianceEngine.checkPrediction(usd(2500))).to.equal(Reason.DataUnavailable)
+    })
+
+    it("Should record the decision on each fulfilled prediction", async () => {
+      const agentAddress = await builderAgent.getAddress()
+      await complianceEngine.setFeeds(await volatilityFeed.getAddress(), await regulatoryFeed.getAddress())
+
+      const approvedId = await requestPrediction()
+      await expect(answerPrediction(approvedId, prediction(usd(2600))))
+        .to.emit(complianceEngine, "PredictionValidated")
+        .withArgs(approvedId, agentAddress, usd(2600), Reason.Approved)
+      expect(await complianceEngine.approvedPredictions(approvedId)).to.be.true
+
+      await volatilityFeed.updatePrice(2500)
+      const rejectedId = await requestPrediction()
+      await expect(answerPrediction(rejectedId, prediction(usd(2700))))
+        .to.emit(complianceEngine, "PredictionValidated")
+        .withArgs(rejectedId, agentAddress, usd(2700), Reason.VolatilityTooHigh)
+      expect((await builderAgent.predictions(rejectedId)).failure).to.equal(2) // NonCompliant
+    })
+  })
+
+  describe("Report export", () => {
+    let startBlock
+
+    beforeEach(async () => {
+      startBlock = await ethers.provider.getBlockNumber()
+      const usdcAddress = await usdc.getAddress()
+
+      await complianceEngine.updateAssetRule(usdcAddress, rule({ requiresKYC: true }))
+      await complianceEngine.updateTraderProfile(trader.address, profile({ riskScore: 1200 }))
+      await complianceEngine.validateTrade(trader.address, usdcAddress, 10, usd(2500))
+      await complianceEngine.connect(regulator).blacklistTrader(trader.address, 'Sanctions list "SDN", entry 42')
+      await complianceEngine.validateTrade(trader.address, usdcAddress, 10, usd(2500))
+
+      const requestId = await requestPrediction()
+      await answerPrediction(requestId, prediction(usd(2600)))
+    })
+
+    it("Should rebuild the history in chain order", async () => {
+      const report = await collectComplianceHistory(complianceEngine, { fromBlock: startBlock + 1 })
+
+      expect(report.engine).to.equal(await complianceEngine.getAddress())
+      expect(report.chainId).to.equal("31337")
+      expect(report.records.map((r) => r.type)).to.deep.equal([
+        "RULE_UPDATED",
+        "PROFILE_UPDATED",
+        "TRADE_DECISION",
+        "BLACKLISTED",
+        "TRADE_DECISION",
+        "PREDICTION_DECISION",
+        "TRADE_DECISION", // The upkeep that reviewed the prediction then traded on it
+      ])
+
+      const [ruleUpdate, profileUpdate, approved, blacklisting, rejected, predictionDecision] = report.records
+      expect(ruleUpdate.subject).to.equal(await usdc.getAddress())
+      expect(ruleUpdate.details.requiresKYC).to.equal(true)
+      expect(profileUpdate.details.riskScore).to.equal("1200")
+      expect(approved.reason).to.equal("KYCRequired")
+      expect(approved.details.decisionId).to.equal("1")
+      expect(blacklisting.sender).to.equal(regulator.address)
+      expect(blacklisting.reason).to.equal('Sanctions list "SDN", entry 42')
+      expect(rejected.reason).to.equal("TraderBlacklisted")
+      expect(predictionDecision.details.agent).to.equal(await builderAgent.getAddress())
+      expect(predictionDecision.details.predictedPrice).to.equal(usd(2600).toString())
+
+      const block = await ethers.provider.getBlock(rejected.block)
+      expect(rejected.timestamp).to.equal(block.timestamp)
+    })
+
+    it("Should limit the history to the block range", async () => {
+      const full = await collectComplianceHistory(complianceEngine)
+      // Deployment and the regulator grant are included from genesis
+      expect(full.records.filter((r) => r.type === "ROLE_GRANTED")).to.have.length(3)
+
+      const recent = await collectComplianceHistory(complianceEngine, { fromBlock: startBlock + 1 })
+      const blacklistBlock = recent.records[3].block
+      const window = await collectComplianceHistory(complianceEngine, {
+        fromBlock: blacklistBlock,
+        toBlock: blacklistBlock,
+      })
+      expect(window.records.map((r) => r.type)).to.deep.equal(["BLACKLISTED"])
+
+      const error = await collectComplianceHistory(complianceEngine, { fromBlock: 10, toBlock: 9 }).catch((e) => e)
+      expect(error.message).to.equal("fromBlock 10 is after toBlock 9")
+    })
+
+    it("Should export CSV with quoted fields", async () => {
+      const report = await collectComplianceHistory(complianceEngine, { fromBlock: startBlock + 1 })
+      const lines = toCSV(report.records).trimEnd().split("\n")
+
+      expect(lines[0]).to.equal("block,timestamp,transactionHash,logIndex,sender,type,subject,reason,details")
+      expect(lines).to.have.length(report.records.length + 1)
+
+      const blacklisting = report.records[3]
+      expect(lines[4]).to.equal(
+        [
+          blacklisting.block,
+          blacklisting.timestamp,
+          blacklisting.transactionHash,
+          blacklisting.logIndex,
+          regulator.address,
+          "BLACKLISTED",
+          trader.address,
+          '"Sanctions list ""SDN"", entry 42"',
+          `"{""regulator"":""${regulator.address}""}"`,
+        ].join(","),
+      )
+    })
+
+    it("Should sign reports and detect tampering", async () => {
+      const report = await collectComplianceHistory(complianceEngine, { fromBlock: startBlock + 1 })
+      const signed = await signReport(report, regulator)
+
+      expect(signed.signer).to.equal(regulator.address)
+      expect(verifyReport(signed)).to.equal(true)
+      expect(verifyReport(JSON.parse(JSON.stringify(signed)))).to.equal(true)
+
+      const tampered = JSON.parse(JSON.stringify(signed))
+      tampered.report.records[3].reason = "Clerical error"
+      expect(verifyReport(tampered)).to.equal(false)
+
+      const forged = { ...signed, signer: other.address }
+      expect(verifyReport(forged)).to.equal(false)
+    })
+  })
+})
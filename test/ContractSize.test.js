@@ -0,0 +1,50 @@
+const { expect } = require("chai")
+const { ethers, artifacts } = require("hardhat")
+const { AGENT_MODULES, deployAgentModules } = require("../scripts/lib/agent-modules")
+
+// EIP-170 and EIP-3860 limits on deployed code and initcode; larger contracts cannot be
+// deployed to mainnet, whatever the local network allows
+const MAX_CODE_SIZE = 24576
+const MAX_INITCODE_SIZE = 49152
+
+// Module functions agents call directly instead of forwarding
+const UNFORWARDED = { EnhancedBuilderAgent: ["encodeRequest"] }
+
+const byteLength = (hex) => (hex.length - 2) / 2
+
+describe("Contract Size", () => {
+  it("Should keep every contract within the EIP-170 and EIP-3860 limits", async () => {
+    const names = (await artifacts.getAllFullyQualifiedNames()).filter((name) => name.startsWith("contracts/"))
+    expect(names).to.include("contracts/BuilderAgent.sol:BuilderAgent")
+
+    for (const name of names) {
+      const { bytecode, deployedBytecode } = await artifacts.readArtifact(name)
+      expect(byteLength(deployedBytecode), `${name} runtime size`).to.be.at.most(MAX_CODE_SIZE)
+      expect(byteLength(bytecode), `${name} initcode size`).to.be.at.most(MAX_INITCODE_SIZE)
+    }
+  })
+
+  for (const [agentName, modules] of Object.entries(AGENT_MODULES)) {
+    it(`Should expose every ${agentName} module function on the agent`, async () => {
+      const agent = await ethers.getContractFactory(agentName)
+
+      for (const moduleName of Object.values(modules)) {
+        const module = await ethers.getContractFactory(moduleName)
+        module.interface.forEachFunction((fn) => {
+          if ((UNFORWARDED[agentName] || []).includes(fn.name)) return
+          expect(agent.interface.getFunction(fn.selector), `${moduleName}.${fn.format()}`).to.not.equal(null)
+        })
+      }
+    })
+  }
+
+  it("Should deploy agents against shared modules", async () => {
+    const modules = await deployAgentModules(ethers, "BuilderAgent")
+    expect(await deployAgentModules(ethers, "BuilderAgent")).to.deep.equal(modules)
+
+    const BuilderAgentFactory = await ethers.getContractFactory("BuilderAgentFactory")
+    await expect(BuilderAgentFactory.deploy({ trading: modules.trading, admin: ethers.ZeroAddress })).to.be.revertedWith(
+      "Invalid modules",
+    )
+  })
+})
@@ -1,59 +1,67 @@
 const { expect } = require("chai")
 const { ethers, upgrades } = require("hardhat")
+const { applyChange } = require("../scripts/lib/governance")
+const { deployAgentModules } = require("../scripts/lib/agent-modules")
 
 describe("Enhanced BuilderAgent Security & Features", () => {
   let deployer, operator, aiRole, emergency, user
   let vault, builderAgent, factory, mockAsset, mockTokenOut, priceFeed
   let defaultConfig
 
+  // Chain time, which governance delays move ahead of the wall clock
+  const latest = async () => (await ethers.provider.getBlock("latest")).timestamp
+
   beforeEach(async () => {
     ;[deployer, operator, aiRole, emergency, user] = await ethers.getSigners()
 
     // Deploy mock contracts
     const MockERC20 = await ethers.getContractFactory("MockERC20")
-    mockAsset = await MockERC20.deploy("Mock WETH", "mWETH", 18, ethers.utils.parseEther("1000000"))
-    mockTokenOut = await MockERC20.deploy("Mock USDC", "mUSDC", 6, ethers.utils.parseUnits("1000000", 6))
+    mockAsset = await MockERC20.deploy("Mock WETH", "mWETH", 18, ethers.parseEther("1000000"))
+    mockTokenOut = await MockERC20.deploy("Mock USDC", "mUSDC", 6, ethers.parseUnits("1000000", 6))
 
     const MockChainlinkPriceFeed = await ethers.getContractFactory("MockChainlinkPriceFeed")
     priceFeed = await MockChainlinkPriceFeed.deploy(8, "ETH/USD", 1, 2500 * 10 ** 8)
 
     const MockUniswapRouter = await ethers.getContractFactory("MockUniswapRouter")
     const mockRouter = await MockUniswapRouter.deploy()
-    await mockTokenOut.mint(mockRouter.address, ethers.utils.parseUnits("100000", 6))
+    await mockTokenOut.mint(await mockRouter.getAddress(), ethers.parseUnits("10000000", 6))
+    // Fill at the feed price so trades clear the agent's oracle-derived minimum output
+    await mockRouter.setExchangeRate(await mockAsset.getAddress(), await mockTokenOut.getAddress(), 2500n * 10n ** 6n)
 
     // Deploy vault
     const CuttlefishVault = await ethers.getContractFactory("CuttlefishVault")
     vault = await upgrades.deployProxy(CuttlefishVault, [
-      mockAsset.address,
+      await mockAsset.getAddress(),
       deployer.address,
       deployer.address,
-      mockRouter.address,
+      await mockRouter.getAddress(),
     ])
 
     // Deploy factory
     const BuilderAgentFactory = await ethers.getContractFactory("BuilderAgentFactory")
-    factory = await BuilderAgentFactory.deploy()
+    factory = await BuilderAgentFactory.deploy(await deployAgentModules(ethers, "BuilderAgent"))
 
     // Create default config
     defaultConfig = {
-      priceThreshold: ethers.BigNumber.from(2000).mul(10 ** 8),
-      maxTradeSize: ethers.utils.parseEther("100"),
-      dailyTradeLimit: ethers.utils.parseEther("1000"),
+      priceThreshold: 2000n * 10n ** 8n,
+      maxTradeSize: ethers.parseEther("100"),
+      dailyTradeLimit: ethers.parseEther("1000"),
       cooldownPeriod: 300, // 5 minutes
       maxSlippage: 300, // 3%
       confidenceThreshold: 7000, // 70%
     }
 
     // Create agent through factory
-    const agentAddress = await factory.callStatic.createAgent(
-      vault.address,
-      mockAsset.address,
-      mockTokenOut.address,
-      priceFeed.address,
+    const agentArgs = [
+      await vault.getAddress(),
+      await mockAsset.getAddress(),
+      await mockTokenOut.getAddress(),
+      await priceFeed.getAddress(),
       defaultConfig,
-    )
+    ]
+    const agentAddress = await factory.createAgent.staticCall(...agentArgs)
 
-    await factory.createAgent(vault.address, mockAsset.address, mockTokenOut.address, priceFeed.address, defaultConfig)
+    await factory.createAgent(...agentArgs)
 
     builderAgent = await ethers.getContractAt("BuilderAgent", agentAddress)
 
@@ -62,10 +70,10 @@ describe("Enhanced BuilderAgent Security & Features", () => {
     await builderAgent.grantRole(await builderAgent.EMERGENCY_ROLE(), emergency.address)
 
     // Add agent to vault
-    await vault.addBuilderAgent(builderAgent.address)
+    await vault.addBuilderAgent(agentAddress)
 
     // Fund vault
-    await mockAsset.mint(vault.address, ethers.utils.parseEther("10000"))
+    await mockAsset.mint(await vault.getAddress(), ethers.parseEther("10000"))
   })
 
   describe("Security Features", () => {
@@ -76,21 +84,21 @@ describe("Enhanced BuilderAgent Security & Features", () => {
     })
 
     it("Should enforce role-based access control", async () => {
-      const tradeAmount = ethers.utils.parseEther("50")
-      const deadline = Math.floor(Date.now() / 1000) + 3600
+      const tradeAmount = ethers.parseEther("50")
+      const deadline = (await latest()) + 3600
 
       // Non-AI role should not be able to trade
-      await expect(builderAgent.connect(user).triggerTrade(tradeAmount, 0, deadline, 8000)).to.be.revertedWith(
-        "AccessControl:",
-      )
+      await expect(
+        builderAgent.connect(user).triggerTrade(tradeAmount, 0, deadline, 8000),
+      ).to.be.revertedWithCustomError(builderAgent, "AccessControlUnauthorizedAccount")
 
       // AI role should be able to trade
       await expect(builderAgent.connect(aiRole).triggerTrade(tradeAmount, 0, deadline, 8000)).to.not.be.reverted
     })
 
     it("Should enforce emergency stop", async () => {
-      const tradeAmount = ethers.utils.parseEther("50")
-      const deadline = Math.floor(Date.now() / 1000) + 3600
+      const tradeAmount = ethers.parseEther("50")
+      const deadline = (await latest()) + 3600
 
       // Activate emergency stop
       await builderAgent.connect(emergency).activateEmergencyStop("Security concern")
@@ -108,16 +116,16 @@ describe("Enhanced BuilderAgent Security & Features", () => {
     })
 
     it("Should enforce pause functionality", async () => {
-      const tradeAmount = ethers.utils.parseEther("50")
-      const deadline = Math.floor(Date.now() / 1000) + 3600
+      const tradeAmount = ethers.parseEther("50")
+      const deadline = (await latest()) + 3600
 
       // Pause contract
       await builderAgent.connect(emergency).pause()
 
       // Trading should be blocked
-      await expect(builderAgent.connect(aiRole).triggerTrade(tradeAmount, 0, deadline, 8000)).to.be.revertedWith(
-        "Pausable: paused",
-      )
+      await expect(
+        builderAgent.connect(aiRole).triggerTrade(tradeAmount, 0, deadline, 8000),
+      ).to.be.revertedWithCustomError(builderAgent, "EnforcedPause")
 
       // Unpause
       await builderAgent.unpause()
@@ -129,8 +137,8 @@ describe("Enhanced BuilderAgent Security & Features", () => {
 
   describe("Trading Limits & Controls", () => {
     it("Should enforce maximum trade size", async () => {
-      const largeAmount = ethers.utils.parseEther("200") // Exceeds 100 ETH limit
-      const deadline = Math.floor(Date.now() / 1000) + 3600
+      const largeAmount = ethers.parseEther("200") // Exceeds 100 ETH limit
+      const deadline = (await latest()) + 3600
 
       await expect(
         builderAgent.connect(aiRole).triggerTrade(largeAmount, 0, deadline, 8000),
@@ -138,8 +146,13 @@ describe("Enhanced BuilderAgent Security & Features", () => {
     })
 
     it("Should enforce daily trading limits", async () => {
-      const tradeAmount = ethers.utils.parseEther("600") // Each trade 600 ETH
-      const deadline = Math.floor(Date.now() / 1000) + 3600
+      const tradeAmount = ethers.parseEther("600") // Each trade 600 ETH
+
+      // Raise the per-trade cap and drop the cooldown so only the daily limit applies
+      const config = { ...defaultConfig, maxTradeSize: tradeAmount, cooldownPeriod: 0 }
+      await applyChange(builderAgent, "updateTradingConfig", [config])
+      await priceFeed.updatePrice(2500 * 10 ** 8) // Fresh again after the governance delay
+      const deadline = (await latest()) + 3600
 
       // First trade should succeed
       await builderAgent.connect(aiRole).triggerTrade(tradeAmount, 0, deadline, 8000)
@@ -151,8 +164,8 @@ describe("Enhanced BuilderAgent Security & Features", () => {
     })
 
     it("Should enforce cooldown periods", async () => {
-      const tradeAmount = ethers.utils.parseEther("50")
-      const deadline = Math.floor(Date.now() / 1000) + 3600
+      const tradeAmount = ethers.parseEther("50")
+      const deadline = (await latest()) + 3600
 
       // First trade
       await builderAgent.connect(aiRole).triggerTrade(tradeAmount, 0, deadline, 8000)
@@ -171,8 +184,8 @@ describe("Enhanced BuilderAgent Security & Features", () => {
     })
 
     it("Should enforce AI confidence threshold", async () => {
-      const tradeAmount = ethers.utils.parseEther("50")
-      const deadline = Math.floor(Date.now() / 1000) + 3600
+      const tradeAmount = ethers.parseEther("50")
+      const deadline = (await latest()) + 3600
 
       // Low confidence should fail
       await expect(
@@ -193,7 +206,7 @@ describe("Enhanced BuilderAgent Security & Features", () => {
   describe("Price Feed Security", () => {
     it("Should reject stale price data", async () => {
       // Set stale timestamp (2 hours ago)
-      const staleTime = Math.floor(Date.now() / 1000) - 7200
+      const staleTime = (await latest()) - 7200
       await priceFeed.setStaleData(staleTime)
 
       await expect(builderAgent.getLatestPrice()).to.be.revertedWithCustomError(builderAgent, "PriceDataStale")
@@ -206,8 +219,8 @@ describe("Enhanced BuilderAgent Security & Features", () => {
     })
 
     it("Should enforce price threshold", async () => {
-      const tradeAmount = ethers.utils.parseEther("50")
-      const deadline = Math.floor(Date.now() / 1000) + 3600
+      const tradeAmount = ethers.parseEther("50")
+      const deadline = (await latest()) + 3600
 
       // Set price below threshold
       await priceFeed.updatePrice(1500 * 10 ** 8) // $1500 < $2000 threshold
@@ -219,32 +232,90 @@ describe("Enhanced BuilderAgent Security & Features", () => {
   })
 
   describe("Batch Trading", () => {
+    const ALL_OR_NOTHING = 0
+    const BEST_EFFORT = 1
+    const amounts = [ethers.parseEther("20"), ethers.parseEther("30"), ethers.parseEther("40")]
+    const unfillable = 10n ** 30n // Above any router output
+    const revertString = (message) =>
+      ethers.concat(["0x08c379a0", ethers.AbiCoder.defaultAbiCoder().encode(["string"], [message])])
+
     it("Should execute batch trades successfully", async () => {
-      const amounts = [ethers.utils.parseEther("20"), ethers.utils.parseEther("30"), ethers.utils.parseEther("40")]
       const minAmounts = [0, 0, 0]
-      const deadline = Math.floor(Date.now() / 1000) + 3600
+      const deadline = (await latest()) + 3600
 
-      await expect(builderAgent.connect(aiRole).triggerBatchTrade(amounts, minAmounts, deadline, 8000)).to.not.be
-        .reverted
+      await expect(
+        builderAgent.connect(aiRole).triggerBatchTrade(amounts, minAmounts, deadline, 8000, ALL_OR_NOTHING),
+      ).to.not.be.reverted
 
       expect(await builderAgent.totalTrades()).to.equal(3)
     })
 
     it("Should validate batch trade limits", async () => {
-      const amounts = new Array(15).fill(ethers.utils.parseEther("10")) // Too many trades
+      const amounts = new Array(15).fill(ethers.parseEther("10")) // Too many trades
       const minAmounts = new Array(15).fill(0)
-      const deadline = Math.floor(Date.now() / 1000) + 3600
+      const deadline = (await latest()) + 3600
 
       await expect(
-        builderAgent.connect(aiRole).triggerBatchTrade(amounts, minAmounts, deadline, 8000),
+        builderAgent.connect(aiRole).triggerBatchTrade(amounts, minAmounts, deadline, 8000, ALL_OR_NOTHING),
       ).to.be.revertedWith("Too many trades")
     })
+
+    it("Should apply size, daily volume and cooldown to the batch as a unit", async () => {
+      const deadline = (await latest()) + 3600
+      const oversized = [ethers.parseEther("60"), ethers.parseEther("60")] // Each leg fits, the batch does not
+
+      await expect(
+        builderAgent.connect(aiRole).triggerBatchTrade(oversized, [0, 0], deadline, 8000, ALL_OR_NOTHING),
+      ).to.be.revertedWithCustomError(builderAgent, "TradeAmountTooLarge")
+
+      await builderAgent.connect(aiRole).triggerBatchTrade(amounts, [0, 0, 0], deadline, 8000, ALL_OR_NOTHING)
+      expect(await builderAgent.dailyTradeVolume()).to.equal(ethers.parseEther("90"))
+
+      await expect(
+        builderAgent.connect(aiRole).triggerBatchTrade(amounts, [0, 0, 0], deadline, 8000, ALL_OR_NOTHING),
+      ).to.be.revertedWithCustomError(builderAgent, "CooldownNotMet")
+    })
+
+    it("Should revert the whole batch on a failed leg in all-or-nothing mode", async () => {
+      const deadline = (await latest()) + 3600
+
+      await expect(
+        builderAgent.connect(aiRole).triggerBatchTrade(amounts, [0, unfillable, 0], deadline, 8000, ALL_OR_NOTHING),
+      )
+        .to.be.revertedWithCustomError(builderAgent, "BatchLegFailed")
+        .withArgs(1, revertString("Insufficient output amount"))
+
+      expect(await builderAgent.totalTrades()).to.equal(0)
+      expect(await builderAgent.dailyTradeVolume()).to.equal(0)
+    })
+
+    it("Should skip failed legs and report every outcome in best-effort mode", async () => {
+      const deadline = (await latest()) + 3600
+
+      const batch = builderAgent
+        .connect(aiRole)
+        .triggerBatchTrade(amounts, [0, unfillable, 0], deadline, 8000, BEST_EFFORT)
+
+      await expect(batch)
+        .to.emit(builderAgent, "BatchLegExecuted")
+        .withArgs(1, 0, amounts[0], ethers.parseUnits("50000", 6), true, "0x")
+      await expect(batch)
+        .to.emit(builderAgent, "BatchLegExecuted")
+        .withArgs(1, 1, amounts[1], 0, false, revertString("Insufficient output amount"))
+      await expect(batch)
+        .to.emit(builderAgent, "BatchTradeExecuted")
+        .withArgs(1, BEST_EFFORT, 3, 2, ethers.parseEther("60"))
+
+      expect(await builderAgent.totalTrades()).to.equal(3) // Attempts, including the failed leg
+      expect(await builderAgent.successfulTrades()).to.equal(2)
+      expect(await builderAgent.dailyTradeVolume()).to.equal(ethers.parseEther("60"))
+    })
   })
 
   describe("Statistics & Monitoring", () => {
     it("Should track trading statistics", async () => {
-      const tradeAmount = ethers.utils.parseEther("50")
-      const deadline = Math.floor(Date.now() / 1000) + 3600
+      const tradeAmount = ethers.parseEther("50")
+      const deadline = (await latest()) + 3600
 
       // Execute some trades
       await builderAgent.connect(aiRole).triggerTrade(tradeAmount, 0, deadline, 8000)
@@ -261,14 +332,14 @@ describe("Enhanced BuilderAgent Security & Features", () => {
     })
 
     it("Should provide trading eligibility check", async () => {
-      const tradeAmount = ethers.utils.parseEther("50")
+      const tradeAmount = ethers.parseEther("50")
 
       const [canTrade, reason] = await builderAgent.canTrade(tradeAmount, 8000)
       expect(canTrade).to.be.true
       expect(reason).to.equal("Trade allowed")
 
       // Test with amount too large
-      const [canTradeLarge, reasonLarge] = await builderAgent.canTrade(ethers.utils.parseEther("200"), 8000)
+      const [canTradeLarge, reasonLarge] = await builderAgent.canTrade(ethers.parseEther("200"), 8000)
       expect(canTradeLarge).to.be.false
       expect(reasonLarge).to.equal("Amount too large")
     })
@@ -278,16 +349,26 @@ describe("Enhanced BuilderAgent Security & Features", () => {
     it("Should create agents through factory", async () => {
       const agentsBefore = await factory.getTotalAgents()
 
-      await factory.createAgentWithDefaults(vault.address, mockAsset.address, mockTokenOut.address, priceFeed.address)
+      await factory.createAgentWithDefaults(
+        await vault.getAddress(),
+        await mockAsset.getAddress(),
+        await mockTokenOut.getAddress(),
+        await priceFeed.getAddress(),
+      )
 
       const agentsAfter = await factory.getTotalAgents()
-      expect(agentsAfter).to.equal(agentsBefore.add(1))
+      expect(agentsAfter).to.equal(agentsBefore + 1n)
     })
 
     it("Should track agents by creator", async () => {
       await factory
         .connect(user)
-        .createAgentWithDefaults(vault.address, mockAsset.address, mockTokenOut.address, priceFeed.address)
+        .createAgentWithDefaults(
+          await vault.getAddress(),
+          await mockAsset.getAddress(),
+          await mockTokenOut.getAddress(),
+          await priceFeed.getAddress(),
+        )
 
       const userAgents = await factory.getAgentsByCreator(user.address)
       expect(userAgents.length).to.equal(1)
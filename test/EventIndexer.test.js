@@ -0,0 +1,205 @@
+const { expect } = require("chai")
+const { ethers, upgrades } = require("hardhat")
+const { EventStore } = require("../scripts/lib/event-store")
+const { EventIndexer } = require("../scripts/lib/indexer")
+const { createIndexerServer } = require("../scripts/lib/indexer-api")
+const { deployAgentModules } = require("../scripts/lib/agent-modules")
+
+describe("Event Indexer", () => {
+  let deployer, user
+  let mockAsset, mockTokenOut, priceFeed, vault, factory, builderAgent
+  let store, indexer, startBlock, agentArgs
+
+  const deadline = async () => (await ethers.provider.getBlock("latest")).timestamp + 3600
+
+  const tradingConfig = {
+    priceThreshold: 2000n * 10n ** 8n,
+    maxTradeSize: ethers.parseEther("100"),
+    dailyTradeLimit: ethers.parseEther("1000"),
+    cooldownPeriod: 0,
+    maxSlippage: 300,
+    confidenceThreshold: 7000,
+  }
+
+  async function createAgent() {
+    const agentAddress = await factory.createAgent.staticCall(...agentArgs)
+    await factory.createAgent(...agentArgs)
+    await vault.addBuilderAgent(agentAddress)
+    return ethers.getContractAt("BuilderAgent", agentAddress)
+  }
+
+  beforeEach(async () => {
+    ;[deployer, user] = await ethers.getSigners()
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20")
+    mockAsset = await MockERC20.deploy("Mock WETH", "mWETH", 18, ethers.parseEther("1000000"))
+    mockTokenOut = await MockERC20.deploy("Mock USDC", "mUSDC", 6, ethers.parseUnits("1000000", 6))
+
+    const MockChainlinkPriceFeed = await ethers.getContractFactory("MockChainlinkPriceFeed")
+    priceFeed = await MockChainlinkPriceFeed.deploy(8, "ETH/USD", 1, 2500 * 10 ** 8)
+
+    const MockUniswapRouter = await ethers.getContractFactory("MockUniswapRouter")
+    const mockRouter = await MockUniswapRouter.deploy()
+    await mockTokenOut.mint(await mockRouter.getAddress(), ethers.parseUnits("10000000", 6))
+    // Fill at the feed price so trades clear the agent's oracle-derived minimum output
+    await mockRouter.setExchangeRate(await mockAsset.getAddress(), await mockTokenOut.getAddress(), 2500n * 10n ** 6n)
+
+    const CuttlefishVault = await ethers.getContractFactory("CuttlefishVault")
+    vault = await upgrades.deployProxy(CuttlefishVault, [
+      await mockAsset.getAddress(),
+      deployer.address,
+      deployer.address,
+      await mockRouter.getAddress(),
+    ])
+    startBlock = await ethers.provider.getBlockNumber()
+
+    const BuilderAgentFactory = await ethers.getContractFactory("BuilderAgentFactory")
+    factory = await BuilderAgentFactory.deploy(await deployAgentModules(ethers, "BuilderAgent"))
+
+    agentArgs = [
+      await vault.getAddress(),
+      await mockAsset.getAddress(),
+      await mockTokenOut.getAddress(),
+      await priceFeed.getAddress(),
+      tradingConfig,
+    ]
+    builderAgent = await createAgent()
+
+    await mockAsset.mint(await vault.getAddress(), ethers.parseEther("10000"))
+
+    const interfaces = {}
+    for (const name of ["CuttlefishVault", "BuilderAgentFactory", "BuilderAgent"]) {
+      interfaces[name] = (await ethers.getContractFactory(name)).interface
+    }
+
+    store = new EventStore(null) // in-memory
+    indexer = new EventIndexer({
+      provider: ethers.provider,
+      store,
+      interfaces,
+      vault: await vault.getAddress(),
+      factory: await factory.getAddress(),
+      agents: [],
+      startBlock,
+    })
+  })
+
+  describe("Backfill", () => {
+    it("Should index deposits, trades and fees from the deployment block", async () => {
+      const amount = ethers.parseEther("100")
+      await mockAsset.mint(user.address, amount)
+      await mockAsset.connect(user).approve(await vault.getAddress(), amount)
+      await vault.connect(user).deposit(amount, user.address)
+
+      await builderAgent.triggerTrade(ethers.parseEther("50"), 0, await deadline(), 8000)
+
+      await indexer.sync()
+
+      expect(store.depositsByUser(user.address)).to.have.length(1)
+      expect(store.depositsByUser(user.address)[0].args.assets).to.equal(amount.toString())
+
+      const trades = store.tradesByAgent(await builderAgent.getAddress())
+      expect(trades).to.have.length(1)
+      expect(trades[0].args.amountIn).to.equal(ethers.parseEther("50").toString())
+      expect(trades[0].timestamp).to.be.a("number")
+
+      const fees = store.feeHistory()
+      expect(fees.totalAccrued).to.equal((await vault.totalFeesAccrued()).toString())
+    })
+
+    it("Should discover agents created by the factory", async () => {
+      await indexer.sync()
+      expect(store.agents).to.include(await builderAgent.getAddress())
+
+      const secondAgent = await createAgent()
+      await secondAgent.triggerTrade(ethers.parseEther("10"), 0, await deadline(), 8000)
+
+      await indexer.sync()
+
+      expect(store.agents).to.include(await secondAgent.getAddress())
+      expect(store.tradesByAgent(await secondAgent.getAddress())).to.have.length(1)
+      expect(store.find({ contract: "BuilderAgentFactory", event: "AgentCreated" })).to.have.length(2)
+    })
+
+    it("Should resume from the checkpoint without duplicating events", async () => {
+      await builderAgent.triggerTrade(ethers.parseEther("10"), 0, await deadline(), 8000)
+      await indexer.sync()
+      const checkpoint = store.checkpoint.blockNumber
+
+      await indexer.sync()
+      expect(store.tradesByAgent(await builderAgent.getAddress())).to.have.length(1)
+
+      await builderAgent.triggerTrade(ethers.parseEther("10"), 0, await deadline(), 8000)
+      await indexer.sync()
+
+      expect(store.checkpoint.blockNumber).to.be.gt(checkpoint)
+      expect(store.tradesByAgent(await builderAgent.getAddress())).to.have.length(2)
+    })
+  })
+
+  describe("Reorg handling", () => {
+    it("Should drop events from orphaned blocks", async () => {
+      await indexer.sync()
+      const snapshot = await ethers.provider.send("evm_snapshot", [])
+
+      await builderAgent.triggerTrade(ethers.parseEther("10"), 0, await deadline(), 8000)
+      await indexer.sync()
+      expect(store.tradesByAgent(await builderAgent.getAddress())).to.have.length(1)
+
+      // Replace the block holding the trade with an empty fork of the same height
+      await ethers.provider.send("evm_revert", [snapshot])
+      await ethers.provider.send("evm_mine")
+      await ethers.provider.send("evm_mine")
+
+      const { reorg } = await indexer.sync()
+
+      expect(reorg).to.not.be.null
+      expect(store.tradesByAgent(await builderAgent.getAddress())).to.have.length(0)
+      expect(store.checkpoint.blockNumber).to.equal(await ethers.provider.getBlockNumber())
+    })
+  })
+
+  describe("Query API", () => {
+    it("Should serve trades by agent, deposits by user and fee history", async () => {
+      await builderAgent.triggerTrade(ethers.parseEther("10"), 0, await deadline(), 8000)
+
+      // Selling back after ETH fell realizes a profit, which the vault charges its fee on
+      const router = await ethers.getContractAt("MockUniswapRouter", await vault.router())
+      await mockAsset.mint(await router.getAddress(), ethers.parseEther("100"))
+      await router.setExchangeRate(await mockTokenOut.getAddress(), await mockAsset.getAddress(), 10n ** 30n / 2400n)
+      await priceFeed.updatePrice(2400 * 10 ** 8)
+      await builderAgent.triggerSell(await mockTokenOut.getAddress(), ethers.parseUnits("25000", 6), 0, await deadline(), 8000)
+      await indexer.sync()
+
+      const server = createIndexerServer(store)
+      await new Promise((resolve) => server.listen(0, resolve))
+      const base = `http://127.0.0.1:${server.address().port}`
+
+      try {
+        const trades = await (await fetch(`${base}/agents/${await builderAgent.getAddress()}/trades`)).json()
+        expect(trades).to.have.length(1)
+
+        const deposits = await (await fetch(`${base}/users/${user.address}/deposits`)).json()
+        expect(deposits).to.have.length(0)
+
+        const fees = await (await fetch(`${base}/fees`)).json()
+        expect(fees.history).to.have.length(1)
+        expect(fees.history[0].type).to.equal("accrued")
+
+        const status = await (await fetch(`${base}/status`)).json()
+        expect(status.checkpoint.blockNumber).to.equal(store.checkpoint.blockNumber)
+
+        expect((await fetch(`${base}/unknown`)).status).to.equal(404)
+
+        const tradeEvents = await (await fetch(`${base}/events?event=TradeTriggered&fromBlock=0`)).json()
+        expect(tradeEvents).to.have.length(1)
+        const invalid = await fetch(`${base}/events?fromBlock=abc`)
+        expect(invalid.status).to.equal(400)
+        expect((await invalid.json()).error).to.equal("fromBlock must be a non-negative integer")
+        expect((await fetch(`${base}/events?toBlock=1.5`)).status).to.equal(400)
+      } finally {
+        server.close()
+      }
+    })
+  })
+})
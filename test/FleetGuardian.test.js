@@ -0,0 +1,355 @@
+const { expect } = require("chai")
+const { ethers, upgrades } = require("hardhat")
+const { haltFleet, verifyHalt, formatHaltReport } = require("../scripts/lib/guardian")
+const { deployAgentModules } = require("../scripts/lib/agent-modules")
+
+describe("Fleet Guardian", () => {
+  let deployer, guardianSigner, outsider
+  let weth, usdc, router, priceFeed, vault, otherVault, factory, guardian
+  let agentA, agentB, otherAgent, standalone
+  let vaultAddress
+
+  const AI_CONFIDENCE = 8000
+  const RESUME_DELAY = 3600
+  const usd = (value) => BigInt(value) * 10n ** 8n
+  const deadline = async () => (await ethers.provider.getBlock("latest")).timestamp + 3600
+  const increaseTime = async (seconds) => {
+    await ethers.provider.send("evm_increaseTime", [seconds])
+    await ethers.provider.send("evm_mine")
+  }
+
+  const CONFIG = {
+    priceThreshold: usd(2000),
+    maxTradeSize: ethers.parseEther("100"),
+    dailyTradeLimit: ethers.parseEther("1000"),
+    cooldownPeriod: 0,
+    maxSlippage: 300,
+    confidenceThreshold: 7000,
+  }
+
+  // Router rates for a given ETH/USD price, in raw units per 1e18
+  const setMarket = async (price) => {
+    await priceFeed.updatePrice(usd(price))
+    await router.setExchangeRate(await weth.getAddress(), await usdc.getAddress(), BigInt(price) * 10n ** 6n)
+    await router.setExchangeRate(await usdc.getAddress(), await weth.getAddress(), 10n ** 30n / BigInt(price))
+  }
+
+  const buy = async (agent, amount) =>
+    agent.triggerTrade(ethers.parseEther(amount), 0, await deadline(), AI_CONFIDENCE)
+
+  const createAgent = async (agentVault) => {
+    const args = [
+      await agentVault.getAddress(),
+      await weth.getAddress(),
+      await usdc.getAddress(),
+      await priceFeed.getAddress(),
+      CONFIG,
+    ]
+    const address = await factory.createAgent.staticCall(...args)
+    await factory.createAgent(...args)
+    await agentVault.addBuilderAgent(address)
+    return ethers.getContractAt("BuilderAgent", address)
+  }
+
+  beforeEach(async () => {
+    ;[deployer, guardianSigner, outsider] = await ethers.getSigners()
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20")
+    weth = await MockERC20.deploy("Mock WETH", "mWETH", 18, ethers.parseEther("1000000"))
+    usdc = await MockERC20.deploy("Mock USDC", "mUSDC", 6, 0)
+
+    const MockUniswapRouter = await ethers.getContractFactory("MockUniswapRouter")
+    router = await MockUniswapRouter.deploy()
+    await usdc.mint(await router.getAddress(), ethers.parseUnits("10000000", 6))
+    await weth.mint(await router.getAddress(), ethers.parseEther("10000"))
+
+    const MockChainlinkPriceFeed = await ethers.getContractFactory("MockChainlinkPriceFeed")
+    priceFeed = await MockChainlinkPriceFeed.deploy(8, "ETH/USD", 1, usd(2500))
+    await setMarket(2500)
+
+    const CuttlefishVault = await ethers.getContractFactory("CuttlefishVault")
+    const vaultArgs = [await weth.getAddress(), deployer.address, deployer.address, await router.getAddress()]
+    vault = await upgrades.deployProxy(CuttlefishVault, vaultArgs)
+    otherVault = await upgrades.deployProxy(CuttlefishVault, vaultArgs)
+    vaultAddress = await vault.getAddress()
+    await weth.mint(vaultAddress, ethers.parseEther("1000"))
+    await weth.mint(await otherVault.getAddress(), ethers.parseEther("1000"))
+
+    const FleetGuardian = await ethers.getContractFactory("FleetGuardian")
+    guardian = await FleetGuardian.deploy(RESUME_DELAY)
+    await guardian.grantRole(await guardian.GUARDIAN_ROLE(), guardianSigner.address)
+
+    const BuilderAgentFactory = await ethers.getContractFactory("BuilderAgentFactory")
+    factory = await BuilderAgentFactory.deploy(await deployAgentModules(ethers, "BuilderAgent"))
+    await factory.setFleetGuardian(await guardian.getAddress())
+
+    agentA = await createAgent(vault)
+    agentB = await createAgent(vault)
+    otherAgent = await createAgent(otherVault)
+
+    const BuilderAgent = await ethers.getContractFactory("BuilderAgent")
+    standalone = await BuilderAgent.deploy(
+      await otherVault.getAddress(),
+      await weth.getAddress(),
+      await usdc.getAddress(),
+      await priceFeed.getAddress(),
+      CONFIG,
+      await deployAgentModules(ethers, "BuilderAgent"),
+    )
+    await standalone.grantRole(await standalone.AI_ROLE(), deployer.address)
+    await standalone.setGuardian(await guardian.getAddress())
+    await otherVault.addBuilderAgent(await standalone.getAddress())
+  })
+
+  describe("Halting", () => {
+    it("Should halt every agent of a vault in one call", async () => {
+      await expect(guardian.connect(guardianSigner).halt(vaultAddress, "Oracle incident"))
+        .to.emit(guardian, "FleetHalted")
+        .withArgs(vaultAddress, guardianSigner.address, "Oracle incident")
+
+      for (const agent of [agentA, agentB]) {
+        await expect(buy(agent, "1")).to.be.revertedWithCustomError(agent, "FleetHaltActive")
+        expect(await agent.canTrade(ethers.parseEther("1"), AI_CONFIDENCE)).to.deep.equal([false, "Fleet halted"])
+        expect((await agent.getTradingStats())._canTrade).to.equal(false)
+      }
+
+      // Other vaults keep trading
+      await expect(buy(otherAgent, "1")).to.emit(otherAgent, "TradeTriggered")
+      await expect(buy(standalone, "1")).to.emit(standalone, "TradeTriggered")
+    })
+
+    it("Should halt every vault at once", async () => {
+      await guardian.connect(guardianSigner).halt(await guardian.ALL_VAULTS(), "Market-wide incident")
+
+      expect(await guardian.isHalted(vaultAddress)).to.equal(true)
+      for (const agent of [agentA, agentB, otherAgent, standalone]) {
+        expect(await agent.isFleetHalted()).to.equal(true)
+        await expect(buy(agent, "1")).to.be.revertedWithCustomError(agent, "FleetHaltActive")
+      }
+    })
+
+    it("Should halt sells and keep expired scheduled orders closable", async () => {
+      await buy(agentA, "2")
+      const latest = (await ethers.provider.getBlock("latest")).timestamp
+      await agentA.createScheduledOrder(ethers.parseEther("2"), ethers.parseEther("1"), 60, 0, latest + 600)
+      await guardian.connect(guardianSigner).halt(vaultAddress, "Incident")
+
+      const position = (await agentA.positions(await usdc.getAddress())).amount
+      await expect(
+        agentA.triggerSell(await usdc.getAddress(), position, 0, await deadline(), AI_CONFIDENCE),
+      ).to.be.revertedWithCustomError(agentA, "FleetHaltActive")
+      expect(await agentA.canSell(await usdc.getAddress(), position, AI_CONFIDENCE)).to.deep.equal([
+        false,
+        "Fleet halted",
+      ])
+
+      expect((await agentA.checkUpkeep("0x"))[0]).to.equal(false)
+      await expect(agentA.performUpkeep(ethers.AbiCoder.defaultAbiCoder().encode(["uint256"], [1])))
+        .to.be.revertedWithCustomError(agentA, "FleetHaltActive")
+
+      await increaseTime(600)
+      const [upkeepNeeded, performData] = await agentA.checkUpkeep("0x")
+      expect(upkeepNeeded).to.equal(true)
+      await expect(agentA.performUpkeep(performData)).to.emit(agentA, "ScheduledOrderClosed")
+    })
+
+    it("Should restrict who halts, resumes and reports trades", async () => {
+      await expect(guardian.connect(outsider).halt(vaultAddress, "Nope")).to.be.revertedWithCustomError(
+        guardian,
+        "AccessControlUnauthorizedAccount",
+      )
+      await guardian.connect(guardianSigner).halt(vaultAddress, "Incident")
+      await expect(guardian.connect(guardianSigner).scheduleResume(vaultAddress)).to.be.revertedWithCustomError(
+        guardian,
+        "AccessControlUnauthorizedAccount",
+      )
+      await expect(guardian.connect(outsider).setCircuitBreaker(vaultAddress, 1, 1)).to.be.revertedWithCustomError(
+        guardian,
+        "AccessControlUnauthorizedAccount",
+      )
+
+      // Only the vault's own agents may feed its breaker
+      await expect(guardian.connect(outsider).recordTrade(vaultAddress, 1, 0)).to.be.revertedWith("Not a vault agent")
+    })
+  })
+
+  describe("Resuming", () => {
+    beforeEach(async () => {
+      await guardian.connect(guardianSigner).halt(vaultAddress, "Incident")
+    })
+
+    it("Should only resume once the timelock has passed", async () => {
+      await expect(guardian.resume(vaultAddress)).to.be.revertedWith("Resume not scheduled")
+      await expect(guardian.scheduleResume(await otherVault.getAddress())).to.be.revertedWith("Not halted")
+
+      const tx = await guardian.scheduleResume(vaultAddress)
+      const resumeAt = (await ethers.provider.getBlock(tx.blockNumber)).timestamp + RESUME_DELAY
+      await expect(tx).to.emit(guardian, "ResumeScheduled").withArgs(vaultAddress, deployer.address, resumeAt)
+      await expect(guardian.resume(vaultAddress)).to.be.revertedWith("Resume timelocked")
+      await expect(buy(agentA, "1")).to.be.revertedWithCustomError(agentA, "FleetHaltActive")
+
+      await increaseTime(RESUME_DELAY)
+      await setMarket(2500) // Keep the feed fresh
+      await expect(guardian.resume(vaultAddress)).to.emit(guardian, "FleetResumed").withArgs(vaultAddress, deployer.address)
+      expect((await guardian.halts(vaultAddress)).active).to.equal(false)
+      await expect(buy(agentA, "1")).to.emit(agentA, "TradeTriggered")
+    })
+
+    it("Should let guardians keep a halt in place", async () => {
+      await guardian.scheduleResume(vaultAddress)
+      await expect(guardian.connect(guardianSigner).cancelResume(vaultAddress))
+        .to.emit(guardian, "ResumeCancelled")
+        .withArgs(vaultAddress, guardianSigner.address)
+      await increaseTime(RESUME_DELAY)
+      await expect(guardian.resume(vaultAddress)).to.be.revertedWith("Resume not scheduled")
+
+      // Halting again also drops a scheduled resume
+      await guardian.scheduleResume(vaultAddress)
+      await guardian.connect(guardianSigner).halt(vaultAddress, "Still investigating")
+      await increaseTime(RESUME_DELAY)
+      await expect(guardian.resume(vaultAddress)).to.be.revertedWith("Resume not scheduled")
+    })
+
+    it("Should bound the resume delay", async () => {
+      const FleetGuardian = await ethers.getContractFactory("FleetGuardian")
+      await expect(FleetGuardian.deploy(7 * 24 * 3600 + 1)).to.be.revertedWith("Resume delay too long")
+
+      await expect(guardian.setResumeDelay(60)).to.emit(guardian, "ResumeDelayUpdated").withArgs(RESUME_DELAY, 60)
+      await expect(guardian.setResumeDelay(7 * 24 * 3600 + 1)).to.be.revertedWith("Resume delay too long")
+    })
+  })
+
+  describe("Circuit breaker", () => {
+    it("Should trip when the vault's daily volume crosses its limit", async () => {
+      await expect(guardian.setCircuitBreaker(vaultAddress, ethers.parseEther("5"), 0))
+        .to.emit(guardian, "CircuitBreakerUpdated")
+        .withArgs(vaultAddress, ethers.parseEther("5"), 0)
+      await expect(guardian.setCircuitBreaker(await guardian.ALL_VAULTS(), 1, 1)).to.be.revertedWith("Invalid vault")
+
+      await expect(buy(agentA, "3"))
+        .to.emit(guardian, "TradeRecorded")
+        .withArgs(vaultAddress, await agentA.getAddress(), ethers.parseEther("3"), 0)
+      await buy(otherAgent, "10") // Other vaults count separately
+
+      // The trade that crosses the limit completes and halts the fleet behind it
+      await expect(buy(agentB, "3"))
+        .to.emit(guardian, "CircuitBreakerTripped")
+        .withArgs(vaultAddress, ethers.parseEther("6"), 0)
+        .and.to.emit(guardian, "FleetHalted")
+        .withArgs(vaultAddress, await agentB.getAddress(), "Daily volume limit")
+      expect((await guardian.halts(vaultAddress)).reason).to.equal("Daily volume limit")
+      await expect(buy(agentA, "1")).to.be.revertedWithCustomError(agentA, "FleetHaltActive")
+
+      // Resuming starts the day's count afresh
+      await guardian.scheduleResume(vaultAddress)
+      await increaseTime(RESUME_DELAY)
+      await setMarket(2500)
+      await guardian.resume(vaultAddress)
+      expect((await guardian.dailyActivity(vaultAddress)).volume).to.equal(0)
+      await expect(buy(agentA, "3")).to.not.emit(guardian, "CircuitBreakerTripped")
+    })
+
+    it("Should count volume per day", async () => {
+      await guardian.setCircuitBreaker(vaultAddress, ethers.parseEther("5"), 0)
+      await buy(agentA, "4")
+
+      await increaseTime(24 * 3600)
+      await setMarket(2500)
+      await expect(buy(agentB, "4")).to.not.emit(guardian, "CircuitBreakerTripped")
+      expect((await guardian.dailyActivity(vaultAddress)).volume).to.equal(ethers.parseEther("4"))
+    })
+
+    it("Should trip when the vault's realized loss crosses its limit", async () => {
+      await guardian.setCircuitBreaker(vaultAddress, 0, ethers.parseEther("0.3"))
+      await buy(agentA, "2")
+
+      // The vault asset got dearer: the 5000 USDC bought for 2 WETH sell for 5/3 WETH
+      await setMarket(3000)
+      const position = (await agentA.positions(await usdc.getAddress())).amount
+      const loss = ethers.parseEther("2") - 10n ** 30n / 3000n * 5000n / 10n ** 12n
+      await expect(agentA.triggerSell(await usdc.getAddress(), position, 0, await deadline(), AI_CONFIDENCE))
+        .to.emit(guardian, "CircuitBreakerTripped")
+        .withArgs(vaultAddress, ethers.parseEther("2"), -loss)
+        .and.to.emit(guardian, "FleetHalted")
+        .withArgs(vaultAddress, await agentA.getAddress(), "Daily loss limit")
+      expect(await agentB.isFleetHalted()).to.equal(true)
+    })
+  })
+
+  describe("Agent wiring", () => {
+    it("Should put factory agents under the factory's guardian", async () => {
+      const guardianAddress = await guardian.getAddress()
+      expect(await agentA.fleetGuardian()).to.equal(guardianAddress)
+      expect(await standalone.fleetGuardian()).to.equal(guardianAddress)
+
+      // Creators cannot detach their agents
+      await expect(agentA.setGuardian(ethers.ZeroAddress)).to.be.revertedWithCustomError(agentA, "UnauthorizedAccess")
+      await expect(factory.connect(outsider).setFleetGuardian(ethers.ZeroAddress)).to.be.revertedWithCustomError(
+        factory,
+        "OwnableUnauthorizedAccount",
+      )
+
+      await guardian.connect(guardianSigner).halt(vaultAddress, "Incident")
+      await expect(factory.setFleetGuardian(ethers.ZeroAddress))
+        .to.emit(factory, "FleetGuardianUpdated")
+        .withArgs(guardianAddress, ethers.ZeroAddress)
+      expect(await agentA.isFleetHalted()).to.equal(false)
+    })
+
+    it("Should let standalone agent admins choose their guardian", async () => {
+      await expect(standalone.connect(outsider).setGuardian(ethers.ZeroAddress)).to.be.revertedWithCustomError(
+        standalone,
+        "AccessControlUnauthorizedAccount",
+      )
+      await expect(standalone.setGuardian(ethers.ZeroAddress))
+        .to.emit(standalone, "GuardianUpdated")
+        .withArgs(await guardian.getAddress(), ethers.ZeroAddress)
+
+      await guardian.connect(guardianSigner).halt(await guardian.ALL_VAULTS(), "Incident")
+      expect(await standalone.isFleetHalted()).to.equal(false)
+    })
+  })
+
+  describe("Panic command library", () => {
+    it("Should halt a vault and verify every agent of it stopped", async () => {
+      const receipt = await haltFleet(guardian.connect(guardianSigner), { vault: vaultAddress, reason: "Panic" })
+      expect(receipt.status).to.equal(1)
+
+      const report = await verifyHalt(guardian, { factory, vault: vaultAddress })
+      expect(report.ok).to.equal(true)
+      expect(report.agents.map((entry) => entry.agent)).to.deep.equal([
+        await agentA.getAddress(),
+        await agentB.getAddress(),
+      ])
+      expect(formatHaltReport(report)).to.include(`✅ ${await agentA.getAddress()}: halted`)
+    })
+
+    it("Should flag agents a global halt does not reach", async () => {
+      const BuilderAgent = await ethers.getContractFactory("BuilderAgent")
+      const unguarded = await BuilderAgent.deploy(
+        vaultAddress,
+        await weth.getAddress(),
+        await usdc.getAddress(),
+        await priceFeed.getAddress(),
+        CONFIG,
+        await deployAgentModules(ethers, "BuilderAgent"),
+      )
+      const agents = [await standalone.getAddress(), await unguarded.getAddress()]
+
+      // Retired agents cannot trade anyway and are skipped
+      await factory.retireAgent(await otherAgent.getAddress(), [])
+
+      await haltFleet(guardian, { reason: "Panic" })
+      const report = await verifyHalt(guardian, { factory, agents })
+      expect(report.ok).to.equal(false)
+      expect(report.guardianHalted).to.equal(true)
+      expect(report.agents.map((entry) => entry.agent)).to.deep.equal([
+        ...agents,
+        await agentA.getAddress(),
+        await agentB.getAddress(),
+      ])
+      expect(report.agents[1]).to.include({ covered: false, halted: false })
+      expect(formatHaltReport(report)).to.include(`❌ ${await unguarded.getAddress()}: not covered (no guardian)`)
+    })
+  })
+})
@@ -0,0 +1,247 @@
+const { expect } = require("chai")
+const { ethers, upgrades } = require("hardhat")
+const { decodeFunctionsRequest } = require("../scripts/lib/cbor")
+const { executeSource, FunctionsSimulator, rewritePrefix } = require("../scripts/lib/functions-simulator")
+const { startHttpStub } = require("../scripts/lib/http-stub")
+const { deployAgentModules } = require("../scripts/lib/agent-modules")
+
+describe("Chainlink Functions Simulator", () => {
+  let deployer
+  let mockAsset, vault, builderAgent, complianceEngine, functionsRouter
+  let predictApi, prediction, simulator
+
+  const API_URL = "https://api.cuttlefishlabs.com"
+
+  const requestPrediction = async () => {
+    const receipt = await (await builderAgent.requestPricePrediction()).wait()
+    const event = receipt.logs
+      .map((log) => functionsRouter.interface.parseLog(log))
+      .find((e) => e && e.name === "RequestSent")
+    return event.args.requestId
+  }
+
+  beforeEach(async () => {
+    ;[deployer] = await ethers.getSigners()
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20")
+    mockAsset = await MockERC20.deploy("Mock WETH", "mWETH", 18, ethers.parseEther("1000000"))
+    const mockTokenOut = await MockERC20.deploy("Mock USDC", "mUSDC", 6, ethers.parseUnits("1000000", 6))
+
+    const MockChainlinkPriceFeed = await ethers.getContractFactory("MockChainlinkPriceFeed")
+    const priceFeed = await MockChainlinkPriceFeed.deploy(8, "ETH/USD", 1, 2500 * 10 ** 8)
+    const ecoFeed = await MockChainlinkPriceFeed.deploy(8, "ECO/SCORE", 1, 500)
+
+    const ComplianceEngine = await ethers.getContractFactory("ComplianceEngine")
+    complianceEngine = await ComplianceEngine.deploy()
+
+    const MockFunctionsRouter = await ethers.getContractFactory("MockFunctionsRouter")
+    functionsRouter = await MockFunctionsRouter.deploy()
+
+    const MockUniswapRouter = await ethers.getContractFactory("MockUniswapRouter")
+    const mockRouter = await MockUniswapRouter.deploy()
+    await mockTokenOut.mint(await mockRouter.getAddress(), ethers.parseUnits("10000000", 6))
+    // Fill at the feed price so trades clear the agent's oracle-derived minimum output
+    await mockRouter.setExchangeRate(await mockAsset.getAddress(), await mockTokenOut.getAddress(), 2500n * 10n ** 6n)
+
+    const CuttlefishVault = await ethers.getContractFactory("CuttlefishVault")
+    vault = await upgrades.deployProxy(CuttlefishVault, [
+      await mockAsset.getAddress(),
+      deployer.address,
+      deployer.address,
+      await mockRouter.getAddress(),
+    ])
+
+    const EnhancedBuilderAgent = await ethers.getContractFactory("EnhancedBuilderAgent")
+    builderAgent = await EnhancedBuilderAgent.deploy(
+      await vault.getAddress(),
+      await mockAsset.getAddress(),
+      await mockTokenOut.getAddress(),
+      await priceFeed.getAddress(),
+      await ecoFeed.getAddress(),
+      await complianceEngine.getAddress(),
+      await functionsRouter.getAddress(),
+      {
+        priceThreshold: 2000n * 10n ** 8n,
+        maxTradeSize: ethers.parseEther("100"),
+        dailyTradeLimit: ethers.parseEther("1000"),
+        cooldownPeriod: 300,
+        maxSlippage: 300,
+        confidenceThreshold: 7000,
+        deviationThreshold: 1000,
+        ecoThreshold: 1000,
+        predictionInterval: 3600,
+      },
+      1,
+      ethers.encodeBytes32String("test-don"),
+      await deployAgentModules(ethers, "EnhancedBuilderAgent"),
+    )
+
+    await vault.addBuilderAgent(await builderAgent.getAddress())
+    await builderAgent.grantRole(await builderAgent.KEEPER_ROLE(), deployer.address)
+    await mockAsset.mint(await vault.getAddress(), ethers.parseEther("10000"))
+
+    // Local stand-in for the prediction API
+    prediction = { prediction: 2650.5, confidence: 0.85, anomaly_score: 0.1 }
+    predictApi = await startHttpStub((request) =>
+      request.path === "/predict" ? { body: prediction } : { status: 404, body: { error: "Not found" } },
+    )
+
+    simulator = new FunctionsSimulator({ router: functionsRouter, rewriteUrl: rewritePrefix(API_URL, predictApi.url) })
+  })
+
+  afterEach(async () => {
+    await predictApi.close()
+  })
+
+  describe("Request decoding", () => {
+    it("Should decode the CBOR request into the agent's source and args", async () => {
+      const requestId = await requestPrediction()
+      const request = await functionsRouter.getRequest(requestId)
+
+      const decoded = decodeFunctionsRequest(request.data)
+
+      expect(request.client).to.equal(await builderAgent.getAddress())
+      expect(decoded.codeLocation).to.equal(0n) // Inline
+      expect(decoded.language).to.equal(0n) // JavaScript
+      expect(decoded.source).to.equal(await builderAgent.AI_PREDICTION_SOURCE())
+      expect(decoded.args).to.deep.equal([API_URL, "ETH/USD", "1h", "price,volume,sentiment"])
+    })
+  })
+
+  describe("Source execution", () => {
+    it("Should call the /predict endpoint and encode the result as three uint256 words", async () => {
+      const source = await builderAgent.AI_PREDICTION_SOURCE()
+
+      const { response, error } = await executeSource(source, [predictApi.url, "ETH/USD", "1h"])
+
+      expect(error).to.be.undefined
+      const [predicted, confidence, anomaly] = ethers.AbiCoder.defaultAbiCoder().decode(
+        ["uint256", "uint256", "uint256"],
+        response,
+      )
+      expect(predicted).to.equal(265050000000n)
+      expect(confidence).to.equal(8500n)
+      expect(anomaly).to.equal(0n)
+
+      expect(predictApi.requests).to.have.length(1)
+      expect(predictApi.requests[0].method).to.equal("POST")
+      expect(predictApi.requests[0].body).to.deep.equal({
+        symbol: "ETH/USD",
+        timeframe: "1h",
+        features: ["price", "volume", "sentiment"],
+      })
+    })
+
+    it("Should surface API failures as execution errors", async () => {
+      const failing = await startHttpStub(() => ({ status: 503, body: { error: "model offline" } }))
+      try {
+        const source = await builderAgent.AI_PREDICTION_SOURCE()
+        const { response, error } = await executeSource(source, [failing.url, "ETH/USD", "1h"])
+
+        expect(response).to.be.undefined
+        expect(error).to.equal("API Error: HTTP 503")
+      } finally {
+        await failing.close()
+      }
+    })
+
+    it("Should reject sources that do not return bytes", async () => {
+      const { error } = await executeSource("return 42")
+      expect(error).to.equal("returned value not an ArrayBuffer or Uint8Array")
+    })
+  })
+
+  describe("End-to-end fulfillment", () => {
+    it("Should run prediction → compliance → NFT mint → auto-trade", async () => {
+      const requestId = await requestPrediction()
+
+      const result = await simulator.fulfill(requestId)
+
+      // The callback runs within CALLBACK_GAS_LIMIT, as enforced by the router, and only
+      // stores the answer
+      expect(result.callbackSucceeded).to.be.true
+      await expect(result.receipt).to.emit(builderAgent, "PredictionReceived").withArgs(requestId)
+      await expect(result.receipt).not.to.emit(builderAgent, "PredictionFulfilled")
+      expect(await builderAgent.pendingReviewRequestId()).to.equal(requestId)
+
+      // The next upkeep reviews it, mints and trades
+      const [upkeepNeeded, performData] = await builderAgent.checkUpkeep("0x")
+      expect(upkeepNeeded).to.be.true
+
+      const upkeep = builderAgent.performUpkeep(performData)
+      await expect(upkeep).to.emit(builderAgent, "PredictionFulfilled").withArgs(requestId, 265050000000n, 8500n, false, 1)
+      await expect(upkeep).to.emit(builderAgent, "ComplianceValidated").withArgs(requestId, true)
+      await expect(upkeep).to.emit(builderAgent, "TradeTriggered")
+      await expect(upkeep).to.emit(vault, "TradeExecuted")
+
+      expect(await builderAgent.ownerOf(1)).to.equal(await builderAgent.getAddress())
+      expect(await builderAgent.pendingRequestsCount()).to.equal(0)
+      expect(await builderAgent.totalTrades()).to.equal(1)
+      expect(await builderAgent.pendingReviewRequestId()).to.equal(ethers.ZeroHash)
+    })
+
+    it("Should not review a prediction twice", async () => {
+      const requestId = await requestPrediction()
+      await simulator.fulfill(requestId)
+      const [, performData] = await builderAgent.checkUpkeep("0x")
+
+      await builderAgent.performUpkeep(performData)
+
+      await expect(builderAgent.performUpkeep(performData)).to.be.revertedWithCustomError(
+        builderAgent,
+        "NoPendingReview",
+      )
+    })
+
+    it("Should not mint or trade when compliance rejects the prediction", async () => {
+      const MockChainlinkPriceFeed = await ethers.getContractFactory("MockChainlinkPriceFeed")
+      const volatilityFeed = await MockChainlinkPriceFeed.deploy(8, "VOLATILITY", 1, 2500) // 25% volatility
+      await complianceEngine.setFeeds(await volatilityFeed.getAddress(), ethers.ZeroAddress)
+      const requestId = await requestPrediction()
+      await simulator.fulfill(requestId)
+
+      const [, performData] = await builderAgent.checkUpkeep("0x")
+      const upkeep = builderAgent.performUpkeep(performData)
+
+      await expect(upkeep).to.emit(builderAgent, "ComplianceValidated").withArgs(requestId, false)
+      await expect(upkeep).not.to.emit(builderAgent, "PredictionFulfilled")
+      expect(await complianceEngine.approvedPredictions(requestId)).to.be.false
+      expect(await builderAgent.totalTrades()).to.equal(0)
+      expect(await builderAgent.pendingRequestsCount()).to.equal(0)
+    })
+
+    it("Should not trade on anomalous predictions", async () => {
+      prediction = { prediction: 2650.5, confidence: 0.9, anomaly_score: 0.95 }
+      const requestId = await requestPrediction()
+      await simulator.fulfill(requestId)
+
+      const [, performData] = await builderAgent.checkUpkeep("0x")
+      const upkeep = builderAgent.performUpkeep(performData)
+
+      await expect(upkeep).to.emit(builderAgent, "PredictionFulfilled").withArgs(requestId, 265050000000n, 9000n, true, 1)
+      await expect(upkeep).not.to.emit(builderAgent, "TradeTriggered")
+      expect(await builderAgent.totalTrades()).to.equal(0)
+    })
+
+    it("Should deliver execution errors through the error callback", async () => {
+      prediction = { confidence: 0.9 } // missing prediction
+      const requestId = await requestPrediction()
+
+      const result = await simulator.fulfill(requestId)
+
+      expect(result.error).to.equal("API Error: Invalid response")
+      expect(result.callbackSucceeded).to.be.true
+      expect((await builderAgent.predictions(requestId)).fulfilled).to.be.false
+      expect(await builderAgent.pendingRequestsCount()).to.equal(0)
+    })
+
+    it("Should fulfill all pending requests", async () => {
+      await requestPrediction()
+
+      const results = await simulator.fulfillPending()
+
+      expect(results).to.have.length(1)
+      expect(await simulator.fulfillPending()).to.have.length(0)
+    })
+  })
+})
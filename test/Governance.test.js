@@ -0,0 +1,357 @@
+const { expect } = require("chai")
+const { ethers, upgrades } = require("hardhat")
+const {
+  encodeChange,
+  proposeChange,
+  executeChange,
+  applyChange,
+  listPendingChanges,
+  describeChange,
+} = require("../scripts/lib/governance")
+const { deployAgentModules } = require("../scripts/lib/agent-modules")
+
+describe("Agent Governance", () => {
+  let deployer, emergency, user
+  let weth, usdc, router, priceFeed, vault
+
+  const DELAY = 24 * 60 * 60
+  const usd = (value) => BigInt(value) * 10n ** 8n
+  const CONFIG = {
+    priceThreshold: usd(2000),
+    maxTradeSize: ethers.parseEther("100"),
+    dailyTradeLimit: ethers.parseEther("1000"),
+    cooldownPeriod: 0,
+    maxSlippage: 300,
+    confidenceThreshold: 7000,
+  }
+
+  const latest = async () => (await ethers.provider.getBlock("latest")).timestamp
+  const increaseTime = async (seconds) => {
+    await ethers.provider.send("evm_increaseTime", [seconds])
+    await ethers.provider.send("evm_mine")
+  }
+
+  const deployFeed = async (decimals, answer) => {
+    const MockChainlinkPriceFeed = await ethers.getContractFactory("MockChainlinkPriceFeed")
+    return MockChainlinkPriceFeed.deploy(decimals, "ETH/USD", 1, answer)
+  }
+
+  beforeEach(async () => {
+    ;[deployer, emergency, user] = await ethers.getSigners()
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20")
+    weth = await MockERC20.deploy("Mock WETH", "mWETH", 18, ethers.parseEther("1000000"))
+    usdc = await MockERC20.deploy("Mock USDC", "mUSDC", 6, 0)
+
+    const MockUniswapRouter = await ethers.getContractFactory("MockUniswapRouter")
+    router = await MockUniswapRouter.deploy()
+    priceFeed = await deployFeed(8, usd(2500))
+
+    const CuttlefishVault = await ethers.getContractFactory("CuttlefishVault")
+    vault = await upgrades.deployProxy(CuttlefishVault, [
+      await weth.getAddress(),
+      deployer.address,
+      deployer.address,
+      await router.getAddress(),
+    ])
+  })
+
+  describe("BuilderAgent", () => {
+    let agent
+
+    beforeEach(async () => {
+      const BuilderAgent = await ethers.getContractFactory("BuilderAgent")
+      agent = await BuilderAgent.deploy(
+        await vault.getAddress(),
+        await weth.getAddress(),
+        await usdc.getAddress(),
+        await priceFeed.getAddress(),
+        CONFIG,
+        await deployAgentModules(ethers, "BuilderAgent"),
+      )
+      await agent.grantRole(await agent.EMERGENCY_ROLE(), emergency.address)
+      await applyChange(agent, "setGovernanceDelay", [DELAY])
+    })
+
+    it("Should execute proposed changes once the delay has passed", async () => {
+      const config = { ...CONFIG, priceThreshold: usd(3000) }
+      const data = encodeChange(agent, "updateTradingConfig", [config])
+      const changeId = ethers.keccak256(data)
+      const selector = agent.interface.getFunction("updateTradingConfig").selector
+
+      await expect(agent.proposeChange(data))
+        .to.emit(agent, "ChangeProposed")
+        .withArgs(changeId, selector, data, (await latest()) + 1 + DELAY)
+      const executableAt = await agent.pendingChanges(changeId)
+
+      await expect(agent.executeChange(data))
+        .to.be.revertedWithCustomError(agent, "ChangeNotReady")
+        .withArgs(changeId, executableAt)
+
+      await increaseTime(DELAY)
+      await expect(agent.executeChange(data))
+        .to.emit(agent, "TradingConfigUpdated")
+        .and.to.emit(agent, "ChangeExecuted")
+        .withArgs(changeId, deployer.address)
+      expect((await agent.config()).priceThreshold).to.equal(usd(3000))
+      expect(await agent.pendingChanges(changeId)).to.equal(0)
+
+      // Executed changes cannot be replayed
+      await expect(agent.executeChange(data)).to.be.revertedWithCustomError(agent, "ChangeNotPending").withArgs(changeId)
+    })
+
+    it("Should only change governed settings through executeChange", async () => {
+      const registry = await vault.getAddress()
+
+      await expect(agent.updateTradingConfig(CONFIG)).to.be.revertedWithCustomError(agent, "UnauthorizedAccess")
+      await expect(agent.setPriceFeed(await priceFeed.getAddress())).to.be.revertedWithCustomError(
+        agent,
+        "UnauthorizedAccess",
+      )
+      await expect(agent.setComplianceEngine(ethers.ZeroAddress)).to.be.revertedWithCustomError(
+        agent,
+        "UnauthorizedAccess",
+      )
+      await expect(agent.disableCompliance()).to.be.revertedWithCustomError(agent, "UnauthorizedAccess")
+      await expect(agent.setKeeperRegistry(registry)).to.be.revertedWithCustomError(agent, "UnauthorizedAccess")
+      await expect(agent.setGovernanceDelay(DELAY)).to.be.revertedWithCustomError(agent, "UnauthorizedAccess")
+      await expect(agent.addPriceSource(registry)).to.be.revertedWithCustomError(agent, "UnauthorizedAccess")
+      await expect(agent.removePriceSource(registry)).to.be.revertedWithCustomError(agent, "UnauthorizedAccess")
+      await expect(agent.setPriceDeviationThreshold(500)).to.be.revertedWithCustomError(agent, "UnauthorizedAccess")
+      await expect(agent.setIntermediateToken(registry, true)).to.be.revertedWithCustomError(agent, "UnauthorizedAccess")
+      await expect(agent.setDefaultRoute(registry, [])).to.be.revertedWithCustomError(agent, "UnauthorizedAccess")
+
+      // Only the admin proposes and executes
+      const data = encodeChange(agent, "setKeeperRegistry", [registry])
+      await expect(agent.connect(user).proposeChange(data)).to.be.revertedWithCustomError(
+        agent,
+        "AccessControlUnauthorizedAccount",
+      )
+      await agent.proposeChange(data)
+      await increaseTime(DELAY)
+      await expect(agent.connect(user).executeChange(data)).to.be.revertedWithCustomError(
+        agent,
+        "AccessControlUnauthorizedAccount",
+      )
+      await expect(agent.executeChange(data))
+        .to.emit(agent, "KeeperRegistryUpdated")
+        .withArgs(ethers.ZeroAddress, registry)
+    })
+
+    it("Should reject ungoverned and duplicate proposals", async () => {
+      const pause = agent.interface.encodeFunctionData("pause")
+      await expect(agent.proposeChange(pause))
+        .to.be.revertedWithCustomError(agent, "ChangeNotGoverned")
+        .withArgs(agent.interface.getFunction("pause").selector)
+
+      const { changeId, data } = await proposeChange(agent, "setKeeperRegistry", [user.address])
+      await expect(agent.proposeChange(data))
+        .to.be.revertedWithCustomError(agent, "ChangeAlreadyProposed")
+        .withArgs(changeId)
+    })
+
+    it("Should let only the emergency role cancel pending changes", async () => {
+      const { changeId, data } = await proposeChange(agent, "setComplianceEngine", [user.address])
+
+      await expect(agent.connect(user).cancelChange(changeId)).to.be.revertedWithCustomError(
+        agent,
+        "AccessControlUnauthorizedAccount",
+      )
+      await expect(agent.connect(emergency).cancelChange(changeId))
+        .to.emit(agent, "ChangeCancelled")
+        .withArgs(changeId, emergency.address)
+
+      await increaseTime(DELAY)
+      await expect(agent.executeChange(data)).to.be.revertedWithCustomError(agent, "ChangeNotPending")
+      await expect(agent.connect(emergency).cancelChange(changeId)).to.be.revertedWithCustomError(
+        agent,
+        "ChangeNotPending",
+      )
+      expect(await agent.complianceEngine()).to.equal(ethers.ZeroAddress)
+    })
+
+    it("Should start new agents at the minimum delay", async () => {
+      const BuilderAgent = await ethers.getContractFactory("BuilderAgent")
+      const fresh = await BuilderAgent.deploy(
+        await vault.getAddress(),
+        await weth.getAddress(),
+        await usdc.getAddress(),
+        await priceFeed.getAddress(),
+        CONFIG,
+        await deployAgentModules(ethers, "BuilderAgent"),
+      )
+      const minimum = await fresh.MIN_GOVERNANCE_DELAY()
+
+      expect(minimum).to.be.greaterThan(0)
+      expect(await fresh.governanceDelay()).to.equal(minimum)
+      const { executableAt } = await proposeChange(fresh, "setKeeperRegistry", [user.address])
+      expect(executableAt).to.equal(BigInt(await latest()) + minimum)
+    })
+
+    it("Should govern the delay itself", async () => {
+      expect(await agent.governanceDelay()).to.equal(DELAY)
+
+      const tooLong = (await agent.MAX_GOVERNANCE_DELAY()) + 1n
+      await proposeChange(agent, "setGovernanceDelay", [tooLong])
+      await increaseTime(DELAY)
+      await expect(executeChange(agent, "setGovernanceDelay", [tooLong])).to.be.revertedWith(
+        "Governance delay too long",
+      )
+
+      for (const tooShort of [0, 60]) {
+        await proposeChange(agent, "setGovernanceDelay", [tooShort])
+        await increaseTime(DELAY)
+        await expect(executeChange(agent, "setGovernanceDelay", [tooShort])).to.be.revertedWith(
+          "Governance delay too short",
+        )
+      }
+
+      const minimum = await agent.MIN_GOVERNANCE_DELAY()
+      await proposeChange(agent, "setGovernanceDelay", [minimum])
+      await increaseTime(DELAY)
+      await expect(executeChange(agent, "setGovernanceDelay", [minimum]))
+        .to.emit(agent, "GovernanceDelayUpdated")
+        .withArgs(DELAY, minimum)
+
+      const { executableAt } = await proposeChange(agent, "setKeeperRegistry", [user.address])
+      expect(executableAt).to.equal(BigInt(await latest()) + minimum)
+    })
+
+    it("Should only disable compliance explicitly", async () => {
+      await expect(applyChange(agent, "setComplianceEngine", [ethers.ZeroAddress])).to.be.revertedWith(
+        "Invalid compliance engine",
+      )
+
+      await expect(applyChange(agent, "setComplianceEngine", [user.address]))
+        .to.emit(agent, "ComplianceEngineUpdated")
+        .withArgs(ethers.ZeroAddress, user.address)
+      await expect(applyChange(agent, "disableCompliance", []))
+        .to.emit(agent, "ComplianceEngineUpdated")
+        .withArgs(user.address, ethers.ZeroAddress)
+      expect(await agent.complianceEngine()).to.equal(ethers.ZeroAddress)
+    })
+
+    it("Should only accept feeds with the primary feed's decimals", async () => {
+      const feed18 = await deployFeed(18, ethers.parseEther("2500"))
+      const feed8 = await deployFeed(8, usd(2500))
+
+      await proposeChange(agent, "setPriceFeed", [await feed18.getAddress()])
+      await increaseTime(DELAY)
+      await expect(executeChange(agent, "setPriceFeed", [await feed18.getAddress()])).to.be.revertedWith(
+        "Price feed decimals mismatch",
+      )
+      await expect(applyChange(agent, "addPriceSource", [await feed18.getAddress()])).to.be.revertedWith(
+        "Price feed decimals mismatch",
+      )
+
+      await expect(applyChange(agent, "addPriceSource", [await feed8.getAddress()])).to.emit(agent, "PriceSourceAdded")
+    })
+
+    it("Should list and describe pending changes", async () => {
+      const first = await proposeChange(agent, "setKeeperRegistry", [user.address])
+      const second = await proposeChange(agent, "setComplianceEngine", [user.address])
+      await agent.connect(emergency).cancelChange(second.changeId)
+
+      const pending = await listPendingChanges(agent)
+      expect(pending.map((change) => change.changeId)).to.deep.equal([first.changeId])
+      expect(pending[0].method).to.equal("setKeeperRegistry")
+      expect(pending[0].executableAt).to.equal(first.executableAt)
+      expect(describeChange(agent, first.data)).to.equal(`setKeeperRegistry(${user.address})`)
+    })
+
+    it("Should carry the delay over to migrated agents", async () => {
+      const BuilderAgentFactory = await ethers.getContractFactory("BuilderAgentFactory")
+      const factory = await BuilderAgentFactory.deploy(await deployAgentModules(ethers, "BuilderAgent"))
+      await factory.setAllowedAgentCodeHash(ethers.keccak256(await ethers.provider.getCode(await agent.getAddress())), true)
+      await agent.pause()
+
+      const migrated = await factory.migrateAgent.staticCall(await agent.getAddress())
+      await factory.migrateAgent(await agent.getAddress())
+      const next = await ethers.getContractAt("BuilderAgent", migrated)
+
+      expect(await next.governanceDelay()).to.equal(DELAY)
+      await expect(next.updateTradingConfig(CONFIG)).to.be.revertedWithCustomError(next, "UnauthorizedAccess")
+    })
+  })
+
+  describe("EnhancedBuilderAgent", () => {
+    let agent, ecoFeed, complianceEngine
+
+    beforeEach(async () => {
+      ecoFeed = await deployFeed(8, 500)
+
+      const ComplianceEngine = await ethers.getContractFactory("ComplianceEngine")
+      complianceEngine = await ComplianceEngine.deploy()
+      const MockFunctionsRouter = await ethers.getContractFactory("MockFunctionsRouter")
+      const functionsRouter = await MockFunctionsRouter.deploy()
+
+      const EnhancedBuilderAgent = await ethers.getContractFactory("EnhancedBuilderAgent")
+      agent = await EnhancedBuilderAgent.deploy(
+        await vault.getAddress(),
+        await weth.getAddress(),
+        await usdc.getAddress(),
+        await priceFeed.getAddress(),
+        await ecoFeed.getAddress(),
+        await complianceEngine.getAddress(),
+        await functionsRouter.getAddress(),
+        { ...CONFIG, deviationThreshold: 1000, ecoThreshold: 1000, predictionInterval: 3600 },
+        1,
+        ethers.encodeBytes32String("test-don"),
+        await deployAgentModules(ethers, "EnhancedBuilderAgent"),
+      )
+      await agent.grantRole(await agent.EMERGENCY_ROLE(), emergency.address)
+    })
+
+    it("Should govern config, routes, feeds and compliance changes", async () => {
+      const feed = await priceFeed.getAddress()
+      await expect(agent.setEcoFeed(await ecoFeed.getAddress())).to.be.revertedWithCustomError(
+        agent,
+        "UnauthorizedAccess",
+      )
+      await expect(agent.setTradeRoute([])).to.be.revertedWithCustomError(agent, "UnauthorizedAccess")
+      await expect(agent.addPriceSource(feed)).to.be.revertedWithCustomError(agent, "UnauthorizedAccess")
+      await expect(agent.removePriceSource(feed)).to.be.revertedWithCustomError(agent, "UnauthorizedAccess")
+      await expect(agent.setGuardian(ethers.ZeroAddress)).to.be.revertedWithCustomError(agent, "UnauthorizedAccess")
+      await expect(agent.proposeChange(encodeChange(agent, "resetReferencePrice", [])))
+        .to.be.revertedWithCustomError(agent, "ChangeNotGoverned")
+        .withArgs(agent.interface.getFunction("resetReferencePrice").selector)
+
+      expect(await agent.governanceDelay()).to.equal(await agent.MIN_GOVERNANCE_DELAY())
+      await applyChange(agent, "setGovernanceDelay", [DELAY])
+      await expect(applyChange(agent, "setGovernanceDelay", [0])).to.be.revertedWith("Governance delay too short")
+      const { changeId } = await proposeChange(agent, "setKeeperRegistry", [user.address])
+      await expect(executeChange(agent, "setKeeperRegistry", [user.address])).to.be.revertedWithCustomError(
+        agent,
+        "ChangeNotReady",
+      )
+      await expect(agent.connect(emergency).cancelChange(changeId)).to.emit(agent, "ChangeCancelled")
+    })
+
+    it("Should validate compliance engine, keeper, guardian and eco feed changes", async () => {
+      await expect(applyChange(agent, "setComplianceEngine", [ethers.ZeroAddress])).to.be.revertedWith(
+        "Invalid compliance engine",
+      )
+      await expect(applyChange(agent, "setComplianceEngine", [user.address]))
+        .to.emit(agent, "ComplianceEngineUpdated")
+        .withArgs(await complianceEngine.getAddress(), user.address)
+      await expect(applyChange(agent, "setKeeperRegistry", [user.address]))
+        .to.emit(agent, "KeeperRegistryUpdated")
+        .withArgs(ethers.ZeroAddress, user.address)
+      await expect(applyChange(agent, "setGuardian", [user.address]))
+        .to.emit(agent, "GuardianUpdated")
+        .withArgs(ethers.ZeroAddress, user.address)
+      await expect(applyChange(agent, "setEcoFeed", [ethers.ZeroAddress])).to.be.revertedWith("Invalid eco feed")
+
+      const eco18 = await deployFeed(18, 500)
+      await expect(applyChange(agent, "setEcoFeed", [await eco18.getAddress()])).to.be.revertedWith(
+        "Eco feed decimals mismatch",
+      )
+
+      const eco8 = await deployFeed(8, 400)
+      await expect(applyChange(agent, "setEcoFeed", [await eco8.getAddress()]))
+        .to.emit(agent, "EcoFeedUpdated")
+        .withArgs(await ecoFeed.getAddress(), await eco8.getAddress())
+      expect(await agent.ecoFeed()).to.equal(await eco8.getAddress())
+    })
+  })
+})
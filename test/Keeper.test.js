@@ -0,0 +1,206 @@
+const { expect } = require("chai")
+const { ethers, upgrades } = require("hardhat")
+const fs = require("fs")
+const os = require("os")
+const path = require("path")
+const { Keeper, discoverAgents } = require("../scripts/lib/keeper")
+const { createKeeperServer } = require("../scripts/lib/keeper-api")
+const { deployAgentModules } = require("../scripts/lib/agent-modules")
+
+describe("Keeper", () => {
+  let deployer, user
+  let weth, usdc, router, vault, priceFeed, functionsRouter
+
+  const usd = (value) => BigInt(value) * 10n ** 8n
+
+  const deployEnhancedAgent = async () => {
+    const EnhancedBuilderAgent = await ethers.getContractFactory("EnhancedBuilderAgent")
+    const agent = await EnhancedBuilderAgent.deploy(
+      await vault.getAddress(),
+      await weth.getAddress(),
+      await usdc.getAddress(),
+      await priceFeed.getAddress(),
+      ethers.ZeroAddress,
+      ethers.ZeroAddress,
+      await functionsRouter.getAddress(),
+      {
+        priceThreshold: usd(2000),
+        maxTradeSize: ethers.parseEther("100"),
+        dailyTradeLimit: ethers.parseEther("1000"),
+        cooldownPeriod: 0,
+        maxSlippage: 300,
+        confidenceThreshold: 7000,
+        deviationThreshold: 1000,
+        ecoThreshold: 1000,
+        predictionInterval: 3600,
+      },
+      1,
+      ethers.encodeBytes32String("test-don"),
+      await deployAgentModules(ethers, "EnhancedBuilderAgent"),
+    )
+    await vault.addBuilderAgent(await agent.getAddress())
+    return agent
+  }
+
+  // Answer the latest Functions request with a confident prediction
+  const fulfillLatestRequest = async () => {
+    const [event] = (await functionsRouter.queryFilter(functionsRouter.filters.RequestSent())).slice(-1)
+    const response = ethers.AbiCoder.defaultAbiCoder().encode(["uint256", "uint256", "uint256"], [usd(2600), 9000, 0])
+    await functionsRouter.fulfillRequest(event.args.requestId, response)
+  }
+
+  beforeEach(async () => {
+    ;[deployer, user] = await ethers.getSigners()
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20")
+    weth = await MockERC20.deploy("Mock WETH", "mWETH", 18, ethers.parseEther("1000000"))
+    usdc = await MockERC20.deploy("Mock USDC", "mUSDC", 6, 0)
+
+    const MockUniswapRouter = await ethers.getContractFactory("MockUniswapRouter")
+    router = await MockUniswapRouter.deploy()
+    await usdc.mint(await router.getAddress(), ethers.parseUnits("10000000", 6))
+    await router.setExchangeRate(await weth.getAddress(), await usdc.getAddress(), 2500n * 10n ** 6n)
+
+    const MockChainlinkPriceFeed = await ethers.getContractFactory("MockChainlinkPriceFeed")
+    priceFeed = await MockChainlinkPriceFeed.deploy(8, "ETH/USD", 1, usd(2500))
+
+    const MockFunctionsRouter = await ethers.getContractFactory("MockFunctionsRouter")
+    functionsRouter = await MockFunctionsRouter.deploy()
+
+    const CuttlefishVault = await ethers.getContractFactory("CuttlefishVault")
+    vault = await upgrades.deployProxy(CuttlefishVault, [
+      await weth.getAddress(),
+      deployer.address,
+      deployer.address,
+      await router.getAddress(),
+    ])
+    await weth.mint(await vault.getAddress(), ethers.parseEther("10000"))
+  })
+
+  describe("Upkeep", () => {
+    it("Should request predictions, then review and trade on them", async () => {
+      const agent = await deployEnhancedAgent()
+      const keeper = new Keeper({ targets: [agent] })
+
+      const [requested] = await keeper.tick()
+      expect(requested.status).to.equal("performed")
+      expect(requested.action).to.equal("RequestPrediction")
+      expect(await agent.pendingRequestsCount()).to.equal(1)
+
+      await fulfillLatestRequest()
+      const [reviewed] = await keeper.tick()
+      expect(reviewed.action).to.equal("ReviewPrediction")
+      expect(await agent.successfulTrades()).to.equal(1)
+
+      const [idle] = await keeper.tick()
+      expect(idle.status).to.equal("idle")
+
+      const { ticks, performed, failed, targets } = keeper.metrics()
+      expect({ ticks, performed, failed }).to.deep.equal({ ticks: 3, performed: 2, failed: 0 })
+      expect(targets[0].address).to.equal(await agent.getAddress())
+      expect(targets[0].checks).to.equal(3)
+      expect(targets[0].actions).to.deep.equal({ RequestPrediction: 1, ReviewPrediction: 1 })
+    })
+
+    it("Should only tick once per block", async () => {
+      const keeper = new Keeper({ targets: [await deployEnhancedAgent()] })
+
+      expect(await keeper.poll()).to.have.length(1) // Performs upkeep, mining a block
+      expect(await keeper.poll()).to.have.length(1)
+      expect(await keeper.poll()).to.equal(null)
+
+      await ethers.provider.send("evm_mine", [])
+      expect(await keeper.poll()).to.have.length(1)
+    })
+
+    it("Should send upkeeps for several agents with consecutive nonces", async () => {
+      const agents = [await deployEnhancedAgent(), await deployEnhancedAgent()]
+      const keeper = new Keeper({ targets: agents })
+      const nonce = await deployer.getNonce()
+
+      const results = await keeper.tick()
+
+      expect(results.map((result) => result.status)).to.deep.equal(["performed", "performed"])
+      const txs = await Promise.all(results.map((result) => ethers.provider.getTransaction(result.txHash)))
+      expect(txs.map((tx) => tx.nonce)).to.deep.equal([nonce, nonce + 1])
+      expect(keeper.nonces.get(deployer.address)).to.equal(nonce + 2)
+    })
+
+    it("Should retry with a fresh nonce when the tracked one is stale", async () => {
+      const agent = await deployEnhancedAgent()
+      const keeper = new Keeper({ targets: [agent], retryDelayMs: 0 })
+      keeper.nonces.set(deployer.address, 0) // e.g. another process sent from the same key
+
+      const [result] = await keeper.tick()
+
+      expect(result.status).to.equal("performed")
+      expect(keeper.metrics().retries).to.equal(1)
+      expect(keeper.metrics().targets[0].retries).to.equal(1)
+    })
+
+    it("Should count reverted upkeeps without retrying them", async () => {
+      const agent = await deployEnhancedAgent()
+      const keeper = new Keeper({ targets: [agent.connect(user)], retryDelayMs: 0 })
+
+      const [result] = await keeper.tick()
+
+      expect(result.status).to.equal("failed")
+      expect(result.reason).to.equal("UnauthorizedKeeper")
+      const metrics = keeper.metrics()
+      expect({ failed: metrics.failed, retries: metrics.retries }).to.deep.equal({ failed: 1, retries: 0 })
+      expect(metrics.targets[0].lastError).to.equal("UnauthorizedKeeper")
+    })
+  })
+
+  describe("Discovery", () => {
+    it("Should combine active factory agents with the config file", async () => {
+      const BuilderAgentFactory = await ethers.getContractFactory("BuilderAgentFactory")
+      const factory = await BuilderAgentFactory.deploy(await deployAgentModules(ethers, "BuilderAgent"))
+      const args = [
+        await vault.getAddress(),
+        await weth.getAddress(),
+        await usdc.getAddress(),
+        await priceFeed.getAddress(),
+      ]
+      await factory.createAgentWithDefaults(...args)
+      await factory.createAgentWithDefaults(...args)
+      const [active, deactivated] = [await factory.allAgents(0), await factory.allAgents(1)]
+      await factory.deactivateAgent(deactivated)
+
+      const enhanced = await (await deployEnhancedAgent()).getAddress()
+      const configFile = path.join(os.tmpdir(), `keeper-${Date.now()}.json`)
+      fs.writeFileSync(configFile, JSON.stringify({ agents: [enhanced, { address: active, type: "BuilderAgent" }] }))
+
+      try {
+        expect(await discoverAgents({ factory, configFile })).to.deep.equal([
+          { address: enhanced, type: "EnhancedBuilderAgent" },
+          { address: active, type: "BuilderAgent" },
+        ])
+      } finally {
+        fs.unlinkSync(configFile)
+      }
+    })
+  })
+
+  describe("Metrics API", () => {
+    it("Should serve the keeper's counters", async () => {
+      const agent = await deployEnhancedAgent()
+      const keeper = new Keeper({ targets: [agent] })
+      await keeper.tick()
+
+      const server = createKeeperServer(keeper).listen(0)
+      await new Promise((resolve) => server.once("listening", resolve))
+      const base = `http://localhost:${server.address().port}`
+
+      try {
+        const metrics = await (await fetch(`${base}/metrics`)).json()
+        expect(metrics.performed).to.equal(1)
+        expect(metrics.targets[0].actions).to.deep.equal({ RequestPrediction: 1 })
+        expect(await (await fetch(`${base}/targets`)).json()).to.deep.equal([await agent.getAddress()])
+        expect((await fetch(`${base}/unknown`)).status).to.equal(404)
+      } finally {
+        server.close()
+      }
+    })
+  })
+})
@@ -0,0 +1,246 @@
+const { expect } = require("chai")
+const { ethers, upgrades } = require("hardhat")
+const { deployAgentModules } = require("../scripts/lib/agent-modules")
+const { applyChange } = require("../scripts/lib/governance")
+
+describe("Multi-Hop and Multi-Token Routing", () => {
+  let deployer, user
+  let weth, wbtc, usdc, dai, router, vault, builderAgent, priceFeed
+
+  const AI_CONFIDENCE = 8000
+  const deadline = async () => (await ethers.provider.getBlock("latest")).timestamp + 3600
+
+  // Route changes are governed; refresh the feed the governance delay left stale
+  const govern = async (method, args) => {
+    await applyChange(builderAgent, method, args)
+    await priceFeed.updatePrice(2500n * 10n ** 8n)
+  }
+
+  beforeEach(async () => {
+    ;[deployer, user] = await ethers.getSigners()
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20")
+    weth = await MockERC20.deploy("Mock WETH", "mWETH", 18, ethers.parseEther("1000000"))
+    wbtc = await MockERC20.deploy("Mock WBTC", "mWBTC", 8, 0)
+    usdc = await MockERC20.deploy("Mock USDC", "mUSDC", 6, 0)
+    dai = await MockERC20.deploy("Mock DAI", "mDAI", 18, 0)
+
+    const MockUniswapRouter = await ethers.getContractFactory("MockUniswapRouter")
+    router = await MockUniswapRouter.deploy()
+    await usdc.mint(await router.getAddress(), ethers.parseUnits("10000000", 6))
+    await dai.mint(await router.getAddress(), ethers.parseEther("10000000"))
+
+    // 1 WETH = 0.05 WBTC, 1 WBTC = 50,000 USDC: 2,500 USDC per WETH through WBTC
+    await router.setExchangeRate(await weth.getAddress(), await wbtc.getAddress(), 5n * 10n ** 6n)
+    await router.setExchangeRate(await wbtc.getAddress(), await usdc.getAddress(), 5n * 10n ** 20n)
+
+    const MockChainlinkPriceFeed = await ethers.getContractFactory("MockChainlinkPriceFeed")
+    priceFeed = await MockChainlinkPriceFeed.deploy(8, "ETH/USD", 1, 2500n * 10n ** 8n)
+
+    const CuttlefishVault = await ethers.getContractFactory("CuttlefishVault")
+    vault = await upgrades.deployProxy(CuttlefishVault, [
+      await weth.getAddress(),
+      deployer.address,
+      deployer.address,
+      await router.getAddress(),
+    ])
+    await weth.mint(await vault.getAddress(), ethers.parseEther("10000"))
+
+    const BuilderAgent = await ethers.getContractFactory("BuilderAgent")
+    builderAgent = await BuilderAgent.deploy(
+      await vault.getAddress(),
+      await weth.getAddress(),
+      await usdc.getAddress(),
+      await priceFeed.getAddress(),
+      {
+        priceThreshold: 2000n * 10n ** 8n,
+        maxTradeSize: ethers.parseEther("100"),
+        dailyTradeLimit: ethers.parseEther("1000"),
+        cooldownPeriod: 0,
+        maxSlippage: 300,
+        confidenceThreshold: 7000,
+      },
+      await deployAgentModules(ethers, "BuilderAgent"),
+    )
+    await builderAgent.grantRole(await builderAgent.AI_ROLE(), deployer.address)
+    await vault.addBuilderAgent(await builderAgent.getAddress())
+    await govern("setIntermediateToken", [await wbtc.getAddress(), true])
+  })
+
+  describe("Router mock", () => {
+    it("Should chain per-pair rates and charge the hop fee on every hop", async () => {
+      const path = [await weth.getAddress(), await wbtc.getAddress(), await usdc.getAddress()]
+
+      expect(await router.getAmountsOut(ethers.parseEther("1"), path)).to.deep.equal([
+        ethers.parseEther("1"),
+        5n * 10n ** 6n,
+        ethers.parseUnits("2500", 6),
+      ])
+
+      await router.setHopFee(30) // 0.3%
+      const amounts = await router.getAmountsOut(ethers.parseEther("1"), path)
+      expect(amounts[1]).to.equal(4985000n)
+      expect(amounts[2]).to.equal((ethers.parseUnits("2500", 6) * 9970n * 9970n) / 10000n / 10000n)
+    })
+  })
+
+  describe("Default routes", () => {
+    it("Should trade along the configured multi-hop route", async () => {
+      await govern("setDefaultRoute", [await usdc.getAddress(), [await wbtc.getAddress()]])
+      const path = await builderAgent.getDefaultPath(await usdc.getAddress())
+      expect(path).to.deep.equal([await weth.getAddress(), await wbtc.getAddress(), await usdc.getAddress()])
+
+      // amountOutMin 0 resolves to the oracle floor: $5,000 less 3% slippage
+      await expect(builderAgent.triggerTrade(ethers.parseEther("2"), 0, await deadline(), AI_CONFIDENCE))
+        .to.emit(builderAgent, "TradeTriggered")
+        .withArgs(1, ethers.parseEther("2"), ethers.parseUnits("4850", 6), path, 2500n * 10n ** 8n, AI_CONFIDENCE)
+
+      expect(await usdc.balanceOf(await vault.getAddress())).to.equal(ethers.parseUnits("5000", 6))
+    })
+
+    it("Should trade directly when no route is configured", async () => {
+      expect(await builderAgent.getDefaultPath(await usdc.getAddress())).to.deep.equal([
+        await weth.getAddress(),
+        await usdc.getAddress(),
+      ])
+    })
+
+    it("Should only route through approved intermediates", async () => {
+      await expect(
+        applyChange(builderAgent, "setDefaultRoute", [await usdc.getAddress(), [await dai.getAddress()]]),
+      ).to.be.revertedWith("Intermediate not allowed")
+      await expect(
+        applyChange(builderAgent.connect(user), "setIntermediateToken", [await dai.getAddress(), true]),
+      ).to.be.revertedWithCustomError(builderAgent, "AccessControlUnauthorizedAccount")
+      await expect(
+        builderAgent.setDefaultRoute(await usdc.getAddress(), [await wbtc.getAddress()]),
+      ).to.be.revertedWithCustomError(builderAgent, "UnauthorizedAccess")
+    })
+  })
+
+  describe("Caller-chosen routes", () => {
+    it("Should execute the AI's route and enforce amountOutMin on the multi-hop quote", async () => {
+      await router.setHopFee(30)
+      const path = [await weth.getAddress(), await wbtc.getAddress(), await usdc.getAddress()]
+      const amountIn = ethers.parseEther("1")
+      const quoted = (await router.getAmountsOut(amountIn, path))[2]
+
+      await expect(
+        builderAgent.triggerTradeWithRoute(amountIn, quoted + 1n, path, await deadline(), AI_CONFIDENCE),
+      ).to.be.revertedWith("Insufficient output amount")
+
+      await expect(builderAgent.triggerTradeWithRoute(amountIn, quoted, path, await deadline(), AI_CONFIDENCE))
+        .to.emit(vault, "TradeExecuted")
+        .withArgs(await weth.getAddress(), await usdc.getAddress(), amountIn, quoted)
+    })
+
+    it("Should reject routes outside the portfolio or through unapproved tokens", async () => {
+      const routes = [
+        [await weth.getAddress(), await dai.getAddress()], // Not a portfolio token
+        [await weth.getAddress(), await dai.getAddress(), await usdc.getAddress()], // Unapproved hop
+        [await wbtc.getAddress(), await usdc.getAddress()], // Does not start at the vault asset
+        [await weth.getAddress(), await wbtc.getAddress(), await wbtc.getAddress(), await usdc.getAddress()],
+      ]
+
+      for (const path of routes) {
+        await expect(
+          builderAgent.triggerTradeWithRoute(ethers.parseEther("1"), 0, path, await deadline(), AI_CONFIDENCE),
+        ).to.be.revertedWithCustomError(builderAgent, "InvalidRoute")
+      }
+    })
+  })
+
+  describe("Portfolio", () => {
+    beforeEach(async () => {
+      await builderAgent.setPortfolio([await usdc.getAddress(), await dai.getAddress()], [6000, 4000])
+    })
+
+    it("Should split portfolio trades by weight", async () => {
+      await govern("setDefaultRoute", [await usdc.getAddress(), [await wbtc.getAddress()]])
+
+      await builderAgent.triggerPortfolioTrade(ethers.parseEther("10"), [0, 0], await deadline(), AI_CONFIDENCE)
+
+      // 6 WETH through WBTC at 2,500 USDC each; 4 WETH direct at the 1:1 default
+      expect(await usdc.balanceOf(await vault.getAddress())).to.equal(ethers.parseUnits("15000", 6))
+      expect(await dai.balanceOf(await vault.getAddress())).to.equal(ethers.parseEther("4"))
+      expect(await builderAgent.totalTrades()).to.equal(2)
+      expect(await builderAgent.dailyTradeVolume()).to.equal(ethers.parseEther("10"))
+    })
+
+    it("Should apply trade limits to the whole portfolio trade", async () => {
+      await expect(
+        builderAgent.triggerPortfolioTrade(ethers.parseEther("150"), [0, 0], await deadline(), AI_CONFIDENCE),
+      ).to.be.revertedWithCustomError(builderAgent, "TradeAmountTooLarge")
+    })
+
+    it("Should validate portfolio weights", async () => {
+      const [tokens, weights] = await builderAgent.getPortfolio()
+      expect(tokens).to.deep.equal([await usdc.getAddress(), await dai.getAddress()])
+      expect(weights).to.deep.equal([6000n, 4000n])
+
+      await expect(
+        builderAgent.setPortfolio([await usdc.getAddress(), await dai.getAddress()], [6000, 3000]),
+      ).to.be.revertedWith("Weights must total 10000")
+      await expect(
+        builderAgent.setPortfolio([await usdc.getAddress(), await usdc.getAddress()], [5000, 5000]),
+      ).to.be.revertedWith("Duplicate target token")
+      await expect(builderAgent.setPortfolio([await weth.getAddress()], [10000])).to.be.revertedWith(
+        "Cannot trade to same asset",
+      )
+    })
+
+    it("Should reset the portfolio when the target token is replaced", async () => {
+      await builderAgent.setTargetToken(await dai.getAddress())
+
+      const [tokens, weights] = await builderAgent.getPortfolio()
+      expect(tokens).to.deep.equal([await dai.getAddress()])
+      expect(weights).to.deep.equal([10000n])
+    })
+  })
+
+  describe("EnhancedBuilderAgent", () => {
+    it("Should build prediction trade paths from the configured route", async () => {
+      const MockFunctionsRouter = await ethers.getContractFactory("MockFunctionsRouter")
+      const functionsRouter = await MockFunctionsRouter.deploy()
+      const EnhancedBuilderAgent = await ethers.getContractFactory("EnhancedBuilderAgent")
+      const enhancedAgent = await EnhancedBuilderAgent.deploy(
+        await vault.getAddress(),
+        await weth.getAddress(),
+        await usdc.getAddress(),
+        await priceFeed.getAddress(),
+        ethers.ZeroAddress,
+        ethers.ZeroAddress,
+        await functionsRouter.getAddress(),
+        {
+          priceThreshold: 2000n * 10n ** 8n,
+          maxTradeSize: ethers.parseEther("100"),
+          dailyTradeLimit: ethers.parseEther("1000"),
+          cooldownPeriod: 300,
+          maxSlippage: 300,
+          confidenceThreshold: 7000,
+          deviationThreshold: 1000,
+          ecoThreshold: 1000,
+          predictionInterval: 3600,
+        },
+        1,
+        ethers.encodeBytes32String("test-don"),
+        await deployAgentModules(ethers, "EnhancedBuilderAgent"),
+      )
+
+      expect(await enhancedAgent.getTradePath()).to.deep.equal([await weth.getAddress(), await usdc.getAddress()])
+
+      await expect(applyChange(enhancedAgent, "setTradeRoute", [[await wbtc.getAddress()]])).to.emit(
+        enhancedAgent,
+        "TradeRouteUpdated",
+      )
+      expect(await enhancedAgent.getTradePath()).to.deep.equal([
+        await weth.getAddress(),
+        await wbtc.getAddress(),
+        await usdc.getAddress(),
+      ])
+      await expect(applyChange(enhancedAgent, "setTradeRoute", [[await usdc.getAddress()]])).to.be.revertedWith(
+        "Invalid route",
+      )
+    })
+  })
+})
@@ -0,0 +1,296 @@
+const { expect } = require("chai")
+const { ethers, upgrades } = require("hardhat")
+const { Keeper } = require("../scripts/lib/keeper")
+const { AlertEngine, collectSnapshot } = require("../scripts/lib/alerts")
+const { deployAgentModules } = require("../scripts/lib/agent-modules")
+
+describe("Prediction Timeouts and Failures", () => {
+  let deployer, user
+  let vault, builderAgent, complianceEngine, functionsRouter
+  let snapshotId
+
+  const TIMEOUT = 15 * 60
+  const RETRY_DELAY = 60
+  const INTERVAL = 3600
+  const Failure = { None: 0, CallbackError: 1, NonCompliant: 2, InvalidPayload: 3, Expired: 4 }
+  const UpkeepAction = { RequestPrediction: 0, ReviewPrediction: 1, ExpirePrediction: 2 }
+
+  const usd = (value) => BigInt(value) * 10n ** 8n
+  const coder = ethers.AbiCoder.defaultAbiCoder()
+  const now = async () => (await ethers.provider.getBlock("latest")).timestamp
+  const increaseTime = async (seconds) => {
+    await ethers.provider.send("evm_increaseTime", [seconds])
+    await ethers.provider.send("evm_mine", [])
+  }
+
+  const request = async () => {
+    await builderAgent.requestPricePrediction()
+    return builderAgent.pendingRequestId()
+  }
+
+  const respond = (requestId, response) => functionsRouter.fulfillRequest(requestId, response)
+  const review = async () => {
+    const [, performData] = await builderAgent.checkUpkeep("0x")
+    return builderAgent.performUpkeep(performData)
+  }
+  const prediction = (price, confidence = 8500) =>
+    coder.encode(["uint256", "uint256", "uint256"], [price, confidence, 0])
+
+  const upkeepAction = async () => {
+    const [upkeepNeeded, performData] = await builderAgent.checkUpkeep("0x")
+    if (!upkeepNeeded) return null
+    return Number(coder.decode(["uint8", "bytes"], performData)[0])
+  }
+
+  beforeEach(async () => {
+    snapshotId = await ethers.provider.send("evm_snapshot", [])
+    ;[deployer, user] = await ethers.getSigners()
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20")
+    const weth = await MockERC20.deploy("Mock WETH", "mWETH", 18, ethers.parseEther("1000000"))
+    const usdc = await MockERC20.deploy("Mock USDC", "mUSDC", 6, 0)
+
+    const MockChainlinkPriceFeed = await ethers.getContractFactory("MockChainlinkPriceFeed")
+    const priceFeed = await MockChainlinkPriceFeed.deploy(8, "ETH/USD", 1, usd(2500))
+
+    const ComplianceEngine = await ethers.getContractFactory("ComplianceEngine")
+    complianceEngine = await ComplianceEngine.deploy()
+
+    const MockFunctionsRouter = await ethers.getContractFactory("MockFunctionsRouter")
+    functionsRouter = await MockFunctionsRouter.deploy()
+
+    const MockUniswapRouter = await ethers.getContractFactory("MockUniswapRouter")
+    const router = await MockUniswapRouter.deploy()
+
+    const CuttlefishVault = await ethers.getContractFactory("CuttlefishVault")
+    vault = await upgrades.deployProxy(CuttlefishVault, [
+      await weth.getAddress(),
+      deployer.address,
+      deployer.address,
+      await router.getAddress(),
+    ])
+
+    const EnhancedBuilderAgent = await ethers.getContractFactory("EnhancedBuilderAgent")
+    builderAgent = await EnhancedBuilderAgent.deploy(
+      await vault.getAddress(),
+      await weth.getAddress(),
+      await usdc.getAddress(),
+      await priceFeed.getAddress(),
+      ethers.ZeroAddress,
+      await complianceEngine.getAddress(),
+      await functionsRouter.getAddress(),
+      {
+        priceThreshold: usd(2000),
+        maxTradeSize: ethers.parseEther("100"),
+        dailyTradeLimit: ethers.parseEther("1000"),
+        cooldownPeriod: 0,
+        maxSlippage: 300,
+        confidenceThreshold: 7000,
+        deviationThreshold: 1000,
+        ecoThreshold: 1000,
+        predictionInterval: INTERVAL,
+      },
+      1,
+      ethers.encodeBytes32String("test-don"),
+      await deployAgentModules(ethers, "EnhancedBuilderAgent"),
+    )
+  })
+
+  afterEach(async () => {
+    await ethers.provider.send("evm_revert", [snapshotId])
+  })
+
+  describe("Expiry", () => {
+    it("Should expire unanswered requests through upkeep and ignore late callbacks", async () => {
+      const requestId = await request()
+      expect((await builderAgent.predictions(requestId)).expiresAt).to.equal((await now()) + TIMEOUT)
+      expect(await upkeepAction()).to.equal(null)
+
+      await increaseTime(TIMEOUT)
+      expect(await upkeepAction()).to.equal(UpkeepAction.ExpirePrediction)
+
+      const [result] = await new Keeper({ targets: [builderAgent] }).tick()
+      expect(result.action).to.equal("ExpirePrediction")
+      await expect(result.txHash)
+        .to.emit(builderAgent, "PredictionFailed")
+        .withArgs(requestId, Failure.Expired, "0x")
+      expect(await builderAgent.pendingRequestsCount()).to.equal(0)
+      expect(await builderAgent.pendingRequestId()).to.equal(ethers.ZeroHash)
+      expect((await builderAgent.predictionStats()).expired).to.equal(1)
+
+      // The DON answers after all
+      await expect(respond(requestId, prediction(usd(2600)))).not.to.emit(builderAgent, "PredictionFulfilled")
+      const record = await builderAgent.predictions(requestId)
+      expect(record.fulfilled).to.equal(false)
+      expect(record.failure).to.equal(Failure.Expired)
+    })
+
+    it("Should let operators and keepers expire requests once they time out", async () => {
+      await expect(builderAgent.expirePendingPrediction()).to.be.revertedWithCustomError(
+        builderAgent,
+        "NoPendingRequest",
+      )
+
+      const requestId = await request()
+      const { expiresAt } = await builderAgent.predictions(requestId)
+      await expect(builderAgent.expirePendingPrediction())
+        .to.be.revertedWithCustomError(builderAgent, "PredictionNotExpired")
+        .withArgs(requestId, expiresAt)
+
+      await increaseTime(TIMEOUT)
+      await expect(builderAgent.connect(user).expirePendingPrediction()).to.be.revertedWithCustomError(
+        builderAgent,
+        "UnauthorizedKeeper",
+      )
+      await builderAgent.grantRole(await builderAgent.KEEPER_ROLE(), user.address)
+      await expect(builderAgent.connect(user).expirePendingPrediction()).to.emit(builderAgent, "PredictionFailed")
+
+      // A stale upkeep for the same request no longer applies
+      const performData = coder.encode(
+        ["uint8", "bytes"],
+        [UpkeepAction.ExpirePrediction, coder.encode(["bytes32"], [requestId])],
+      )
+      await expect(builderAgent.performUpkeep(performData)).to.be.revertedWithCustomError(
+        builderAgent,
+        "NoPendingRequest",
+      )
+    })
+
+    it("Should validate the retry policy", async () => {
+      await expect(builderAgent.setPredictionRetryPolicy(600, 30))
+        .to.emit(builderAgent, "PredictionRetryPolicyUpdated")
+        .withArgs(600, 30)
+      expect(await builderAgent.predictionTimeout()).to.equal(600)
+
+      await expect(builderAgent.setPredictionRetryPolicy(0, 30)).to.be.revertedWith("Invalid timeout")
+      await expect(builderAgent.setPredictionRetryPolicy(600, 0)).to.be.revertedWith("Invalid retry delay")
+      await expect(builderAgent.connect(user).setPredictionRetryPolicy(600, 30)).to.be.revertedWithCustomError(
+        builderAgent,
+        "AccessControlUnauthorizedAccount",
+      )
+    })
+  })
+
+  describe("Failure reasons", () => {
+    it("Should record DON errors with their error bytes", async () => {
+      const requestId = await request()
+      const error = ethers.toUtf8Bytes("API Error: timeout")
+
+      await expect(functionsRouter.fulfillRequestWithError(requestId, error))
+        .to.emit(builderAgent, "PredictionFailed")
+        .withArgs(requestId, Failure.CallbackError, ethers.hexlify(error))
+      expect((await builderAgent.predictions(requestId)).failure).to.equal(Failure.CallbackError)
+    })
+
+    it("Should record invalid payloads instead of reverting the callback", async () => {
+      const payloads = [
+        "0x1234", // Too short to decode
+        prediction(0), // Zero price
+        prediction(usd(2600), 10001), // Confidence above 100%
+      ]
+
+      for (const payload of payloads) {
+        const requestId = await request()
+        const fulfillment = respond(requestId, payload)
+
+        await expect(fulfillment).to.emit(functionsRouter, "RequestFulfilled").withArgs(requestId, true)
+        await expect(fulfillment)
+          .to.emit(builderAgent, "PredictionFailed")
+          .withArgs(requestId, Failure.InvalidPayload, payload)
+      }
+
+      expect((await builderAgent.predictionStats()).invalid).to.equal(3)
+      expect(await builderAgent.pendingRequestsCount()).to.equal(0)
+    })
+
+    it("Should record compliance rejections", async () => {
+      const MockChainlinkPriceFeed = await ethers.getContractFactory("MockChainlinkPriceFeed")
+      const volatilityFeed = await MockChainlinkPriceFeed.deploy(8, "VOLATILITY", 1, 2500) // 25% volatility
+      await complianceEngine.setFeeds(await volatilityFeed.getAddress(), ethers.ZeroAddress)
+      const requestId = await request()
+
+      await respond(requestId, prediction(usd(2600)))
+      expect(await upkeepAction()).to.equal(UpkeepAction.ReviewPrediction)
+
+      await expect(review()).to.emit(builderAgent, "PredictionFailed").withArgs(requestId, Failure.NonCompliant, "0x")
+      expect((await builderAgent.predictions(requestId)).failure).to.equal(Failure.NonCompliant)
+    })
+  })
+
+  describe("Retry backoff", () => {
+    const failNext = async () => {
+      const requestId = await request()
+      await functionsRouter.fulfillRequestWithError(requestId, ethers.toUtf8Bytes("API Error"))
+      return now()
+    }
+
+    it("Should retry sooner after failures, doubling the delay each time", async () => {
+      expect(await builderAgent.nextPredictionTime()).to.equal(INTERVAL) // Never requested
+
+      let failedAt = await failNext()
+      expect(await builderAgent.consecutivePredictionFailures()).to.equal(1)
+      expect(await builderAgent.nextPredictionTime()).to.equal(failedAt + RETRY_DELAY)
+      expect(await upkeepAction()).to.equal(null)
+      await increaseTime(RETRY_DELAY)
+      expect(await upkeepAction()).to.equal(UpkeepAction.RequestPrediction)
+
+      failedAt = await failNext()
+      expect(await builderAgent.nextPredictionTime()).to.equal(failedAt + 2 * RETRY_DELAY)
+      failedAt = await failNext()
+      expect(await builderAgent.nextPredictionTime()).to.equal(failedAt + 4 * RETRY_DELAY)
+
+      // Never later than the regular schedule: the 7th retry would back off 64 minutes
+      for (let i = 0; i < 4; i++) await failNext()
+      expect(await builderAgent.nextPredictionTime()).to.equal(
+        (await builderAgent.lastPredictionTime()) + BigInt(INTERVAL),
+      )
+    })
+
+    it("Should return to the regular interval after a fulfilled prediction", async () => {
+      await failNext()
+      const requestId = await request()
+      await respond(requestId, prediction(usd(2600)))
+      await review()
+
+      expect(await builderAgent.consecutivePredictionFailures()).to.equal(0)
+      expect(await builderAgent.nextPredictionTime()).to.equal(
+        (await builderAgent.lastPredictionTime()) + BigInt(INTERVAL),
+      )
+    })
+  })
+
+  describe("Monitoring", () => {
+    it("Should alert on repeated failures and requests past their expiry", async () => {
+      const alerts = new AlertEngine({
+        rules: [
+          { id: "prediction-failures", type: "predictionFailures", maxConsecutiveFailures: 2 },
+          { id: "prediction-timeout", type: "predictionTimeout" },
+        ],
+      })
+      const snapshot = () =>
+        collectSnapshot({ provider: ethers.provider, vault, agents: [], predictionAgents: [builderAgent] })
+
+      for (let i = 0; i < 2; i++) {
+        const requestId = await request()
+        await functionsRouter.fulfillRequestWithError(requestId, ethers.toUtf8Bytes("API Error"))
+      }
+      const requestId = await request()
+      await increaseTime(TIMEOUT)
+
+      const sent = await alerts.evaluate(await snapshot())
+
+      expect(sent.map((alert) => alert.rule)).to.deep.equal(["prediction-failures", "prediction-timeout"])
+      expect(sent[1].details.requestId).to.equal(requestId)
+
+      // A fulfilled prediction resolves the failure streak
+      await builderAgent.expirePendingPrediction()
+      await respond(await request(), prediction(usd(2600)))
+      await review()
+      const resolved = await alerts.evaluate(await snapshot())
+      expect(resolved.map((alert) => `${alert.rule}:${alert.status}`)).to.deep.equal([
+        "prediction-failures:resolved",
+        "prediction-timeout:resolved",
+      ])
+    })
+  })
+})
@@ -0,0 +1,280 @@
+const { expect } = require("chai")
+const { ethers, upgrades } = require("hardhat")
+const { decodeFunctionsRequest } = require("../scripts/lib/cbor")
+const {
+  buildPredictionRequest,
+  readPredictionParams,
+  simulatePredictionRequest,
+  validatePredictionParams,
+} = require("../scripts/lib/prediction-request")
+const { startHttpStub } = require("../scripts/lib/http-stub")
+const { deployAgentModules } = require("../scripts/lib/agent-modules")
+
+describe("Configurable Prediction Requests", () => {
+  let deployer, user
+  let builderAgent, functionsRouter
+
+  const MODEL_PARAMS = {
+    endpoint: "https://models.example.com/v2",
+    symbol: "BTC/USD",
+    timeframe: "15m",
+    features: ["price", "funding", "open_interest"],
+  }
+  const SOURCE_V2 = "const [apiUrl] = args;\nreturn Functions.encodeString(apiUrl);\n"
+
+  const requestPrediction = async () => {
+    await builderAgent.requestPricePrediction()
+    const [event] = (await functionsRouter.queryFilter(functionsRouter.filters.RequestSent())).slice(-1)
+    return { requestId: event.args.requestId, request: await functionsRouter.getRequest(event.args.requestId) }
+  }
+
+  beforeEach(async () => {
+    ;[deployer, user] = await ethers.getSigners()
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20")
+    const weth = await MockERC20.deploy("Mock WETH", "mWETH", 18, ethers.parseEther("1000000"))
+    const usdc = await MockERC20.deploy("Mock USDC", "mUSDC", 6, 0)
+
+    const MockChainlinkPriceFeed = await ethers.getContractFactory("MockChainlinkPriceFeed")
+    const priceFeed = await MockChainlinkPriceFeed.deploy(8, "ETH/USD", 1, 2500n * 10n ** 8n)
+
+    const MockUniswapRouter = await ethers.getContractFactory("MockUniswapRouter")
+    const router = await MockUniswapRouter.deploy()
+
+    const MockFunctionsRouter = await ethers.getContractFactory("MockFunctionsRouter")
+    functionsRouter = await MockFunctionsRouter.deploy()
+
+    const CuttlefishVault = await ethers.getContractFactory("CuttlefishVault")
+    const vault = await upgrades.deployProxy(CuttlefishVault, [
+      await weth.getAddress(),
+      deployer.address,
+      deployer.address,
+      await router.getAddress(),
+    ])
+
+    const EnhancedBuilderAgent = await ethers.getContractFactory("EnhancedBuilderAgent")
+    builderAgent = await EnhancedBuilderAgent.deploy(
+      await vault.getAddress(),
+      await weth.getAddress(),
+      await usdc.getAddress(),
+      await priceFeed.getAddress(),
+      ethers.ZeroAddress,
+      ethers.ZeroAddress,
+      await functionsRouter.getAddress(),
+      {
+        priceThreshold: 2000n * 10n ** 8n,
+        maxTradeSize: ethers.parseEther("100"),
+        dailyTradeLimit: ethers.parseEther("1000"),
+        cooldownPeriod: 300,
+        maxSlippage: 300,
+        confidenceThreshold: 7000,
+        deviationThreshold: 1000,
+        ecoThreshold: 1000,
+        predictionInterval: 3600,
+      },
+      1,
+      ethers.encodeBytes32String("test-don"),
+      await deployAgentModules(ethers, "EnhancedBuilderAgent"),
+    )
+  })
+
+  describe("Request parameters", () => {
+    it("Should default to the original endpoint, pair and features", async () => {
+      const params = await builderAgent.getPredictionParams()
+      expect(params.endpoint).to.equal("https://api.cuttlefishlabs.com")
+      expect(params.symbol).to.equal("ETH/USD")
+      expect(params.timeframe).to.equal("1h")
+      expect(params.features).to.deep.equal(["price", "volume", "sentiment"])
+
+      const { request } = await requestPrediction()
+      expect(decodeFunctionsRequest(request.data).args).to.deep.equal([
+        "https://api.cuttlefishlabs.com",
+        "ETH/USD",
+        "1h",
+        "price,volume,sentiment",
+      ])
+    })
+
+    it("Should send updated parameters with the next request", async () => {
+      await expect(builderAgent.setPredictionParams(MODEL_PARAMS))
+        .to.emit(builderAgent, "PredictionParamsUpdated")
+        .withArgs(MODEL_PARAMS.endpoint, MODEL_PARAMS.symbol, MODEL_PARAMS.timeframe, MODEL_PARAMS.features)
+
+      const { request } = await requestPrediction()
+      expect(decodeFunctionsRequest(request.data).args).to.deep.equal([
+        MODEL_PARAMS.endpoint,
+        "BTC/USD",
+        "15m",
+        "price,funding,open_interest",
+      ])
+    })
+
+    it("Should validate parameters and restrict them to the admin", async () => {
+      const invalid = [
+        [{ ...MODEL_PARAMS, endpoint: "" }, "Invalid endpoint"],
+        [{ ...MODEL_PARAMS, symbol: "" }, "Invalid symbol"],
+        [{ ...MODEL_PARAMS, timeframe: "" }, "Invalid timeframe"],
+        [{ ...MODEL_PARAMS, features: [] }, "Invalid feature count"],
+        [{ ...MODEL_PARAMS, features: Array.from({ length: 9 }, (_, i) => `f${i}`) }, "Invalid feature count"],
+        [{ ...MODEL_PARAMS, features: ["price", ""] }, "Invalid feature"],
+        [{ ...MODEL_PARAMS, features: ["price,volume"] }, "Invalid feature"],
+      ]
+      for (const [params, reason] of invalid) {
+        await expect(builderAgent.setPredictionParams(params)).to.be.revertedWith(reason)
+      }
+
+      await expect(builderAgent.connect(user).setPredictionParams(MODEL_PARAMS)).to.be.revertedWithCustomError(
+        builderAgent,
+        "AccessControlUnauthorizedAccount",
+      )
+    })
+  })
+
+  describe("Source versions", () => {
+    it("Should install the built-in source as version 1", async () => {
+      const source = await builderAgent.AI_PREDICTION_SOURCE()
+
+      expect(await builderAgent.activeSourceVersion()).to.equal(1)
+      expect(await builderAgent.getSourceVersionCount()).to.equal(1)
+      const [sourceHash, , stored] = await builderAgent.getPredictionSource(1)
+      expect(sourceHash).to.equal(ethers.id(source))
+      expect(stored).to.equal(source)
+    })
+
+    it("Should run new sources and keep earlier versions for rollback", async () => {
+      await expect(builderAgent.setPredictionSource(SOURCE_V2))
+        .to.emit(builderAgent, "PredictionSourceActivated")
+        .withArgs(2, ethers.id(SOURCE_V2))
+
+      const { requestId, request } = await requestPrediction()
+      expect(decodeFunctionsRequest(request.data).source).to.equal(SOURCE_V2)
+      expect((await builderAgent.predictions(requestId)).sourceVersion).to.equal(2)
+
+      await expect(builderAgent.activatePredictionSource(1))
+        .to.emit(builderAgent, "PredictionSourceActivated")
+        .withArgs(1, ethers.id(await builderAgent.AI_PREDICTION_SOURCE()))
+      expect(decodeFunctionsRequest(await builderAgent.getPredictionRequestData()).source).to.equal(
+        await builderAgent.AI_PREDICTION_SOURCE(),
+      )
+      expect(await builderAgent.getSourceVersionCount()).to.equal(2)
+
+      // Re-adding a stored source is a new version with the same hash
+      await builderAgent.setPredictionSource(SOURCE_V2)
+      const [sourceHash, , stored] = await builderAgent.getPredictionSource(3)
+      expect(sourceHash).to.equal(ethers.id(SOURCE_V2))
+      expect(stored).to.equal(SOURCE_V2)
+    })
+
+    it("Should reject empty sources and unknown versions", async () => {
+      await expect(builderAgent.setPredictionSource("")).to.be.revertedWith("Invalid source")
+      for (const version of [0, 2]) {
+        await expect(builderAgent.activatePredictionSource(version))
+          .to.be.revertedWithCustomError(builderAgent, "UnknownSourceVersion")
+          .withArgs(version)
+      }
+      await expect(builderAgent.connect(user).setPredictionSource(SOURCE_V2)).to.be.revertedWithCustomError(
+        builderAgent,
+        "AccessControlUnauthorizedAccount",
+      )
+    })
+  })
+
+  describe("Secrets", () => {
+    it("Should attach a remote secrets reference", async () => {
+      const reference = ethers.hexlify(ethers.toUtf8Bytes("encrypted-secrets-urls"))
+      await expect(builderAgent.setRemoteSecrets(reference))
+        .to.emit(builderAgent, "PredictionSecretsUpdated")
+        .withArgs(1)
+
+      const { request } = await requestPrediction()
+      const decoded = decodeFunctionsRequest(request.data)
+      expect(decoded.secretsLocation).to.equal(1n) // Remote
+      expect(ethers.hexlify(decoded.secrets)).to.equal(reference)
+    })
+
+    it("Should reference DON-hosted secrets by slot and version", async () => {
+      await builderAgent.setDONHostedSecrets(3, 1700000000)
+
+      const decoded = decodeFunctionsRequest(await builderAgent.getPredictionRequestData())
+      expect(decoded.secretsLocation).to.equal(2n) // DONHosted
+      expect(decodeFunctionsRequest(decoded.secrets)).to.include({ slotID: 3n, version: 1700000000n })
+
+      await expect(builderAgent.clearSecrets()).to.emit(builderAgent, "PredictionSecretsUpdated").withArgs(0)
+      expect(decodeFunctionsRequest(await builderAgent.getPredictionRequestData()).secrets).to.be.undefined
+    })
+
+    it("Should validate secrets settings", async () => {
+      await expect(builderAgent.setRemoteSecrets("0x")).to.be.revertedWith("Invalid secrets reference")
+      await expect(builderAgent.setDONHostedSecrets(0, 0)).to.be.revertedWith("Invalid secrets version")
+      await expect(builderAgent.connect(user).clearSecrets()).to.be.revertedWithCustomError(
+        builderAgent,
+        "AccessControlUnauthorizedAccount",
+      )
+    })
+  })
+
+  describe("Local request builder", () => {
+    it("Should build the same payload the agent sends", async () => {
+      expect(buildPredictionRequest(await readPredictionParams(builderAgent)).data).to.equal(
+        await builderAgent.getPredictionRequestData(),
+      )
+
+      await builderAgent.setPredictionParams(MODEL_PARAMS)
+      await builderAgent.setPredictionSource(SOURCE_V2)
+      await builderAgent.setRemoteSecrets(ethers.hexlify(ethers.toUtf8Bytes("encrypted-secrets-urls")))
+      const params = await readPredictionParams(builderAgent)
+      expect(params.sourceVersion).to.equal(2)
+      expect(buildPredictionRequest(params).data).to.equal(await builderAgent.getPredictionRequestData())
+
+      await builderAgent.setDONHostedSecrets(3, 1700000000)
+      const built = buildPredictionRequest(await readPredictionParams(builderAgent))
+      expect(built.sourceHash).to.equal(ethers.id(SOURCE_V2))
+      expect(built.data).to.equal(await builderAgent.getPredictionRequestData())
+
+      const { request } = await requestPrediction()
+      expect(request.data).to.equal(built.data)
+    })
+
+    it("Should report invalid parameters before they reach the agent", async () => {
+      const params = await readPredictionParams(builderAgent)
+      expect(validatePredictionParams(params)).to.deep.equal([])
+
+      const errors = validatePredictionParams({
+        ...params,
+        endpoint: "https://models.example.com/",
+        symbol: "eth-usd",
+        timeframe: "hourly",
+        features: ["price", "price", "a,b"],
+        secrets: { location: "DONHosted", slotId: 300, version: 0 },
+      })
+      expect(errors).to.have.length(7)
+      expect(errors[0]).to.match(/must not end with '\/'/)
+
+      expect(() => buildPredictionRequest({ ...params, endpoint: "not a url" })).to.throw(/is not a URL/)
+    })
+
+    it("Should run the source locally with secrets and check the response", async () => {
+      const api = await startHttpStub(() => ({ body: { prediction: 2600, confidence: 0.8, anomaly_score: 0.9 } }))
+      try {
+        const params = await readPredictionParams(builderAgent)
+        const request = buildPredictionRequest({ ...params, endpoint: api.url, features: ["price", "funding"] })
+
+        const { prediction, error } = await simulatePredictionRequest(request, { secrets: { apiKey: "model-key" } })
+
+        expect(error).to.be.undefined
+        expect(prediction).to.deep.equal({ predictedPrice: 260000000000n, confidence: 8000n, isAnomaly: true })
+        expect(api.requests[0].headers.authorization).to.equal("Bearer model-key")
+        expect(api.requests[0].body).to.deep.equal({
+          symbol: "ETH/USD",
+          timeframe: "1h",
+          features: ["price", "funding"],
+        })
+
+        const invalid = await simulatePredictionRequest({ ...request, source: SOURCE_V2 })
+        expect(invalid.error).to.equal("response shorter than three uint256 words")
+      } finally {
+        await api.close()
+      }
+    })
+  })
+})
@@ -0,0 +1,284 @@
+const { expect } = require("chai")
+const { ethers, upgrades } = require("hardhat")
+const { deployAgentModules } = require("../scripts/lib/agent-modules")
+const { applyChange } = require("../scripts/lib/governance")
+
+describe("Multi-Oracle Price Aggregation", () => {
+  let deployer, user
+  let asset, tokenOut, mockRouter, vault, MockChainlinkPriceFeed
+
+  const usd = (value) => BigInt(value) * 10n ** 8n
+  const deadline = async () => (await ethers.provider.getBlock("latest")).timestamp + 3600
+  const deployFeed = (price) => MockChainlinkPriceFeed.deploy(8, "ETH/USD", 1, usd(price))
+
+  // Governed changes wait out the agent's governance delay, which leaves every source
+  // stale; refresh them, and any other feeds the agent reads, at their current answers
+  const govern = async (agent, method, args, otherFeeds = []) => {
+    await applyChange(agent, method, args)
+    for (const source of [...(await agent.getPriceSources()), ...otherFeeds]) {
+      const feed = MockChainlinkPriceFeed.attach(source)
+      await feed.updatePrice((await feed.latestRoundData()).answer)
+    }
+  }
+
+  beforeEach(async () => {
+    ;[deployer, user] = await ethers.getSigners()
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20")
+    asset = await MockERC20.deploy("Mock WETH", "mWETH", 18, ethers.parseEther("1000000"))
+    tokenOut = await MockERC20.deploy("Mock USDC", "mUSDC", 6, ethers.parseUnits("1000000", 6))
+
+    MockChainlinkPriceFeed = await ethers.getContractFactory("MockChainlinkPriceFeed")
+
+    const MockUniswapRouter = await ethers.getContractFactory("MockUniswapRouter")
+    mockRouter = await MockUniswapRouter.deploy()
+    await tokenOut.mint(await mockRouter.getAddress(), ethers.parseUnits("10000000", 6))
+    // Fill at the feed price so trades clear the agent's oracle-derived minimum output
+    await mockRouter.setExchangeRate(await asset.getAddress(), await tokenOut.getAddress(), 2500n * 10n ** 6n)
+
+    const CuttlefishVault = await ethers.getContractFactory("CuttlefishVault")
+    vault = await upgrades.deployProxy(CuttlefishVault, [
+      await asset.getAddress(),
+      deployer.address,
+      deployer.address,
+      await mockRouter.getAddress(),
+    ])
+    await asset.mint(await vault.getAddress(), ethers.parseEther("10000"))
+  })
+
+  describe("BuilderAgent", () => {
+    let builderAgent, primaryFeed
+
+    const tradingConfig = {
+      priceThreshold: usd(2000),
+      maxTradeSize: ethers.parseEther("100"),
+      dailyTradeLimit: ethers.parseEther("1000"),
+      cooldownPeriod: 0,
+      maxSlippage: 300,
+      confidenceThreshold: 7000,
+    }
+
+    const addSources = async (...prices) => {
+      const feeds = []
+      for (const price of prices) {
+        const feed = await deployFeed(price)
+        await govern(builderAgent, "addPriceSource", [await feed.getAddress()])
+        feeds.push(feed)
+      }
+      return feeds
+    }
+
+    beforeEach(async () => {
+      primaryFeed = await deployFeed(2500)
+
+      const BuilderAgent = await ethers.getContractFactory("BuilderAgent")
+      builderAgent = await BuilderAgent.deploy(
+        await vault.getAddress(),
+        await asset.getAddress(),
+        await tokenOut.getAddress(),
+        await primaryFeed.getAddress(),
+        tradingConfig,
+        await deployAgentModules(ethers, "BuilderAgent"),
+      )
+      await builderAgent.grantRole(await builderAgent.AI_ROLE(), deployer.address)
+      await vault.addBuilderAgent(await builderAgent.getAddress())
+    })
+
+    it("Should take the median across sources and report which were used", async () => {
+      const [high, low] = await addSources(2510, 2490)
+
+      const [price, , sources] = await builderAgent.getAggregatedPrice()
+
+      expect(price).to.equal(usd(2500))
+      expect(sources).to.deep.equal([
+        await primaryFeed.getAddress(),
+        await high.getAddress(),
+        await low.getAddress(),
+      ])
+      expect((await builderAgent.getLatestPrice())[0]).to.equal(usd(2500))
+    })
+
+    it("Should average the middle answers for an even number of sources", async () => {
+      await addSources(2510, 2490, 2520)
+
+      const [price] = await builderAgent.getLatestPrice()
+
+      expect(price).to.equal(usd(2505))
+    })
+
+    it("Should skip stale and invalid sources", async () => {
+      const [stale, invalid] = await addSources(2600, 2700)
+      await stale.setStaleData((await ethers.provider.getBlock("latest")).timestamp - 7200)
+      await invalid.updatePrice(-1)
+
+      const [price, , sources] = await builderAgent.getAggregatedPrice()
+
+      expect(price).to.equal(usd(2500))
+      expect(sources).to.deep.equal([await primaryFeed.getAddress()])
+    })
+
+    it("Should reject prices when sources disagree beyond the threshold", async () => {
+      await addSources(2500, 2800)
+      expect((await builderAgent.getLatestPrice())[0]).to.equal(usd(2500)) // Disabled by default
+
+      await govern(builderAgent, "setPriceDeviationThreshold", [500])
+
+      await expect(builderAgent.getLatestPrice())
+        .to.be.revertedWithCustomError(builderAgent, "PriceSourcesDisagree")
+        .withArgs(1200) // $300 from the $2500 median
+      await expect(
+        builderAgent.triggerTrade(ethers.parseEther("10"), 0, await deadline(), 8000),
+      ).to.be.revertedWithCustomError(builderAgent, "PriceSourcesDisagree")
+      expect((await builderAgent.canTrade(ethers.parseEther("10"), 8000))[1]).to.equal("Price feed error")
+    })
+
+    it("Should block trades after an outsized move from the last valid price until reset", async () => {
+      const [second] = await addSources(2500)
+      await govern(builderAgent, "setPriceDeviationThreshold", [500])
+      await primaryFeed.updatePrice(usd(2700))
+      await second.updatePrice(usd(2700))
+
+      await expect(builderAgent.triggerTrade(ethers.parseEther("10"), 0, await deadline(), 8000))
+        .to.be.revertedWithCustomError(builderAgent, "PriceDeviationTooHigh")
+        .withArgs(usd(2700), usd(2500))
+      expect(await builderAgent.canTrade(ethers.parseEther("10"), 8000)).to.deep.equal([
+        false,
+        "Price deviation too high",
+      ])
+
+      await expect(builderAgent.resetReferencePrice())
+        .to.emit(builderAgent, "ReferencePriceReset")
+        .withArgs(usd(2500), usd(2700))
+      await mockRouter.setExchangeRate(await asset.getAddress(), await tokenOut.getAddress(), 2700n * 10n ** 6n)
+      await expect(builderAgent.triggerTrade(ethers.parseEther("10"), 0, await deadline(), 8000)).to.emit(
+        builderAgent,
+        "TradeTriggered",
+      )
+    })
+
+    it("Should manage the source list", async () => {
+      const [extra] = await addSources(2500)
+      const extraAddress = await extra.getAddress()
+
+      await expect(applyChange(builderAgent, "addPriceSource", [extraAddress])).to.be.revertedWith(
+        "Price source already added",
+      )
+      await expect(applyChange(builderAgent, "addPriceSource", [await primaryFeed.getAddress()])).to.be.revertedWith(
+        "Price source already added",
+      )
+      await expect(builderAgent.addPriceSource(extraAddress)).to.be.revertedWithCustomError(
+        builderAgent,
+        "UnauthorizedAccess",
+      )
+      await expect(applyChange(builderAgent.connect(user), "addPriceSource", [extraAddress])).to.be.revertedWithCustomError(
+        builderAgent,
+        "AccessControlUnauthorizedAccount",
+      )
+
+      await addSources(2500, 2500, 2500)
+      expect(await builderAgent.getPriceSources()).to.have.length(5)
+      const sixth = await deployFeed(2500)
+      await expect(applyChange(builderAgent, "addPriceSource", [await sixth.getAddress()])).to.be.revertedWith(
+        "Too many price sources",
+      )
+
+      await expect(applyChange(builderAgent, "removePriceSource", [extraAddress]))
+        .to.emit(builderAgent, "PriceSourceRemoved")
+        .withArgs(extraAddress)
+      expect(await builderAgent.getPriceSources()).to.not.include(extraAddress)
+      await expect(applyChange(builderAgent, "removePriceSource", [extraAddress])).to.be.revertedWith(
+        "Price source not found",
+      )
+    })
+  })
+
+  describe("EnhancedBuilderAgent", () => {
+    let builderAgent, functionsRouter, primaryFeed, ecoFeed
+
+    // Fulfill a confident prediction so the next upkeep executes its trade
+    const queuePredictionTrade = async () => {
+      await builderAgent.requestPricePrediction()
+      const [event] = (await functionsRouter.queryFilter(functionsRouter.filters.RequestSent())).slice(-1)
+      const response = ethers.AbiCoder.defaultAbiCoder().encode(["uint256", "uint256", "uint256"], [usd(2600), 9000, 0])
+      await functionsRouter.fulfillRequest(event.args.requestId, response)
+      return event.args.requestId
+    }
+
+    const performUpkeep = async () => {
+      const [, performData] = await builderAgent.checkUpkeep("0x")
+      return builderAgent.performUpkeep(performData)
+    }
+
+    beforeEach(async () => {
+      primaryFeed = await deployFeed(2500)
+      ecoFeed = await MockChainlinkPriceFeed.deploy(8, "ECO/SCORE", 1, 500)
+
+      const MockFunctionsRouter = await ethers.getContractFactory("MockFunctionsRouter")
+      functionsRouter = await MockFunctionsRouter.deploy()
+
+      const EnhancedBuilderAgent = await ethers.getContractFactory("EnhancedBuilderAgent")
+      builderAgent = await EnhancedBuilderAgent.deploy(
+        await vault.getAddress(),
+        await asset.getAddress(),
+        await tokenOut.getAddress(),
+        await primaryFeed.getAddress(),
+        await ecoFeed.getAddress(),
+        ethers.ZeroAddress,
+        await functionsRouter.getAddress(),
+        {
+          priceThreshold: usd(2000),
+          maxTradeSize: ethers.parseEther("100"),
+          dailyTradeLimit: ethers.parseEther("1000"),
+          cooldownPeriod: 0,
+          maxSlippage: 300,
+          confidenceThreshold: 7000,
+          deviationThreshold: 1000, // 10%
+          ecoThreshold: 1000,
+          predictionInterval: 3600,
+        },
+        1,
+        ethers.encodeBytes32String("test-don"),
+        await deployAgentModules(ethers, "EnhancedBuilderAgent"),
+      )
+      await vault.addBuilderAgent(await builderAgent.getAddress())
+    })
+
+    it("Should trade on the median price and update the reference", async () => {
+      await govern(builderAgent, "addPriceSource", [await (await deployFeed(2520)).getAddress()], [ecoFeed])
+      await govern(builderAgent, "addPriceSource", [await (await deployFeed(2540)).getAddress()], [ecoFeed])
+      await queuePredictionTrade()
+
+      await expect(performUpkeep()).to.emit(builderAgent, "TradeTriggered")
+
+      expect(await builderAgent.lastValidPrice()).to.equal(usd(2520))
+    })
+
+    it("Should skip the trade when the price moved beyond deviationThreshold", async () => {
+      const requestId = await queuePredictionTrade()
+      await primaryFeed.updatePrice(usd(2800)) // 12% above the reference
+
+      const upkeep = performUpkeep()
+
+      await expect(upkeep)
+        .to.emit(builderAgent, "PriceCircuitBreakerTripped")
+        .withArgs(requestId, usd(2800), usd(2500))
+      await expect(upkeep).not.to.emit(builderAgent, "TradeTriggered")
+      expect(await builderAgent.totalTrades()).to.equal(0)
+    })
+
+    it("Should skip the trade when sources disagree", async () => {
+      await govern(builderAgent, "addPriceSource", [await (await deployFeed(2500)).getAddress()], [ecoFeed])
+      await govern(builderAgent, "addPriceSource", [await (await deployFeed(2500)).getAddress()], [ecoFeed])
+      const requestId = await queuePredictionTrade()
+      const [, performData] = await builderAgent.checkUpkeep("0x")
+      const [, outlier] = await builderAgent.getPriceSources()
+      await (await ethers.getContractAt("MockChainlinkPriceFeed", outlier)).updatePrice(usd(3000))
+
+      const upkeep = builderAgent.performUpkeep(performData)
+
+      const disagreement = builderAgent.interface.encodeErrorResult("PriceSourcesDisagree", [2000])
+      await expect(upkeep).to.emit(builderAgent, "PriceCheckFailed").withArgs(requestId, disagreement)
+      await expect(upkeep).not.to.emit(builderAgent, "TradeTriggered")
+    })
+  })
+})
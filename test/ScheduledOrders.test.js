@@ -0,0 +1,246 @@
+const { expect } = require("chai")
+const { ethers, upgrades } = require("hardhat")
+const { Keeper } = require("../scripts/lib/keeper")
+const { applyChange } = require("../scripts/lib/governance")
+const { deployAgentModules } = require("../scripts/lib/agent-modules")
+
+describe("Scheduled Orders", () => {
+  let deployer, user
+  let weth, usdc, router, vault, builderAgent, priceFeed
+  let snapshotId
+
+  const ORDER_CONFIDENCE = 10000
+  const HOUR = 3600
+  const usd = (value) => BigInt(value) * 10n ** 8n
+  const now = async () => (await ethers.provider.getBlock("latest")).timestamp
+  // Advance the chain, keeping the feed fresh (answers go stale after MAX_PRICE_AGE)
+  const increaseTime = async (seconds) => {
+    await ethers.provider.send("evm_increaseTime", [seconds])
+    await priceFeed.updatePrice(usd(2500))
+  }
+
+  const createOrder = async ({ total = "10", slice = "4", interval = HOUR, limitPrice = 0, ttl = 10 * HOUR } = {}) =>
+    builderAgent.createScheduledOrder(
+      ethers.parseEther(total),
+      ethers.parseEther(slice),
+      interval,
+      limitPrice,
+      (await now()) + ttl,
+    )
+
+  const performUpkeep = async () => {
+    const [upkeepNeeded, performData] = await builderAgent.checkUpkeep("0x")
+    expect(upkeepNeeded).to.equal(true)
+    return builderAgent.performUpkeep(performData)
+  }
+
+  beforeEach(async () => {
+    snapshotId = await ethers.provider.send("evm_snapshot", [])
+    ;[deployer, user] = await ethers.getSigners()
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20")
+    weth = await MockERC20.deploy("Mock WETH", "mWETH", 18, ethers.parseEther("1000000"))
+    usdc = await MockERC20.deploy("Mock USDC", "mUSDC", 6, 0)
+
+    const MockUniswapRouter = await ethers.getContractFactory("MockUniswapRouter")
+    router = await MockUniswapRouter.deploy()
+    await usdc.mint(await router.getAddress(), ethers.parseUnits("10000000", 6))
+    await router.setExchangeRate(await weth.getAddress(), await usdc.getAddress(), 2500n * 10n ** 6n)
+
+    const MockChainlinkPriceFeed = await ethers.getContractFactory("MockChainlinkPriceFeed")
+    priceFeed = await MockChainlinkPriceFeed.deploy(8, "ETH/USD", 1, usd(2500))
+
+    const CuttlefishVault = await ethers.getContractFactory("CuttlefishVault")
+    vault = await upgrades.deployProxy(CuttlefishVault, [
+      await weth.getAddress(),
+      deployer.address,
+      deployer.address,
+      await router.getAddress(),
+    ])
+    await weth.mint(await vault.getAddress(), ethers.parseEther("10000"))
+
+    const BuilderAgent = await ethers.getContractFactory("BuilderAgent")
+    builderAgent = await BuilderAgent.deploy(
+      await vault.getAddress(),
+      await weth.getAddress(),
+      await usdc.getAddress(),
+      await priceFeed.getAddress(),
+      {
+        priceThreshold: usd(2000),
+        maxTradeSize: ethers.parseEther("5"),
+        dailyTradeLimit: ethers.parseEther("1000"),
+        cooldownPeriod: 600,
+        maxSlippage: 300,
+        confidenceThreshold: 7000,
+      },
+      await deployAgentModules(ethers, "BuilderAgent"),
+    )
+    await vault.addBuilderAgent(await builderAgent.getAddress())
+  })
+
+  afterEach(async () => {
+    await ethers.provider.send("evm_revert", [snapshotId])
+  })
+
+  describe("Order book", () => {
+    it("Should register an order that is due immediately", async () => {
+      const expiry = (await now()) + 10 * HOUR
+
+      await expect(
+        builderAgent.createScheduledOrder(ethers.parseEther("10"), ethers.parseEther("4"), HOUR, usd(2400), expiry),
+      )
+        .to.emit(builderAgent, "ScheduledOrderCreated")
+        .withArgs(1, ethers.parseEther("10"), ethers.parseEther("4"), HOUR, usd(2400), expiry)
+
+      const order = await builderAgent.scheduledOrders(1)
+      expect(order.nextExecution).to.equal(await now())
+      expect(order.status).to.equal(1) // Active
+      expect(await builderAgent.getOpenOrders()).to.deep.equal([1n])
+    })
+
+    it("Should validate orders against the trading config", async () => {
+      await expect(createOrder({ slice: "0" })).to.be.revertedWith("Invalid slice size")
+      await expect(createOrder({ total: "3", slice: "4" })).to.be.revertedWith("Invalid slice size")
+      await expect(createOrder({ slice: "6" })).to.be.revertedWith("Slice exceeds max trade size")
+      await expect(createOrder({ interval: 60 })).to.be.revertedWith("Interval below cooldown")
+      await expect(createOrder({ ttl: 0 })).to.be.revertedWith("Invalid expiry")
+      await expect(builderAgent.connect(user).createScheduledOrder(1, 1, HOUR, 0, 0)).to.be.revertedWithCustomError(
+        builderAgent,
+        "AccessControlUnauthorizedAccount",
+      )
+
+      const max = await builderAgent.MAX_OPEN_ORDERS()
+      for (let i = 0n; i < max; i++) {
+        await createOrder()
+      }
+      await expect(createOrder()).to.be.revertedWith("Too many open orders")
+    })
+
+    it("Should cancel the unfilled remainder", async () => {
+      await createOrder()
+      await performUpkeep()
+
+      await expect(builderAgent.cancelScheduledOrder(1))
+        .to.emit(builderAgent, "ScheduledOrderClosed")
+        .withArgs(1, 3, ethers.parseEther("4")) // Cancelled
+      expect(await builderAgent.getOpenOrders()).to.deep.equal([])
+      expect((await builderAgent.checkUpkeep("0x"))[0]).to.equal(false)
+      await expect(builderAgent.cancelScheduledOrder(1)).to.be.revertedWith("Order not active")
+    })
+  })
+
+  describe("Upkeep", () => {
+    it("Should execute slices every interval until the order is filled", async () => {
+      await createOrder()
+
+      await expect(performUpkeep())
+        .to.emit(builderAgent, "ScheduledOrderExecuted")
+        .withArgs(1, 1, ethers.parseEther("4"), ethers.parseEther("4"))
+      expect((await builderAgent.checkUpkeep("0x"))[0]).to.equal(false)
+      await expect(builderAgent.performUpkeep(ethers.AbiCoder.defaultAbiCoder().encode(["uint256"], [1])))
+        .to.be.revertedWithCustomError(builderAgent, "OrderNotExecutable")
+        .withArgs(1)
+
+      await increaseTime(HOUR)
+      await performUpkeep()
+      await increaseTime(HOUR)
+
+      // The last slice takes the remainder and closes the order
+      const upkeep = performUpkeep()
+      await expect(upkeep)
+        .to.emit(builderAgent, "TradeTriggered")
+        .withArgs(
+          3,
+          ethers.parseEther("2"),
+          ethers.parseUnits("4850", 6),
+          [await weth.getAddress(), await usdc.getAddress()],
+          usd(2500),
+          ORDER_CONFIDENCE,
+        )
+      await expect(upkeep)
+        .to.emit(builderAgent, "ScheduledOrderClosed")
+        .withArgs(1, 2, ethers.parseEther("10")) // Filled
+
+      expect(await usdc.balanceOf(await vault.getAddress())).to.equal(ethers.parseUnits("25000", 6))
+      expect(await builderAgent.dailyTradeVolume()).to.equal(ethers.parseEther("10"))
+      expect((await builderAgent.positions(await usdc.getAddress())).costBasis).to.equal(ethers.parseEther("10"))
+    })
+
+    it("Should wait for the limit price and the agent's trading limits", async () => {
+      await createOrder({ limitPrice: usd(2600) })
+      expect((await builderAgent.checkUpkeep("0x"))[0]).to.equal(false)
+
+      await priceFeed.updatePrice(usd(2600))
+      await router.setExchangeRate(await weth.getAddress(), await usdc.getAddress(), 2600n * 10n ** 6n)
+      const [, performData] = await builderAgent.checkUpkeep("0x")
+
+      // The price slips back before the keeper's transaction lands
+      await priceFeed.updatePrice(usd(2550))
+      await expect(builderAgent.performUpkeep(performData)).to.be.revertedWithCustomError(
+        builderAgent,
+        "PriceBelowThreshold",
+      )
+
+      await priceFeed.updatePrice(usd(2600))
+      await builderAgent.activateEmergencyStop("test")
+      expect((await builderAgent.checkUpkeep("0x"))[0]).to.equal(false)
+      await builderAgent.deactivateEmergencyStop()
+      await applyChange(builderAgent, "updateTradingConfig", [{ ...(await builderAgent.config()).toObject(), dailyTradeLimit: 0 }])
+      expect((await builderAgent.checkUpkeep("0x"))[0]).to.equal(false)
+    })
+
+    it("Should close expired orders", async () => {
+      await createOrder({ ttl: HOUR })
+      await performUpkeep()
+      await increaseTime(HOUR)
+
+      await expect(performUpkeep())
+        .to.emit(builderAgent, "ScheduledOrderClosed")
+        .withArgs(1, 4, ethers.parseEther("4")) // Expired
+      expect(await builderAgent.totalTrades()).to.equal(1)
+      expect(await builderAgent.getOpenOrders()).to.deep.equal([])
+    })
+
+    it("Should only accept keepers and the registry", async () => {
+      await createOrder()
+      const [, performData] = await builderAgent.checkUpkeep("0x")
+
+      await expect(builderAgent.connect(user).performUpkeep(performData)).to.be.revertedWithCustomError(
+        builderAgent,
+        "UnauthorizedKeeper",
+      )
+
+      await applyChange(builderAgent, "setKeeperRegistry", [user.address])
+      await priceFeed.updatePrice((await priceFeed.latestRoundData()).answer) // Fresh again after the delay
+      await expect(builderAgent.connect(user).performUpkeep(performData)).to.emit(
+        builderAgent,
+        "ScheduledOrderExecuted",
+      )
+    })
+  })
+
+  describe("Keeper", () => {
+    it("Should perform due upkeep and idle otherwise", async () => {
+      await createOrder()
+      const keeper = new Keeper({ targets: [builderAgent] })
+
+      const [performed] = await keeper.tick()
+      expect(performed.status).to.equal("performed")
+      expect(performed.target).to.equal(await builderAgent.getAddress())
+
+      const [idle] = await keeper.tick()
+      expect(idle.status).to.equal("idle")
+      expect((await builderAgent.scheduledOrders(1)).executedAmount).to.equal(ethers.parseEther("4"))
+    })
+
+    it("Should report failed upkeep", async () => {
+      await createOrder()
+      const keeper = new Keeper({ targets: [builderAgent.connect(user)] })
+
+      const [result] = await keeper.tick()
+
+      expect(result.status).to.equal("failed")
+      expect(result.reason).to.equal("UnauthorizedKeeper")
+    })
+  })
+})
@@ -0,0 +1,286 @@
+const { expect } = require("chai")
+const { ethers, upgrades } = require("hardhat")
+const { createMovingAverageStrategy } = require("../scripts/strategies/moving-average")
+const { AgentRunner } = require("../scripts/lib/agent-runner")
+const { deployAgentModules } = require("../scripts/lib/agent-modules")
+const { applyChange } = require("../scripts/lib/governance")
+
+describe("Sell-Side Trading", () => {
+  let deployer, user
+  let weth, usdc, wbtc, router, vault, builderAgent, priceFeed
+
+  const AI_CONFIDENCE = 8000
+  const usd = (value) => BigInt(value) * 10n ** 8n
+  const deadline = async () => (await ethers.provider.getBlock("latest")).timestamp + 3600
+
+  // Router rates for a given ETH/USD price, in raw units per 1e18
+  const setMarket = async (price) => {
+    await priceFeed.updatePrice(usd(price))
+    await router.setExchangeRate(await weth.getAddress(), await usdc.getAddress(), BigInt(price) * 10n ** 6n)
+    await router.setExchangeRate(await usdc.getAddress(), await weth.getAddress(), 10n ** 30n / BigInt(price))
+  }
+
+  const buy = async (amount) =>
+    builderAgent.triggerTrade(ethers.parseEther(amount), 0, await deadline(), AI_CONFIDENCE)
+
+  const sell = async (amount) =>
+    builderAgent.triggerSell(await usdc.getAddress(), amount, 0, await deadline(), AI_CONFIDENCE)
+
+  const canSell = async (amount) => builderAgent.canSell(await usdc.getAddress(), amount, AI_CONFIDENCE)
+
+  beforeEach(async () => {
+    ;[deployer, user] = await ethers.getSigners()
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20")
+    weth = await MockERC20.deploy("Mock WETH", "mWETH", 18, ethers.parseEther("1000000"))
+    usdc = await MockERC20.deploy("Mock USDC", "mUSDC", 6, 0)
+    wbtc = await MockERC20.deploy("Mock WBTC", "mWBTC", 8, 0)
+
+    const MockUniswapRouter = await ethers.getContractFactory("MockUniswapRouter")
+    router = await MockUniswapRouter.deploy()
+    await usdc.mint(await router.getAddress(), ethers.parseUnits("10000000", 6))
+    await weth.mint(await router.getAddress(), ethers.parseEther("10000"))
+
+    const MockChainlinkPriceFeed = await ethers.getContractFactory("MockChainlinkPriceFeed")
+    priceFeed = await MockChainlinkPriceFeed.deploy(8, "ETH/USD", 1, usd(2500))
+    await setMarket(2500)
+
+    const CuttlefishVault = await ethers.getContractFactory("CuttlefishVault")
+    vault = await upgrades.deployProxy(CuttlefishVault, [
+      await weth.getAddress(),
+      deployer.address,
+      deployer.address,
+      await router.getAddress(),
+    ])
+    await weth.mint(await vault.getAddress(), ethers.parseEther("10000"))
+
+    const BuilderAgent = await ethers.getContractFactory("BuilderAgent")
+    builderAgent = await BuilderAgent.deploy(
+      await vault.getAddress(),
+      await weth.getAddress(),
+      await usdc.getAddress(),
+      await priceFeed.getAddress(),
+      {
+        priceThreshold: usd(2000),
+        maxTradeSize: ethers.parseEther("100"),
+        dailyTradeLimit: ethers.parseEther("1000"),
+        cooldownPeriod: 0,
+        maxSlippage: 300,
+        confidenceThreshold: 7000,
+      },
+      await deployAgentModules(ethers, "BuilderAgent"),
+    )
+    await builderAgent.grantRole(await builderAgent.AI_ROLE(), deployer.address)
+    await vault.addBuilderAgent(await builderAgent.getAddress())
+  })
+
+  describe("Positions", () => {
+    it("Should open a position at cost on buys", async () => {
+      await expect(buy("2"))
+        .to.emit(builderAgent, "PositionUpdated")
+        .withArgs(await usdc.getAddress(), ethers.parseUnits("5000", 6), ethers.parseEther("2"))
+
+      const position = await builderAgent.positions(await usdc.getAddress())
+      expect(position.amount).to.equal(ethers.parseUnits("5000", 6))
+      expect(position.costBasis).to.equal(ethers.parseEther("2"))
+    })
+
+    it("Should close part of a position and realize P&L against its pro-rata cost", async () => {
+      await buy("2")
+      await setMarket(2000) // The vault asset got cheaper: USDC buys back more of it
+
+      const feesBefore = await vault.pendingFees()
+      await expect(sell(ethers.parseUnits("2500", 6)))
+        .to.emit(builderAgent, "SellTriggered")
+        .withArgs(
+          2,
+          await usdc.getAddress(),
+          ethers.parseUnits("2500", 6),
+          ethers.parseEther("1.25"),
+          ethers.parseEther("0.25"),
+          usd(2000),
+          AI_CONFIDENCE,
+        )
+
+      const position = await builderAgent.positions(await usdc.getAddress())
+      expect(position.amount).to.equal(ethers.parseUnits("2500", 6))
+      expect(position.costBasis).to.equal(ethers.parseEther("1"))
+      expect(await builderAgent.realizedPnl()).to.equal(ethers.parseEther("0.25"))
+      expect(await builderAgent.successfulTrades()).to.equal(2)
+
+      // The vault charges its fee on the realized profit of a sell
+      const feeRate = await vault.performanceFeeRate()
+      expect((await vault.pendingFees()) - feesBefore).to.equal((ethers.parseEther("0.25") * feeRate) / 10000n)
+    })
+
+    it("Should record realized losses", async () => {
+      await buy("2")
+      await setMarket(3125)
+
+      await sell(ethers.parseUnits("5000", 6))
+
+      expect(await builderAgent.realizedPnl()).to.equal(-ethers.parseEther("0.4"))
+      const position = await builderAgent.positions(await usdc.getAddress())
+      expect(position.amount).to.equal(0)
+      expect(position.costBasis).to.equal(0)
+    })
+
+    it("Should not sell more than the agent bought", async () => {
+      await expect(sell(1)).to.be.revertedWithCustomError(builderAgent, "InsufficientPosition")
+
+      await buy("1")
+      await expect(sell(ethers.parseUnits("2500", 6) + 1n)).to.be.revertedWithCustomError(
+        builderAgent,
+        "InsufficientPosition",
+      )
+      expect((await canSell(ethers.parseUnits("3000", 6)))[1]).to.equal("Insufficient position")
+    })
+
+    it("Should sell back along the reversed default route", async () => {
+      await applyChange(builderAgent, "setIntermediateToken", [await wbtc.getAddress(), true])
+      await applyChange(builderAgent, "setDefaultRoute", [await usdc.getAddress(), [await wbtc.getAddress()]])
+
+      expect(await builderAgent.getSellPath(await usdc.getAddress())).to.deep.equal([
+        await usdc.getAddress(),
+        await wbtc.getAddress(),
+        await weth.getAddress(),
+      ])
+    })
+  })
+
+  describe("Take-profit and stop-loss", () => {
+    beforeEach(async () => {
+      await buy("2")
+      await builderAgent.setSellConfig({ takeProfitPrice: usd(2200), stopLossPrice: usd(2800) })
+    })
+
+    it("Should hold the position between the two triggers", async () => {
+      await expect(sell(ethers.parseUnits("1000", 6))).to.be.revertedWithCustomError(
+        builderAgent,
+        "SellConditionsNotMet",
+      )
+      expect(await canSell(ethers.parseUnits("1000", 6))).to.deep.equal([false, "Sell price not reached"])
+    })
+
+    it("Should sell at the take-profit and stop-loss prices", async () => {
+      await setMarket(2200)
+      await expect(sell(ethers.parseUnits("1000", 6))).to.emit(builderAgent, "SellTriggered")
+
+      await setMarket(2800)
+      expect(await canSell(ethers.parseUnits("1000", 6))).to.deep.equal([true, "Sell allowed"])
+      await expect(sell(ethers.parseUnits("1000", 6))).to.emit(builderAgent, "SellTriggered")
+    })
+
+    it("Should validate and restrict the sell configuration", async () => {
+      await expect(
+        builderAgent.setSellConfig({ takeProfitPrice: usd(2800), stopLossPrice: usd(2200) }),
+      ).to.be.revertedWith("Take-profit must be below stop-loss")
+      await expect(
+        builderAgent.connect(user).setSellConfig({ takeProfitPrice: 0, stopLossPrice: 0 }),
+      ).to.be.revertedWithCustomError(builderAgent, "AccessControlUnauthorizedAccount")
+
+      await expect(builderAgent.setSellConfig({ takeProfitPrice: 0, stopLossPrice: usd(2600) })).to.emit(
+        builderAgent,
+        "SellConfigUpdated",
+      )
+    })
+  })
+
+  describe("Vault", () => {
+    beforeEach(async () => {
+      await vault.addBuilderAgent(deployer.address)
+    })
+
+    it("Should only swap into or out of the vault asset", async () => {
+      const paths = [
+        [await usdc.getAddress(), await wbtc.getAddress()],
+        [await weth.getAddress(), await usdc.getAddress(), await weth.getAddress()],
+      ]
+
+      for (const path of paths) {
+        await expect(vault.executeTradeOnUniswap(1000, 0, path, await deadline())).to.be.revertedWithCustomError(
+          vault,
+          "InvalidPath",
+        )
+      }
+    })
+
+    it("Should count held tokens in totalAssets at their price feed, or at cost without one", async () => {
+      await builderAgent.triggerTrade(ethers.parseEther("2"), 0, await deadline(), AI_CONFIDENCE)
+      expect(await vault.costBasis(await usdc.getAddress())).to.equal(ethers.parseEther("2"))
+      expect(await vault.getHeldTokens()).to.deep.equal([await usdc.getAddress()])
+      expect(await vault.totalAssets()).to.equal(ethers.parseEther("10000"))
+
+      // 5000 USDC at $2000 is worth 2.5 ETH
+      await vault.setPriceFeed(await usdc.getAddress(), await priceFeed.getAddress())
+      await setMarket(2000)
+      expect(await vault.totalAssets()).to.equal(ethers.parseEther("10000.5"))
+
+      await priceFeed.setStaleData((await ethers.provider.getBlock("latest")).timestamp - 7200)
+      expect(await vault.totalAssets()).to.equal(ethers.parseEther("10000"))
+
+      // So is a feed whose decimals() reverts, rather than reverting totalAssets
+      await setMarket(2000)
+      await priceFeed.setDecimalsReverts(true)
+      expect(await vault.totalAssets()).to.equal(ethers.parseEther("10000"))
+    })
+
+    it("Should charge the performance fee on realized profit only", async () => {
+      const feeRate = await vault.performanceFeeRate()
+
+      await expect(buy("2")).not.to.emit(vault, "FeesAccrued")
+      await setMarket(3125)
+      await expect(sell(ethers.parseUnits("5000", 6))).not.to.emit(vault, "FeesAccrued") // 0.4 ETH loss
+      expect(await vault.costBasis(await usdc.getAddress())).to.equal(0)
+
+      await setMarket(2500)
+      await buy("2")
+      await setMarket(2000)
+      await expect(sell(ethers.parseUnits("5000", 6)))
+        .to.emit(vault, "FeesAccrued")
+        .withArgs(await builderAgent.getAddress(), (ethers.parseEther("0.5") * feeRate) / 10000n)
+      expect(await vault.totalFeesAccrued()).to.equal((ethers.parseEther("0.5") * feeRate) / 10000n)
+    })
+
+    it("Should not sell tokens the vault does not hold", async () => {
+      await expect(
+        vault.executeTradeOnUniswap(1000, 0, [await usdc.getAddress(), await weth.getAddress()], await deadline()),
+      ).to.be.revertedWithCustomError(vault, "InsufficientLiquidity")
+    })
+  })
+
+  describe("Runner", () => {
+    it("Should close the position when momentum reverses", async () => {
+      await buy("2")
+      for (const price of [2500, 2480, 2450, 2400, 2300]) {
+        await setMarket(price)
+      }
+      const runner = new AgentRunner({
+        agent: builderAgent,
+        priceFeed,
+        router,
+        strategy: createMovingAverageStrategy({ shortWindow: 2, longWindow: 5, exitMomentum: 50 }),
+      })
+
+      const result = await runner.tick()
+
+      expect(result.status).to.equal("submitted")
+      expect(result.decision.action).to.equal("sell")
+      expect(result.trade.amountIn).to.equal(ethers.parseUnits("5000", 6))
+      expect((await builderAgent.positions(await usdc.getAddress())).amount).to.equal(0)
+      expect(await builderAgent.realizedPnl()).to.be.greaterThan(0)
+    })
+
+    it("Should keep holding without an open position", async () => {
+      const strategy = createMovingAverageStrategy({ shortWindow: 2, longWindow: 5, exitMomentum: 50 })
+
+      const decision = strategy.decide({
+        prices: [2500, 2480, 2450, 2400, 2300].map(usd),
+        config: await builderAgent.config(),
+        position: await builderAgent.positions(await usdc.getAddress()),
+      })
+
+      expect(decision.action).to.equal("hold")
+    })
+  })
+})
@@ -0,0 +1,206 @@
+const { expect } = require("chai")
+const { ethers, upgrades } = require("hardhat")
+const { deployAgentModules } = require("../scripts/lib/agent-modules")
+
+describe("On-Chain Slippage Protection", () => {
+  let deployer
+  let weth, usdc, dai, router, vault, priceFeed
+
+  const AI_CONFIDENCE = 8000
+  const usd = (value) => BigInt(value) * 10n ** 8n
+  const deadline = async () => (await ethers.provider.getBlock("latest")).timestamp + 3600
+  const revertString = (message) =>
+    ethers.concat(["0x08c379a0", ethers.AbiCoder.defaultAbiCoder().encode(["string"], [message])])
+
+  beforeEach(async () => {
+    ;[deployer] = await ethers.getSigners()
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20")
+    weth = await MockERC20.deploy("Mock WETH", "mWETH", 18, ethers.parseEther("1000000"))
+    usdc = await MockERC20.deploy("Mock USDC", "mUSDC", 6, 0)
+    dai = await MockERC20.deploy("Mock DAI", "mDAI", 18, 0)
+
+    const MockUniswapRouter = await ethers.getContractFactory("MockUniswapRouter")
+    router = await MockUniswapRouter.deploy()
+    await usdc.mint(await router.getAddress(), ethers.parseUnits("10000000", 6))
+    await router.setExchangeRate(await weth.getAddress(), await usdc.getAddress(), 2500n * 10n ** 6n)
+
+    const MockChainlinkPriceFeed = await ethers.getContractFactory("MockChainlinkPriceFeed")
+    priceFeed = await MockChainlinkPriceFeed.deploy(8, "ETH/USD", 1, usd(2500))
+
+    const CuttlefishVault = await ethers.getContractFactory("CuttlefishVault")
+    vault = await upgrades.deployProxy(CuttlefishVault, [
+      await weth.getAddress(),
+      deployer.address,
+      deployer.address,
+      await router.getAddress(),
+    ])
+    await weth.mint(await vault.getAddress(), ethers.parseEther("10000"))
+  })
+
+  describe("BuilderAgent", () => {
+    let builderAgent
+
+    beforeEach(async () => {
+      const BuilderAgent = await ethers.getContractFactory("BuilderAgent")
+      builderAgent = await BuilderAgent.deploy(
+        await vault.getAddress(),
+        await weth.getAddress(),
+        await usdc.getAddress(),
+        await priceFeed.getAddress(),
+        {
+          priceThreshold: usd(2000),
+          maxTradeSize: ethers.parseEther("100"),
+          dailyTradeLimit: ethers.parseEther("1000"),
+          cooldownPeriod: 0,
+          maxSlippage: 300,
+          confidenceThreshold: 7000,
+        },
+        await deployAgentModules(ethers, "BuilderAgent"),
+      )
+      await builderAgent.grantRole(await builderAgent.AI_ROLE(), deployer.address)
+      await vault.addBuilderAgent(await builderAgent.getAddress())
+    })
+
+    it("Should derive the floor from the oracle price and token decimals", async () => {
+      const buy = [await weth.getAddress(), await usdc.getAddress()]
+      const sell = [await usdc.getAddress(), await weth.getAddress()]
+
+      // 1 WETH (18 decimals) at $2,500 is 2,500 USDC (6 decimals), less 3%
+      expect(await builderAgent.getMinimumOutput(ethers.parseEther("1"), buy)).to.equal(ethers.parseUnits("2425", 6))
+      expect(await builderAgent.getMinimumOutput(ethers.parseUnits("2500", 6), sell)).to.equal(
+        ethers.parseEther("0.97"),
+      )
+
+      // Independent of the feed's own decimals
+      const MockChainlinkPriceFeed = await ethers.getContractFactory("MockChainlinkPriceFeed")
+      const feed18 = await MockChainlinkPriceFeed.deploy(18, "ETH/USD", 1, ethers.parseEther("2500"))
+      const BuilderAgent = await ethers.getContractFactory("BuilderAgent")
+      const agent18 = await BuilderAgent.deploy(
+        await vault.getAddress(),
+        await weth.getAddress(),
+        await usdc.getAddress(),
+        await feed18.getAddress(),
+        (await builderAgent.config()).toObject(),
+        await deployAgentModules(ethers, "BuilderAgent"),
+      )
+      expect(await agent18.getMinimumOutput(ethers.parseEther("1"), buy)).to.equal(ethers.parseUnits("2425", 6))
+    })
+
+    it("Should trade with the floor when no minimum is given", async () => {
+      const path = [await weth.getAddress(), await usdc.getAddress()]
+
+      await expect(builderAgent.triggerTrade(ethers.parseEther("1"), 0, await deadline(), AI_CONFIDENCE))
+        .to.emit(builderAgent, "TradeTriggered")
+        .withArgs(1, ethers.parseEther("1"), ethers.parseUnits("2425", 6), path, usd(2500), AI_CONFIDENCE)
+    })
+
+    it("Should reject caller minimums below the floor", async () => {
+      const amountOutMin = ethers.parseUnits("2000", 6)
+
+      await expect(builderAgent.triggerTrade(ethers.parseEther("1"), amountOutMin, await deadline(), AI_CONFIDENCE))
+        .to.be.revertedWithCustomError(builderAgent, "AmountOutMinTooLow")
+        .withArgs(amountOutMin, ethers.parseUnits("2425", 6))
+    })
+
+    it("Should refuse a sandwiched fill", async () => {
+      await router.setPriceImpact(1000) // Front-run pushed the pool 10% against the agent
+      const path = [await weth.getAddress(), await usdc.getAddress()]
+      const [, quoted] = await router.getAmountsOut(ethers.parseEther("1"), path)
+
+      // A minimum derived from the manipulated quote is below the oracle floor
+      await expect(
+        builderAgent.triggerTrade(ethers.parseEther("1"), (quoted * 9700n) / 10000n, await deadline(), AI_CONFIDENCE),
+      ).to.be.revertedWithCustomError(builderAgent, "AmountOutMinTooLow")
+
+      // With the floor applied, the router refuses to fill
+      await expect(
+        builderAgent.triggerTrade(ethers.parseEther("1"), 0, await deadline(), AI_CONFIDENCE),
+      ).to.be.revertedWith("Insufficient output amount")
+
+      expect(await usdc.balanceOf(await vault.getAddress())).to.equal(0)
+      expect(await builderAgent.totalTrades()).to.equal(0)
+    })
+
+    it("Should accept price impact within maxSlippage", async () => {
+      await router.setPriceImpact(200)
+
+      await builderAgent.triggerTrade(ethers.parseEther("1"), 0, await deadline(), AI_CONFIDENCE)
+
+      expect(await usdc.balanceOf(await vault.getAddress())).to.equal(ethers.parseUnits("2450", 6))
+    })
+
+    it("Should leave pairs the feed does not price to the caller's minimum", async () => {
+      await builderAgent.setPortfolio([await usdc.getAddress(), await dai.getAddress()], [5000, 5000])
+      const path = [await weth.getAddress(), await dai.getAddress()]
+
+      expect(await builderAgent.getMinimumOutput(ethers.parseEther("1"), path)).to.equal(0)
+    })
+  })
+
+  describe("EnhancedBuilderAgent", () => {
+    let builderAgent, functionsRouter
+
+    beforeEach(async () => {
+      const MockFunctionsRouter = await ethers.getContractFactory("MockFunctionsRouter")
+      functionsRouter = await MockFunctionsRouter.deploy()
+
+      const EnhancedBuilderAgent = await ethers.getContractFactory("EnhancedBuilderAgent")
+      builderAgent = await EnhancedBuilderAgent.deploy(
+        await vault.getAddress(),
+        await weth.getAddress(),
+        await usdc.getAddress(),
+        await priceFeed.getAddress(),
+        ethers.ZeroAddress,
+        ethers.ZeroAddress,
+        await functionsRouter.getAddress(),
+        {
+          priceThreshold: usd(2000),
+          maxTradeSize: ethers.parseEther("100"),
+          dailyTradeLimit: ethers.parseEther("1000"),
+          cooldownPeriod: 0,
+          maxSlippage: 300,
+          confidenceThreshold: 7000,
+          deviationThreshold: 1000,
+          ecoThreshold: 1000,
+          predictionInterval: 3600,
+        },
+        1,
+        ethers.encodeBytes32String("test-don"),
+        await deployAgentModules(ethers, "EnhancedBuilderAgent"),
+      )
+      await vault.addBuilderAgent(await builderAgent.getAddress())
+    })
+
+    // Fulfill a confident prediction and run the upkeep that executes its trade
+    const tradeOnPrediction = async () => {
+      await builderAgent.requestPricePrediction()
+      const [event] = (await functionsRouter.queryFilter(functionsRouter.filters.RequestSent())).slice(-1)
+      const response = ethers.AbiCoder.defaultAbiCoder().encode(["uint256", "uint256", "uint256"], [usd(2600), 9000, 0])
+      await functionsRouter.fulfillRequest(event.args.requestId, response)
+
+      const [, performData] = await builderAgent.checkUpkeep("0x")
+      return { requestId: event.args.requestId, upkeep: builderAgent.performUpkeep(performData) }
+    }
+
+    it("Should fill prediction trades at or above the oracle floor", async () => {
+      expect(await builderAgent.getMinimumOutput(ethers.parseEther("1"))).to.equal(ethers.parseUnits("2425", 6))
+
+      const { upkeep } = await tradeOnPrediction()
+
+      await expect(upkeep).to.emit(builderAgent, "TradeTriggered")
+    })
+
+    it("Should refuse a sandwiched prediction trade", async () => {
+      await router.setPriceImpact(1000)
+
+      const { requestId, upkeep } = await tradeOnPrediction()
+
+      await expect(upkeep)
+        .to.emit(builderAgent, "PredictionTradeFailed")
+        .withArgs(requestId, revertString("Insufficient output amount"))
+      await expect(upkeep).not.to.emit(builderAgent, "TradeTriggered")
+      expect(await usdc.balanceOf(await vault.getAddress())).to.equal(0)
+    })
+  })
+})
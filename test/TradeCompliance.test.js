@@ -0,0 +1,370 @@
+const { expect } = require("chai")
+const { ethers, upgrades } = require("hardhat")
+const { applyChange } = require("../scripts/lib/governance")
+const { deployAgentModules } = require("../scripts/lib/agent-modules")
+
+describe("Trade Compliance Enforcement", () => {
+  let deployer, ai, user
+  let weth, usdc, dai, router, vault, priceFeed, complianceEngine, builderAgent
+
+  const AI_CONFIDENCE = 8000
+  const usd = (value) => BigInt(value) * 10n ** 8n
+  const deadline = async () => (await ethers.provider.getBlock("latest")).timestamp + 3600
+
+  // IComplianceEngine.ReasonCode
+  const Reason = {
+    Approved: 0,
+    TraderBlacklisted: 1,
+    TraderRiskTooHigh: 2,
+    TradeSizeExceeded: 3,
+    KYCRequired: 4,
+    PriceOutOfBand: 5,
+    VolatilityTooHigh: 6,
+    RegulatoryHalt: 7,
+    DataUnavailable: 8,
+  }
+
+  const profile = (overrides = {}) => ({
+    isKYCVerified: false,
+    riskScore: 0,
+    maxTradeSize: 0,
+    isBlacklisted: false,
+    lastComplianceCheck: 0,
+    ...overrides,
+  })
+  const rule = (overrides = {}) => ({
+    minPrice: 0,
+    maxPrice: 0,
+    maxVolatility: 0,
+    requiresKYC: false,
+    isActive: true,
+    ...overrides,
+  })
+
+  beforeEach(async () => {
+    ;[deployer, ai, user] = await ethers.getSigners()
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20")
+    weth = await MockERC20.deploy("Mock WETH", "mWETH", 18, ethers.parseEther("1000000"))
+    usdc = await MockERC20.deploy("Mock USDC", "mUSDC", 6, 0)
+    dai = await MockERC20.deploy("Mock DAI", "mDAI", 18, 0)
+
+    const MockUniswapRouter = await ethers.getContractFactory("MockUniswapRouter")
+    router = await MockUniswapRouter.deploy()
+    await usdc.mint(await router.getAddress(), ethers.parseUnits("10000000", 6))
+    await dai.mint(await router.getAddress(), ethers.parseEther("10000000"))
+    await router.setExchangeRate(await weth.getAddress(), await usdc.getAddress(), 2500n * 10n ** 6n)
+    await router.setExchangeRate(await weth.getAddress(), await dai.getAddress(), 2500n * 10n ** 18n)
+
+    const MockChainlinkPriceFeed = await ethers.getContractFactory("MockChainlinkPriceFeed")
+    priceFeed = await MockChainlinkPriceFeed.deploy(8, "ETH/USD", 1, usd(2500))
+
+    const CuttlefishVault = await ethers.getContractFactory("CuttlefishVault")
+    vault = await upgrades.deployProxy(CuttlefishVault, [
+      await weth.getAddress(),
+      deployer.address,
+      deployer.address,
+      await router.getAddress(),
+    ])
+    await weth.mint(await vault.getAddress(), ethers.parseEther("10000"))
+
+    const ComplianceEngine = await ethers.getContractFactory("ComplianceEngine")
+    complianceEngine = await ComplianceEngine.deploy()
+
+    const BuilderAgent = await ethers.getContractFactory("BuilderAgent")
+    builderAgent = await BuilderAgent.deploy(
+      await vault.getAddress(),
+      await weth.getAddress(),
+      await usdc.getAddress(),
+      await priceFeed.getAddress(),
+      {
+        priceThreshold: usd(2000),
+        maxTradeSize: ethers.parseEther("100"),
+        dailyTradeLimit: ethers.parseEther("1000"),
+        cooldownPeriod: 0,
+        maxSlippage: 300,
+        confidenceThreshold: 7000,
+      },
+      await deployAgentModules(ethers, "BuilderAgent"),
+    )
+    await builderAgent.grantRole(await builderAgent.AI_ROLE(), ai.address)
+    await vault.addBuilderAgent(await builderAgent.getAddress())
+    await applyChange(builderAgent, "setComplianceEngine", [await complianceEngine.getAddress()])
+    await priceFeed.updatePrice(usd(2500)) // Fresh again after the governance delay
+  })
+
+  describe("ComplianceEngine", () => {
+    it("Should check trader profiles before asset rules", async () => {
+      const usdcAddress = await usdc.getAddress()
+      const check = (amount = ethers.parseEther("1"), price = usd(2500)) =>
+        complianceEngine.checkTrade(ai.address, usdcAddress, amount, price)
+
+      // Unprofiled traders and unlisted assets pass
+      expect(await check()).to.equal(Reason.Approved)
+
+      await complianceEngine.updateTraderProfile(ai.address, profile({ maxTradeSize: ethers.parseEther("5") }))
+      expect(await check(ethers.parseEther("5"))).to.equal(Reason.Approved)
+      expect(await check(ethers.parseEther("6"))).to.equal(Reason.TradeSizeExceeded)
+
+      await complianceEngine.updateTraderProfile(ai.address, profile({ riskScore: 8001 }))
+      expect(await check()).to.equal(Reason.TraderRiskTooHigh)
+
+      await complianceEngine.updateTraderProfile(ai.address, profile({ isBlacklisted: true, riskScore: 9000 }))
+      expect(await check()).to.equal(Reason.TraderBlacklisted)
+    })
+
+    it("Should enforce KYC, price bands, volatility and regulatory halts per asset", async () => {
+      const usdcAddress = await usdc.getAddress()
+      const check = (price = usd(2500)) => complianceEngine.checkTrade(ai.address, usdcAddress, 1, price)
+
+      await complianceEngine.updateAssetRule(usdcAddress, rule({ requiresKYC: true }))
+      expect(await check()).to.equal(Reason.KYCRequired)
+      await complianceEngine.updateTraderProfile(ai.address, profile({ isKYCVerified: true }))
+      expect(await check()).to.equal(Reason.Approved)
+
+      await complianceEngine.updateAssetRule(usdcAddress, rule({ minPrice: usd(2000), maxPrice: usd(3000) }))
+      expect(await check(usd(1999))).to.equal(Reason.PriceOutOfBand)
+      expect(await check(usd(3001))).to.equal(Reason.PriceOutOfBand)
+      expect(await check(usd(3000))).to.equal(Reason.Approved)
+
+      const MockChainlinkPriceFeed = await ethers.getContractFactory("MockChainlinkPriceFeed")
+      const volatilityFeed = await MockChainlinkPriceFeed.deploy(2, "VOL", 1, 1500)
+      const regulatoryFeed = await MockChainlinkPriceFeed.deploy(0, "REG", 1, 1)
+      await complianceEngine.setFeeds(await volatilityFeed.getAddress(), await regulatoryFeed.getAddress())
+      await complianceEngine.updateAssetRule(usdcAddress, rule({ maxVolatility: 1000 }))
+      expect(await check()).to.equal(Reason.VolatilityTooHigh)
+
+      await volatilityFeed.updatePrice(500)
+      expect(await check()).to.equal(Reason.Approved)
+      await regulatoryFeed.updatePrice(0)
+      expect(await check()).to.equal(Reason.RegulatoryHalt)
+
+      // Feeds that cannot be read fail closed
+      await complianceEngine.setFeeds(await dai.getAddress(), ethers.ZeroAddress)
+      expect(await check()).to.equal(Reason.DataUnavailable)
+    })
+
+    it("Should record every decision for the calling agent", async () => {
+      await complianceEngine.updateTraderProfile(user.address, profile({ isBlacklisted: true }))
+
+      await expect(complianceEngine.validateTrade(ai.address, await usdc.getAddress(), 10, usd(2500)))
+        .to.emit(complianceEngine, "TradeValidated")
+        .withArgs(1, deployer.address, ai.address, await usdc.getAddress(), 10, usd(2500), Reason.Approved)
+      await expect(complianceEngine.validateTrade(user.address, await usdc.getAddress(), 10, usd(2500)))
+        .to.emit(complianceEngine, "TradeValidated")
+        .withArgs(2, deployer.address, user.address, await usdc.getAddress(), 10, usd(2500), Reason.TraderBlacklisted)
+      expect(await complianceEngine.totalTradeDecisions()).to.equal(2)
+    })
+  })
+
+  describe("BuilderAgent", () => {
+    it("Should record approved trades and execute them", async () => {
+      const amount = ethers.parseEther("1")
+
+      const tx = builderAgent.connect(ai).triggerTrade(amount, 0, await deadline(), AI_CONFIDENCE)
+
+      await expect(tx)
+        .to.emit(complianceEngine, "TradeValidated")
+        .withArgs(1, await builderAgent.getAddress(), ai.address, await usdc.getAddress(), amount, usd(2500), 0)
+      await expect(tx).to.emit(builderAgent, "TradeTriggered")
+    })
+
+    it("Should skip and report trades the engine rejects", async () => {
+      await complianceEngine.updateAssetRule(await usdc.getAddress(), rule({ requiresKYC: true }))
+      const amount = ethers.parseEther("1")
+
+      const tx = builderAgent.connect(ai).triggerTrade(amount, 0, await deadline(), AI_CONFIDENCE)
+
+      await expect(tx)
+        .to.emit(builderAgent, "TradeNotCompliant")
+        .withArgs(ai.address, await usdc.getAddress(), amount, Reason.KYCRequired)
+      await expect(tx).to.emit(complianceEngine, "TradeValidated")
+      await expect(tx).not.to.emit(builderAgent, "TradeTriggered")
+      expect(await builderAgent.totalTrades()).to.equal(0)
+      expect(await builderAgent.dailyTradeVolume()).to.equal(0)
+      expect(await usdc.balanceOf(await vault.getAddress())).to.equal(0)
+    })
+
+    it("Should apply the trader's maxTradeSize to routed and batch trades", async () => {
+      await complianceEngine.updateTraderProfile(ai.address, profile({ maxTradeSize: ethers.parseEther("2") }))
+      const path = [await weth.getAddress(), await usdc.getAddress()]
+
+      await expect(
+        builderAgent
+          .connect(ai)
+          .triggerTradeWithRoute(ethers.parseEther("3"), 0, path, await deadline(), AI_CONFIDENCE),
+      )
+        .to.emit(builderAgent, "TradeNotCompliant")
+        .withArgs(ai.address, await usdc.getAddress(), ethers.parseEther("3"), Reason.TradeSizeExceeded)
+
+      // Batches are checked on their total
+      const legs = [ethers.parseEther("1.5"), ethers.parseEther("1.5")]
+      await expect(builderAgent.connect(ai).triggerBatchTrade(legs, [0, 0], await deadline(), AI_CONFIDENCE, 1))
+        .to.emit(builderAgent, "TradeNotCompliant")
+        .withArgs(ai.address, await usdc.getAddress(), ethers.parseEther("3"), Reason.TradeSizeExceeded)
+
+      await builderAgent
+        .connect(ai)
+        .triggerTradeWithRoute(ethers.parseEther("2"), 0, path, await deadline(), AI_CONFIDENCE)
+      expect(await builderAgent.totalTrades()).to.equal(1)
+    })
+
+    it("Should skip portfolio legs into assets outside their price band", async () => {
+      await builderAgent.setPortfolio([await usdc.getAddress(), await dai.getAddress()], [5000, 5000])
+      await complianceEngine.updateAssetRule(await dai.getAddress(), rule({ maxPrice: usd(2400) }))
+
+      const tx = builderAgent
+        .connect(ai)
+        .triggerPortfolioTrade(ethers.parseEther("2"), [0, 0], await deadline(), AI_CONFIDENCE)
+
+      await expect(tx)
+        .to.emit(builderAgent, "TradeNotCompliant")
+        .withArgs(ai.address, await dai.getAddress(), ethers.parseEther("1"), Reason.PriceOutOfBand)
+      expect(await usdc.balanceOf(await vault.getAddress())).to.equal(ethers.parseUnits("2500", 6))
+      expect(await dai.balanceOf(await vault.getAddress())).to.equal(0)
+    })
+
+    it("Should check sells against the selling trader", async () => {
+      await builderAgent.connect(ai).triggerTrade(ethers.parseEther("1"), 0, await deadline(), AI_CONFIDENCE)
+      await builderAgent.setSellConfig({ takeProfitPrice: 0, stopLossPrice: usd(2500) })
+      await complianceEngine.updateTraderProfile(ai.address, profile({ riskScore: 9000 }))
+
+      const position = await builderAgent.positions(await usdc.getAddress())
+      await expect(
+        builderAgent
+          .connect(ai)
+          .triggerSell(await usdc.getAddress(), position.amount, 0, await deadline(), AI_CONFIDENCE),
+      )
+        .to.emit(builderAgent, "TradeNotCompliant")
+        .withArgs(ai.address, await usdc.getAddress(), ethers.parseEther("1"), Reason.TraderRiskTooHigh)
+      expect((await builderAgent.positions(await usdc.getAddress())).amount).to.equal(position.amount)
+    })
+
+    it("Should hold scheduled order slices while the order creator is not compliant", async () => {
+      const expiry = (await ethers.provider.getBlock("latest")).timestamp + 36000
+      await builderAgent.createScheduledOrder(ethers.parseEther("4"), ethers.parseEther("2"), 0, 0, expiry)
+      await complianceEngine.updateTraderProfile(deployer.address, profile({ isBlacklisted: true }))
+
+      const [upkeepNeeded] = await builderAgent.checkUpkeep("0x")
+      expect(upkeepNeeded).to.equal(false)
+
+      // The creator is checked even when a keeper performs the upkeep directly
+      const performData = ethers.AbiCoder.defaultAbiCoder().encode(["uint256"], [1])
+      await expect(builderAgent.performUpkeep(performData))
+        .to.emit(builderAgent, "TradeNotCompliant")
+        .withArgs(deployer.address, await usdc.getAddress(), ethers.parseEther("2"), Reason.TraderBlacklisted)
+      expect((await builderAgent.scheduledOrders(1)).executedAmount).to.equal(0)
+
+      await complianceEngine.updateTraderProfile(deployer.address, profile())
+      const [ready, data] = await builderAgent.checkUpkeep("0x")
+      expect(ready).to.equal(true)
+      await expect(builderAgent.performUpkeep(data)).to.emit(builderAgent, "ScheduledOrderExecuted")
+    })
+
+    it("Should let only the admin change the engine", async () => {
+      await expect(applyChange(builderAgent.connect(user), "disableCompliance", [])).to.be.revertedWithCustomError(
+        builderAgent,
+        "AccessControlUnauthorizedAccount",
+      )
+      await expect(applyChange(builderAgent, "disableCompliance", []))
+        .to.emit(builderAgent, "ComplianceEngineUpdated")
+        .withArgs(await complianceEngine.getAddress(), ethers.ZeroAddress)
+      await priceFeed.updatePrice(usd(2500))
+
+      // Without an engine trades are not checked
+      await complianceEngine.updateTraderProfile(ai.address, profile({ isBlacklisted: true }))
+      await expect(
+        builderAgent.connect(ai).triggerTrade(ethers.parseEther("1"), 0, await deadline(), AI_CONFIDENCE),
+      ).to.emit(builderAgent, "TradeTriggered")
+    })
+  })
+
+  describe("EnhancedBuilderAgent", () => {
+    let enhancedAgent, functionsRouter
+
+    beforeEach(async () => {
+      const MockFunctionsRouter = await ethers.getContractFactory("MockFunctionsRouter")
+      functionsRouter = await MockFunctionsRouter.deploy()
+
+      const EnhancedBuilderAgent = await ethers.getContractFactory("EnhancedBuilderAgent")
+      enhancedAgent = await EnhancedBuilderAgent.deploy(
+        await vault.getAddress(),
+        await weth.getAddress(),
+        await usdc.getAddress(),
+        await priceFeed.getAddress(),
+        ethers.ZeroAddress,
+        await complianceEngine.getAddress(),
+        await functionsRouter.getAddress(),
+        {
+          priceThreshold: usd(2000),
+          maxTradeSize: ethers.parseEther("100"),
+          dailyTradeLimit: ethers.parseEther("1000"),
+          cooldownPeriod: 0,
+          maxSlippage: 300,
+          confidenceThreshold: 7000,
+          deviationThreshold: 1000,
+          ecoThreshold: 1000,
+          predictionInterval: 3600,
+        },
+        1,
+        ethers.encodeBytes32String("test-don"),
+        await deployAgentModules(ethers, "EnhancedBuilderAgent"),
+      )
+      await vault.addBuilderAgent(await enhancedAgent.getAddress())
+    })
+
+    const queuePredictionTrade = async () => {
+      await enhancedAgent.requestPricePrediction()
+      const [event] = (await functionsRouter.queryFilter(functionsRouter.filters.RequestSent())).slice(-1)
+      const response = ethers.AbiCoder.defaultAbiCoder().encode(["uint256", "uint256", "uint256"], [usd(2600), 9000, 0])
+      await functionsRouter.fulfillRequest(event.args.requestId, response)
+      const [, performData] = await enhancedAgent.checkUpkeep("0x")
+      return { requestId: event.args.requestId, performData }
+    }
+
+    it("Should validate prediction trades for the agent itself", async () => {
+      const { performData } = await queuePredictionTrade()
+
+      // A quarter of maxTradeSize, scaled up by the 90% confidence
+      const amount = ethers.parseEther("25") + (ethers.parseEther("25") * 2n) / 1000n
+
+      const agentAddress = await enhancedAgent.getAddress()
+
+      const tx = enhancedAgent.performUpkeep(performData)
+
+      await expect(tx).to.emit(enhancedAgent, "TradeTriggered")
+      await expect(tx)
+        .to.emit(complianceEngine, "TradeValidated")
+        .withArgs(1, agentAddress, agentAddress, await usdc.getAddress(), amount, usd(2500), 0)
+    })
+
+    it("Should report and skip prediction trades the engine rejects", async () => {
+      await complianceEngine.updateAssetRule(await usdc.getAddress(), rule({ minPrice: usd(3000) }))
+      const { requestId, performData } = await queuePredictionTrade()
+
+      const tx = enhancedAgent.performUpkeep(performData)
+
+      await expect(tx)
+        .to.emit(enhancedAgent, "TradeNotCompliant")
+        .withArgs(requestId, await enhancedAgent.getAddress(), Reason.PriceOutOfBand)
+      await expect(tx).not.to.emit(enhancedAgent, "TradeTriggered")
+      expect(await enhancedAgent.totalTrades()).to.equal(0)
+    })
+
+    it("Should record and skip prediction trades when the engine check reverts", async () => {
+      const { requestId, performData } = await queuePredictionTrade()
+      await enhancedAgent.performUpkeep(performData)
+      await enhancedAgent.grantRole(await enhancedAgent.AI_ROLE(), ai.address)
+
+      // A contract that is not an engine reverts on validateTrade
+      await applyChange(enhancedAgent, "setComplianceEngine", [await dai.getAddress()])
+      await priceFeed.updatePrice(usd(2500)) // Fresh again after the governance delay
+
+      const tx = enhancedAgent.connect(ai).triggerPredictionTrade(requestId, ethers.parseEther("1"))
+
+      await expect(tx).to.emit(enhancedAgent, "ComplianceCheckFailed").withArgs(requestId, "0x")
+      await expect(tx).not.to.emit(enhancedAgent, "TradeTriggered")
+      expect(await enhancedAgent.totalTrades()).to.equal(1)
+    })
+  })
+})